@@ -0,0 +1,2 @@
+-- CreateIndex
+CREATE INDEX "users_latitude_longitude_idx" ON "users"("latitude", "longitude");
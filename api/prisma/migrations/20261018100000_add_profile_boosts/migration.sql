@@ -0,0 +1,19 @@
+-- CreateTable
+CREATE TABLE "profile_boosts" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "startedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "endsAt" TIMESTAMP(3) NOT NULL,
+    "impressions" INTEGER NOT NULL DEFAULT 0,
+
+    CONSTRAINT "profile_boosts_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "profile_boosts_userId_startedAt_idx" ON "profile_boosts"("userId", "startedAt");
+
+-- CreateIndex
+CREATE INDEX "profile_boosts_endsAt_idx" ON "profile_boosts"("endsAt");
+
+-- AddForeignKey
+ALTER TABLE "profile_boosts" ADD CONSTRAINT "profile_boosts_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
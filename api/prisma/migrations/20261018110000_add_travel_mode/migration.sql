@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN     "visitingLatitude" DOUBLE PRECISION,
+ADD COLUMN     "visitingLocation" TEXT,
+ADD COLUMN     "visitingLongitude" DOUBLE PRECISION,
+ADD COLUMN     "visitingUntil" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "users_visitingLatitude_visitingLongitude_idx" ON "users"("visitingLatitude", "visitingLongitude");
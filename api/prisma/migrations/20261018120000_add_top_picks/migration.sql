@@ -0,0 +1,27 @@
+-- CreateTable
+CREATE TABLE "top_picks" (
+    "id" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "day" TIMESTAMP(3) NOT NULL,
+    "userId" TEXT NOT NULL,
+    "pickedUserId" TEXT NOT NULL,
+    "rank" INTEGER NOT NULL,
+    "score" INTEGER NOT NULL,
+
+    CONSTRAINT "top_picks_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "top_picks_userId_day_pickedUserId_key" ON "top_picks"("userId", "day", "pickedUserId");
+
+-- CreateIndex
+CREATE INDEX "top_picks_userId_day_rank_idx" ON "top_picks"("userId", "day", "rank");
+
+-- CreateIndex
+CREATE INDEX "top_picks_pickedUserId_idx" ON "top_picks"("pickedUserId");
+
+-- AddForeignKey
+ALTER TABLE "top_picks" ADD CONSTRAINT "top_picks_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "top_picks" ADD CONSTRAINT "top_picks_pickedUserId_fkey" FOREIGN KEY ("pickedUserId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
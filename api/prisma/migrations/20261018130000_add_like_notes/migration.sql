@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "user_actions" ADD COLUMN     "note" TEXT,
+ADD COLUMN     "noteField" TEXT,
+ADD COLUMN     "notePhotoId" TEXT;
+
+-- AddForeignKey
+ALTER TABLE "user_actions" ADD CONSTRAINT "user_actions_notePhotoId_fkey" FOREIGN KEY ("notePhotoId") REFERENCES "photos"("id") ON DELETE SET NULL ON UPDATE CASCADE;
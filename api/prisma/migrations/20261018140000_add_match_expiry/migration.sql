@@ -0,0 +1,10 @@
+-- AlterTable
+ALTER TABLE "matches" ADD COLUMN     "expiredAt" TIMESTAMP(3),
+ADD COLUMN     "expiryReminderSentAt" TIMESTAMP(3),
+ADD COLUMN     "extendedUntil" TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN     "lastMatchExtensionAt" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "matches_isActive_lastMessageTime_matchedAt_idx" ON "matches"("isActive", "lastMessageTime", "matchedAt");
@@ -0,0 +1,32 @@
+-- CreateEnum
+CREATE TYPE "RematchStatus" AS ENUM ('PENDING', 'ACCEPTED', 'IGNORED');
+
+-- CreateTable
+CREATE TABLE "rematch_requests" (
+    "id" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "matchId" TEXT NOT NULL,
+    "requesterId" TEXT NOT NULL,
+    "recipientId" TEXT NOT NULL,
+    "unmatchedAt" TIMESTAMP(3) NOT NULL,
+    "status" "RematchStatus" NOT NULL DEFAULT 'PENDING',
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "respondedAt" TIMESTAMP(3),
+
+    CONSTRAINT "rematch_requests_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "rematch_requests_matchId_unmatchedAt_key" ON "rematch_requests"("matchId", "unmatchedAt");
+
+-- CreateIndex
+CREATE INDEX "rematch_requests_recipientId_status_idx" ON "rematch_requests"("recipientId", "status");
+
+-- AddForeignKey
+ALTER TABLE "rematch_requests" ADD CONSTRAINT "rematch_requests_matchId_fkey" FOREIGN KEY ("matchId") REFERENCES "matches"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "rematch_requests" ADD CONSTRAINT "rematch_requests_requesterId_fkey" FOREIGN KEY ("requesterId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "rematch_requests" ADD CONSTRAINT "rematch_requests_recipientId_fkey" FOREIGN KEY ("recipientId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN     "lastUndoAt" TIMESTAMP(3),
+ADD COLUMN     "undoStreak" INTEGER NOT NULL DEFAULT 0;
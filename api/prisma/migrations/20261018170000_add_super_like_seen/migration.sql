@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "user_actions" ADD COLUMN     "seenAt" TIMESTAMP(3);
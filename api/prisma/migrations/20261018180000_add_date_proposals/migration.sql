@@ -0,0 +1,35 @@
+-- AlterEnum
+ALTER TYPE "MessageType" ADD VALUE 'DATE_PROPOSAL';
+
+-- CreateEnum
+CREATE TYPE "DateProposalStatus" AS ENUM ('PENDING', 'ACCEPTED', 'DECLINED', 'COUNTERED');
+
+-- CreateTable
+CREATE TABLE "date_proposals" (
+    "id" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "matchId" TEXT NOT NULL,
+    "proposedBy" TEXT NOT NULL,
+    "messageId" TEXT,
+    "status" "DateProposalStatus" NOT NULL DEFAULT 'PENDING',
+    "startsAt" TIMESTAMP(3) NOT NULL,
+    "endsAt" TIMESTAMP(3) NOT NULL,
+    "placeName" TEXT NOT NULL,
+    "latitude" DOUBLE PRECISION,
+    "longitude" DOUBLE PRECISION,
+    "address" TEXT,
+    "counterOfId" TEXT,
+    "respondedAt" TIMESTAMP(3),
+
+    CONSTRAINT "date_proposals_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "date_proposals_messageId_key" ON "date_proposals"("messageId");
+
+-- CreateIndex
+CREATE INDEX "date_proposals_matchId_status_idx" ON "date_proposals"("matchId", "status");
+
+-- AddForeignKey
+ALTER TABLE "date_proposals" ADD CONSTRAINT "date_proposals_matchId_fkey" FOREIGN KEY ("matchId") REFERENCES "matches"("id") ON DELETE CASCADE ON UPDATE CASCADE;
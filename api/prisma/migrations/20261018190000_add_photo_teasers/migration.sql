@@ -0,0 +1,11 @@
+-- CreateTable
+CREATE TABLE "photo_teasers" (
+    "photoId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "image" TEXT NOT NULL,
+
+    CONSTRAINT "photo_teasers_pkey" PRIMARY KEY ("photoId")
+);
+
+-- AddForeignKey
+ALTER TABLE "photo_teasers" ADD CONSTRAINT "photo_teasers_photoId_fkey" FOREIGN KEY ("photoId") REFERENCES "photos"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,31 @@
+-- CreateEnum
+CREATE TYPE "ScheduledNotificationType" AS ENUM ('MATCH_NUDGE', 'REPLY_REMINDER', 'WEEKLY_DIGEST');
+
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN     "notifyMatchNudges" BOOLEAN NOT NULL DEFAULT true,
+ADD COLUMN     "notifyReplyReminders" BOOLEAN NOT NULL DEFAULT true,
+ADD COLUMN     "notifyWeeklyDigest" BOOLEAN NOT NULL DEFAULT true,
+ADD COLUMN     "quietHoursStart" INTEGER,
+ADD COLUMN     "quietHoursEnd" INTEGER,
+ADD COLUMN     "timezone" TEXT;
+
+-- CreateTable
+CREATE TABLE "scheduled_notifications" (
+    "id" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "userId" TEXT NOT NULL,
+    "type" "ScheduledNotificationType" NOT NULL,
+    "dedupeKey" TEXT NOT NULL,
+    "delivered" BOOLEAN NOT NULL DEFAULT true,
+
+    CONSTRAINT "scheduled_notifications_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "scheduled_notifications_userId_type_dedupeKey_key" ON "scheduled_notifications"("userId", "type", "dedupeKey");
+
+-- CreateIndex
+CREATE INDEX "scheduled_notifications_userId_createdAt_idx" ON "scheduled_notifications"("userId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "scheduled_notifications" ADD CONSTRAINT "scheduled_notifications_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,18 @@
+-- AlterTable
+ALTER TABLE "messages" ADD COLUMN "editedAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "message_edits" (
+    "id" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "messageId" TEXT NOT NULL,
+    "content" TEXT NOT NULL,
+
+    CONSTRAINT "message_edits_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "message_edits_messageId_createdAt_idx" ON "message_edits"("messageId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "message_edits" ADD CONSTRAINT "message_edits_messageId_fkey" FOREIGN KEY ("messageId") REFERENCES "messages"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,9 @@
+-- AlterTable
+-- 'simple' config: no stemming or stop words, so it behaves the same for
+-- Armenian, Russian and English. Unsent tombstones have empty content and
+-- drop out of the index on their own.
+ALTER TABLE "messages" ADD COLUMN "searchVector" tsvector
+  GENERATED ALWAYS AS (to_tsvector('simple', coalesce("content", ''))) STORED;
+
+-- CreateIndex
+CREATE INDEX "messages_searchVector_idx" ON "messages" USING GIN ("searchVector");
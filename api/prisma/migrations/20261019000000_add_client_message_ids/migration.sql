@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "messages" ADD COLUMN "clientMessageId" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "messages_senderId_clientMessageId_key" ON "messages"("senderId", "clientMessageId");
@@ -0,0 +1,105 @@
+/**
+ * In-process job scheduler.
+ *
+ * Each job runs every `intervalMs` and is handed the scheduler's clock
+ * reading, so jobs never read the real clock themselves and tests can
+ * drive them with a fixed `now`, along with the context given to
+ * `start()` (e.g. the Socket.IO server, for jobs that notify clients).
+ *
+ * Jobs must be idempotent: every instance of the API runs its own
+ * scheduler, and a job runs again on each interval whether or not the
+ * last run found work. A run still in flight when the next tick arrives
+ * is skipped rather than overlapped.
+ */
+
+const logger = require('../utils/logger');
+const { generateDailyTopPicks } = require('../services/topPicksService');
+const { processMatchExpiry } = require('../services/matchExpiryService');
+const { processScheduledNotifications } = require('../services/scheduledNotificationService');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+/**
+ * Top Picks run hourly so a fresh UTC day's picks land within the hour,
+ * and so an instance that was down at midnight catches up on its own.
+ * Match expiry runs every 15 minutes; it's a no-op while the policy is off.
+ * Scheduled notifications run every 15 minutes too, so a nudge held by
+ * quiet hours goes out soon after they end.
+ */
+const DEFAULT_JOBS = [
+  {
+    name: 'top-picks',
+    intervalMs: HOUR_MS,
+    run: ({ now }) => generateDailyTopPicks({ now }),
+  },
+  {
+    name: 'match-expiry',
+    intervalMs: 15 * MINUTE_MS,
+    run: ({ now, io }) => processMatchExpiry({ now, io }),
+  },
+  {
+    name: 'scheduled-notifications',
+    intervalMs: 15 * MINUTE_MS,
+    run: ({ now }) => processScheduledNotifications({ now }),
+  },
+];
+
+const createScheduler = ({
+  jobs = DEFAULT_JOBS,
+  clock = () => new Date(),
+  timers = { setInterval, clearInterval },
+} = {}) => {
+  const running = new Set();
+  let handles = [];
+  let context = {};
+
+  const runJob = async (name) => {
+    const job = jobs.find((candidate) => candidate.name === name);
+    if (!job) {
+      throw new Error(`Unknown job: ${name}`);
+    }
+    if (running.has(name)) {
+      logger.warn(`⏭️ Job ${name} still running, skipping this tick`);
+      return null;
+    }
+
+    running.add(name);
+    try {
+      return await job.run({ ...context, now: clock() });
+    } catch (error) {
+      logger.error(`❌ Job ${name} failed:`, error);
+      return null;
+    } finally {
+      running.delete(name);
+    }
+  };
+
+  /** Run every job once right away, then on its interval. */
+  const start = (jobContext = {}) => {
+    if (handles.length > 0) {
+      return;
+    }
+    context = jobContext;
+    handles = jobs.map((job) => {
+      runJob(job.name);
+      const handle = timers.setInterval(() => runJob(job.name), job.intervalMs);
+      // Never hold the process open for a background job
+      handle?.unref?.();
+      return handle;
+    });
+    logger.info(`⏰ Scheduler started (${jobs.map((job) => job.name).join(', ')})`);
+  };
+
+  const stop = () => {
+    handles.forEach((handle) => timers.clearInterval(handle));
+    handles = [];
+  };
+
+  return { start, stop, runJob };
+};
+
+module.exports = {
+  DEFAULT_JOBS,
+  createScheduler,
+};
@@ -7,6 +7,16 @@ const { body, query, param, validationResult } = require('express-validator');
  */
 const ID_REGEX = /^c[a-z0-9]{24,25}$|^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 
+// Discovery deck cursor: `<deckId>.<index>` (see deckCacheService.pageDeck)
+const DECK_CURSOR_REGEX = /^[0-9a-f]{12}\.\d{1,5}$/;
+
+// Likes can carry a short note, pinned to a photo or one of these fields
+const LIKE_NOTE_MAX_LENGTH = 150;
+const LIKE_NOTE_FIELDS = [
+  'bio', 'education', 'profession', 'height', 'relationshipType', 'religion',
+  'smoking', 'drinking', 'travel', 'pets', 'languages', 'interests',
+];
+
 /**
  * Image URLs must point at an object in OUR Firebase Storage bucket that
  * the requesting user uploaded. Host alone is not enough (any Firebase
@@ -146,6 +156,28 @@ const authValidation = {
 /**
  * User action validation rules
  */
+const likeNoteRules = [
+  body('note')
+    .optional({ values: 'falsy' })
+    .isString().withMessage('Note must be a string')
+    .trim()
+    .isLength({ min: 1, max: LIKE_NOTE_MAX_LENGTH })
+    .withMessage(`Note must be between 1 and ${LIKE_NOTE_MAX_LENGTH} characters`),
+  body('notePhotoId')
+    .optional({ values: 'falsy' })
+    .isString().withMessage('Photo ID must be a string')
+    .matches(ID_REGEX).withMessage('Invalid photo ID format'),
+  body('noteField')
+    .optional({ values: 'falsy' })
+    .isIn(LIKE_NOTE_FIELDS).withMessage('Invalid profile field'),
+  body().custom(({ notePhotoId, noteField } = {}) => {
+    if (notePhotoId && noteField) {
+      throw new Error('A note can point at a photo or a profile field, not both');
+    }
+    return true;
+  }),
+];
+
 const actionValidation = {
   like: [
     body('targetUserId')
@@ -153,6 +185,7 @@ const actionValidation = {
       .isString().withMessage('User ID must be a string')
       .matches(ID_REGEX)
       .withMessage('Invalid user ID format'),
+    ...likeNoteRules,
     handleValidationErrors,
   ],
 
@@ -171,6 +204,16 @@ const actionValidation = {
       .isString().withMessage('User ID must be a string')
       .matches(ID_REGEX)
       .withMessage('Invalid user ID format'),
+    ...likeNoteRules,
+    handleValidationErrors,
+  ],
+
+  superLikeSeen: [
+    param('userId')
+      .notEmpty().withMessage('User ID is required')
+      .isString().withMessage('User ID must be a string')
+      .matches(ID_REGEX)
+      .withMessage('Invalid user ID format'),
     handleValidationErrors,
   ],
 
@@ -191,6 +234,23 @@ const actionValidation = {
     query('offset')
       .optional()
       .isInt({ min: 0 }).withMessage('Offset must be a positive integer'),
+    query('sort')
+      .optional()
+      .isIn(['newest', 'closest', 'best_match']).withMessage('Sort must be newest, closest or best_match'),
+    query('minAge')
+      .optional()
+      .isInt({ min: 18, max: 100 }).withMessage('Min age must be between 18 and 100'),
+    query('maxAge')
+      .optional()
+      .isInt({ min: 18, max: 100 }).withMessage('Max age must be between 18 and 100')
+      .custom((value, { req }) => req.query.minAge === undefined || Number(value) >= Number(req.query.minAge))
+      .withMessage('Max age must not be below min age'),
+    query('maxDistance')
+      .optional()
+      .isInt({ min: 1, max: 10000 }).withMessage('Max distance must be between 1 and 10000'),
+    query(['verifiedOnly', 'superLikesOnly', 'sharedInterests'])
+      .optional()
+      .isIn(['true', 'false']).withMessage('Filter flags must be true or false'),
     handleValidationErrors,
   ],
 };
@@ -221,6 +281,9 @@ const discoveryValidation = {
         }
         return true;
       }).withMessage('Invalid ID format in excludeIds'),
+    query('cursor')
+      .optional()
+      .matches(DECK_CURSOR_REGEX).withMessage('Invalid cursor'),
     handleValidationErrors,
   ],
 
@@ -252,6 +315,12 @@ const discoveryValidation = {
     body('filters.maxDistance')
       .optional()
       .isInt({ min: 1, max: 10000 }).withMessage('Max distance must be between 1 and 10000'),
+    body('filters.sortBy')
+      .optional()
+      .isIn(['recommended', 'shared_interests']).withMessage('Sort must be recommended or shared_interests'),
+    body('cursor')
+      .optional()
+      .matches(DECK_CURSOR_REGEX).withMessage('Invalid cursor'),
     handleValidationErrors,
   ],
 };
@@ -297,6 +366,11 @@ const messageValidation = {
       .optional({ values: 'falsy' })
       .isString().withMessage('Reply ID must be a string')
       .matches(ID_REGEX).withMessage('Invalid reply ID format'),
+    // Makes retries safe: the same ID is only ever sent once
+    body('clientMessageId')
+      .optional({ values: 'falsy' })
+      .isString().withMessage('Client message ID must be a string')
+      .matches(/^[A-Za-z0-9_-]{8,64}$/).withMessage('Invalid client message ID format'),
     handleValidationErrors,
   ],
 
@@ -311,6 +385,50 @@ const messageValidation = {
     query('offset')
       .optional()
       .isInt({ min: 0 }).withMessage('Offset must be a positive integer'),
+    query('before')
+      .optional({ values: 'falsy' })
+      .isString().isLength({ max: 200 }).withMessage('Invalid before cursor'),
+    query('after')
+      .optional({ values: 'falsy' })
+      .isString().isLength({ max: 200 }).withMessage('Invalid after cursor'),
+    handleValidationErrors,
+  ],
+
+  syncMessages: [
+    param('matchId')
+      .notEmpty().withMessage('Match ID is required')
+      .matches(ID_REGEX)
+      .withMessage('Invalid match ID format'),
+    query('since')
+      .notEmpty().withMessage('A sync watermark is required')
+      .isISO8601().withMessage('Invalid sync watermark'),
+    handleValidationErrors,
+  ],
+
+  searchAll: [
+    query('q')
+      .optional({ values: 'falsy' })
+      .isString().withMessage('Query must be a string')
+      .isLength({ max: 100 }).withMessage('Query must be at most 100 characters'),
+    query('matchId')
+      .optional({ values: 'falsy' })
+      .matches(ID_REGEX).withMessage('Invalid match ID format'),
+    query('type')
+      .optional({ values: 'falsy' })
+      .isIn(['TEXT', 'AUDIO', 'GAME', 'GIF']).withMessage('Invalid message type'),
+    query('from')
+      .optional({ values: 'falsy' })
+      .isISO8601().withMessage('Invalid from date'),
+    query('to')
+      .optional({ values: 'falsy' })
+      .isISO8601().withMessage('Invalid to date'),
+    query('cursor')
+      .optional({ values: 'falsy' })
+      .isString().isLength({ max: 300 }).withMessage('Invalid cursor'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+      .toInt(),
     handleValidationErrors,
   ],
 
@@ -322,6 +440,22 @@ const messageValidation = {
     handleValidationErrors,
   ],
 
+  editMessage: [
+    param('matchId')
+      .notEmpty().withMessage('Match ID is required')
+      .matches(ID_REGEX)
+      .withMessage('Invalid match ID format'),
+    param('messageId')
+      .notEmpty().withMessage('Message ID is required')
+      .matches(ID_REGEX)
+      .withMessage('Invalid message ID format'),
+    body('content')
+      .isString().withMessage('Content must be a string')
+      .trim()
+      .isLength({ min: 1, max: 2000 }).withMessage('Message must be between 1 and 2000 characters'),
+    handleValidationErrors,
+  ],
+
   addReaction: [
     param('matchId')
       .notEmpty().withMessage('Match ID is required')
@@ -511,6 +645,14 @@ const matchValidation = {
     handleValidationErrors,
   ],
 
+  extend: [
+    param('matchId')
+      .notEmpty().withMessage('Match ID is required')
+      .matches(ID_REGEX)
+      .withMessage('Invalid match ID format'),
+    handleValidationErrors,
+  ],
+
   getMatches: [
     query('limit')
       .optional()
@@ -593,6 +735,41 @@ const userValidation = {
     body('likes')
       .optional()
       .isBoolean({ strict: true }).withMessage('likes must be a boolean'),
+    body(['matchNudges', 'replyReminders', 'weeklyDigest'])
+      .optional()
+      .isBoolean({ strict: true }).withMessage('Nudge settings must be booleans'),
+    body('quietHours')
+      .optional({ nullable: true })
+      .isObject().withMessage('quietHours must be an object or null'),
+    body(['quietHours.start', 'quietHours.end'])
+      .if(body('quietHours').exists({ values: 'null' }))
+      .isInt({ min: 0, max: 23 }).withMessage('Quiet hours must be whole hours from 0 to 23')
+      .toInt(),
+    body('timezone')
+      .optional()
+      .isString()
+      .custom((zone) => {
+        // Throws RangeError for a zone the runtime doesn't know
+        new Intl.DateTimeFormat('en-US', { timeZone: zone });
+        return true;
+      }).withMessage('timezone must be an IANA time zone'),
+    handleValidationErrors,
+  ],
+
+  travelMode: [
+    body('location')
+      .isString().withMessage('Location must be a string')
+      .trim()
+      .isLength({ min: 1, max: 100 }).withMessage('Location must be between 1 and 100 characters'),
+    body('latitude')
+      .isFloat({ min: -90, max: 90 }).withMessage('Invalid latitude')
+      .toFloat(),
+    body('longitude')
+      .isFloat({ min: -180, max: 180 }).withMessage('Invalid longitude')
+      .toFloat(),
+    body('days')
+      .isInt({ min: 1 }).withMessage('days must be a positive integer')
+      .toInt(),
     handleValidationErrors,
   ],
 };
@@ -615,6 +792,13 @@ const moderationValidation = {
     handleValidationErrors,
   ],
 
+  requestIdParam: [
+    param('requestId')
+      .notEmpty().withMessage('Request ID is required')
+      .matches(ID_REGEX).withMessage('Invalid request ID format'),
+    handleValidationErrors,
+  ],
+
   report: [
     body('reportedId')
       .notEmpty().withMessage('reportedId is required')
@@ -638,6 +822,69 @@ const moderationValidation = {
   ],
 };
 
+const dateMatchIdParam = param('matchId')
+  .notEmpty().withMessage('Match ID is required')
+  .matches(ID_REGEX).withMessage('Invalid match ID format');
+
+const dateProposalIdParam = param('proposalId')
+  .notEmpty().withMessage('Proposal ID is required')
+  .matches(ID_REGEX).withMessage('Invalid proposal ID format');
+
+// A plan: time window and optional map location. The place name is added
+// per route, since a counter may leave it out to keep the original one.
+const datePlanRules = [
+  body('startsAt')
+    .isISO8601().withMessage('Invalid start time'),
+  body('endsAt')
+    .isISO8601().withMessage('Invalid end time'),
+  body('location')
+    .optional({ values: 'null' })
+    .isObject().withMessage('Location must be an object'),
+  body('location.latitude')
+    .if(body('location').isObject())
+    .isFloat({ min: -90, max: 90 }).withMessage('Invalid latitude')
+    .toFloat(),
+  body('location.longitude')
+    .if(body('location').isObject())
+    .isFloat({ min: -180, max: 180 }).withMessage('Invalid longitude')
+    .toFloat(),
+  body('location.address')
+    .optional()
+    .isString()
+    .isLength({ max: 200 }).withMessage('Address must be at most 200 characters'),
+];
+
+const datePlaceName = () => body('placeName')
+  .isString().withMessage('Place must be a string')
+  .trim()
+  .isLength({ min: 1, max: 120 }).withMessage('Place must be 1-120 characters');
+
+/**
+ * Date planning validation rules
+ */
+const dateValidation = {
+  propose: [
+    dateMatchIdParam,
+    ...datePlanRules,
+    datePlaceName(),
+    handleValidationErrors,
+  ],
+
+  respond: [
+    dateMatchIdParam,
+    dateProposalIdParam,
+    handleValidationErrors,
+  ],
+
+  counter: [
+    dateMatchIdParam,
+    dateProposalIdParam,
+    ...datePlanRules,
+    datePlaceName().optional(),
+    handleValidationErrors,
+  ],
+};
+
 module.exports = {
   handleValidationErrors,
   authValidation,
@@ -648,4 +895,5 @@ module.exports = {
   matchValidation,
   userValidation,
   moderationValidation,
+  dateValidation,
 };
\ No newline at end of file
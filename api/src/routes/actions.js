@@ -7,10 +7,13 @@ const {
   likeUser,
   passUser,
   getUserActions,
+  markSuperLikeSeen,
   undoLastAction,
+  getUndoStack,
   getWhoLikedMe,
 } = require('../services/actionsService');
 const { getUserQuotas } = require('../services/premiumService');
+const { activateBoost, getBoostStatus } = require('../services/boostService');
 
 const router = express.Router();
 
@@ -18,7 +21,7 @@ const router = express.Router();
  * Helper to handle premium-related errors
  */
 const handlePremiumError = (error, res) => {
-  if (error.code === 'PREMIUM_REQUIRED' || error.code === 'DAILY_LIMIT_REACHED') {
+  if (['PREMIUM_REQUIRED', 'DAILY_LIMIT_REACHED', 'MONTHLY_LIMIT_REACHED'].includes(error.code)) {
     // Expected outcome, not an incident: warn (logger.error would forward
     // to Sentry via its wrapper and page for every free user out of likes)
     logger.warn(`Quota/premium gate: ${error.code} — ${error.message}`);
@@ -45,9 +48,13 @@ router.get('/', (req, res) => {
       'POST /like - Like a user',
       'POST /pass - Pass on a user',
       'POST /super-like - Super like a user (Premium)',
-      'POST /undo - Undo last action (Premium)',
-      'GET /history - Get user action history',
+      'POST /undo - Undo the most recent swipe; repeat to go further back (Premium)',
+      'GET /undo - Swipes that can still be undone',
+      'GET /history - Get user action history (Super Like seen receipts for Premium)',
+      'POST /super-likes/:userId/seen - Record seeing the card of someone who super liked you',
       'GET /quotas - Get daily quotas and limits',
+      'POST /boost - Start a 30-minute Profile Boost (Premium)',
+      'GET /boost - Current boost and last boost summary',
     ],
   });
 });
@@ -79,17 +86,25 @@ router.get('/quotas', authenticateJWT, async (req, res) => {
 
 /**
  * @route   POST /api/actions/like
- * @desc    Like a user
+ * @desc    Like a user. An optional `note` travels with the like, pinned to
+ *          one of their photos (`notePhotoId`) or profile fields (`noteField`);
+ *          on a match it becomes the first message.
  * @access  Private
  */
 router.post('/like', authenticateJWT, writeBurstLimiter, actionValidation.like, async (req, res) => {
   try {
-    const { targetUserId } = req.body;
+    const { targetUserId, note, notePhotoId, noteField } = req.body;
 
     // Get Socket.IO instance from app
     const io = req.app.get('io');
 
-    const result = await likeUser(req.user.id, targetUserId, 'LIKE', io);
+    const result = await likeUser(
+      req.user.id,
+      targetUserId,
+      'LIKE',
+      io,
+      note ? { text: note, photoId: notePhotoId, field: noteField } : null,
+    );
 
     res.json({
       success: true,
@@ -146,17 +161,24 @@ router.post('/pass', authenticateJWT, writeBurstLimiter, actionValidation.pass,
 
 /**
  * @route   POST /api/actions/super-like
- * @desc    Super like a user (premium feature)
+ * @desc    Super like a user (premium feature). Takes the same optional note
+ *          as POST /like.
  * @access  Private
  */
 router.post('/super-like', authenticateJWT, writeBurstLimiter, actionValidation.superLike, async (req, res) => {
   try {
-    const { targetUserId } = req.body;
+    const { targetUserId, note, notePhotoId, noteField } = req.body;
 
     // Get Socket.IO instance from app
     const io = req.app.get('io');
 
-    const result = await likeUser(req.user.id, targetUserId, 'SUPER_LIKE', io);
+    const result = await likeUser(
+      req.user.id,
+      targetUserId,
+      'SUPER_LIKE',
+      io,
+      note ? { text: note, photoId: notePhotoId, field: noteField } : null,
+    );
 
     res.json({
       success: true,
@@ -183,9 +205,36 @@ router.post('/super-like', authenticateJWT, writeBurstLimiter, actionValidation.
   }
 });
 
+/**
+ * @route   GET /api/actions/undo
+ * @desc    Swipes that can still be undone, most recent first, with the
+ *          configured undo depth and window
+ * @access  Private
+ */
+router.get('/undo', authenticateJWT, async (req, res) => {
+  try {
+    const stack = await getUndoStack(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Undo stack retrieved successfully',
+      data: stack,
+    });
+  } catch (error) {
+    logger.error('❌ Get undo stack error:', error);
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get undo stack',
+      message: error.message,
+    });
+  }
+});
+
 /**
  * @route   POST /api/actions/undo
- * @desc    Undo last action (premium feature)
+ * @desc    Undo the most recent swipe (premium feature). Repeat to walk
+ *          further back, up to the configured undo depth.
  * @access  Private
  */
 router.post('/undo', authenticateJWT, writeBurstLimiter, async (req, res) => {
@@ -204,6 +253,15 @@ router.post('/undo', authenticateJWT, writeBurstLimiter, async (req, res) => {
       return;
     }
 
+    if (error.code === 'UNDO_LIMIT_REACHED') {
+      return res.status(409).json({
+        success: false,
+        error: error.code,
+        code: error.code,
+        message: error.message,
+      });
+    }
+
     logger.error('❌ Undo action error:', error);
 
 
@@ -215,6 +273,69 @@ router.post('/undo', authenticateJWT, writeBurstLimiter, async (req, res) => {
   }
 });
 
+/**
+ * @route   POST /api/actions/boost
+ * @desc    Start a 30-minute Profile Boost (premium, monthly allowance)
+ * @access  Private
+ */
+router.post('/boost', authenticateJWT, writeBurstLimiter, async (req, res) => {
+  try {
+    const boost = await activateBoost(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Boost started — you\'re near the top of decks for 30 minutes 🚀',
+      data: boost,
+    });
+  } catch (error) {
+    const premiumResponse = handlePremiumError(error, res);
+    if (premiumResponse) {
+      return;
+    }
+
+    if (error.code === 'BOOST_ACTIVE') {
+      return res.status(409).json({
+        success: false,
+        error: error.code,
+        message: error.message,
+      });
+    }
+
+    logger.error('❌ Boost activation error:', error);
+
+    res.status(400).json({
+      success: false,
+      error: 'Boost activation failed',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @route   GET /api/actions/boost
+ * @desc    Running boost (with live numbers) and the last boost's summary
+ * @access  Private
+ */
+router.get('/boost', authenticateJWT, async (req, res) => {
+  try {
+    const status = await getBoostStatus(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Boost status retrieved successfully',
+      data: status,
+    });
+  } catch (error) {
+    logger.error('❌ Get boost status error:', error);
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get boost status',
+      message: error.message,
+    });
+  }
+});
+
 /**
  * @route   GET /api/actions/history
  * @desc    Get user action history
@@ -245,25 +366,71 @@ router.get('/history', authenticateJWT, actionValidation.getHistory, async (req,
   }
 });
 
+/**
+ * @route   POST /api/actions/super-likes/:userId/seen
+ * @desc    Record that the current user saw the card of `userId`, who super
+ *          liked them. Feeds the sender's "seen" receipt; a no-op otherwise.
+ * @access  Private
+ */
+router.post(
+  '/super-likes/:userId/seen',
+  authenticateJWT,
+  actionValidation.superLikeSeen,
+  async (req, res) => {
+    try {
+      const result = await markSuperLikeSeen(req.user.id, req.params.userId);
+
+      res.json({
+        success: true,
+        message: result.seen ? 'Super Like marked as seen' : 'Nothing to mark',
+        data: result,
+      });
+    } catch (error) {
+      logger.error('❌ Mark Super Like seen error:', error);
+
+      res.status(500).json({
+        success: false,
+        error: 'Failed to record Super Like view',
+        message: error.message,
+      });
+    }
+  },
+);
+
 /**
  * @route   GET /api/actions/who-liked-me
- * @desc    Get users who liked the current user
+ * @desc    Get users who liked the current user. Optional filters:
+ *          minAge, maxAge, maxDistance (km), verifiedOnly, superLikesOnly,
+ *          sharedInterests; sort: newest (default), closest, best_match
  * @access  Private
  */
 router.get('/who-liked-me', authenticateJWT, actionValidation.getWhoLikedMe, async (req, res) => {
   try {
-    const { limit = 20, offset = 0 } = req.query;
+    const { limit = 20, offset = 0, sort = 'newest' } = req.query;
+    const intParam = (name) =>
+      req.query[name] !== undefined ? parseInt(req.query[name], 10) : undefined;
 
     const result = await getWhoLikedMe(req.user.id, {
       limit: parseInt(limit, 10),
       offset: parseInt(offset, 10),
+      sort,
+      filters: {
+        minAge: intParam('minAge'),
+        maxAge: intParam('maxAge'),
+        maxDistance: intParam('maxDistance'),
+        verifiedOnly: req.query.verifiedOnly === 'true',
+        superLikesOnly: req.query.superLikesOnly === 'true',
+        sharedInterests: req.query.sharedInterests === 'true',
+      },
     });
 
     res.json({
       success: true,
       message: 'Retrieved users who liked you',
       data: result.users,
+      previews: result.previews,
       totalCount: result.totalCount,
+      filteredCount: result.filteredCount,
       totalLikesCount: result.totalLikesCount,
       isPremium: result.isPremium,
       premiumRequired: result.premiumRequired,
@@ -114,6 +114,88 @@ describe('Actions Routes', () => {
       expect(response.body.data.isMatch).toBe(true);
       expect(response.body.message).toContain('match');
     });
+
+    describe('with a note', () => {
+      it('stores the note and its photo reference', async () => {
+        const { accessToken } = await userFactory.createWithAuth(global.prisma);
+        const targetUser = await userFactory.create(global.prisma);
+        const photo = await photoFactory.create(global.prisma, targetUser.id, { isMain: true });
+
+        const response = await request(app)
+          .post('/api/actions/like')
+          .set('Authorization', `Bearer ${accessToken}`)
+          .send({ targetUserId: targetUser.id, note: '  Where was this taken?  ', notePhotoId: photo.id });
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.action.note).toBe('Where was this taken?');
+        expect(response.body.data.action.notePhotoId).toBe(photo.id);
+      });
+
+      it('rejects notes over the length limit', async () => {
+        const { accessToken } = await userFactory.createWithAuth(global.prisma);
+        const targetUser = await userFactory.create(global.prisma);
+
+        const response = await request(app)
+          .post('/api/actions/like')
+          .set('Authorization', `Bearer ${accessToken}`)
+          .send({ targetUserId: targetUser.id, note: 'x'.repeat(151) });
+
+        expect(response.status).toBe(400);
+      });
+
+      it('rejects a photo that belongs to someone else', async () => {
+        const { user, accessToken } = await userFactory.createWithAuth(global.prisma);
+        const targetUser = await userFactory.create(global.prisma);
+        const ownPhoto = await photoFactory.create(global.prisma, user.id, { isMain: true });
+
+        const response = await request(app)
+          .post('/api/actions/like')
+          .set('Authorization', `Bearer ${accessToken}`)
+          .send({ targetUserId: targetUser.id, note: 'Nice!', notePhotoId: ownPhoto.id });
+
+        expect(response.status).toBe(400);
+        const action = await global.prisma.userAction.findFirst({ where: { senderId: user.id } });
+        expect(action).toBeNull();
+      });
+
+      it('rejects a note pinned to both a photo and a field', async () => {
+        const { accessToken } = await userFactory.createWithAuth(global.prisma);
+        const targetUser = await userFactory.create(global.prisma);
+        const photo = await photoFactory.create(global.prisma, targetUser.id, { isMain: true });
+
+        const response = await request(app)
+          .post('/api/actions/like')
+          .set('Authorization', `Bearer ${accessToken}`)
+          .send({ targetUserId: targetUser.id, note: 'Hi', notePhotoId: photo.id, noteField: 'bio' });
+
+        expect(response.status).toBe(400);
+      });
+
+      it('posts the note as the first message when the like matches', async () => {
+        const { user: user1, accessToken: accessToken1 } = await userFactory.createWithAuth(global.prisma);
+        const { user: user2, accessToken: accessToken2 } = await userFactory.createWithAuth(global.prisma);
+        await photoFactory.create(global.prisma, user1.id, { isMain: true });
+        await photoFactory.create(global.prisma, user2.id, { isMain: true });
+
+        await request(app)
+          .post('/api/actions/like')
+          .set('Authorization', `Bearer ${accessToken2}`)
+          .send({ targetUserId: user1.id, note: 'Love your taste in books', noteField: 'interests' });
+
+        const response = await request(app)
+          .post('/api/actions/like')
+          .set('Authorization', `Bearer ${accessToken1}`)
+          .send({ targetUserId: user2.id });
+
+        expect(response.body.data.isMatch).toBe(true);
+        const messages = await global.prisma.message.findMany({
+          where: { matchId: response.body.data.match.id },
+        });
+        expect(messages).toHaveLength(1);
+        expect(messages[0].senderId).toBe(user2.id);
+        expect(messages[0].content).toBe('Love your taste in books');
+      });
+    });
   });
 
   describe('POST /api/actions/pass', () => {
@@ -208,6 +290,73 @@ describe('Actions Routes', () => {
     });
   });
 
+  describe('POST /api/actions/boost', () => {
+    it('should require premium', async () => {
+      const { accessToken } = await userFactory.createWithAuth(global.prisma);
+
+      const response = await request(app)
+        .post('/api/actions/boost')
+        .set('Authorization', `Bearer ${accessToken}`);
+
+      expect(response.status).toBe(403);
+      expect(response.body.error).toBe('PREMIUM_REQUIRED');
+    });
+
+    it('should start a 30-minute boost and spend the monthly allowance', async () => {
+      const { accessToken } = await userFactory.createWithAuth(global.prisma, { isPremium: true });
+
+      const response = await request(app)
+        .post('/api/actions/boost')
+        .set('Authorization', `Bearer ${accessToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.isActive).toBe(true);
+      const duration = new Date(response.body.data.endsAt) - new Date(response.body.data.startedAt);
+      expect(duration).toBe(30 * 60 * 1000);
+
+      const again = await request(app)
+        .post('/api/actions/boost')
+        .set('Authorization', `Bearer ${accessToken}`);
+      expect(again.status).toBe(409);
+      expect(again.body.error).toBe('BOOST_ACTIVE');
+
+      const quotas = await request(app)
+        .get('/api/actions/quotas')
+        .set('Authorization', `Bearer ${accessToken}`);
+      expect(quotas.body.data.boosts.remaining).toBe(0);
+    });
+
+    it('should summarize a finished boost', async () => {
+      const { user, accessToken } = await userFactory.createWithAuth(global.prisma, { isPremium: true });
+      const liker = await userFactory.create(global.prisma);
+      const startedAt = new Date(Date.now() - 60 * 60 * 1000);
+      await global.prisma.profileBoost.create({
+        data: {
+          userId: user.id,
+          startedAt,
+          endsAt: new Date(startedAt.getTime() + 30 * 60 * 1000),
+          impressions: 12,
+        },
+      });
+      await global.prisma.userAction.create({
+        data: {
+          senderId: liker.id,
+          receiverId: user.id,
+          action: 'LIKE',
+          createdAt: new Date(startedAt.getTime() + 5 * 60 * 1000),
+        },
+      });
+
+      const response = await request(app)
+        .get('/api/actions/boost')
+        .set('Authorization', `Bearer ${accessToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.active).toBeNull();
+      expect(response.body.data.lastBoost.summary).toEqual({ views: 12, likes: 1, extraLikes: 1 });
+    });
+  });
+
   describe('GET /api/actions/history', () => {
     it('should return action history', async () => {
       const { accessToken } = await userFactory.createWithAuth(global.prisma);
@@ -230,6 +379,33 @@ describe('Actions Routes', () => {
     });
   });
 
+  describe('POST /api/actions/super-likes/:userId/seen', () => {
+    it('should record the receipt on the sender\'s Super Like', async () => {
+      const sender = await userFactory.createWithAuth(global.prisma, {
+        isPremium: true,
+        superLikeBalance: 5,
+      });
+      const receiver = await userFactory.createWithAuth(global.prisma);
+
+      await request(app)
+        .post('/api/actions/super-like')
+        .set('Authorization', `Bearer ${sender.accessToken}`)
+        .send({ targetUserId: receiver.user.id });
+
+      const response = await request(app)
+        .post(`/api/actions/super-likes/${sender.user.id}/seen`)
+        .set('Authorization', `Bearer ${receiver.accessToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.seen).toBe(true);
+
+      const history = await request(app)
+        .get('/api/actions/history')
+        .set('Authorization', `Bearer ${sender.accessToken}`);
+      expect(history.body.data[0].seenAt).toBeTruthy();
+    });
+  });
+
   describe('GET /api/actions/who-liked-me', () => {
     it('should return users who liked current user', async () => {
       const { user: user1, accessToken: accessToken1 } = await userFactory.createWithAuth(global.prisma, {
@@ -254,6 +430,29 @@ describe('Actions Routes', () => {
       expect(response.body.data.length).toBeGreaterThan(0);
     });
 
+    it('should include the note a liker left', async () => {
+      const { user: user1, accessToken: accessToken1 } = await userFactory.createWithAuth(global.prisma, {
+        isPremium: true,
+      });
+      const { accessToken: accessToken2 } = await userFactory.createWithAuth(global.prisma);
+      const photo = await photoFactory.create(global.prisma, user1.id, { isMain: true });
+
+      await request(app)
+        .post('/api/actions/like')
+        .set('Authorization', `Bearer ${accessToken2}`)
+        .send({ targetUserId: user1.id, note: 'That view!', notePhotoId: photo.id });
+
+      const response = await request(app)
+        .get('/api/actions/who-liked-me')
+        .set('Authorization', `Bearer ${accessToken1}`);
+
+      expect(response.body.data[0].note).toEqual({
+        text: 'That view!',
+        photo: { id: photo.id, url: photo.url },
+        field: null,
+      });
+    });
+
     it('should include premium info in response', async () => {
       const { accessToken } = await userFactory.createWithAuth(global.prisma, { isPremium: true });
 
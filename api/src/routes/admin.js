@@ -18,10 +18,9 @@ const adminLimiter = rateLimit({
   skip: () => process.env.ENABLE_RATE_LIMITING === 'false' || process.env.NODE_ENV === 'test',
 });
 
-const ID_PARAM = [
-  param('id').notEmpty().isString().isLength({ max: 64 }),
-  handleValidationErrors,
-];
+// The :id rule alone, for routes that validate more than the id
+const ID_RULE = param('id').notEmpty().isString().isLength({ max: 64 });
+const ID_PARAM = [ID_RULE, handleValidationErrors];
 
 /**
  * @route   GET /api/admin/check
@@ -81,6 +80,29 @@ router.get(
   }),
 );
 
+/**
+ * @route   GET /api/admin/users/:id/discovery-debug?limit=&exclusions=&strictMode=
+ * @desc    Discovery as this user: score breakdowns and exclusion reasons
+ */
+router.get(
+  '/users/:id/discovery-debug',
+  [
+    ID_RULE,
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+    query('exclusions').optional().isInt({ min: 1, max: 200 }),
+    query('strictMode').optional().isBoolean(),
+    handleValidationErrors,
+  ],
+  catchAsync(async (req, res) => {
+    const data = await admin.debugDiscovery(req.params.id, {
+      limit: req.query.limit ? parseInt(req.query.limit, 10) : undefined,
+      exclusionLimit: req.query.exclusions ? parseInt(req.query.exclusions, 10) : undefined,
+      strictMode: req.query.strictMode === 'true',
+    });
+    res.json({ success: true, data });
+  }),
+);
+
 /**
  * @route   POST /api/admin/users/:id/ban  |  /unban
  */
@@ -112,7 +134,7 @@ router.post(
  */
 router.post(
   '/users/:id/premium',
-  [...ID_PARAM.slice(0, 1), body('isPremium').isBoolean({ strict: true }), handleValidationErrors],
+  [ID_RULE, body('isPremium').isBoolean({ strict: true }), handleValidationErrors],
   catchAsync(async (req, res) => {
     const data = await admin.setUserPremium(req.params.id, req.body.isPremium, req.user.email);
     res.json({ success: true, message: 'Premium updated', data });
@@ -168,7 +190,7 @@ router.get(
 router.post(
   '/reports/:id/resolve',
   [
-    ...ID_PARAM.slice(0, 1),
+    ID_RULE,
     body('action').optional().isIn(['NONE', 'BAN']),
     body('adminNotes').optional({ values: 'falsy' }).isString().isLength({ max: 1000 }),
     handleValidationErrors,
@@ -190,7 +212,7 @@ router.post(
 router.post(
   '/reports/:id/dismiss',
   [
-    ...ID_PARAM.slice(0, 1),
+    ID_RULE,
     body('adminNotes').optional({ values: 'falsy' }).isString().isLength({ max: 1000 }),
     handleValidationErrors,
   ],
@@ -333,7 +355,8 @@ router.post(
 );
 
 /**
- * @route   GET|PUT /api/admin/config/quotas — free-tier like quota lever
+ * @route   GET|PUT /api/admin/config/quotas — free-tier like quota and
+ *          undo depth/window levers (partial updates merge)
  */
 router.get(
   '/config/quotas',
@@ -345,13 +368,93 @@ router.get(
 
 router.put(
   '/config/quotas',
-  [body('freeLikesPerWindow').isInt({ min: 1, max: 1000 }), handleValidationErrors],
+  [
+    body('freeLikesPerWindow').optional().isInt({ min: 1, max: 1000 }),
+    body('undoDepth').optional().isInt({ min: 1, max: 20 }),
+    body('undoWindowMinutes').optional().isInt({ min: 1, max: 1440 }),
+    handleValidationErrors,
+  ],
   catchAsync(async (req, res) => {
     const data = await admin.updateQuotasConfig(req.body, req.user.email);
     res.json({ success: true, message: 'Quotas updated', data });
   }),
 );
 
+/**
+ * @route   GET|PUT /api/admin/config/discovery — pass recycling cooldown
+ */
+router.get(
+  '/config/discovery',
+  catchAsync(async (req, res) => {
+    const data = await admin.getDiscoveryConfig();
+    res.json({ success: true, data });
+  }),
+);
+
+router.put(
+  '/config/discovery',
+  [body('passCooldownDays').isInt({ min: 0, max: 365 }), handleValidationErrors],
+  catchAsync(async (req, res) => {
+    const data = await admin.updateDiscoveryConfig(req.body, req.user.email);
+    res.json({ success: true, message: 'Discovery config updated', data });
+  }),
+);
+
+/**
+ * @route   GET|PUT /api/admin/config/ranking — discovery scoring weights
+ */
+const RANKING_WEIGHT_KEYS = [
+  'mutualInterest',
+  'age',
+  'distance',
+  'interests',
+  'relationshipType',
+  'activity',
+  'completeness',
+  'premium',
+];
+
+router.get(
+  '/config/ranking',
+  catchAsync(async (req, res) => {
+    const data = await admin.getRankingConfig();
+    res.json({ success: true, data });
+  }),
+);
+
+router.put(
+  '/config/ranking',
+  [
+    body().isObject(),
+    ...RANKING_WEIGHT_KEYS.map((key) => body(key).optional().isFloat({ min: 0, max: 1000 })),
+    handleValidationErrors,
+  ],
+  catchAsync(async (req, res) => {
+    const data = await admin.updateRankingConfig(req.body, req.user.email);
+    res.json({ success: true, message: 'Ranking weights updated', data });
+  }),
+);
+
+/**
+ * @route   GET|PUT /api/admin/config/experiments — A/B experiment definitions
+ */
+router.get(
+  '/config/experiments',
+  catchAsync(async (req, res) => {
+    const data = await admin.getExperimentsConfig();
+    res.json({ success: true, data });
+  }),
+);
+
+router.put(
+  '/config/experiments',
+  [body().isObject(), handleValidationErrors],
+  catchAsync(async (req, res) => {
+    const data = await admin.updateExperimentsConfig(req.body, req.user.email);
+    res.json({ success: true, message: 'Experiments updated', data });
+  }),
+);
+
 /**
  * @route   GET|PUT /api/admin/config/launch-promo — signup premium trial
  */
@@ -377,6 +480,59 @@ router.put(
   }),
 );
 
+/**
+ * @route   GET|PUT /api/admin/config/match-expiry — silent-match expiry policy
+ */
+router.get(
+  '/config/match-expiry',
+  catchAsync(async (req, res) => {
+    const data = await admin.getMatchExpiryConfig();
+    res.json({ success: true, data });
+  }),
+);
+
+router.put(
+  '/config/match-expiry',
+  [
+    body('enabled').optional().isBoolean(),
+    body('days').optional().isInt({ min: 1, max: 90 }),
+    body('reminderHours').optional().isInt({ min: 1, max: 72 }),
+    body('extensionHours').optional().isInt({ min: 1, max: 168 }),
+    handleValidationErrors,
+  ],
+  catchAsync(async (req, res) => {
+    const data = await admin.updateMatchExpiryConfig(req.body, req.user.email);
+    res.json({ success: true, message: 'Match expiry policy updated', data });
+  }),
+);
+
+/**
+ * @route   GET|PUT /api/admin/config/scheduled-notifications — nudges, digest and daily cap
+ */
+router.get(
+  '/config/scheduled-notifications',
+  catchAsync(async (req, res) => {
+    const data = await admin.getScheduledNotificationConfig();
+    res.json({ success: true, data });
+  }),
+);
+
+router.put(
+  '/config/scheduled-notifications',
+  [
+    body('enabled').optional().isBoolean(),
+    body('dailyCap').optional().isInt({ min: 0, max: 10 }),
+    body('matchNudgeDays').optional().isInt({ min: 1, max: 30 }),
+    body('replyReminderHours').optional().isInt({ min: 1, max: 168 }),
+    body('digestMinNewPeople').optional().isInt({ min: 1, max: 100 }),
+    handleValidationErrors,
+  ],
+  catchAsync(async (req, res) => {
+    const data = await admin.updateScheduledNotificationConfig(req.body, req.user.email);
+    res.json({ success: true, message: 'Scheduled notification policy updated', data });
+  }),
+);
+
 /**
  * @route   GET /api/admin/audit
  */
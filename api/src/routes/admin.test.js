@@ -1,7 +1,7 @@
 import { describe, it, expect, beforeEach, beforeAll, afterAll } from 'vitest';
 import request from 'supertest';
 import express from 'express';
-import { userFactory } from '../../test-setup/helpers/factories.js';
+import { userFactory, photoFactory } from '../../test-setup/helpers/factories.js';
 import { createMockSocketIO } from '../../test-setup/helpers/test-utils.js';
 import adminRouter from './admin.js';
 import { hasPremiumAccess, grantLaunchTrial } from '../services/premiumService.js';
@@ -117,6 +117,42 @@ describe('Admin Routes', () => {
     });
   });
 
+  describe('experiments', () => {
+    it('validates definitions and rolls outcomes up per variant', async () => {
+      const adminUser = await createAdmin();
+      await userFactory.createMany(global.prisma, 5);
+
+      const bad = await request(app)
+        .put('/admin/config/experiments')
+        .set('Authorization', adminUser.authHeader)
+        .send({ likes_quota: { enabled: true, variants: [{ name: 'only', weight: 100 }] } });
+      expect(bad.status).toBe(400);
+
+      const res = await request(app)
+        .put('/admin/config/experiments')
+        .set('Authorization', adminUser.authHeader)
+        .send({
+          likes_quota: {
+            enabled: true,
+            variants: [
+              { name: 'control', weight: 50 },
+              { name: 'more_likes', weight: 50, overrides: { quotas: { freeLikesPerWindow: 40 } } },
+            ],
+          },
+        });
+      expect(res.status).toBe(200);
+
+      const overview = await request(app)
+        .get('/admin/overview')
+        .set('Authorization', adminUser.authHeader);
+      const [experiment] = overview.body.data.experiments;
+      expect(experiment.key).toBe('likes_quota');
+      expect(experiment.variants.map((v) => v.name)).toEqual(['control', 'more_likes']);
+      const cohortTotal = experiment.variants.reduce((sum, v) => sum + v.users, 0);
+      expect(cohortTotal).toBe(6); // 5 + admin
+    });
+  });
+
   describe('user management', () => {
     it('lists and searches users with caps metadata', async () => {
       const adminUser = await createAdmin();
@@ -209,6 +245,30 @@ describe('Admin Routes', () => {
     });
   });
 
+  describe('discovery debug', () => {
+    it('runs discovery as the chosen user', async () => {
+      const adminUser = await createAdmin();
+      const viewer = await userFactory.create(global.prisma, {
+        gender: 'MAN',
+        interestedIn: ['WOMAN'],
+        location: 'New York',
+      });
+      await photoFactory.create(global.prisma, viewer.id, { isMain: true });
+
+      const res = await request(app)
+        .get(`/admin/users/${viewer.id}/discovery-debug`)
+        .set('Authorization', adminUser.authHeader);
+      expect(res.status).toBe(200);
+      expect(Array.isArray(res.body.data.users)).toBe(true);
+      expect(Array.isArray(res.body.data.excluded)).toBe(true);
+
+      const missing = await request(app)
+        .get('/admin/users/nope/discovery-debug')
+        .set('Authorization', adminUser.authHeader);
+      expect(missing.status).toBe(404);
+    });
+  });
+
   describe('reports queue', () => {
     const createReport = async (reporter, reported) =>
       global.prisma.report.create({
@@ -477,6 +537,19 @@ describe('Admin Routes', () => {
         .send({ freeLikesPerWindow: 0 });
       expect(badQuota.status).toBe(400);
 
+      const undo = await request(app)
+        .put('/admin/config/quotas')
+        .set('Authorization', adminUser.authHeader)
+        .send({ undoDepth: 5, undoWindowMinutes: 10 });
+      expect(undo.status).toBe(200);
+      expect(undo.body.data).toEqual({ freeLikesPerWindow: 25, undoDepth: 5, undoWindowMinutes: 10 });
+
+      const emptyQuota = await request(app)
+        .put('/admin/config/quotas')
+        .set('Authorization', adminUser.authHeader)
+        .send({});
+      expect(emptyQuota.status).toBe(400);
+
       const promo = await request(app)
         .put('/admin/config/launch-promo')
         .set('Authorization', adminUser.authHeader)
@@ -491,6 +564,95 @@ describe('Admin Routes', () => {
       expect(badPromo.status).toBe(400);
     });
 
+    it('publishes the pass recycling cooldown with validation', async () => {
+      const adminUser = await createAdmin();
+
+      const res = await request(app)
+        .put('/admin/config/discovery')
+        .set('Authorization', adminUser.authHeader)
+        .send({ passCooldownDays: 14 });
+      expect(res.status).toBe(200);
+      expect(res.body.data.passCooldownDays).toBe(14);
+
+      const read = await request(app)
+        .get('/admin/config/discovery')
+        .set('Authorization', adminUser.authHeader);
+      expect(read.body.data.passCooldownDays).toBe(14);
+
+      const bad = await request(app)
+        .put('/admin/config/discovery')
+        .set('Authorization', adminUser.authHeader)
+        .send({ passCooldownDays: -1 });
+      expect(bad.status).toBe(400);
+    });
+
+    it('publishes ranking weights with validation and an audit entry', async () => {
+      const adminUser = await createAdmin();
+
+      const res = await request(app)
+        .put('/admin/config/ranking')
+        .set('Authorization', adminUser.authHeader)
+        .send({ distance: 80, premium: 0 });
+      expect(res.status).toBe(200);
+      expect(res.body.data).toMatchObject({ mutualInterest: 100, distance: 80, premium: 0 });
+
+      const unknown = await request(app)
+        .put('/admin/config/ranking')
+        .set('Authorization', adminUser.authHeader)
+        .send({ charisma: 10 });
+      expect(unknown.status).toBe(400);
+
+      const negative = await request(app)
+        .put('/admin/config/ranking')
+        .set('Authorization', adminUser.authHeader)
+        .send({ age: -5 });
+      expect(negative.status).toBe(400);
+
+      const audit = await global.prisma.adminAuditLog.findFirst({
+        where: { action: 'config.ranking.update' },
+      });
+      expect(audit).not.toBeNull();
+    });
+
+    it('publishes the match expiry policy with validation', async () => {
+      const adminUser = await createAdmin();
+
+      const read = await request(app)
+        .get('/admin/config/match-expiry')
+        .set('Authorization', adminUser.authHeader);
+      expect(read.body.data).toEqual({ enabled: false, days: 7, reminderHours: 24, extensionHours: 24 });
+
+      const res = await request(app)
+        .put('/admin/config/match-expiry')
+        .set('Authorization', adminUser.authHeader)
+        .send({ enabled: true, days: 5 });
+      expect(res.status).toBe(200);
+      expect(res.body.data).toEqual({ enabled: true, days: 5, reminderHours: 24, extensionHours: 24 });
+
+      const reminderTooLong = await request(app)
+        .put('/admin/config/match-expiry')
+        .set('Authorization', adminUser.authHeader)
+        .send({ days: 1, reminderHours: 24 });
+      expect(reminderTooLong.status).toBe(400);
+    });
+
+    it('publishes the scheduled notification policy with validation', async () => {
+      const adminUser = await createAdmin();
+
+      const res = await request(app)
+        .put('/admin/config/scheduled-notifications')
+        .set('Authorization', adminUser.authHeader)
+        .send({ dailyCap: 1 });
+      expect(res.status).toBe(200);
+      expect(res.body.data).toMatchObject({ enabled: false, dailyCap: 1, matchNudgeDays: 3 });
+
+      const tooMany = await request(app)
+        .put('/admin/config/scheduled-notifications')
+        .set('Authorization', adminUser.authHeader)
+        .send({ dailyCap: 50 });
+      expect(tooMany.status).toBe(400);
+    });
+
     it('grants the trial to waitlisted signups only (waitlistOnly promo)', async () => {
       const adminUser = await createAdmin();
       await request(app)
@@ -0,0 +1,95 @@
+const express = require('express');
+const { authenticateJWT } = require('../middleware/auth');
+const { dateValidation } = require('../middleware/validation');
+const { writeBurstLimiter } = require('../middleware/rateLimiters');
+const { catchAsync } = require('../middleware/errorHandler');
+const dates = require('../services/datePlanService');
+
+const router = express.Router();
+
+const io = (req) => req.app.get('io');
+
+const planInput = (req) => ({
+  startsAt: req.body.startsAt,
+  endsAt: req.body.endsAt,
+  placeName: req.body.placeName,
+  location: req.body.location,
+});
+
+/**
+ * @route   POST /api/dates/:matchId/proposals   {startsAt, endsAt, placeName, location?}
+ * @desc    Propose a date; posts a DATE_PROPOSAL card in the chat
+ * @access  Private
+ */
+router.post(
+  '/:matchId/proposals',
+  authenticateJWT,
+  writeBurstLimiter,
+  dateValidation.propose,
+  catchAsync(async (req, res) => {
+    const data = await dates.proposeDate(req.params.matchId, req.user.id, planInput(req), io(req));
+    res.status(201).json({ success: true, message: 'Date proposed', data });
+  }),
+);
+
+/**
+ * @route   POST /api/dates/:matchId/proposals/:proposalId/accept
+ * @route   POST /api/dates/:matchId/proposals/:proposalId/decline
+ * @desc    Answer the other person's proposal
+ * @access  Private
+ */
+router.post(
+  '/:matchId/proposals/:proposalId/accept',
+  authenticateJWT,
+  writeBurstLimiter,
+  dateValidation.respond,
+  catchAsync(async (req, res) => {
+    const data = await dates.acceptProposal(
+      req.params.matchId,
+      req.params.proposalId,
+      req.user.id,
+      io(req),
+    );
+    res.json({ success: true, message: "It's a date!", data });
+  }),
+);
+
+router.post(
+  '/:matchId/proposals/:proposalId/decline',
+  authenticateJWT,
+  writeBurstLimiter,
+  dateValidation.respond,
+  catchAsync(async (req, res) => {
+    const data = await dates.declineProposal(
+      req.params.matchId,
+      req.params.proposalId,
+      req.user.id,
+      io(req),
+    );
+    res.json({ success: true, message: 'Proposal declined', data });
+  }),
+);
+
+/**
+ * @route   POST /api/dates/:matchId/proposals/:proposalId/counter   {startsAt, endsAt, placeName?, location?}
+ * @desc    Suggest another time (and optionally place); posts a new card
+ * @access  Private
+ */
+router.post(
+  '/:matchId/proposals/:proposalId/counter',
+  authenticateJWT,
+  writeBurstLimiter,
+  dateValidation.counter,
+  catchAsync(async (req, res) => {
+    const data = await dates.counterProposal(
+      req.params.matchId,
+      req.params.proposalId,
+      req.user.id,
+      planInput(req),
+      io(req),
+    );
+    res.status(201).json({ success: true, message: 'New time suggested', data });
+  }),
+);
+
+module.exports = router;
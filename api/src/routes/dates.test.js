@@ -0,0 +1,169 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import request from 'supertest';
+import { createTestApp, createMockSocketIO } from '../../test-setup/helpers/test-utils.js';
+import { userFactory, matchFactory } from '../../test-setup/helpers/factories.js';
+import datesRouter from './dates.js';
+
+const { getMatchDetails } = require('../services/matchesService');
+const { getMessages } = require('../services/messagesService');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const setupPair = async () => {
+  const auth1 = await userFactory.createWithAuth(global.prisma);
+  const auth2 = await userFactory.createWithAuth(global.prisma);
+  const match = await matchFactory.create(global.prisma, auth1.user.id, auth2.user.id);
+  return { auth1, auth2, match };
+};
+
+const plan = (hoursAhead = 24, overrides = {}) => ({
+  startsAt: new Date(Date.now() + hoursAhead * HOUR_MS).toISOString(),
+  endsAt: new Date(Date.now() + (hoursAhead + 2) * HOUR_MS).toISOString(),
+  placeName: 'Café Lumen',
+  location: { latitude: 52.52, longitude: 13.405, address: 'Torstraße 1' },
+  ...overrides,
+});
+
+describe('Dates Routes', () => {
+  let app;
+  let io;
+
+  beforeEach(() => {
+    io = createMockSocketIO();
+    app = createTestApp(datesRouter, '/dates');
+    app.set('io', io);
+  });
+
+  const propose = (auth, match, body = plan()) =>
+    request(app)
+      .post(`/dates/${match.id}/proposals`)
+      .set('Authorization', auth.authHeader)
+      .send(body);
+
+  it('posts a DATE_PROPOSAL card carrying the plan', async () => {
+    const { auth1, auth2, match } = await setupPair();
+
+    const response = await propose(auth1, match);
+
+    expect(response.status).toBe(201);
+    expect(response.body.data.status).toBe('PENDING');
+    expect(response.body.data.location).toMatchObject({ latitude: 52.52, longitude: 13.405 });
+
+    const message = await global.prisma.message.findFirst({
+      where: { matchId: match.id, messageType: 'DATE_PROPOSAL' },
+    });
+    expect(message.id).toBe(response.body.data.messageId);
+    const metadata = JSON.parse(message.metadata);
+    expect(metadata).toMatchObject({
+      kind: 'date-proposal',
+      proposalId: response.body.data.id,
+      placeName: 'Café Lumen',
+    });
+
+    const messages = await getMessages(match.id, auth2.user.id);
+    const card = messages.find((m) => m.id === message.id);
+    expect(card.dateProposal.status).toBe('PENDING');
+  });
+
+  it('accepting emits to both members and lists the plan on the match', async () => {
+    const { auth1, auth2, match } = await setupPair();
+    const { body } = await propose(auth1, match);
+    io.clearEmitCalls();
+
+    const response = await request(app)
+      .post(`/dates/${match.id}/proposals/${body.data.id}/accept`)
+      .set('Authorization', auth2.authHeader);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.status).toBe('ACCEPTED');
+    const toProposer = io.findEmit('date-proposal-updated', `user:${auth1.user.id}`);
+    expect(toProposer.data.proposal.status).toBe('ACCEPTED');
+    expect(io.findEmit('date-proposal-updated', `user:${auth2.user.id}`)).toBeDefined();
+
+    const details = await getMatchDetails(match.id, auth1.user.id);
+    expect(details.datePlans).toHaveLength(1);
+    expect(details.datePlans[0]).toMatchObject({ id: body.data.id, placeName: 'Café Lumen' });
+  });
+
+  it('does not let the proposer answer their own proposal', async () => {
+    const { auth1, match } = await setupPair();
+    const { body } = await propose(auth1, match);
+
+    const response = await request(app)
+      .post(`/dates/${match.id}/proposals/${body.data.id}/accept`)
+      .set('Authorization', auth1.authHeader);
+
+    expect(response.status).toBe(403);
+  });
+
+  it('a proposal can only be answered once', async () => {
+    const { auth1, auth2, match } = await setupPair();
+    const { body } = await propose(auth1, match);
+
+    await request(app)
+      .post(`/dates/${match.id}/proposals/${body.data.id}/decline`)
+      .set('Authorization', auth2.authHeader)
+      .expect(200);
+    const second = await request(app)
+      .post(`/dates/${match.id}/proposals/${body.data.id}/accept`)
+      .set('Authorization', auth2.authHeader);
+
+    expect(second.status).toBe(409);
+    const details = await getMatchDetails(match.id, auth1.user.id);
+    expect(details.datePlans).toHaveLength(0);
+  });
+
+  it('countering closes the original and posts a new card that keeps the place', async () => {
+    const { auth1, auth2, match } = await setupPair();
+    const { body } = await propose(auth1, match);
+    const { startsAt, endsAt } = plan(48);
+
+    const response = await request(app)
+      .post(`/dates/${match.id}/proposals/${body.data.id}/counter`)
+      .set('Authorization', auth2.authHeader)
+      .send({ startsAt, endsAt });
+
+    expect(response.status).toBe(201);
+    const counter = response.body.data;
+    expect(counter).toMatchObject({
+      status: 'PENDING',
+      proposedBy: auth2.user.id,
+      counterOfId: body.data.id,
+      placeName: 'Café Lumen',
+    });
+    expect(counter.location.address).toBe('Torstraße 1');
+
+    const original = await global.prisma.dateProposal.findUnique({ where: { id: body.data.id } });
+    expect(original.status).toBe('COUNTERED');
+    expect(await global.prisma.message.count({ where: { messageType: 'DATE_PROPOSAL' } })).toBe(2);
+
+    // The counter goes back to the original proposer to answer
+    await request(app)
+      .post(`/dates/${match.id}/proposals/${counter.id}/accept`)
+      .set('Authorization', auth1.authHeader)
+      .expect(200);
+  });
+
+  it('rejects windows that end before they start, run too long or are in the past', async () => {
+    const { auth1, match } = await setupPair();
+    const start = Date.now() + 24 * HOUR_MS;
+
+    const backwards = await propose(auth1, match, plan(24, { endsAt: new Date(start - HOUR_MS).toISOString() }));
+    const tooLong = await propose(auth1, match, plan(24, { endsAt: new Date(start + 13 * HOUR_MS).toISOString() }));
+    const past = await propose(auth1, match, plan(-3));
+
+    expect(backwards.status).toBe(400);
+    expect(tooLong.status).toBe(400);
+    expect(past.status).toBe(400);
+    expect(await global.prisma.dateProposal.count()).toBe(0);
+  });
+
+  it('only match members can propose', async () => {
+    const { match } = await setupPair();
+    const outsider = await userFactory.createWithAuth(global.prisma);
+
+    const response = await propose(outsider, match);
+
+    expect(response.status).toBe(404);
+  });
+});
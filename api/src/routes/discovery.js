@@ -3,7 +3,8 @@ const logger = require('../utils/logger');
 const { authenticateJWT } = require('../middleware/auth');
 const { discoveryValidation } = require('../middleware/validation');
 const { checkDiscoveryEligibility, trackDiscoveryActivity } = require('../middleware/discovery');
-const { getUsersForDiscovery } = require('../services/discoveryService');
+const { getDiscoveryPage } = require('../services/discoveryService');
+const { getTopPicks } = require('../services/topPicksService');
 
 const router = express.Router();
 
@@ -18,13 +19,15 @@ router.get('/', (req, res) => {
     availableEndpoints: [
       'GET /users - Get users for discovery/swiping',
       'POST /users/filters - Get filtered users',
+      'GET /top-picks - Get today\'s Top Picks',
     ],
   });
 });
 
 /**
  * @route   GET /api/discovery/users
- * @desc    Get users for discovery/swiping with filters
+ * @desc    Get users for discovery/swiping with filters. Pass meta.nextCursor
+ *          back as `cursor` to page through the same cached deck.
  * @access  Private
  */
 router.get('/users', 
@@ -40,6 +43,7 @@ router.get('/users',
       minAge,
       maxAge,
       maxDistance,
+      cursor,
       filters: filtersJson // New parameter for full filters object
     } = req.query;
     
@@ -72,10 +76,11 @@ router.get('/users',
       filters.maxDistance = parseInt(maxDistance);
     }
     
-    const users = await getUsersForDiscovery(req.user.id, {
+    const { users, nextCursor } = await getDiscoveryPage(req.user.id, {
       limit: parseInt(limit) || 20,
       excludeIds: excludeUserIds,
       filters,
+      cursor,
     });
     
     res.json({
@@ -85,6 +90,7 @@ router.get('/users',
       meta: {
         count: users.length,
         filters,
+        nextCursor,
       },
     });
   } catch (error) {
@@ -113,7 +119,8 @@ router.post('/users/filters',
     const { 
       filters = {}, 
       limit = 20, 
-      excludeIds = [] 
+      excludeIds = [],
+      cursor,
     } = req.body;
     
     // Create a copy of filters to avoid mutation
@@ -155,10 +162,11 @@ router.post('/users/filters',
       });
     }
     
-    const users = await getUsersForDiscovery(req.user.id, {
+    const { users, nextCursor } = await getDiscoveryPage(req.user.id, {
       limit,
       excludeIds,
       filters: validatedFilters,
+      cursor,
     });
     
     res.json({
@@ -168,6 +176,7 @@ router.post('/users/filters',
       meta: {
         count: users.length,
         appliedFilters: validatedFilters,
+        nextCursor,
       },
     });
   } catch (error) {
@@ -181,4 +190,40 @@ router.post('/users/filters',
   }
 });
 
+/**
+ * @route   GET /api/discovery/top-picks
+ * @desc    Get today's Top Picks. Free users see a preview; meta.locked
+ *          counts the picks held back until they upgrade.
+ * @access  Private
+ */
+router.get('/top-picks',
+  authenticateJWT,
+  checkDiscoveryEligibility,
+  async (req, res) => {
+  try {
+    const { picks, day, refreshesAt, total, locked, isPreview } = await getTopPicks(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Top Picks retrieved successfully',
+      data: picks,
+      meta: {
+        day,
+        refreshesAt,
+        total,
+        locked,
+        isPreview,
+      },
+    });
+  } catch (error) {
+    logger.error('❌ Get top picks error:', error);
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get top picks',
+      message: error.message,
+    });
+  }
+});
+
 module.exports = router;
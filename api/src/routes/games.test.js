@@ -4,6 +4,8 @@ import { createTestApp, createMockSocketIO } from '../../test-setup/helpers/test
 import { userFactory, matchFactory } from '../../test-setup/helpers/factories.js';
 import gamesRouter from './games.js';
 import { getEngine } from '../services/games/engines.js';
+import { clearExperimentsCache } from '../services/experimentsService.js';
+import { clearFeatureFlagsCache } from '../services/featureFlagsService.js';
 
 const setupPair = async () => {
   const auth1 = await userFactory.createWithAuth(global.prisma);
@@ -194,6 +196,8 @@ describe('Games Routes', () => {
     io = createMockSocketIO();
     app = createTestApp(gamesRouter, '/games');
     app.set('io', io);
+    clearExperimentsCache();
+    clearFeatureFlagsCache();
   });
 
   it('starts a session, creates a GAME chat message, emits to both user rooms', async () => {
@@ -559,4 +563,29 @@ describe('Games Routes', () => {
       delete process.env.GAMES_GATING_ENABLED;
     }
   });
+
+  it('applies experiment flag overrides server-side, like GET /config/flags', async () => {
+    const { auth1, match } = await setupPair();
+    await global.prisma.appConfig.create({
+      data: {
+        key: 'experiments',
+        value: {
+          games_rollout: {
+            enabled: true,
+            variants: [
+              { name: 'control', weight: 0 },
+              { name: 'games_off', weight: 100, overrides: { flags: { games_enabled: false } } },
+            ],
+          },
+        },
+      },
+    });
+
+    const started = await request(app)
+      .post(`/games/${match.id}/sessions`)
+      .set('Authorization', auth1.authHeader)
+      .send({ gameType: 'THIS_OR_THAT' });
+    expect(started.status).toBe(403);
+    expect(started.body.code).toBe('GAMES_DISABLED');
+  });
 });
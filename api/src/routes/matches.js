@@ -7,6 +7,7 @@ const {
   getMatchDetails,
   deactivateMatch 
 } = require('../services/matchesService');
+const { extendMatch } = require('../services/matchExpiryService');
 
 const router = express.Router();
 
@@ -22,6 +23,7 @@ router.get('/', (req, res) => {
       'GET /list - Get user matches',
       'GET /:matchId - Get match details',
       'DELETE /:matchId - Deactivate/unmatch',
+      'POST /:matchId/extend - Extend an expiring match (premium, once a day)',
     ],
   });
 });
@@ -160,4 +162,61 @@ router.delete('/:matchId', authenticateJWT, matchValidation.unmatch, async (req,
   }
 });
 
+/**
+ * @route   POST /api/matches/:matchId/extend
+ * @desc    Push back the expiry of a match nobody has messaged yet
+ * @access  Private (Premium, one extension per day)
+ */
+router.post('/:matchId/extend', authenticateJWT, matchValidation.extend, async (req, res) => {
+  try {
+    const result = await extendMatch(req.user.id, req.params.matchId);
+
+    res.json({
+      success: true,
+      message: 'Match extended',
+      data: result,
+    });
+  } catch (error) {
+    logger.error('❌ Extend match error:', error);
+
+    if (error.code === 'PREMIUM_REQUIRED' || error.code === 'DAILY_LIMIT_REACHED') {
+      res.status(403).json({
+        success: false,
+        error: error.code,
+        message: error.message,
+      });
+    } else if (error.message === 'Match not found') {
+      res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Match not found',
+      });
+    } else if (error.message === 'Unauthorized access to match') {
+      res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: 'You don\'t have access to this match',
+      });
+    } else if (error.message === 'Match is no longer active') {
+      res.status(410).json({
+        success: false,
+        error: 'Gone',
+        message: 'This match is no longer active',
+      });
+    } else if (error.code === 'NOT_EXPIRING') {
+      res.status(409).json({
+        success: false,
+        error: error.code,
+        message: error.message,
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to extend match',
+        message: error.message,
+      });
+    }
+  }
+});
+
 module.exports = router;
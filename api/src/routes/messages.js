@@ -6,10 +6,15 @@ const { messageValidation, handleValidationErrors } = require('../middleware/val
 const { writeBurstLimiter } = require('../middleware/rateLimiters');
 const {
   getMessages,
+  syncMessages,
+  encodeMessageCursor,
+  getSyncWatermark,
   sendMessage,
   markMessagesAsRead,
+  editMessage,
   deleteMessage,
   searchMessages,
+  searchAllMessages,
 } = require('../services/messagesService');
 const { addReaction, removeReaction } = require('../services/reactionsService');
 const { getPrismaClient } = require('../config/database');
@@ -36,10 +41,13 @@ router.get('/', (req, res) => {
   res.json({
     message: 'Messages API',
     availableEndpoints: [
-      'GET /:matchId - Get messages for a match',
+      'GET /search - Search across all conversations',
+      'GET /:matchId - Get messages for a match (before/after cursors)',
+      'GET /:matchId/sync?since= - Changes since a sync watermark',
       'POST /:matchId - Send a message',
       'PUT /:matchId/read - Mark messages as read',
-      'DELETE /:messageId - Delete a message',
+      'PUT /:matchId/:messageId - Edit a text message',
+      'DELETE /:messageId - Unsend a message for everyone',
       'POST /:matchId/:messageId/reaction - Add reaction to a message',
       'DELETE /:matchId/:messageId/reaction - Remove reaction from a message',
     ],
@@ -47,23 +55,65 @@ router.get('/', (req, res) => {
 });
 
 /**
- * @route   GET /api/messages/:matchId
- * @desc    Get messages for a match
+ * @route   GET /api/messages/search?q=&matchId=&type=&from=&to=&cursor=&limit=
+ * @desc    Full-text search across all of the user's conversations. Ranked
+ *          with highlighted snippets; page with the returned nextCursor.
+ *          Needs a query or a type. Declared before /:matchId so "search"
+ *          isn't taken for a match ID.
+ * @access  Private
+ */
+router.get('/search', authenticateJWT, messageValidation.searchAll, async (req, res) => {
+  try {
+    const { q, matchId, type, from, to, cursor, limit } = req.query;
+    if (!q?.trim() && !type) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        message: 'Provide a search query or a filter',
+      });
+    }
+
+    const { results, nextCursor } = await searchAllMessages(req.user.id, {
+      q, matchId, type, from, to, cursor, limit,
+    });
+    res.json({ success: true, data: results, meta: { nextCursor } });
+  } catch (error) {
+    logger.error('❌ Search all messages error:', error);
+    const status = error.message === 'Invalid search cursor' ? 400 : 500;
+    res.status(status).json({
+      success: false,
+      error: 'Failed to search messages',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @route   GET /api/messages/:matchId?limit=&before=&after=
+ * @desc    Get messages for a match, oldest first: the newest page, or the
+ *          page before/after a cursor. meta.olderCursor/newerCursor page
+ *          on from here (hasMore is true whenever the page came back full),
+ *          and meta.watermark seeds GET /:matchId/sync.
  * @access  Private
  */
 router.get('/:matchId', authenticateJWT, messageValidation.getMessages, async (req, res) => {
   try {
     const { matchId } = req.params;
-    const { limit = 50, offset = 0 } = req.query;
+    const { limit = 50, offset = 0, before, after } = req.query;
 
     // Update user's lastActive
     updateLastActive(req.user.id);
 
+    const watermark = getSyncWatermark();
     const messages = await getMessages(matchId, req.user.id, {
       limit: parseInt(limit),
       offset: parseInt(offset),
+      before,
+      after,
     });
 
+    const cursorFor = (message) => encodeMessageCursor({ createdAt: message.timestamp, id: message.id });
+
     // Disable caching for messages to always get fresh data
     res.set('Cache-Control', 'no-store, no-cache, must-revalidate');
 
@@ -71,11 +121,17 @@ router.get('/:matchId', authenticateJWT, messageValidation.getMessages, async (r
       success: true,
       message: 'Messages retrieved successfully',
       data: messages,
+      meta: {
+        hasMore: messages.length === parseInt(limit),
+        olderCursor: messages.length ? cursorFor(messages[0]) : before || null,
+        newerCursor: messages.length ? cursorFor(messages[messages.length - 1]) : after || null,
+        watermark,
+      },
     });
   } catch (error) {
     logger.error('❌ Get messages error:', error);
 
-    res.status(500).json({
+    res.status(error.message === 'Invalid message cursor' ? 400 : 500).json({
       success: false,
       error: 'Failed to get messages',
       message: error.message,
@@ -83,6 +139,34 @@ router.get('/:matchId', authenticateJWT, messageValidation.getMessages, async (r
   }
 });
 
+/**
+ * @route   GET /api/messages/:matchId/sync?since=
+ * @desc    Catch up after a reconnect: every message created or changed
+ *          (edited, unsent, reacted to, read) since the watermark. Upsert
+ *          them by id and send the returned watermark next time; on
+ *          fullReload, reload the thread instead.
+ * @access  Private
+ */
+router.get('/:matchId/sync', authenticateJWT, messageValidation.syncMessages, async (req, res) => {
+  try {
+    const result = await syncMessages(req.params.matchId, req.user.id, { since: req.query.since });
+
+    res.set('Cache-Control', 'no-store, no-cache, must-revalidate');
+    res.json({ success: true, data: result });
+  } catch (error) {
+    logger.error('❌ Sync messages error:', error);
+    const status = error.message === 'Match not found' ? 404
+      : error.message === 'Unauthorized access to match' ? 403
+      : error.message === 'Match is no longer active' ? 400
+      : 500;
+    res.status(status).json({
+      success: false,
+      error: 'Failed to sync messages',
+      message: error.message,
+    });
+  }
+});
+
 /**
  * @route   GET /api/messages/:matchId/search?q=&type=
  * @desc    Search this conversation by text and/or message type
@@ -126,13 +210,22 @@ router.get(
 
 /**
  * @route   POST /api/messages/:matchId
- * @desc    Send a message in a match
+ * @desc    Send a message in a match. With a client-generated
+ *          clientMessageId, a retried send returns the original message
+ *          instead of posting a duplicate.
  * @access  Private
  */
 router.post('/:matchId', authenticateJWT, writeBurstLimiter, messageValidation.sendMessage, async (req, res) => {
   try {
     const { matchId } = req.params;
-    const { content, messageType = 'TEXT', mediaUrl = null, metadata = null, replyToId = null } = req.body;
+    const {
+      content,
+      messageType = 'TEXT',
+      mediaUrl = null,
+      metadata = null,
+      replyToId = null,
+      clientMessageId = null,
+    } = req.body;
 
     if (!content || content.trim().length === 0) {
       return res.status(400).json({
@@ -154,6 +247,7 @@ router.post('/:matchId', authenticateJWT, writeBurstLimiter, messageValidation.s
         mediaUrl,
         metadata,
         replyToId,
+        clientMessageId,
       },
       io,
     );
@@ -210,16 +304,53 @@ router.put('/:matchId/read', authenticateJWT, messageValidation.markAsRead, asyn
   }
 });
 
+/**
+ * @route   PUT /api/messages/:matchId/:messageId
+ * @desc    Edit one of your own text messages shortly after sending it.
+ *          Earlier versions stay visible to both people.
+ * @access  Private
+ */
+router.put('/:matchId/:messageId', authenticateJWT, writeBurstLimiter, messageValidation.editMessage, async (req, res) => {
+  try {
+    const { matchId, messageId } = req.params;
+
+    // Get Socket.IO instance from app
+    const io = req.app.get('io');
+
+    const message = await editMessage(matchId, messageId, req.user.id, req.body.content, io);
+
+    res.json({
+      success: true,
+      message: 'Message edited successfully',
+      data: message,
+    });
+  } catch (error) {
+    logger.error('❌ Edit message error:', error);
+    const status = error.message === 'Message not found' ? 404
+      : error.message === 'You can only edit your own messages' ? 403
+      : 400;
+    res.status(status).json({
+      success: false,
+      error: 'Failed to edit message',
+      message: error.message,
+    });
+  }
+});
+
 /**
  * @route   DELETE /api/messages/:messageId
- * @desc    Delete a message
+ * @desc    Unsend a message for everyone. It stays in the conversation as
+ *          a "message removed" tombstone.
  * @access  Private
  */
 router.delete('/:messageId', authenticateJWT, async (req, res) => {
   try {
     const { messageId } = req.params;
 
-    const result = await deleteMessage(messageId, req.user.id);
+    // Get Socket.IO instance from app
+    const io = req.app.get('io');
+
+    const result = await deleteMessage(messageId, req.user.id, io);
 
     res.json({
       success: true,
@@ -228,8 +359,10 @@ router.delete('/:messageId', authenticateJWT, async (req, res) => {
     });
   } catch (error) {
     logger.error('❌ Delete message error:', error);
-
-    res.status(400).json({
+    const status = error.message === 'Message not found' ? 404
+      : error.message === 'You can only delete your own messages' ? 403
+      : 400;
+    res.status(status).json({
       success: false,
       error: 'Failed to delete message',
       message: error.message,
@@ -31,6 +31,31 @@ describe('Messages Routes', () => {
       expect(data.content ?? data.message?.content).toBe('Barev!');
     });
 
+    it('dedupes a retried send by client message ID', async () => {
+      const { auth1, match } = await setupMatchedPair();
+      const send = () => request(app)
+        .post(`/messages/${match.id}`)
+        .set('Authorization', auth1.authHeader)
+        .send({ content: 'only once', clientMessageId: 'k3j2h1-abc123' });
+
+      const first = expectSuccess(await send(), 200);
+      const retry = expectSuccess(await send(), 200);
+
+      expect(retry.id).toBe(first.id);
+      expect(await global.prisma.message.count({ where: { matchId: match.id } })).toBe(1);
+    });
+
+    it('rejects a malformed client message ID', async () => {
+      const { auth1, match } = await setupMatchedPair();
+
+      const response = await request(app)
+        .post(`/messages/${match.id}`)
+        .set('Authorization', auth1.authHeader)
+        .send({ content: 'hi', clientMessageId: 'no spaces allowed' });
+
+      expectError(response, 400);
+    });
+
     it('rejects a non-member sender', async () => {
       const { match } = await setupMatchedPair();
       const outsider = await userFactory.createWithAuth(global.prisma);
@@ -108,6 +133,72 @@ describe('Messages Routes', () => {
 
       expect(response.status).toBeGreaterThanOrEqual(400);
     });
+
+    it('pages older history with the returned cursor', async () => {
+      const { auth1, match } = await setupMatchedPair();
+      for (const content of ['one', 'two', 'three']) {
+        await request(app)
+          .post(`/messages/${match.id}`)
+          .set('Authorization', auth1.authHeader)
+          .send({ content });
+      }
+
+      const first = await request(app)
+        .get(`/messages/${match.id}`)
+        .query({ limit: 2 })
+        .set('Authorization', auth1.authHeader);
+      expect(expectSuccess(first).map((m) => m.content)).toEqual(['two', 'three']);
+      expect(first.body.meta).toMatchObject({ hasMore: true, watermark: expect.any(String) });
+
+      const older = await request(app)
+        .get(`/messages/${match.id}`)
+        .query({ limit: 2, before: first.body.meta.olderCursor })
+        .set('Authorization', auth1.authHeader);
+      expect(expectSuccess(older).map((m) => m.content)).toEqual(['one']);
+      expect(older.body.meta.hasMore).toBe(false);
+
+      const bad = await request(app)
+        .get(`/messages/${match.id}`)
+        .query({ before: 'garbage' })
+        .set('Authorization', auth1.authHeader);
+      expect(bad.status).toBe(400);
+    });
+  });
+
+  describe('GET /messages/:matchId/sync', () => {
+    it('returns what changed since the watermark', async () => {
+      const { auth1, auth2, match } = await setupMatchedPair();
+      const loaded = await request(app)
+        .get(`/messages/${match.id}`)
+        .set('Authorization', auth2.authHeader);
+      const { watermark } = loaded.body.meta;
+
+      await request(app)
+        .post(`/messages/${match.id}`)
+        .set('Authorization', auth1.authHeader)
+        .send({ content: 'sent while you were offline' });
+
+      const response = await request(app)
+        .get(`/messages/${match.id}/sync`)
+        .query({ since: watermark })
+        .set('Authorization', auth2.authHeader);
+
+      const data = expectSuccess(response);
+      expect(data.fullReload).toBe(false);
+      expect(data.messages.map((m) => m.content)).toEqual(['sent while you were offline']);
+      expect(new Date(data.watermark).getTime()).toBeGreaterThanOrEqual(new Date(watermark).getTime());
+    });
+
+    it('requires a valid watermark', async () => {
+      const { auth1, match } = await setupMatchedPair();
+
+      const response = await request(app)
+        .get(`/messages/${match.id}/sync`)
+        .query({ since: 'yesterday' })
+        .set('Authorization', auth1.authHeader);
+
+      expect(response.status).toBe(400);
+    });
   });
 
   describe('PUT /messages/:matchId/read', () => {
@@ -132,6 +223,62 @@ describe('Messages Routes', () => {
     });
   });
 
+  describe('PUT /messages/:matchId/:messageId', () => {
+    it('lets the sender edit, and nobody else', async () => {
+      const { auth1, auth2, match } = await setupMatchedPair();
+
+      const sent = await request(app)
+        .post(`/messages/${match.id}`)
+        .set('Authorization', auth1.authHeader)
+        .send({ content: 'teh plan' });
+      const messageId = expectSuccess(sent).id;
+
+      const response = await request(app)
+        .put(`/messages/${match.id}/${messageId}`)
+        .set('Authorization', auth1.authHeader)
+        .send({ content: 'the plan' });
+
+      const data = expectSuccess(response);
+      expect(data.content).toBe('the plan');
+      expect(data.previousVersions[0].content).toBe('teh plan');
+
+      const forbidden = await request(app)
+        .put(`/messages/${match.id}/${messageId}`)
+        .set('Authorization', auth2.authHeader)
+        .send({ content: 'hijacked' });
+
+      expectError(forbidden, 403);
+    });
+  });
+
+  describe('DELETE /messages/:messageId', () => {
+    it('unsends for everyone but only for the sender', async () => {
+      const { auth1, auth2, match } = await setupMatchedPair();
+
+      const sent = await request(app)
+        .post(`/messages/${match.id}`)
+        .set('Authorization', auth1.authHeader)
+        .send({ content: 'never mind' });
+      const messageId = expectSuccess(sent).id;
+
+      const forbidden = await request(app)
+        .delete(`/messages/${messageId}`)
+        .set('Authorization', auth2.authHeader);
+      expectError(forbidden, 403);
+
+      const response = await request(app)
+        .delete(`/messages/${messageId}`)
+        .set('Authorization', auth1.authHeader);
+      expectSuccess(response);
+
+      const listed = await request(app)
+        .get(`/messages/${match.id}`)
+        .set('Authorization', auth2.authHeader);
+      const [tombstone] = expectSuccess(listed);
+      expect(tombstone).toMatchObject({ id: messageId, isDeleted: true, content: '' });
+    });
+  });
+
   describe('reactions', () => {
     it('adds and removes a reaction', async () => {
       const { auth1, auth2, match } = await setupMatchedPair();
@@ -162,6 +309,61 @@ describe('Messages Routes', () => {
     });
   });
 
+  describe('GET /messages/search', () => {
+    it('searches across conversations and returns a page cursor', async () => {
+      const { auth1, auth2, match } = await setupMatchedPair();
+      const auth3 = await userFactory.createWithAuth(global.prisma);
+      const otherMatch = await matchFactory.create(global.prisma, auth1.user.id, auth3.user.id);
+      await request(app)
+        .post(`/messages/${match.id}`)
+        .set('Authorization', auth2.authHeader)
+        .send({ content: 'Hiking on Sunday?' });
+      await request(app)
+        .post(`/messages/${otherMatch.id}`)
+        .set('Authorization', auth3.authHeader)
+        .send({ content: 'Do you like hiking?' });
+
+      const response = await request(app)
+        .get('/messages/search')
+        .query({ q: 'hiking', limit: 1 })
+        .set('Authorization', auth1.authHeader);
+
+      const data = expectSuccess(response, 200);
+      expect(data).toHaveLength(1);
+      expect(response.body.meta.nextCursor).toEqual(expect.any(String));
+
+      const next = await request(app)
+        .get('/messages/search')
+        .query({ q: 'hiking', limit: 1, cursor: response.body.meta.nextCursor })
+        .set('Authorization', auth1.authHeader);
+      const rest = expectSuccess(next, 200);
+      expect(rest).toHaveLength(1);
+      expect(rest[0].matchId).not.toBe(data[0].matchId);
+      expect(next.body.meta.nextCursor).toBeNull();
+    });
+
+    it('validates the query and the cursor', async () => {
+      const { auth1 } = await setupMatchedPair();
+
+      const empty = await request(app)
+        .get('/messages/search')
+        .set('Authorization', auth1.authHeader);
+      expect(empty.status).toBe(400);
+
+      const badDate = await request(app)
+        .get('/messages/search')
+        .query({ q: 'hi', from: 'last week' })
+        .set('Authorization', auth1.authHeader);
+      expect(badDate.status).toBe(400);
+
+      const badCursor = await request(app)
+        .get('/messages/search')
+        .query({ q: 'hi', cursor: 'nope' })
+        .set('Authorization', auth1.authHeader);
+      expect(badCursor.status).toBe(400);
+    });
+  });
+
   describe('GET /messages/:matchId/search', () => {
     it('finds messages by word, case-insensitively', async () => {
       const { auth1, auth2, match } = await setupMatchedPair();
@@ -12,6 +12,13 @@ const {
   unmatch,
   reportUser,
 } = require('../services/moderationService');
+const {
+  getRematchCandidates,
+  requestRematch,
+  getIncomingRematchRequests,
+  acceptRematch,
+  ignoreRematch,
+} = require('../services/rematchService');
 
 const router = express.Router();
 
@@ -154,6 +161,83 @@ router.post(
   }),
 );
 
+/**
+ * @route   GET /api/moderation/rematch
+ * @desc    Matches the user recently unmatched and can still ask back
+ * @access  Private
+ */
+router.get(
+  '/rematch',
+  authenticateJWT,
+  catchAsync(async (req, res) => {
+    const candidates = await getRematchCandidates(req.user.id);
+    res.json({ success: true, data: candidates });
+  }),
+);
+
+/**
+ * @route   GET /api/moderation/rematch/requests
+ * @desc    Pending rematch requests the user has received
+ * @access  Private
+ */
+router.get(
+  '/rematch/requests',
+  authenticateJWT,
+  catchAsync(async (req, res) => {
+    const requests = await getIncomingRematchRequests(req.user.id);
+    res.json({ success: true, data: requests });
+  }),
+);
+
+/**
+ * @route   POST /api/moderation/rematch/requests/:requestId/accept
+ * @desc    Accept a rematch — reactivates the original match
+ * @access  Private
+ */
+router.post(
+  '/rematch/requests/:requestId/accept',
+  authenticateJWT,
+  moderationValidation.requestIdParam,
+  catchAsync(async (req, res) => {
+    const result = await acceptRematch(req.user.id, req.params.requestId, {
+      io: req.app.get('io'),
+    });
+    res.json({ success: true, message: 'Matched again', data: result });
+  }),
+);
+
+/**
+ * @route   POST /api/moderation/rematch/requests/:requestId/ignore
+ * @desc    Ignore a rematch request (the requester isn't told)
+ * @access  Private
+ */
+router.post(
+  '/rematch/requests/:requestId/ignore',
+  authenticateJWT,
+  moderationValidation.requestIdParam,
+  catchAsync(async (req, res) => {
+    const result = await ignoreRematch(req.user.id, req.params.requestId);
+    res.json({ success: true, message: 'Rematch request ignored', data: result });
+  }),
+);
+
+/**
+ * @route   POST /api/moderation/rematch/:matchId
+ * @desc    Ask for a match back after unmatching (once, within the grace window)
+ * @access  Private
+ */
+router.post(
+  '/rematch/:matchId',
+  authenticateJWT,
+  moderationValidation.matchIdParam,
+  catchAsync(async (req, res) => {
+    const result = await requestRematch(req.user.id, req.params.matchId, {
+      io: req.app.get('io'),
+    });
+    res.status(201).json({ success: true, message: 'Rematch requested', data: result });
+  }),
+);
+
 /**
  * @route   POST /api/moderation/report
  * @desc    Report a user (reason enum enforced by moderationValidation.report)
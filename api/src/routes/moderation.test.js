@@ -141,4 +141,132 @@ describe('Moderation Routes', () => {
       expect(dbMatch.isActive).toBe(false);
     });
   });
+
+  describe('rematch flow', () => {
+    const unmatchPair = async () => {
+      const requester = await userFactory.createWithAuth(global.prisma);
+      const recipient = await userFactory.createWithAuth(global.prisma);
+      const match = await matchFactory.create(global.prisma, requester.user.id, recipient.user.id);
+      await request(app)
+        .post(`/moderation/unmatch/${match.id}`)
+        .set('Authorization', requester.authHeader);
+      return { requester, recipient, match };
+    };
+
+    it('reactivates the same match when the other person accepts', async () => {
+      const { requester, recipient, match } = await unmatchPair();
+      await global.prisma.message.create({
+        data: {
+          matchId: match.id,
+          senderId: requester.user.id,
+          receiverId: recipient.user.id,
+          content: 'Hi again',
+        },
+      });
+
+      const candidates = expectSuccess(
+        await request(app).get('/moderation/rematch').set('Authorization', requester.authHeader),
+      );
+      expect(candidates.map((c) => c.matchId)).toEqual([match.id]);
+
+      const sent = await request(app)
+        .post(`/moderation/rematch/${match.id}`)
+        .set('Authorization', requester.authHeader);
+      expect(sent.status).toBe(201);
+
+      const incoming = expectSuccess(
+        await request(app)
+          .get('/moderation/rematch/requests')
+          .set('Authorization', recipient.authHeader),
+      );
+      expect(incoming).toHaveLength(1);
+      expect(incoming[0].requester.id).toBe(requester.user.id);
+
+      expectSuccess(
+        await request(app)
+          .post(`/moderation/rematch/requests/${incoming[0].requestId}/accept`)
+          .set('Authorization', recipient.authHeader),
+      );
+
+      const dbMatch = await global.prisma.match.findUnique({ where: { id: match.id } });
+      expect(dbMatch.isActive).toBe(true);
+      expect(dbMatch.unmatchedBy).toBeNull();
+      expect(await global.prisma.message.count({ where: { matchId: match.id } })).toBe(1);
+    });
+
+    it('only lets the person who unmatched ask, and only once', async () => {
+      const { requester, recipient, match } = await unmatchPair();
+
+      const wrongSide = await request(app)
+        .post(`/moderation/rematch/${match.id}`)
+        .set('Authorization', recipient.authHeader);
+      expect(wrongSide.status).toBe(409);
+      expect(wrongSide.body.code).toBe('REMATCH_UNAVAILABLE');
+
+      await request(app)
+        .post(`/moderation/rematch/${match.id}`)
+        .set('Authorization', requester.authHeader);
+      const again = await request(app)
+        .post(`/moderation/rematch/${match.id}`)
+        .set('Authorization', requester.authHeader);
+      expect(again.status).toBe(409);
+      expect(again.body.code).toBe('REMATCH_ALREADY_REQUESTED');
+    });
+
+    it('rejects requests after the grace window', async () => {
+      const { requester, match } = await unmatchPair();
+      await global.prisma.match.update({
+        where: { id: match.id },
+        data: { unmatchedAt: new Date(Date.now() - 8 * 24 * 60 * 60 * 1000) },
+      });
+
+      const response = await request(app)
+        .post(`/moderation/rematch/${match.id}`)
+        .set('Authorization', requester.authHeader);
+      expect(response.status).toBe(409);
+    });
+
+    it('keeps an ignored request looking pending to the requester', async () => {
+      const { requester, recipient, match } = await unmatchPair();
+      const sent = await request(app)
+        .post(`/moderation/rematch/${match.id}`)
+        .set('Authorization', requester.authHeader);
+
+      expectSuccess(
+        await request(app)
+          .post(`/moderation/rematch/requests/${sent.body.data.requestId}/ignore`)
+          .set('Authorization', recipient.authHeader),
+      );
+
+      const [candidate] = expectSuccess(
+        await request(app).get('/moderation/rematch').set('Authorization', requester.authHeader),
+      );
+      expect(candidate.request.status).toBe('PENDING');
+      const incoming = expectSuccess(
+        await request(app)
+          .get('/moderation/rematch/requests')
+          .set('Authorization', recipient.authHeader),
+      );
+      expect(incoming).toHaveLength(0);
+    });
+
+    it('lets a block win over a pending request', async () => {
+      const { requester, recipient, match } = await unmatchPair();
+      const sent = await request(app)
+        .post(`/moderation/rematch/${match.id}`)
+        .set('Authorization', requester.authHeader);
+
+      await request(app)
+        .post(`/moderation/block/${requester.user.id}`)
+        .set('Authorization', recipient.authHeader);
+
+      const accept = await request(app)
+        .post(`/moderation/rematch/requests/${sent.body.data.requestId}/accept`)
+        .set('Authorization', recipient.authHeader);
+      expect(accept.status).toBe(409);
+
+      const dbMatch = await global.prisma.match.findUnique({ where: { id: match.id } });
+      expect(dbMatch.isActive).toBe(false);
+    });
+  });
 });
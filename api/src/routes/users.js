@@ -4,6 +4,9 @@ const { authenticateJWT } = require('../middleware/auth');
 const { profileValidation, userValidation } = require('../middleware/validation');
 const { getPrismaClient } = require('../config/database');
 const { submitVerification } = require('../services/verificationService');
+const { invalidateDeck } = require('../services/deckCacheService');
+const { getTravelMode, setTravelMode, clearTravelMode } = require('../services/travelService');
+const { queuePhotoTeasers } = require('../services/photoTeaserService');
 // Removed caching from profile endpoint as it changes frequently
 const {
   getUserProfile,
@@ -236,6 +239,10 @@ router.post('/profile/complete-setup', authenticateJWT, profileValidation.comple
       }
     }
 
+    if (updatedProfile?.photos) {
+      queuePhotoTeasers(updatedProfile.photos.map((photo) => photo.id));
+    }
+
     logger.info('✅ Profile setup completed for user:', req.user.id);
 
     res.json({
@@ -304,6 +311,12 @@ router.post('/photos', authenticateJWT, userValidation.addPhoto, async (req, res
 
     const updatedProfile = await addUserPhoto(req.user.id, photoUrl, isMain);
 
+    // Blurred teaser for free users' Liked You, made off the request path
+    const added = updatedProfile.photos.find((photo) => photo.url === photoUrl);
+    if (added) {
+      queuePhotoTeasers([added.id]);
+    }
+
     res.json({
       success: true,
       message: 'Photo added successfully',
@@ -505,6 +518,36 @@ router.put('/preferences', authenticateJWT, userValidation.preferences, async (r
   }
 });
 
+const NOTIFICATION_SETTINGS_SELECT = {
+  notifyMessages: true,
+  notifyMatches: true,
+  notifyLikes: true,
+  notifyMatchNudges: true,
+  notifyReplyReminders: true,
+  notifyWeeklyDigest: true,
+  quietHoursStart: true,
+  quietHoursEnd: true,
+  timezone: true,
+};
+
+/**
+ * The settings screen's shape. The last three toggles are the scheduled
+ * nudges (see scheduledNotificationService); `quietHours` holds those
+ * back between local hours start and end, and is null when off.
+ */
+const formatNotificationSettings = (user) => ({
+  messages: user.notifyMessages ?? true,
+  matches: user.notifyMatches ?? true,
+  likes: user.notifyLikes ?? true,
+  matchNudges: user.notifyMatchNudges ?? true,
+  replyReminders: user.notifyReplyReminders ?? true,
+  weeklyDigest: user.notifyWeeklyDigest ?? true,
+  quietHours: user.quietHoursStart !== null && user.quietHoursEnd !== null
+    ? { start: user.quietHoursStart, end: user.quietHoursEnd }
+    : null,
+  timezone: user.timezone,
+});
+
 /**
  * @route   GET /api/users/notification-settings
  * @desc    Get user notification settings
@@ -514,11 +557,7 @@ router.get('/notification-settings', authenticateJWT, async (req, res) => {
   try {
     const user = await prisma.user.findUnique({
       where: { id: req.user.id },
-      select: {
-        notifyMessages: true,
-        notifyMatches: true,
-        notifyLikes: true,
-      },
+      select: NOTIFICATION_SETTINGS_SELECT,
     });
 
     if (!user) {
@@ -530,11 +569,7 @@ router.get('/notification-settings', authenticateJWT, async (req, res) => {
 
     res.json({
       success: true,
-      data: {
-        messages: user.notifyMessages ?? true,
-        matches: user.notifyMatches ?? true,
-        likes: user.notifyLikes ?? true,
-      },
+      data: formatNotificationSettings(user),
     });
   } catch (error) {
     logger.error('❌ Get notification settings error:', error);
@@ -553,31 +588,34 @@ router.get('/notification-settings', authenticateJWT, async (req, res) => {
  */
 router.put('/notification-settings', authenticateJWT, userValidation.notificationSettings, async (req, res) => {
   try {
-    const { messages, matches, likes } = req.body;
+    const {
+      messages, matches, likes, matchNudges, replyReminders, weeklyDigest, quietHours, timezone,
+    } = req.body;
 
     const updateData = {};
     if (messages !== undefined) {updateData.notifyMessages = messages;}
     if (matches !== undefined) {updateData.notifyMatches = matches;}
     if (likes !== undefined) {updateData.notifyLikes = likes;}
+    if (matchNudges !== undefined) {updateData.notifyMatchNudges = matchNudges;}
+    if (replyReminders !== undefined) {updateData.notifyReplyReminders = replyReminders;}
+    if (weeklyDigest !== undefined) {updateData.notifyWeeklyDigest = weeklyDigest;}
+    // null turns quiet hours off
+    if (quietHours !== undefined) {
+      updateData.quietHoursStart = quietHours?.start ?? null;
+      updateData.quietHoursEnd = quietHours?.end ?? null;
+    }
+    if (timezone !== undefined) {updateData.timezone = timezone;}
 
     const user = await prisma.user.update({
       where: { id: req.user.id },
       data: updateData,
-      select: {
-        notifyMessages: true,
-        notifyMatches: true,
-        notifyLikes: true,
-      },
+      select: NOTIFICATION_SETTINGS_SELECT,
     });
 
     res.json({
       success: true,
       message: 'Notification settings updated successfully',
-      data: {
-        messages: user.notifyMessages,
-        matches: user.notifyMatches,
-        likes: user.notifyLikes,
-      },
+      data: formatNotificationSettings(user),
     });
   } catch (error) {
     logger.error('❌ Update notification settings error:', error);
@@ -732,6 +770,9 @@ router.put('/profile/pause', authenticateJWT, async (req, res) => {
       },
     });
 
+    // Other users' cached decks drop them at hydration; no need to find them
+    await invalidateDeck(req.user.id);
+
     logger.info(`⏸️ User ${req.user.id} paused their profile`);
     res.json({
       success: true,
@@ -767,6 +808,9 @@ router.put('/profile/resume', authenticateJWT, async (req, res) => {
       },
     });
 
+    // Others see them again as their decks are re-ranked (TTL or run-out)
+    await invalidateDeck(req.user.id);
+
     logger.info(`▶️ User ${req.user.id} resumed their profile`);
     res.json({
       success: true,
@@ -817,4 +861,72 @@ router.get('/profile/pause-status', authenticateJWT, async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+/**
+ * Travel mode failures: 4xx are expected outcomes (not premium, trip too
+ * long) — warn only, and surface the error code for the upgrade prompt.
+ */
+const sendTravelError = (res, error, fallback) => {
+  const log = error.statusCode && error.statusCode < 500 ? logger.warn : logger.error;
+  log(`${fallback}:`, error.message);
+  res.status(error.statusCode || 500).json({
+    success: false,
+    error: error.code || fallback,
+    message: error.message,
+  });
+};
+
+/**
+ * @route   GET /api/users/profile/travel
+ * @desc    Get travel mode (null when off or expired)
+ * @access  Private
+ */
+router.get('/profile/travel', authenticateJWT, async (req, res) => {
+  try {
+    const travelMode = await getTravelMode(req.user.id);
+    res.json({
+      success: true,
+      data: { travelMode },
+    });
+  } catch (error) {
+    sendTravelError(res, error, 'Failed to get travel mode');
+  }
+});
+
+/**
+ * @route   PUT /api/users/profile/travel
+ * @desc    Start travel mode: discover from a virtual location for `days` (Premium)
+ * @access  Private
+ */
+router.put('/profile/travel', authenticateJWT, userValidation.travelMode, async (req, res) => {
+  try {
+    const { location, latitude, longitude, days } = req.body;
+    const travelMode = await setTravelMode(req.user.id, { location, latitude, longitude, days });
+    res.json({
+      success: true,
+      message: `You're visiting ${travelMode.location}. Discovery now shows people there.`,
+      data: { travelMode },
+    });
+  } catch (error) {
+    sendTravelError(res, error, 'Failed to start travel mode');
+  }
+});
+
+/**
+ * @route   DELETE /api/users/profile/travel
+ * @desc    End travel mode early
+ * @access  Private
+ */
+router.delete('/profile/travel', authenticateJWT, async (req, res) => {
+  try {
+    await clearTravelMode(req.user.id);
+    res.json({
+      success: true,
+      message: 'Travel mode ended. Discovery is back to your location.',
+      data: { travelMode: null },
+    });
+  } catch (error) {
+    sendTravelError(res, error, 'Failed to end travel mode');
+  }
+});
+
+module.exports = router;
@@ -151,6 +151,33 @@ describe('Users Routes', () => {
         .send({ messages: 'yes' });
       expectError(bad, 400);
     });
+
+    it('sets and clears quiet hours with a time zone', async () => {
+      const { authHeader } = await userFactory.createWithAuth(global.prisma);
+
+      const set = await request(app)
+        .put('/users/notification-settings')
+        .set('Authorization', authHeader)
+        .send({ quietHours: { start: 22, end: 7 }, timezone: 'Europe/Berlin', weeklyDigest: false });
+      const data = expectSuccess(set);
+      expect(data.quietHours).toEqual({ start: 22, end: 7 });
+      expect(data.timezone).toBe('Europe/Berlin');
+      expect(data.weeklyDigest).toBe(false);
+      expect(data.matchNudges).toBe(true);
+
+      const cleared = await request(app)
+        .put('/users/notification-settings')
+        .set('Authorization', authHeader)
+        .send({ quietHours: null });
+      expect(expectSuccess(cleared).quietHours).toBeNull();
+
+      for (const body of [{ quietHours: { start: 24, end: 7 } }, { timezone: 'Mars/Olympus' }]) {
+        expectError(
+          await request(app).put('/users/notification-settings').set('Authorization', authHeader).send(body),
+          400,
+        );
+      }
+    });
   });
 
   describe('POST /users/push-token/clear', () => {
@@ -203,4 +230,72 @@ describe('Users Routes', () => {
       expect(dbUser.isProfilePaused).toBe(false);
     });
   });
+
+  describe('travel mode', () => {
+    const yerevan = { location: 'Yerevan', latitude: 40.1792, longitude: 44.4991, days: 3 };
+
+    it('starts and ends a trip without touching the real location', async () => {
+      const { authHeader, user } = await userFactory.createWithAuth(global.prisma, {
+        isPremium: true,
+        location: 'Los Angeles',
+        latitude: 34.0522,
+        longitude: -118.2437,
+      });
+
+      const start = await request(app)
+        .put('/users/profile/travel')
+        .set('Authorization', authHeader)
+        .send(yerevan);
+      const { travelMode } = expectSuccess(start);
+      expect(travelMode.location).toBe('Yerevan');
+      expect(new Date(travelMode.expiresAt).getTime()).toBeGreaterThan(Date.now() + 2 * 24 * 60 * 60 * 1000);
+
+      let dbUser = await global.prisma.user.findUnique({ where: { id: user.id } });
+      expect(dbUser.location).toBe('Los Angeles');
+      expect(dbUser.latitude).toBe(34.0522);
+      expect(dbUser.visitingLatitude).toBe(40.1792);
+
+      const end = await request(app)
+        .delete('/users/profile/travel')
+        .set('Authorization', authHeader);
+      expect(expectSuccess(end).travelMode).toBeNull();
+
+      dbUser = await global.prisma.user.findUnique({ where: { id: user.id } });
+      expect(dbUser.visitingUntil).toBeNull();
+    });
+
+    it('reports an expired trip as off', async () => {
+      const { authHeader } = await userFactory.createWithAuth(global.prisma, {
+        visitingLocation: 'Moscow',
+        visitingLatitude: 55.7558,
+        visitingLongitude: 37.6173,
+        visitingUntil: new Date(Date.now() - 60 * 1000),
+      });
+
+      const response = await request(app)
+        .get('/users/profile/travel')
+        .set('Authorization', authHeader);
+      expect(expectSuccess(response).travelMode).toBeNull();
+    });
+
+    it('requires premium', async () => {
+      const { authHeader } = await userFactory.createWithAuth(global.prisma, { isPremium: false });
+
+      const response = await request(app)
+        .put('/users/profile/travel')
+        .set('Authorization', authHeader)
+        .send(yerevan);
+      expectError(response, 403, 'PREMIUM_REQUIRED');
+    });
+
+    it('rejects trips longer than the limit', async () => {
+      const { authHeader } = await userFactory.createWithAuth(global.prisma, { isPremium: true });
+
+      const response = await request(app)
+        .put('/users/profile/travel')
+        .set('Authorization', authHeader)
+        .send({ ...yerevan, days: 30 });
+      expect(response.status).toBe(400);
+    });
+  });
 });
@@ -62,6 +62,7 @@ const {
 } = require('./config/database');
 const { initializeFirebase } = require('./config/firebase');
 const { initializeSocket } = require('./socket');
+const { createScheduler } = require('./jobs/scheduler');
 
 // Import routes
 const healthRoutes = require('./routes/health');
@@ -76,6 +77,7 @@ const waitlistRoutes = require('./routes/waitlist');
 const adminRoutes = require('./routes/admin');
 const configRoutes = require('./routes/config');
 const gamesRoutes = require('./routes/games');
+const datesRoutes = require('./routes/dates');
 
 // Initialize Express app and HTTP server
 const app = express();
@@ -86,6 +88,9 @@ const PORT = process.env.PORT || 3000;
 // Cloud Run requires binding to 0.0.0.0
 const HOST = process.env.HOST || '0.0.0.0';
 const NODE_ENV = process.env.NODE_ENV || 'development';
+// Background jobs (Top Picks, match expiry, ...). Set to 'false' on instances that should only serve requests.
+const ENABLE_SCHEDULED_JOBS = process.env.ENABLE_SCHEDULED_JOBS !== 'false' && NODE_ENV !== 'test';
+const scheduler = createScheduler();
 
 // Trust proxy for accurate IP addresses (important for rate limiting)
 app.set('trust proxy', 1);
@@ -245,6 +250,9 @@ apiRouter.use('/webhooks', require('./routes/webhooks'));
 // In-chat games (protected)
 apiRouter.use('/games', gamesRoutes);
 
+// In-chat date planning (protected)
+apiRouter.use('/dates', datesRoutes);
+
 // Public runtime config (feature flags)
 apiRouter.use('/config', configRoutes);
 
@@ -281,6 +289,7 @@ app.use(errorHandler);
 const gracefulShutdown = async (signal) => {
   logger.info(`Received ${signal}. Starting graceful shutdown...`);
 
+  scheduler.stop();
   const serverInstance = await server;
 
   serverInstance.close(async () => {
@@ -338,6 +347,10 @@ async function startServer() {
       if (NODE_ENV === 'development') {
         logger.info(`📖 API Documentation: http://0.0.0.0:${PORT}/api/docs`);
       }
+
+      if (ENABLE_SCHEDULED_JOBS) {
+        scheduler.start({ io });
+      }
     });
 
     return server;
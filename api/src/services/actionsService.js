@@ -1,5 +1,6 @@
 const { getPrismaClient } = require('../config/database');
 const logger = require('../utils/logger');
+const { calculateAge } = require('../utils/profileUtils');
 const { AppError } = require('../middleware/errorHandler');
 const {
   sendMatchNotification,
@@ -11,19 +12,49 @@ const {
   canLike,
   canSuperLike,
   canUndo,
+  LIMITS,
+  hasPremiumAccess,
+  getUndoPolicy,
+  likesWindowStart,
   getWhoLikedMeLimit,
 } = require('./premiumService');
+const { removeFromDeck, invalidateDeck } = require('./deckCacheService');
+const { TRAVEL_SELECT, isTravelActive } = require('./travelService');
+const { queuePhotoTeasers } = require('./photoTeaserService');
 
 const prisma = getPrismaClient();
 
 /**
- * Like a user
+ * Post the like notes of a new match as its opening messages, earliest
+ * like first. A note that fails to send is logged and dropped; the match
+ * stands either way.
+ */
+const sendLikeNotesAsMessages = async (matchId, likes, io) => {
+  const { sendMessage } = require('./messagesService');
+  const withNotes = likes
+    .filter((like) => like?.note)
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+  for (const like of withNotes) {
+    try {
+      await sendMessage(matchId, like.senderId, { content: like.note }, io);
+    } catch (error) {
+      logger.warn(`Could not post like note ${like.id} to match ${matchId}:`, error.message);
+    }
+  }
+};
+
+/**
+ * Like a user. `note` optionally attaches a short message to the like —
+ * `{ text, photoId }` pins it to one of the receiver's photos,
+ * `{ text, field }` to a profile field. Notes are validated at the route.
  */
 const likeUser = async (
   senderId,
   receiverId,
   actionType = 'LIKE',
   io = null,
+  note = null,
 ) => {
   try {
     if (senderId === receiverId) {
@@ -63,6 +94,18 @@ const likeUser = async (
       }
     }
 
+    if (note?.photoId) {
+      const photo = await prisma.photo.findFirst({
+        where: { id: note.photoId, userId: receiverId },
+        select: { id: true },
+      });
+      if (!photo) {
+        const error = new Error('That photo is not on this profile');
+        error.code = 'INVALID_NOTE_PHOTO';
+        throw error;
+      }
+    }
+
     // Use transaction for all database operations
     const result = await prisma.$transaction(async (tx) => {
       // Check if action already exists
@@ -76,7 +119,13 @@ const likeUser = async (
       });
 
       if (existingAction) {
-        throw new Error('You have already acted on this user');
+        // A PASS past its cooldown puts the card back in the deck; acting
+        // on it again replaces the old pass
+        const { isRecycledPass } = require('./discoveryService');
+        if (!(await isRecycledPass(existingAction))) {
+          throw new Error('You have already acted on this user');
+        }
+        await tx.userAction.delete({ where: { id: existingAction.id } });
       }
 
       // Create the like action
@@ -85,6 +134,9 @@ const likeUser = async (
           senderId,
           receiverId,
           action: actionType,
+          note: note?.text || null,
+          notePhotoId: note?.photoId || null,
+          noteField: note?.field || null,
         },
       });
 
@@ -175,10 +227,15 @@ const likeUser = async (
         });
       }
 
-      return { action, match, isMatch };
+      return { action, match, isMatch, reverseAction };
     });
 
-    const { action, match, isMatch } = result;
+    const { action, match, isMatch, reverseAction } = result;
+
+    // The target leaves the sender's deck; the receiver's deck gains a
+    // priority liker (or loses a new match), so it is re-ranked
+    await removeFromDeck(senderId, receiverId);
+    await invalidateDeck(receiverId);
 
     // Send real-time notification if Socket.IO is available for matches
     if (isMatch && match && io) {
@@ -257,6 +314,10 @@ const likeUser = async (
       logger.info(`Real-time match notifications sent to users ${senderId} and ${receiverId}`);
     }
 
+    if (isMatch && match) {
+      await sendLikeNotesAsMessages(match.id, [reverseAction, action], io);
+    }
+
     // Send notification for likes/super-likes (when NOT a match)
     // This lets users know someone is interested in them
     if (!isMatch && (actionType === 'LIKE' || actionType === 'SUPER_LIKE')) {
@@ -344,7 +405,13 @@ const passUser = async (senderId, receiverId, io = null) => {
       });
 
       if (existingAction) {
-        throw new Error('You have already acted on this user');
+        // A PASS past its cooldown puts the card back in the deck; acting
+        // on it again replaces the old pass
+        const { isRecycledPass } = require('./discoveryService');
+        if (!(await isRecycledPass(existingAction))) {
+          throw new Error('You have already acted on this user');
+        }
+        await tx.userAction.delete({ where: { id: existingAction.id } });
       }
 
       // Create the pass action
@@ -376,6 +443,8 @@ const passUser = async (senderId, receiverId, io = null) => {
       return created;
     });
 
+    await removeFromDeck(senderId, receiverId);
+
     // If Socket.IO is available, emit an event to update the "Liked You" screen
     if (io) {
       io.to(`user:${senderId}`).emit('liked-you-update', {
@@ -399,12 +468,18 @@ const passUser = async (senderId, receiverId, io = null) => {
 };
 
 /**
- * Get user action history
+ * Get user action history. Premium senders also get `seenAt` on their
+ * Super Likes — when the receiver first saw their card.
  */
 const getUserActions = async (userId, options = {}) => {
   try {
     const { limit = 50, offset = 0 } = options;
 
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { isPremium: true, trialEndsAt: true },
+    });
+
     const actions = await prisma.userAction.findMany({
       where: { senderId: userId },
       include: {
@@ -424,6 +499,10 @@ const getUserActions = async (userId, options = {}) => {
       skip: offset,
     });
 
+    // Super Like "seen" receipts are a premium feature
+    if (!hasPremiumAccess(user)) {
+      return actions.map(({ seenAt: _seenAt, ...action }) => action);
+    }
     return actions;
   } catch (error) {
     logger.error('❌ Error getting user actions:', error);
@@ -432,7 +511,84 @@ const getUserActions = async (userId, options = {}) => {
 };
 
 /**
- * Undo last action (premium feature)
+ * Record that `viewerId` saw the card of someone who super liked them.
+ * Only the first sighting counts; later ones (and cards of people who
+ * didn't super like the viewer) are no-ops.
+ */
+const markSuperLikeSeen = async (viewerId, senderId) => {
+  const { count } = await prisma.userAction.updateMany({
+    where: { senderId, receiverId: viewerId, action: 'SUPER_LIKE', seenAt: null },
+    data: { seenAt: new Date() },
+  });
+
+  if (count > 0) {
+    logger.info(`Super Like from ${senderId} seen by ${viewerId}`);
+  }
+  return { seen: count > 0 };
+};
+
+/**
+ * What a "Liked You" entry needs from a like: the note and the liker's
+ * public profile.
+ */
+const LIKER_INCLUDE = {
+  notePhoto: {
+    select: { id: true, url: true },
+  },
+  sender: {
+    select: {
+      id: true,
+      name: true,
+      bio: true,
+      birthDate: true,
+      location: true,
+      isVerified: true,
+      photos: {
+        orderBy: { order: 'asc' },
+        select: {
+          id: true,
+          url: true,
+          isMain: true,
+          order: true,
+        },
+      },
+      interests: {
+        include: {
+          interest: true,
+        },
+      },
+    },
+  },
+};
+
+/**
+ * Shape a like (loaded with LIKER_INCLUDE) as a "Liked You" entry, with
+ * the liker's age worked out from their birth date.
+ */
+const toLikerEntry = (action) => ({
+  actionId: action.id,
+  actionType: action.action,
+  likedAt: action.createdAt,
+  note: action.note
+    ? { text: action.note, photo: action.notePhoto, field: action.noteField }
+    : null,
+  user: {
+    ...action.sender,
+    age: calculateAge(action.sender.birthDate),
+    interests: action.sender.interests.map(ui => ui.interest.name),
+  },
+});
+
+/**
+ * Undo the most recent swipe (premium feature). Calling it again walks
+ * back through earlier swipes in order, up to `undoDepth` in a row; each
+ * swipe can only be taken back within `undoWindowMinutes` of making it.
+ * Both come from the `quotas` AppConfig (premiumService.getUndoPolicy).
+ * A new swipe starts the count over.
+ *
+ * Each step reverses everything its swipe did: a match it formed is rolled
+ * back, a like is handed back to the likes window it was spent in, and a
+ * Super Like goes back into the bank.
  */
 const undoLastAction = async (userId, io = null) => {
   try {
@@ -445,27 +601,50 @@ const undoLastAction = async (userId, io = null) => {
       throw error;
     }
 
-    // Get the last action
-    const lastAction = await prisma.userAction.findFirst({
-      where: { senderId: userId },
-      orderBy: { createdAt: 'desc' },
-    });
+    const { undoDepth, undoWindowMinutes } = await getUndoPolicy(userId);
+    const now = new Date();
+
+    const [user, lastAction] = await Promise.all([
+      prisma.user.findUnique({
+        where: { id: userId },
+        select: { undoStreak: true, lastUndoAt: true },
+      }),
+      prisma.userAction.findFirst({
+        where: { senderId: userId },
+        orderBy: { createdAt: 'desc' },
+      }),
+    ]);
 
     if (!lastAction) {
       throw new Error('No action to undo');
     }
 
-    // Check if it's recent enough to undo (e.g., within 5 minutes)
-    const actionAge = Date.now() - lastAction.createdAt.getTime();
-    const maxUndoTime = 5 * 60 * 1000; // 5 minutes
-
-    if (actionAge > maxUndoTime) {
+    if (now - lastAction.createdAt > undoWindowMinutes * 60 * 1000) {
       throw new Error('Too late to undo this action');
     }
 
+    // The streak only carries over while the top of the stack predates the
+    // last undo — anything newer is a fresh swipe
+    const streak = user.lastUndoAt && lastAction.createdAt < user.lastUndoAt ? user.undoStreak : 0;
+    if (streak >= undoDepth) {
+      const error = new AppError(`You can undo up to ${undoDepth} swipes in a row`, 409);
+      error.code = 'UNDO_LIMIT_REACHED';
+      throw error;
+    }
+
     // Use transaction to ensure all operations succeed or fail together
-    let deactivatedMatchId = null;
+    let rolledBackMatch = null;
     await prisma.$transaction(async (tx) => {
+      // Claim this step against the streak we read, so two concurrent
+      // undos can't both take the same slot (or the same action)
+      const claimed = await tx.user.updateMany({
+        where: { id: userId, undoStreak: user.undoStreak, lastUndoAt: user.lastUndoAt },
+        data: { undoStreak: streak + 1, lastUndoAt: now },
+      });
+      if (claimed.count === 0) {
+        throw new Error('Another undo is already in progress');
+      }
+
       // LIKE and SUPER_LIKE both create matches — undoing either must
       // deactivate a match it formed
       if (lastAction.action === 'LIKE' || lastAction.action === 'SUPER_LIKE') {
@@ -496,7 +675,7 @@ const undoLastAction = async (userId, io = null) => {
               where: { id: match.id },
               data: { isActive: false },
             });
-            deactivatedMatchId = match.id;
+            rolledBackMatch = match;
 
             // Decrement match counts for both users
             await tx.user.updateMany({
@@ -517,23 +696,54 @@ const undoLastAction = async (userId, io = null) => {
         }
       }
 
+      // Hand back what the swipe spent. A like only counts against the
+      // window it was made in; once that window has rolled over the
+      // counter was already reset and there is nothing to refund.
+      // The refund never lifts the bank past its cap: accrual may have
+      // refilled it since the spend (undo is premium, so the premium cap).
+      if (lastAction.action === 'SUPER_LIKE') {
+        await tx.user.updateMany({
+          where: { id: userId, superLikeBalance: { lt: LIMITS.PREMIUM.superLikeBankCap } },
+          data: { superLikeBalance: { increment: 1 } },
+        });
+      } else if (lastAction.action === 'LIKE' && lastAction.createdAt >= likesWindowStart(now)) {
+        await tx.user.updateMany({
+          where: { id: userId, dailyLikesUsed: { gte: 1 } },
+          data: { dailyLikesUsed: { decrement: 1 } },
+        });
+      }
+
       // Delete the action
       await tx.userAction.delete({
         where: { id: lastAction.id },
       });
     });
 
-    // Same revocation as block/unmatch: an undone mutual match must not
-    // leave either participant with live presence access to its room
-    if (deactivatedMatchId) {
-      io?.evictMatchRoom?.(deactivatedMatchId);
+    if (rolledBackMatch) {
+      // Same teardown as an unmatch: both devices drop the match and
+      // nobody keeps live presence access to its room
+      const { closeMatch } = require('./matchesService');
+      await closeMatch(rolledBackMatch, 'undone', io);
+    } else {
+      // The undone card goes back into the user's deck, and an undone like
+      // no longer puts them at the top of the receiver's
+      await invalidateDeck(userId, lastAction.receiverId);
+    }
+
+    if (io) {
+      await emitUndoLikedYouUpdates(userId, lastAction, rolledBackMatch, io);
     }
 
-    logger.info(`Action undone: ${lastAction.id} (${lastAction.action})`);
+    logger.info(`Action undone: ${lastAction.id} (${lastAction.action}), ${streak + 1}/${undoDepth} in a row`);
 
     return {
       success: true,
       undoneAction: lastAction,
+      undo: {
+        depth: undoDepth,
+        remaining: undoDepth - streak - 1,
+        windowMinutes: undoWindowMinutes,
+      },
     };
   } catch (error) {
     logger.error('❌ Error undoing action:', error);
@@ -542,12 +752,255 @@ const undoLastAction = async (userId, io = null) => {
 };
 
 /**
- * Get users who liked the current user (for "Liked You" feature)
+ * The swipes the user could take back right now, most recent first: the
+ * top of their action history, cut off at the remaining undo depth and at
+ * the first swipe that's past the undo window.
+ */
+const getUndoStack = async (userId) => {
+  const undoCheck = await canUndo(userId);
+  const { undoDepth, undoWindowMinutes } = await getUndoPolicy(userId);
+  if (!undoCheck.allowed) {
+    return { depth: undoDepth, remaining: 0, windowMinutes: undoWindowMinutes, actions: [] };
+  }
+
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { undoStreak: true, lastUndoAt: true },
+  });
+  const recent = await prisma.userAction.findMany({
+    where: {
+      senderId: userId,
+      createdAt: { gte: new Date(Date.now() - undoWindowMinutes * 60 * 1000) },
+    },
+    select: { id: true, receiverId: true, action: true, createdAt: true },
+    orderBy: { createdAt: 'desc' },
+    take: undoDepth,
+  });
+
+  const streak = recent[0] && user.lastUndoAt && recent[0].createdAt < user.lastUndoAt ? user.undoStreak : 0;
+  const remaining = Math.max(0, undoDepth - streak);
+
+  return {
+    depth: undoDepth,
+    remaining,
+    windowMinutes: undoWindowMinutes,
+    actions: recent.slice(0, remaining),
+  };
+};
+
+/**
+ * Keep both "Liked You" lists in step with an undone swipe. An undone
+ * like (that didn't match) leaves the receiver's list; and if the receiver
+ * had liked the user, their like — hidden while the user had acted on
+ * them — is back in the user's list.
+ */
+const emitUndoLikedYouUpdates = async (userId, undoneAction, rolledBackMatch, io) => {
+  const receiverId = undoneAction.receiverId;
+
+  if (!rolledBackMatch && (undoneAction.action === 'LIKE' || undoneAction.action === 'SUPER_LIKE')) {
+    io.to(`user:${receiverId}`).emit('liked-you-update', {
+      action: 'remove',
+      userId,
+      reason: 'undone',
+    });
+  }
+
+  try {
+    const { isUserBlocked } = require('./moderationService');
+    const reverseLike = await prisma.userAction.findFirst({
+      where: {
+        senderId: receiverId,
+        receiverId: userId,
+        action: { in: ['LIKE', 'SUPER_LIKE'] },
+      },
+      include: LIKER_INCLUDE,
+    });
+    if (!reverseLike || (await isUserBlocked(userId, receiverId))) {
+      return;
+    }
+    const liker = toLikerEntry(reverseLike);
+    io.to(`user:${userId}`).emit('liked-you-update', {
+      action: 'add',
+      reason: 'undone',
+      ...liker,
+    });
+  } catch (error) {
+    logger.warn('Could not restore Liked You entry after undo:', error.message);
+  }
+};
+
+// Blurred previews a free user sees in place of their likers
+const LIKED_YOU_PREVIEW_LIMIT = 9;
+
+/**
+ * Teaser previews of the newest likes for a free user: the blurred main
+ * photo and nothing that identifies the liker. Photos without a teaser yet
+ * get one queued and show as a plain placeholder meanwhile.
+ */
+const getLikerPreviews = async (where) => {
+  const likes = await prisma.userAction.findMany({
+    where,
+    select: {
+      id: true,
+      action: true,
+      createdAt: true,
+      sender: {
+        select: {
+          photos: {
+            orderBy: [{ isMain: 'desc' }, { order: 'asc' }],
+            take: 1,
+            select: { id: true, teaser: { select: { image: true } } },
+          },
+        },
+      },
+    },
+    orderBy: { createdAt: 'desc' },
+    take: LIKED_YOU_PREVIEW_LIMIT,
+  });
+
+  const photos = likes.map((like) => like.sender.photos[0]).filter(Boolean);
+  queuePhotoTeasers(photos.filter((photo) => !photo.teaser).map((photo) => photo.id));
+
+  return likes.map((like) => ({
+    actionId: like.id,
+    actionType: like.action,
+    likedAt: like.createdAt,
+    teaser: like.sender.photos[0]?.teaser?.image ?? null,
+  }));
+};
+
+/** Sort modes for the Liked You inbox. */
+const LIKED_YOU_SORTS = ['newest', 'closest', 'best_match'];
+
+// Distance filters and the non-chronological sorts rank in memory; this
+// caps how many of the newest matching likes they consider
+const MAX_RANKED_LIKERS = 500;
+
+/**
+ * What distance and match score read from a liker. Used for ranking only;
+ * none of it is sent to the client.
+ */
+const LIKER_RANKING_SELECT = {
+  id: true,
+  gender: true,
+  interestedIn: true,
+  birthDate: true,
+  latitude: true,
+  longitude: true,
+  lastActive: true,
+  bio: true,
+  education: true,
+  profession: true,
+  height: true,
+  isPremium: true,
+  relationshipType: true,
+  interests: { select: { interestId: true } },
+  _count: { select: { photos: true } },
+};
+
+/**
+ * The viewer as ranking sees them: preferences, interests, and the point
+ * distances are measured from (a running trip's destination, as in
+ * discovery).
+ */
+const loadLikedYouViewer = async (userId) => {
+  const viewer = await prisma.user.findUnique({
+    where: { id: userId },
+    select: {
+      gender: true,
+      interestedIn: true,
+      birthDate: true,
+      latitude: true,
+      longitude: true,
+      isPremium: true,
+      relationshipType: true,
+      minAge: true,
+      maxAge: true,
+      maxDistance: true,
+      interests: { select: { interestId: true } },
+      ...TRAVEL_SELECT,
+    },
+  });
+  if (viewer && isTravelActive(viewer)) {
+    viewer.latitude = viewer.visitingLatitude;
+    viewer.longitude = viewer.visitingLongitude;
+  }
+  return viewer;
+};
+
+/**
+ * Birth date bounds for an age range: someone is `age` from their
+ * birthday until the day before their next one.
+ */
+const birthDateRange = ({ minAge, maxAge }) => {
+  const yearsAgo = (years) => {
+    const date = new Date();
+    date.setFullYear(date.getFullYear() - years);
+    return date;
+  };
+  return {
+    ...(minAge !== undefined ? { lte: yearsAgo(minAge) } : {}),
+    ...(maxAge !== undefined ? { gt: yearsAgo(maxAge + 1) } : {}),
+  };
+};
+
+/**
+ * Rank likes in memory: distance from the viewer, the distance filter,
+ * and for best_match the discovery match score. Returns the likes in
+ * order with their `distance` (km) and `matchScore`.
+ */
+const rankLikers = async (userId, viewer, likes, { maxDistance, sort }) => {
+  const { calculateMatchScore, calculateDistance, getRankingWeights } = require('./discoveryService');
+  const weights = sort === 'best_match' ? await getRankingWeights(userId) : null;
+  const scoringFilters = {
+    ageRange: { min: viewer.minAge ?? 18, max: viewer.maxAge ?? 99 },
+    maxDistance: viewer.maxDistance ?? 50,
+  };
+  const viewerHasLocation = viewer.latitude != null && viewer.longitude != null;
+
+  const ranked = likes
+    .map((like) => {
+      const { _count, ...sender } = like.sender;
+      const distance =
+        viewerHasLocation && sender.latitude != null && sender.longitude != null
+          ? calculateDistance(viewer.latitude, viewer.longitude, sender.latitude, sender.longitude)
+          : null;
+      const matchScore = weights
+        ? calculateMatchScore(viewer, { ...sender, photoCount: _count.photos }, scoringFilters, weights).score
+        : null;
+      return { id: like.id, likedAt: like.createdAt, distance, matchScore };
+    })
+    // Likers with no known location can't be shown to be within range
+    .filter((like) => maxDistance === undefined || (like.distance !== null && like.distance <= maxDistance));
+
+  // Ties (and unknown distances, which go last) fall back to newest first
+  const newest = (a, b) => b.likedAt - a.likedAt;
+  if (sort === 'closest') {
+    ranked.sort((a, b) =>
+      a.distance === null || b.distance === null
+        ? (a.distance === null) - (b.distance === null) || newest(a, b)
+        : a.distance - b.distance || newest(a, b),
+    );
+  } else if (sort === 'best_match') {
+    ranked.sort((a, b) => b.matchScore - a.matchScore || newest(a, b));
+  }
+  return ranked;
+};
+
+/**
+ * Get users who liked the current user (for "Liked You" feature).
+ *
+ * Options: `limit`/`offset` for paging, `sort` (one of LIKED_YOU_SORTS,
+ * default newest), and `filters` — `minAge`, `maxAge`, `maxDistance` (km),
+ * `verifiedOnly`, `superLikesOnly` and `sharedInterests` (likers who share
+ * at least one interest). `totalCount` stays the unfiltered count behind
+ * the badge; `filteredCount` is what the filters leave.
  */
 const getWhoLikedMe = async (userId, options = {}) => {
   try {
     let { limit = 20 } = options;
-    const { offset = 0 } = options;
+    const { offset = 0, filters = {} } = options;
+    const sort = LIKED_YOU_SORTS.includes(options.sort) ? options.sort : 'newest';
 
     // Check premium status to determine result limit
     const premiumLimit = await getWhoLikedMeLimit(userId);
@@ -582,12 +1035,16 @@ const getWhoLikedMe = async (userId, options = {}) => {
     // teaser equals exactly what upgrading reveals. Counting already-acted
     // likers would advertise people who no longer appear after purchase.
     // totalLikesCount carries the raw total for anything that wants it.
+    // `previews` carries blurred teasers of the newest likers — never a
+    // real photo URL or anything else that identifies them.
     if (!premiumLimit.isPremium) {
-      const totalUnactedCount = await prisma.userAction.count({
-        where: unactedLikersWhere,
-      });
+      const [totalUnactedCount, previews] = await Promise.all([
+        prisma.userAction.count({ where: unactedLikersWhere }),
+        getLikerPreviews(unactedLikersWhere),
+      ]);
       return {
         users: [],
+        previews,
         totalCount: totalUnactedCount,
         totalLikesCount,
         hiddenCount: totalUnactedCount,
@@ -597,83 +1054,88 @@ const getWhoLikedMe = async (userId, options = {}) => {
       };
     }
 
-    logger.info(`🔍 Fetching who liked user ${userId} (limit: ${limit}, offset: ${offset})`);
-    const likers = await prisma.userAction.findMany({
-      where: unactedLikersWhere,
-      include: {
-        sender: {
-          select: {
-            id: true,
-            name: true,
-            bio: true,
-            birthDate: true,
-            location: true,
-            photos: {
-              orderBy: { order: 'asc' },
-              select: {
-                id: true,
-                url: true,
-                isMain: true,
-                order: true,
-              },
-            },
-            interests: {
-              include: {
-                interest: true,
-              },
-            },
-          },
-        },
-      },
-      orderBy: { createdAt: 'desc' },
-      take: limit,
-      skip: offset,
-    });
-    
-    logger.info(`🔍 Batch ${offset}-${offset+limit}: Found ${likers.length} unacted likers`);
-
-    // Transform the data to include age calculation and format
-    const transformedLikers = likers.map((action) => {
-      const birthDate = action.sender.birthDate;
-      let age = null;
-      if (birthDate) {
-        const today = new Date();
-        const birth = new Date(birthDate);
-        age = today.getFullYear() - birth.getFullYear();
-        const monthDiff = today.getMonth() - birth.getMonth();
-        if (monthDiff < 0 || (monthDiff === 0 && today.getDate() < birth.getDate())) {
-          age--;
+    const viewer = await loadLikedYouViewer(userId);
+
+    // Everything but distance filters in the query
+    const senderFilters = [
+      ...(filters.minAge !== undefined || filters.maxAge !== undefined
+        ? [{ birthDate: birthDateRange(filters) }]
+        : []),
+      ...(filters.verifiedOnly ? [{ isVerified: true }] : []),
+      ...(filters.sharedInterests
+        ? [{ interests: { some: { interestId: { in: viewer.interests.map((ui) => ui.interestId) } } } }]
+        : []),
+    ];
+    const filteredWhere = {
+      ...unactedLikersWhere,
+      ...(filters.superLikesOnly ? { action: 'SUPER_LIKE' } : {}),
+      sender: { AND: [unactedLikersWhere.sender, ...senderFilters] },
+    };
+
+    logger.info(`🔍 Fetching who liked user ${userId} (limit: ${limit}, offset: ${offset}, sort: ${sort})`);
+
+    // Newest first with no distance filter pages in the database; anything
+    // else ranks the newest MAX_RANKED_LIKERS matches in memory
+    let page;
+    let filteredCount;
+    let rankingById = new Map();
+    if (sort === 'newest' && filters.maxDistance === undefined) {
+      [page, filteredCount] = await Promise.all([
+        prisma.userAction.findMany({
+          where: filteredWhere,
+          include: LIKER_INCLUDE,
+          orderBy: { createdAt: 'desc' },
+          take: limit,
+          skip: offset,
+        }),
+        prisma.userAction.count({ where: filteredWhere }),
+      ]);
+    } else {
+      const candidates = await prisma.userAction.findMany({
+        where: filteredWhere,
+        select: { id: true, createdAt: true, sender: { select: LIKER_RANKING_SELECT } },
+        orderBy: { createdAt: 'desc' },
+        take: MAX_RANKED_LIKERS,
+      });
+      const ranked = await rankLikers(userId, viewer, candidates, { maxDistance: filters.maxDistance, sort });
+      filteredCount = ranked.length;
+      const pageRanking = ranked.slice(offset, offset + limit);
+      rankingById = new Map(pageRanking.map((entry) => [entry.id, entry]));
+
+      const likes = await prisma.userAction.findMany({
+        where: { id: { in: pageRanking.map((entry) => entry.id) } },
+        include: LIKER_INCLUDE,
+      });
+      const likesById = new Map(likes.map((like) => [like.id, like]));
+      page = pageRanking.map((entry) => likesById.get(entry.id)).filter(Boolean);
+    }
+
+    const transformedLikers = page.map((like) => {
+      const entry = toLikerEntry(like);
+      const ranking = rankingById.get(like.id);
+      if (ranking) {
+        entry.distance = ranking.distance !== null ? Math.round(ranking.distance) : null;
+        if (ranking.matchScore !== null) {
+          entry.matchScore = Math.round(ranking.matchScore);
         }
       }
-
-      return {
-        actionId: action.id,
-        actionType: action.action,
-        likedAt: action.createdAt,
-        user: {
-          ...action.sender,
-          age,
-          interests: action.sender.interests.map(ui => ui.interest.name),
-        },
-      };
+      return entry;
     });
 
     // Get the accurate count of unacted users
     const totalUnactedCount = await prisma.userAction.count({
       where: unactedLikersWhere,
     });
-    
-    logger.info(`📋 Retrieved ${transformedLikers.length} users in this batch for user ${userId}`);
+
+    logger.info(
+      `📋 Retrieved ${transformedLikers.length} of ${filteredCount} matching likers for user ${userId}`,
+    );
     logger.info(`📋 Total unacted likes: ${totalUnactedCount} of ${totalLikesCount} total likes`);
-    
-    // Log first few users for debugging
-    if (transformedLikers.length > 0) {
-      logger.info(`📋 First 3 likers: ${transformedLikers.slice(0, 3).map(l => `${l.user.name} (ID: ${l.user.id})`).join(', ')}`);
-    }
 
     return {
       users: transformedLikers,
       totalCount: totalUnactedCount, // Total users who liked you that you haven't acted on
+      filteredCount, // Of those, how many pass the filters
       totalLikesCount, // Total users who liked you (including acted on)
       isPremium: premiumLimit.isPremium,
       premiumRequired: !premiumLimit.isPremium && totalUnactedCount > premiumLimit.limit,
@@ -689,6 +1151,8 @@ module.exports = {
   likeUser,
   passUser,
   getUserActions,
+  markSuperLikeSeen,
   undoLastAction,
+  getUndoStack,
   getWhoLikedMe,
 };
\ No newline at end of file
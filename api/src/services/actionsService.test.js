@@ -2,14 +2,28 @@ import { describe, it, expect, beforeEach, vi } from 'vitest';
 import {
   userFactory,
   photoFactory,
+  interestFactory,
+  userInterestFactory,
 } from '@test-helpers/factories.js';
 import { createMockSocketIO, wait } from '@test-helpers/test-utils.js';
 
-const { likeUser, passUser, getUserActions, undoLastAction, getWhoLikedMe } = require('./actionsService');
+const {
+  likeUser,
+  passUser,
+  getUserActions,
+  markSuperLikeSeen,
+  undoLastAction,
+  getUndoStack,
+  getWhoLikedMe,
+} = require('./actionsService');
+const { clearQuotaCache } = require('./premiumService');
+const { clearDiscoveryConfigCache } = require('./discoveryService');
 
 describe('Actions Service', () => {
   beforeEach(() => {
     vi.clearAllMocks();
+    clearQuotaCache();
+    clearDiscoveryConfigCache();
   });
 
   describe('likeUser', () => {
@@ -212,6 +226,22 @@ describe('Actions Service', () => {
       );
     });
 
+    it('should allow liking a profile recycled after its pass cooldown', async () => {
+      await global.prisma.appConfig.create({ data: { key: 'discovery', value: { passCooldownDays: 30 } } });
+      const user1 = await userFactory.create(global.prisma);
+      const user2 = await userFactory.create(global.prisma);
+
+      const pass = await passUser(user1.id, user2.id);
+      await global.prisma.userAction.update({
+        where: { id: pass.action.id },
+        data: { createdAt: new Date(Date.now() - 40 * 24 * 60 * 60 * 1000) },
+      });
+
+      const result = await likeUser(user1.id, user2.id, 'LIKE');
+      expect(result.action.action).toBe('LIKE');
+      expect(await global.prisma.userAction.count({ where: { senderId: user1.id } })).toBe(1);
+    });
+
     it('should emit liked-you-update when io is provided', async () => {
       const user1 = await userFactory.create(global.prisma);
       const user2 = await userFactory.create(global.prisma);
@@ -294,6 +324,41 @@ describe('Actions Service', () => {
     });
   });
 
+  describe('markSuperLikeSeen', () => {
+    it('records the first sighting for a premium sender to see', async () => {
+      const sender = await userFactory.create(global.prisma, { isPremium: true, superLikeBalance: 5 });
+      const receiver = await userFactory.create(global.prisma);
+      await likeUser(sender.id, receiver.id, 'SUPER_LIKE');
+
+      expect(await markSuperLikeSeen(receiver.id, sender.id)).toEqual({ seen: true });
+      const [{ seenAt }] = await getUserActions(sender.id);
+      expect(seenAt).toBeInstanceOf(Date);
+
+      expect(await markSuperLikeSeen(receiver.id, sender.id)).toEqual({ seen: false });
+      const [again] = await getUserActions(sender.id);
+      expect(again.seenAt).toEqual(seenAt);
+    });
+
+    it('ignores ordinary likes', async () => {
+      const sender = await userFactory.create(global.prisma);
+      const receiver = await userFactory.create(global.prisma);
+      await likeUser(sender.id, receiver.id, 'LIKE');
+
+      expect(await markSuperLikeSeen(receiver.id, sender.id)).toEqual({ seen: false });
+    });
+
+    it('keeps receipts out of a free sender\'s history', async () => {
+      const sender = await userFactory.create(global.prisma, { isPremium: true, superLikeBalance: 5 });
+      const receiver = await userFactory.create(global.prisma);
+      await likeUser(sender.id, receiver.id, 'SUPER_LIKE');
+      await markSuperLikeSeen(receiver.id, sender.id);
+      await global.prisma.user.update({ where: { id: sender.id }, data: { isPremium: false } });
+
+      const [action] = await getUserActions(sender.id);
+      expect(action).not.toHaveProperty('seenAt');
+    });
+  });
+
   describe('undoLastAction', () => {
     it('should throw error when no action to undo', async () => {
       const user1 = await userFactory.create(global.prisma, { isPremium: true });
@@ -442,6 +507,144 @@ describe('Actions Service', () => {
       expect(result.undoneAction.receiverId).toBe(user2.id);
       expect(result.undoneAction.action).toBe('LIKE');
     });
+
+    it('walks back through several swipes in order', async () => {
+      const user1 = await userFactory.create(global.prisma, { isPremium: true });
+      const user2 = await userFactory.create(global.prisma);
+      const user3 = await userFactory.create(global.prisma);
+
+      await likeUser(user1.id, user2.id, 'LIKE');
+      await wait(10);
+      await passUser(user1.id, user3.id);
+
+      const first = await undoLastAction(user1.id);
+      const second = await undoLastAction(user1.id);
+
+      expect(first.undoneAction.receiverId).toBe(user3.id);
+      expect(second.undoneAction.receiverId).toBe(user2.id);
+      expect(second.undo.remaining).toBe(1);
+      await expect(undoLastAction(user1.id)).rejects.toThrow('No action to undo');
+    });
+
+    it('stops at the configured depth until the next swipe', async () => {
+      await setQuotas({ undoDepth: 2 });
+      const user1 = await userFactory.create(global.prisma, { isPremium: true });
+      const targets = await Promise.all([1, 2, 3, 4].map(() => userFactory.create(global.prisma)));
+
+      for (const target of targets.slice(0, 3)) {
+        await likeUser(user1.id, target.id, 'LIKE');
+        await wait(10);
+      }
+
+      await undoLastAction(user1.id);
+      await undoLastAction(user1.id);
+      await expect(undoLastAction(user1.id)).rejects.toMatchObject({ code: 'UNDO_LIMIT_REACHED' });
+      expect((await getUndoStack(user1.id)).remaining).toBe(0);
+
+      await wait(10);
+      await likeUser(user1.id, targets[3].id, 'LIKE');
+      const result = await undoLastAction(user1.id);
+      expect(result.undoneAction.receiverId).toBe(targets[3].id);
+    });
+
+    it('uses the configured undo window', async () => {
+      await setQuotas({ undoWindowMinutes: 10 });
+      const user1 = await userFactory.create(global.prisma, { isPremium: true });
+      const user2 = await userFactory.create(global.prisma);
+
+      await global.prisma.userAction.create({
+        data: {
+          senderId: user1.id,
+          receiverId: user2.id,
+          action: 'PASS',
+          createdAt: new Date(Date.now() - 6 * 60 * 1000),
+        },
+      });
+
+      const result = await undoLastAction(user1.id);
+      expect(result.undoneAction.action).toBe('PASS');
+    });
+
+    it('restores the like quota and the Super Like balance', async () => {
+      const user1 = await userFactory.create(global.prisma, { isPremium: true, superLikeBalance: 3 });
+      const user2 = await userFactory.create(global.prisma);
+      const user3 = await userFactory.create(global.prisma);
+
+      await likeUser(user1.id, user2.id, 'LIKE');
+      await wait(10);
+      await likeUser(user1.id, user3.id, 'SUPER_LIKE');
+
+      let fresh = await global.prisma.user.findUnique({ where: { id: user1.id } });
+      expect(fresh.dailyLikesUsed).toBe(1);
+      expect(fresh.superLikeBalance).toBe(2);
+
+      await undoLastAction(user1.id);
+      fresh = await global.prisma.user.findUnique({ where: { id: user1.id } });
+      expect(fresh.superLikeBalance).toBe(3);
+      expect(fresh.dailyLikesUsed).toBe(1);
+
+      await undoLastAction(user1.id);
+      fresh = await global.prisma.user.findUnique({ where: { id: user1.id } });
+      expect(fresh.dailyLikesUsed).toBe(0);
+    });
+
+    it('does not refund a Super Like past the bank cap', async () => {
+      const user1 = await userFactory.create(global.prisma, { isPremium: true, superLikeBalance: 5 });
+      const user2 = await userFactory.create(global.prisma);
+
+      await likeUser(user1.id, user2.id, 'SUPER_LIKE');
+      // Daily accrual topped the bank back up before the undo
+      await global.prisma.user.update({ where: { id: user1.id }, data: { superLikeBalance: 5 } });
+
+      await undoLastAction(user1.id);
+      const fresh = await global.prisma.user.findUnique({ where: { id: user1.id } });
+      expect(fresh.superLikeBalance).toBe(5);
+    });
+
+    it('ends a rolled-back match on both devices and restores the Liked You entry', async () => {
+      const user1 = await userFactory.create(global.prisma, { isPremium: true });
+      const user2 = await userFactory.create(global.prisma);
+      await photoFactory.create(global.prisma, user2.id, { isMain: true });
+
+      await likeUser(user2.id, user1.id, 'LIKE');
+      await global.prisma.userAction.updateMany({
+        where: { senderId: user2.id, receiverId: user1.id },
+        data: { note: 'Same taste in hiking spots?' },
+      });
+      const { match } = await likeUser(user1.id, user2.id, 'LIKE');
+
+      const mockIO = createMockSocketIO();
+      await undoLastAction(user1.id, mockIO);
+
+      expect(mockIO.findEmit('match-ended', `user:${user1.id}`).data).toEqual({
+        matchId: match.id,
+        reason: 'undone',
+      });
+      expect(mockIO.findEmit('match-ended', `user:${user2.id}`)).toBeDefined();
+
+      const restored = mockIO.findEmit('liked-you-update', `user:${user1.id}`);
+      expect(restored.data).toMatchObject({ action: 'add', reason: 'undone' });
+      expect(restored.data.user.id).toBe(user2.id);
+      expect(restored.data.note.text).toBe('Same taste in hiking spots?');
+      expect(mockIO.findEmit('liked-you-update', `user:${user2.id}`)).toBeUndefined();
+    });
+
+    it("takes an undone like out of the receiver's Liked You", async () => {
+      const user1 = await userFactory.create(global.prisma, { isPremium: true });
+      const user2 = await userFactory.create(global.prisma);
+
+      await likeUser(user1.id, user2.id, 'LIKE');
+
+      const mockIO = createMockSocketIO();
+      await undoLastAction(user1.id, mockIO);
+
+      expect(mockIO.findEmit('liked-you-update', `user:${user2.id}`).data).toEqual({
+        action: 'remove',
+        userId: user1.id,
+        reason: 'undone',
+      });
+      expect(mockIO.countEmits('match-ended')).toBe(0);
+    });
   });
 
   describe('getWhoLikedMe', () => {
@@ -569,6 +772,100 @@ describe('Actions Service', () => {
       expect(result.users[0].likedAt instanceof Date).toBe(true);
     });
 
+    describe('filters and sorting', () => {
+      const yearsAgo = (years) => {
+        const date = new Date();
+        date.setFullYear(date.getFullYear() - years, date.getMonth(), date.getDate() - 1);
+        return date;
+      };
+
+      const createLiker = async (receiverId, overrides = {}, action = 'LIKE') => {
+        const liker = await userFactory.create(global.prisma, {
+          ...(action === 'SUPER_LIKE' ? { isPremium: true, superLikeBalance: 1 } : {}),
+          ...overrides,
+        });
+        await photoFactory.create(global.prisma, liker.id, { isMain: true });
+        await likeUser(liker.id, receiverId, action);
+        return liker;
+      };
+
+      const likerIds = (result) => result.users.map((entry) => entry.user.id);
+
+      it('filters by age range, verification and super likes', async () => {
+        const viewer = await userFactory.create(global.prisma, { isPremium: true });
+        const young = await createLiker(viewer.id, { birthDate: yearsAgo(22) });
+        const verified = await createLiker(viewer.id, { birthDate: yearsAgo(30), isVerified: true });
+        const superLiker = await createLiker(viewer.id, { birthDate: yearsAgo(40) }, 'SUPER_LIKE');
+
+        const byAge = await getWhoLikedMe(viewer.id, { filters: { minAge: 25, maxAge: 35 } });
+        const byVerified = await getWhoLikedMe(viewer.id, { filters: { verifiedOnly: true } });
+        const bySuperLike = await getWhoLikedMe(viewer.id, { filters: { superLikesOnly: true } });
+
+        expect(likerIds(byAge)).toEqual([verified.id]);
+        expect(likerIds(byVerified)).toEqual([verified.id]);
+        expect(likerIds(bySuperLike)).toEqual([superLiker.id]);
+        // The badge count ignores filters; filteredCount follows them
+        expect(byAge.totalCount).toBe(3);
+        expect(byAge.filteredCount).toBe(1);
+        expect(likerIds(await getWhoLikedMe(viewer.id))).toContain(young.id);
+      });
+
+      it('filters to likers who share an interest', async () => {
+        const [hiking, chess] = await interestFactory.createMany(global.prisma, ['Hiking', 'Chess']);
+        const viewer = await userFactory.create(global.prisma, { isPremium: true });
+        await userInterestFactory.create(global.prisma, viewer.id, hiking.id);
+        const sharing = await userFactory.create(global.prisma);
+        await userInterestFactory.create(global.prisma, sharing.id, hiking.id);
+        const other = await userFactory.create(global.prisma);
+        await userInterestFactory.create(global.prisma, other.id, chess.id);
+        for (const liker of [sharing, other]) {
+          await photoFactory.create(global.prisma, liker.id, { isMain: true });
+          await likeUser(liker.id, viewer.id, 'LIKE');
+        }
+
+        const result = await getWhoLikedMe(viewer.id, { filters: { sharedInterests: true } });
+
+        expect(likerIds(result)).toEqual([sharing.id]);
+      });
+
+      it('sorts closest first and drops likers beyond maxDistance', async () => {
+        const viewer = await userFactory.create(global.prisma, {
+          isPremium: true,
+          latitude: 52.52,
+          longitude: 13.405,
+        });
+        const far = await createLiker(viewer.id, { latitude: 53.55, longitude: 9.99 }); // ~255km
+        const near = await createLiker(viewer.id, { latitude: 52.53, longitude: 13.41 }); // ~1km
+        const mid = await createLiker(viewer.id, { latitude: 52.4, longitude: 13.06 }); // ~27km
+
+        const closest = await getWhoLikedMe(viewer.id, { sort: 'closest' });
+        const within = await getWhoLikedMe(viewer.id, { sort: 'closest', filters: { maxDistance: 50 } });
+
+        expect(likerIds(closest)).toEqual([near.id, mid.id, far.id]);
+        expect(closest.users[0].user.latitude).toBeUndefined();
+        expect(closest.users[0].distance).toBe(1);
+        expect(likerIds(within)).toEqual([near.id, mid.id]);
+        expect(within.filteredCount).toBe(2);
+      });
+
+      it('sorts by match score for best_match', async () => {
+        const viewer = await userFactory.create(global.prisma, {
+          isPremium: true,
+          gender: 'WOMAN',
+          interestedIn: ['MAN'],
+        });
+        const mutual = await createLiker(viewer.id, { gender: 'MAN', interestedIn: ['WOMAN'] });
+        const oneSided = await createLiker(viewer.id, { gender: 'OTHER', interestedIn: ['MAN'] });
+
+        const newest = await getWhoLikedMe(viewer.id);
+        const best = await getWhoLikedMe(viewer.id, { sort: 'best_match' });
+
+        expect(likerIds(newest)).toEqual([oneSided.id, mutual.id]);
+        expect(likerIds(best)).toEqual([mutual.id, oneSided.id]);
+        expect(best.users[0].matchScore).toBeGreaterThan(best.users[1].matchScore);
+      });
+    });
+
     it('redacts liker profiles entirely for free users', async () => {
       const freeUser = await userFactory.create(global.prisma, { isPremium: false });
       const liker = await userFactory.create(global.prisma);
@@ -608,6 +905,35 @@ describe('Actions Service', () => {
       expect(result.totalCount).toBe(5);
     });
 
+    it('free users get blurred previews that identify no one', async () => {
+      const freeUser = await userFactory.create(global.prisma, { isPremium: false });
+      const liker = await userFactory.create(global.prisma);
+      const photo = await photoFactory.create(global.prisma, liker.id, {
+        isMain: true,
+        url: 'https://example.com/secret.jpg',
+      });
+      await global.prisma.photoTeaser.create({
+        data: { photoId: photo.id, image: 'data:image/jpeg;base64,dGVhc2Vy' },
+      });
+      const otherLiker = await userFactory.create(global.prisma);
+
+      await likeUser(liker.id, freeUser.id, 'SUPER_LIKE');
+      await likeUser(otherLiker.id, freeUser.id, 'LIKE');
+
+      const result = await getWhoLikedMe(freeUser.id);
+
+      expect(result.previews).toHaveLength(2);
+      const superLike = result.previews.find((p) => p.actionType === 'SUPER_LIKE');
+      expect(superLike.teaser).toBe('data:image/jpeg;base64,dGVhc2Vy');
+      // No photo yet, so no teaser — the client shows a plain placeholder
+      expect(result.previews.find((p) => p.actionType === 'LIKE').teaser).toBeNull();
+
+      const body = JSON.stringify(result);
+      expect(body).not.toContain('secret.jpg');
+      expect(body).not.toContain(liker.id);
+      expect(body).not.toContain(liker.name);
+    });
+
     it('excludes blocked users from the liker list', async () => {
       const { blockUser } = await import('./moderationService.js');
       const premiumUser = await userFactory.create(global.prisma, { isPremium: true });
@@ -636,3 +962,8 @@ describe('Actions Service', () => {
     });
   });
 });
+
+async function setQuotas(value) {
+  await global.prisma.appConfig.create({ data: { key: 'quotas', value } });
+  clearQuotaCache();
+}
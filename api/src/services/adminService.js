@@ -13,6 +13,7 @@ const { getPrismaClient } = require('../config/database');
 const logger = require('../utils/logger');
 const { AppError } = require('../middleware/errorHandler');
 const { sendPushNotification } = require('./notificationService');
+const { clearFeatureFlagsCache } = require('./featureFlagsService');
 
 const prisma = getPrismaClient();
 
@@ -36,6 +37,47 @@ const auditLog = async (adminEmail, action, targetType = null, targetId = null,
   }
 };
 
+const ACTIVITY_KINDS = ['signups', 'matches', 'messages'];
+
+/**
+ * Signups, matches and messages since a point in time as (kind, ref, uid)
+ * rows: `ref` identifies the event and `uid` a user it belongs to, so a
+ * match appears once per side. The overview counts distinct refs overall,
+ * the experiment rollups per variant.
+ */
+const activitySql = (since, kinds = ACTIVITY_KINDS) => {
+  const cutoff = Prisma.sql`(${since}::timestamptz AT TIME ZONE 'UTC')`;
+  const sources = {
+    signups: Prisma.sql`
+      SELECT 'signups' AS kind, "id" AS ref, "id" AS uid FROM "users"
+      WHERE "createdAt" >= ${cutoff}`,
+    matches: Prisma.sql`
+      SELECT 'matches' AS kind, "id" AS ref, "user1Id" AS uid FROM "matches"
+      WHERE "createdAt" >= ${cutoff}
+      UNION ALL
+      SELECT 'matches' AS kind, "id" AS ref, "user2Id" AS uid FROM "matches"
+      WHERE "createdAt" >= ${cutoff}`,
+    messages: Prisma.sql`
+      SELECT 'messages' AS kind, "id" AS ref, "senderId" AS uid FROM "messages"
+      WHERE "createdAt" >= ${cutoff}`,
+  };
+  return Prisma.join(kinds.map((kind) => sources[kind]), ' UNION ALL ');
+};
+
+/** One int column per kind counting the distinct refs of alias `a`. */
+const activityCountsSql = (kinds = ACTIVITY_KINDS) =>
+  Prisma.join(
+    kinds.map((kind) => Prisma.sql`
+      (COUNT(DISTINCT a.ref) FILTER (WHERE a.kind = ${kind}))::int AS ${Prisma.raw(`"${kind}"`)}`),
+    ', ',
+  );
+
+const countActivity = async (since, kinds = ACTIVITY_KINDS) => {
+  const [row] = await prisma.$queryRaw`
+    SELECT ${activityCountsSql(kinds)} FROM (${activitySql(since, kinds)}) a`;
+  return row;
+};
+
 /**
  * Overview KPIs: totals, today/7d/30d rollups, and 14-day series.
  * DAU is a proxy (distinct users who messaged or swiped that day) because
@@ -55,13 +97,9 @@ const getOverview = async () => {
     activeMatches,
     pendingReports,
     waitlistCount,
-    signupsToday,
-    signupsWeek,
-    signupsMonth,
-    matchesToday,
-    matchesWeek,
-    messagesToday,
-    messagesWeek,
+    today,
+    week,
+    month,
   ] = await Promise.all([
     prisma.user.count(),
     prisma.user.count({ where: { lastActive: { gte: d7 } } }),
@@ -69,13 +107,9 @@ const getOverview = async () => {
     prisma.match.count({ where: { isActive: true } }),
     prisma.report.count({ where: { status: 'PENDING' } }),
     prisma.waitlist.count(),
-    prisma.user.count({ where: { createdAt: { gte: d1 } } }),
-    prisma.user.count({ where: { createdAt: { gte: d7 } } }),
-    prisma.user.count({ where: { createdAt: { gte: d30 } } }),
-    prisma.match.count({ where: { createdAt: { gte: d1 } } }),
-    prisma.match.count({ where: { createdAt: { gte: d7 } } }),
-    prisma.message.count({ where: { createdAt: { gte: d1 } } }),
-    prisma.message.count({ where: { createdAt: { gte: d7 } } }),
+    countActivity(d1),
+    countActivity(d7),
+    countActivity(d30, ['signups']),
   ]);
 
   // 14-day signup series + DAU proxy (messages ∪ actions), zero-filled
@@ -107,6 +141,8 @@ const getOverview = async () => {
     return series;
   };
 
+  const experiments = await getExperimentRollups(d7);
+
   return {
     totals: {
       users: totalUsers,
@@ -116,19 +152,59 @@ const getOverview = async () => {
       pendingReports,
       waitlist: waitlistCount,
     },
-    rollups: {
-      today: { signups: signupsToday, matches: matchesToday, messages: messagesToday },
-      week: { signups: signupsWeek, matches: matchesWeek, messages: messagesWeek },
-      month: { signups: signupsMonth },
-    },
+    rollups: { today, week, month },
     series: {
       signups: zeroFill(signupRows),
       // Labeled honestly in the UI: "active = messaged or swiped"
       activeUsers: zeroFill(dauRows),
     },
+    experiments,
   };
 };
 
+/**
+ * Per-variant outcomes for each running experiment over the last 7 days:
+ * cohort size plus the overview's signup, match and message counts, with
+ * users bucketed in SQL exactly as experimentsService assigns them.
+ * A match between two variants counts for both.
+ */
+const getExperimentRollups = async (since) => {
+  const { variantSql } = require('./experimentsService');
+  // Read uncached: the dashboard should reflect an edit immediately
+  const experiments = Object.entries(await getExperimentsConfig()).filter(([, e]) => e?.enabled);
+
+  return Promise.all(
+    experiments.map(async ([key, experiment]) => {
+      const rows = await prisma.$queryRaw`
+        WITH cohort AS (
+          SELECT u."id", ${variantSql(key, experiment)} AS variant
+          FROM "users" u
+        )
+        SELECT c.variant,
+               COUNT(DISTINCT c."id")::int AS users,
+               ${activityCountsSql()}
+        FROM cohort c
+        LEFT JOIN (${activitySql(since)}) a ON a.uid = c."id"
+        WHERE c.variant IS NOT NULL
+        GROUP BY c.variant`;
+      const byVariant = new Map(rows.map((r) => [r.variant, r]));
+
+      return {
+        key,
+        variants: experiment.variants.map(({ name }) => ({
+          name,
+          users: byVariant.get(name)?.users || 0,
+          week: {
+            signups: byVariant.get(name)?.signups || 0,
+            matches: byVariant.get(name)?.matches || 0,
+            messages: byVariant.get(name)?.messages || 0,
+          },
+        })),
+      };
+    }),
+  );
+};
+
 const ADMIN_USER_SELECT = {
   id: true,
   email: true,
@@ -205,6 +281,28 @@ const getUserDetail = async (userId) => {
   return user;
 };
 
+/**
+ * Run discovery as a user for ranking tuning: their ranked page with score
+ * breakdowns, plus the reason each nearby non-result was filtered out.
+ * Read-only — boost impressions are not recorded.
+ */
+const debugDiscovery = async (userId, { limit = 20, exclusionLimit = 50, strictMode = false } = {}) => {
+  const { explainDiscovery } = require('./discoveryService');
+  try {
+    return await explainDiscovery(userId, { limit, strictMode }, exclusionLimit);
+  } catch (error) {
+    if (error.message === 'User not found') {
+      throw new AppError('User not found', 404);
+    }
+    // PROFILE_INCOMPLETE / PHOTOS_REQUIRED / LOCATION_REQUIRED: the user
+    // can't use discovery at all, which is itself the answer
+    if (/^[A-Z_]+: /.test(error.message)) {
+      throw new AppError(error.message, 400);
+    }
+    throw error;
+  }
+};
+
 /**
  * Best-effort socket eviction after a ban — never fails the mutation.
  */
@@ -588,21 +686,38 @@ const getFlags = async () => {
 };
 
 /**
- * Launch levers: free-likes quota and the signup premium-trial promo.
- * Served to premiumService with a 60s in-process cache, so changes land
- * within a minute of publishing — no deploy.
+ * Launch levers: free-likes quota, undo depth/window and the signup
+ * premium-trial promo. Served to premiumService with a 60s in-process
+ * cache, so changes land within a minute of publishing — no deploy.
+ * Quota updates merge partial input.
  */
+const QUOTA_BOUNDS = {
+  freeLikesPerWindow: [1, 1000],
+  undoDepth: [1, 20],
+  undoWindowMinutes: [1, 1440],
+};
+
 const getQuotasConfig = async () => {
   const row = await prisma.appConfig.findUnique({ where: { key: 'quotas' } });
   return row?.value || {};
 };
 
 const updateQuotasConfig = async (input, adminEmail) => {
-  const freeLikesPerWindow = Number(input?.freeLikesPerWindow);
-  if (!Number.isInteger(freeLikesPerWindow) || freeLikesPerWindow < 1 || freeLikesPerWindow > 1000) {
-    throw new AppError('freeLikesPerWindow must be an integer between 1 and 1000', 400);
+  const keys = Object.keys(QUOTA_BOUNDS).filter((key) => input?.[key] !== undefined);
+  if (keys.length === 0) {
+    throw new AppError(`Provide at least one of ${Object.keys(QUOTA_BOUNDS).join(', ')}`, 400);
+  }
+  const updates = {};
+  for (const key of keys) {
+    const [min, max] = QUOTA_BOUNDS[key];
+    const quota = Number(input[key]);
+    if (!Number.isInteger(quota) || quota < min || quota > max) {
+      throw new AppError(`${key} must be an integer between ${min} and ${max}`, 400);
+    }
+    updates[key] = quota;
   }
-  const value = { freeLikesPerWindow };
+  const current = await getQuotasConfig();
+  const value = { ...current, ...updates };
   const row = await prisma.appConfig.upsert({
     where: { key: 'quotas' },
     update: { value },
@@ -612,6 +727,140 @@ const updateQuotasConfig = async (input, adminEmail) => {
   return row.value;
 };
 
+/**
+ * Discovery levers: how long a PASS hides someone before they're recycled
+ * back into the deck (0 = never). Served to discoveryService with the same
+ * 60s in-process cache as the quotas.
+ */
+const getDiscoveryConfig = async () => {
+  const row = await prisma.appConfig.findUnique({ where: { key: 'discovery' } });
+  return row?.value || {};
+};
+
+const updateDiscoveryConfig = async (input, adminEmail) => {
+  const passCooldownDays = Number(input?.passCooldownDays);
+  if (!Number.isInteger(passCooldownDays) || passCooldownDays < 0 || passCooldownDays > 365) {
+    throw new AppError('passCooldownDays must be an integer between 0 and 365', 400);
+  }
+  const current = await getDiscoveryConfig();
+  const value = { ...current, passCooldownDays };
+  const row = await prisma.appConfig.upsert({
+    where: { key: 'discovery' },
+    update: { value },
+    create: { key: 'discovery', value },
+  });
+  await auditLog(adminEmail, 'config.discovery.update', 'appConfig', 'discovery', value);
+  return row.value;
+};
+
+/**
+ * Discovery ranking weights (calculateMatchScore points per component).
+ * Reads return the effective weights — stored overrides on top of the code
+ * defaults; updates merge partial input. Served with a 60s cache.
+ */
+const getRankingConfig = async () => {
+  const { DEFAULT_RANKING_WEIGHTS } = require('./discoveryService');
+  const row = await prisma.appConfig.findUnique({ where: { key: 'ranking' } });
+  return { ...DEFAULT_RANKING_WEIGHTS, ...(row?.value || {}) };
+};
+
+const updateRankingConfig = async (input, adminEmail) => {
+  const { DEFAULT_RANKING_WEIGHTS } = require('./discoveryService');
+  const keys = Object.keys(input || {});
+  if (keys.length === 0) {
+    throw new AppError('Provide at least one ranking weight', 400);
+  }
+  const unknown = keys.filter((key) => !(key in DEFAULT_RANKING_WEIGHTS));
+  if (unknown.length > 0) {
+    throw new AppError(`Unknown ranking weights: ${unknown.join(', ')}`, 400);
+  }
+  const updates = {};
+  for (const key of keys) {
+    const weight = Number(input[key]);
+    if (typeof input[key] !== 'number' || !Number.isFinite(weight) || weight < 0 || weight > 1000) {
+      throw new AppError(`${key} must be a number between 0 and 1000`, 400);
+    }
+    updates[key] = weight;
+  }
+  const current = await getRankingConfig();
+  const value = { ...current, ...updates };
+  const row = await prisma.appConfig.upsert({
+    where: { key: 'ranking' },
+    update: { value },
+    create: { key: 'ranking', value },
+  });
+  await auditLog(adminEmail, 'config.ranking.update', 'appConfig', 'ranking', value);
+  return row.value;
+};
+
+/**
+ * Experiment definitions (AppConfig key `experiments`, shape documented in
+ * experimentsService). Replaced wholesale on update; changing a variant's
+ * weights or salt reshuffles its cohorts, so edits are audited.
+ */
+const EXPERIMENT_KEY_REGEX = /^[a-z0-9_]{1,48}$/;
+const VARIANT_NAME_REGEX = /^[a-z0-9_]{1,32}$/;
+
+const getExperimentsConfig = async () => {
+  const row = await prisma.appConfig.findUnique({ where: { key: 'experiments' } });
+  return row?.value || {};
+};
+
+const validateExperiment = (key, experiment) => {
+  const { OVERRIDE_NAMESPACES } = require('./experimentsService');
+  if (!EXPERIMENT_KEY_REGEX.test(key)) {
+    throw new AppError(`Invalid experiment key: ${key}`, 400);
+  }
+  if (!experiment || typeof experiment !== 'object' || typeof experiment.enabled !== 'boolean') {
+    throw new AppError(`${key}: enabled must be a boolean`, 400);
+  }
+  if (experiment.salt !== undefined && (typeof experiment.salt !== 'string' || experiment.salt.length > 64)) {
+    throw new AppError(`${key}: salt must be a string of at most 64 characters`, 400);
+  }
+  const { variants } = experiment;
+  if (!Array.isArray(variants) || variants.length < 2 || variants.length > 10) {
+    throw new AppError(`${key}: between 2 and 10 variants required`, 400);
+  }
+  const names = new Set();
+  for (const variant of variants) {
+    if (!VARIANT_NAME_REGEX.test(variant?.name || '') || names.has(variant.name)) {
+      throw new AppError(`${key}: variant names must be unique lowercase identifiers`, 400);
+    }
+    names.add(variant.name);
+    if (!Number.isInteger(variant.weight) || variant.weight < 0 || variant.weight > 100) {
+      throw new AppError(`${key}.${variant.name}: weight must be an integer between 0 and 100`, 400);
+    }
+    const overrides = variant.overrides || {};
+    if (typeof overrides !== 'object' || Array.isArray(overrides)) {
+      throw new AppError(`${key}.${variant.name}: overrides must be an object`, 400);
+    }
+    const badNamespace = Object.keys(overrides).find((ns) => !OVERRIDE_NAMESPACES.includes(ns));
+    if (badNamespace) {
+      throw new AppError(`${key}.${variant.name}: unknown override namespace ${badNamespace}`, 400);
+    }
+  }
+  if (!variants.some((variant) => variant.weight > 0)) {
+    throw new AppError(`${key}: at least one variant needs a positive weight`, 400);
+  }
+};
+
+const updateExperimentsConfig = async (input, adminEmail) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new AppError('Experiments must be an object keyed by experiment name', 400);
+  }
+  for (const [key, experiment] of Object.entries(input)) {
+    validateExperiment(key, experiment);
+  }
+  const value = input;
+  const row = await prisma.appConfig.upsert({
+    where: { key: 'experiments' },
+    update: { value },
+    create: { key: 'experiments', value },
+  });
+  await auditLog(adminEmail, 'config.experiments.update', 'appConfig', 'experiments', value);
+  return row.value;
+};
+
 /**
  * Verification review queue. Selfies are compared against profile photos
  * by a human; approval grants the badge and notifies the user.
@@ -710,6 +959,100 @@ const updateLaunchPromo = async (input, adminEmail) => {
   return row.value;
 };
 
+/**
+ * Match expiry policy (AppConfig key `match_expiry`, see matchExpiryService).
+ * Reads return the effective policy; updates merge partial input. Served
+ * with a 60s cache, so a change reaches the expiry job within a minute.
+ */
+const MATCH_EXPIRY_BOUNDS = {
+  days: [1, 90],
+  reminderHours: [1, 72],
+  extensionHours: [1, 168],
+};
+
+const getMatchExpiryConfig = async () => {
+  const { DEFAULT_MATCH_EXPIRY_POLICY } = require('./matchExpiryService');
+  const row = await prisma.appConfig.findUnique({ where: { key: 'match_expiry' } });
+  return { ...DEFAULT_MATCH_EXPIRY_POLICY, ...(row?.value || {}) };
+};
+
+const updateMatchExpiryConfig = async (input, adminEmail) => {
+  const updates = {};
+  if (input?.enabled !== undefined) {
+    updates.enabled = !!input.enabled;
+  }
+  for (const [key, [min, max]] of Object.entries(MATCH_EXPIRY_BOUNDS)) {
+    if (input?.[key] === undefined) {
+      continue;
+    }
+    const number = Number(input[key]);
+    if (!Number.isInteger(number) || number < min || number > max) {
+      throw new AppError(`${key} must be an integer between ${min} and ${max}`, 400);
+    }
+    updates[key] = number;
+  }
+  const current = await getMatchExpiryConfig();
+  const value = { ...current, ...updates };
+  if (value.reminderHours >= value.days * 24) {
+    throw new AppError('reminderHours must be shorter than the expiry window', 400);
+  }
+  const row = await prisma.appConfig.upsert({
+    where: { key: 'match_expiry' },
+    update: { value },
+    create: { key: 'match_expiry', value },
+  });
+  await auditLog(adminEmail, 'config.matchExpiry.update', 'appConfig', 'match_expiry', value);
+  return row.value;
+};
+
+/**
+ * Scheduled notification policy (AppConfig key `scheduled_notifications`,
+ * see scheduledNotificationService). Same read/merge shape as match expiry.
+ */
+const SCHEDULED_NOTIFICATION_BOUNDS = {
+  dailyCap: [0, 10],
+  matchNudgeDays: [1, 30],
+  replyReminderHours: [1, 168],
+  digestMinNewPeople: [1, 100],
+};
+
+const getScheduledNotificationConfig = async () => {
+  const { DEFAULT_SCHEDULED_NOTIFICATION_POLICY } = require('./scheduledNotificationService');
+  const row = await prisma.appConfig.findUnique({ where: { key: 'scheduled_notifications' } });
+  return { ...DEFAULT_SCHEDULED_NOTIFICATION_POLICY, ...(row?.value || {}) };
+};
+
+const updateScheduledNotificationConfig = async (input, adminEmail) => {
+  const updates = {};
+  if (input?.enabled !== undefined) {
+    updates.enabled = !!input.enabled;
+  }
+  for (const [key, [min, max]] of Object.entries(SCHEDULED_NOTIFICATION_BOUNDS)) {
+    if (input?.[key] === undefined) {
+      continue;
+    }
+    const number = Number(input[key]);
+    if (!Number.isInteger(number) || number < min || number > max) {
+      throw new AppError(`${key} must be an integer between ${min} and ${max}`, 400);
+    }
+    updates[key] = number;
+  }
+  const value = { ...(await getScheduledNotificationConfig()), ...updates };
+  const row = await prisma.appConfig.upsert({
+    where: { key: 'scheduled_notifications' },
+    update: { value },
+    create: { key: 'scheduled_notifications', value },
+  });
+  await auditLog(
+    adminEmail,
+    'config.scheduledNotifications.update',
+    'appConfig',
+    'scheduled_notifications',
+    value,
+  );
+  return row.value;
+};
+
 const updateFlags = async (flags, adminEmail) => {
   if (!flags || typeof flags !== 'object' || Array.isArray(flags)) {
     throw new AppError('Flags must be an object of key -> boolean', 400);
@@ -725,6 +1068,7 @@ const updateFlags = async (flags, adminEmail) => {
     update: { value: flags },
     create: { key: 'feature_flags', value: flags },
   });
+  clearFeatureFlagsCache();
 
   await auditLog(adminEmail, 'config.flags.update', 'appConfig', 'feature_flags', flags);
   return row.value;
@@ -764,6 +1108,7 @@ module.exports = {
   auditLog,
   getOverview: withContext('overview read', getOverview),
   listUsers: withContext('user list', listUsers),
+  debugDiscovery: withContext('discovery debug', debugDiscovery),
   getUserDetail: withContext('user detail read', getUserDetail),
   setUserActive: withContext('user ban/unban', setUserActive),
   setUserPremium: withContext('premium update', setUserPremium),
@@ -781,7 +1126,23 @@ module.exports = {
   reviewVerification: withContext('verification review', reviewVerification),
   getQuotasConfig: withContext('quotas read', getQuotasConfig),
   updateQuotasConfig: withContext('quotas update', updateQuotasConfig),
+  getDiscoveryConfig: withContext('discovery config read', getDiscoveryConfig),
+  updateDiscoveryConfig: withContext('discovery config update', updateDiscoveryConfig),
+  getRankingConfig: withContext('ranking config read', getRankingConfig),
+  getExperimentsConfig: withContext('experiments config read', getExperimentsConfig),
+  updateExperimentsConfig: withContext('experiments config update', updateExperimentsConfig),
+  updateRankingConfig: withContext('ranking config update', updateRankingConfig),
   getLaunchPromo: withContext('launch-promo read', getLaunchPromo),
   updateLaunchPromo: withContext('launch-promo update', updateLaunchPromo),
+  getMatchExpiryConfig: withContext('match-expiry read', getMatchExpiryConfig),
+  updateMatchExpiryConfig: withContext('match-expiry update', updateMatchExpiryConfig),
+  getScheduledNotificationConfig: withContext(
+    'scheduled-notifications read',
+    getScheduledNotificationConfig,
+  ),
+  updateScheduledNotificationConfig: withContext(
+    'scheduled-notifications update',
+    updateScheduledNotificationConfig,
+  ),
   listAudit: withContext('audit list', listAudit),
 };
@@ -16,6 +16,7 @@ const prisma = getPrismaClient();
  * Register a new user
  */
 const { hasPremiumAccess, grantLaunchTrial } = require('./premiumService');
+const { formatTravelMode } = require('./travelService');
 
 const registerUser = async (userData) => {
   try {
@@ -479,6 +480,8 @@ const getUserProfile = async (userId) => {
     const { password: _password, ...userWithoutPassword } = userWithInterests;
     // Trial-aware premium: the client gates features off this one field
     userWithoutPassword.isPremium = hasPremiumAccess(userWithoutPassword);
+    // Null once the trip has expired, whatever visiting* still holds
+    userWithoutPassword.travelMode = formatTravelMode(user);
     
     return userWithoutPassword;
   } catch (error) {
@@ -0,0 +1,163 @@
+/**
+ * Profile Boost: 30 minutes of priority placement in other users' decks.
+ * The allowance lives in premiumService (per tier, per UTC month); ranking
+ * happens in discoveryService, which reads active boosts straight from the
+ * profile_boosts table and reports impressions back here.
+ */
+
+const { getPrismaClient } = require('../config/database');
+const logger = require('../utils/logger');
+const { AppError } = require('../middleware/errorHandler');
+const { canBoost, boostPeriodStart } = require('./premiumService');
+
+const prisma = getPrismaClient();
+
+const BOOST_DURATION_MS = 30 * 60 * 1000;
+// Likes the user would have received anyway are estimated from this
+// trailing window, scaled to the boost's length
+const BASELINE_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+
+const formatBoost = (boost, now = new Date()) => ({
+  id: boost.id,
+  startedAt: boost.startedAt,
+  endsAt: boost.endsAt,
+  isActive: boost.endsAt > now,
+  remainingSeconds: Math.max(0, Math.ceil((boost.endsAt - now) / 1000)),
+});
+
+const getActiveBoost = (userId, now = new Date()) =>
+  prisma.profileBoost.findFirst({
+    where: { userId, endsAt: { gt: now } },
+    orderBy: { startedAt: 'desc' },
+  });
+
+/**
+ * Start a boost. Allowance and the one-at-a-time rule are re-checked under
+ * a lock on the user row, so double-taps can't spend two boosts.
+ */
+const activateBoost = async (userId) => {
+  const boostCheck = await canBoost(userId);
+  if (!boostCheck.allowed) {
+    const error = new AppError(boostCheck.message, 403);
+    error.code = boostCheck.error;
+    error.quotas = boostCheck.quotas;
+    throw error;
+  }
+
+  const boost = await prisma.$transaction(async (tx) => {
+    await tx.$queryRaw`SELECT 1 FROM "users" WHERE "id" = ${userId} FOR UPDATE`;
+
+    const now = new Date();
+    const active = await tx.profileBoost.findFirst({
+      where: { userId, endsAt: { gt: now } },
+      select: { id: true },
+    });
+    if (active) {
+      const error = new AppError('Your Boost is already running', 409);
+      error.code = 'BOOST_ACTIVE';
+      throw error;
+    }
+
+    const used = await tx.profileBoost.count({
+      where: { userId, startedAt: { gte: boostPeriodStart(now) } },
+    });
+    if (used >= boostCheck.quotas.boosts.limit) {
+      const error = new AppError('You\'ve used this month\'s Boost. A new one arrives on the 1st.', 403);
+      error.code = 'MONTHLY_LIMIT_REACHED';
+      throw error;
+    }
+
+    return tx.profileBoost.create({
+      data: {
+        userId,
+        startedAt: now,
+        endsAt: new Date(now.getTime() + BOOST_DURATION_MS),
+      },
+    });
+  });
+
+  logger.info(`🚀 Boost started for user ${userId} until ${boost.endsAt.toISOString()}`);
+  return formatBoost(boost);
+};
+
+/**
+ * Post-boost numbers: deck appearances while boosted, likes received during
+ * the window, and how many of those beat the user's usual rate.
+ */
+const getBoostSummary = async (boost) => {
+  const windowEnd = boost.endsAt < new Date() ? boost.endsAt : new Date();
+  const [likes, baselineLikes] = await Promise.all([
+    prisma.userAction.count({
+      where: {
+        receiverId: boost.userId,
+        action: { in: ['LIKE', 'SUPER_LIKE'] },
+        createdAt: { gte: boost.startedAt, lt: windowEnd },
+      },
+    }),
+    prisma.userAction.count({
+      where: {
+        receiverId: boost.userId,
+        action: { in: ['LIKE', 'SUPER_LIKE'] },
+        createdAt: {
+          gte: new Date(boost.startedAt.getTime() - BASELINE_WINDOW_MS),
+          lt: boost.startedAt,
+        },
+      },
+    }),
+  ]);
+  const expectedLikes = Math.round((baselineLikes * BOOST_DURATION_MS) / BASELINE_WINDOW_MS);
+
+  return {
+    views: boost.impressions,
+    likes,
+    extraLikes: Math.max(0, likes - expectedLikes),
+  };
+};
+
+/**
+ * Current boost (if any) plus the summary of the most recent finished one.
+ */
+const getBoostStatus = async (userId) => {
+  const now = new Date();
+  const [active, lastFinished] = await Promise.all([
+    getActiveBoost(userId, now),
+    prisma.profileBoost.findFirst({
+      where: { userId, endsAt: { lte: now } },
+      orderBy: { startedAt: 'desc' },
+    }),
+  ]);
+
+  return {
+    active: active ? { ...formatBoost(active, now), summary: await getBoostSummary(active) } : null,
+    lastBoost: lastFinished
+      ? { ...formatBoost(lastFinished, now), summary: await getBoostSummary(lastFinished) }
+      : null,
+  };
+};
+
+/**
+ * Count a deck appearance for each boosted user served to a viewer.
+ * Best-effort — impression bookkeeping must never break discovery.
+ */
+const recordBoostImpressions = async (userIds) => {
+  if (userIds.length === 0) {
+    return;
+  }
+  try {
+    await prisma.profileBoost.updateMany({
+      where: { userId: { in: userIds }, endsAt: { gt: new Date() } },
+      data: { impressions: { increment: 1 } },
+    });
+  } catch (error) {
+    logger.warn('Boost impression update failed:', error.message);
+  }
+};
+
+module.exports = {
+  BOOST_DURATION_MS,
+  activateBoost,
+  getActiveBoost,
+  getBoostStatus,
+  getBoostSummary,
+  recordBoostImpressions,
+};
@@ -0,0 +1,291 @@
+/**
+ * Date planning in chat
+ *
+ * Either member of a match can propose a date — a time window, a place
+ * name and optionally a location. The proposal is posted as a
+ * DATE_PROPOSAL chat message whose metadata carries the details; its
+ * live state is the DateProposal row. The other person accepts, declines
+ * or counters with another time, which posts a fresh proposal card and
+ * marks the one it answers COUNTERED. A pending proposal whose window has
+ * passed reads as EXPIRED and can no longer be answered.
+ *
+ * Realtime: every state change emits 'date-proposal-updated' with the
+ * proposal to both members' user rooms; new cards arrive through the
+ * usual new-message pipeline.
+ */
+
+const { getPrismaClient } = require('../config/database');
+const logger = require('../utils/logger');
+const { AppError } = require('../middleware/errorHandler');
+const { sendMessage } = require('./messagesService');
+
+const prisma = getPrismaClient();
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const MAX_WINDOW_HOURS = 12;
+const MAX_DAYS_AHEAD = 90;
+// Allows for clock skew and a slow submit of "right now" plans
+const START_GRACE_MS = 5 * 60 * 1000;
+
+const dateError = (message, status, code) => {
+  const error = new AppError(message, status);
+  error.code = code;
+  return error;
+};
+
+const assertMembership = async (matchId, userId) => {
+  const match = await prisma.match.findFirst({
+    where: { id: matchId, isActive: true, OR: [{ user1Id: userId }, { user2Id: userId }] },
+  });
+  if (!match) {
+    throw new AppError('Match not found', 404);
+  }
+  return match;
+};
+
+/**
+ * Check and normalize a proposed plan. `fallback` (the proposal being
+ * countered) supplies the place when a counter only changes the time.
+ */
+const parsePlan = (input, now, fallback = null) => {
+  const startsAt = new Date(input.startsAt);
+  const endsAt = new Date(input.endsAt);
+  if (Number.isNaN(startsAt.getTime()) || Number.isNaN(endsAt.getTime()) || endsAt <= startsAt) {
+    throw dateError('The date needs a start time before its end time', 400, 'INVALID_DATE_WINDOW');
+  }
+  if (endsAt - startsAt > MAX_WINDOW_HOURS * HOUR_MS) {
+    throw dateError(`A date can span at most ${MAX_WINDOW_HOURS} hours`, 400, 'INVALID_DATE_WINDOW');
+  }
+  if (startsAt < now - START_GRACE_MS || startsAt > now.getTime() + MAX_DAYS_AHEAD * DAY_MS) {
+    throw dateError(
+      `Pick a time between now and ${MAX_DAYS_AHEAD} days from now`,
+      400,
+      'INVALID_DATE_WINDOW',
+    );
+  }
+
+  const placeName = (input.placeName ?? fallback?.placeName ?? '').trim();
+  if (!placeName) {
+    throw dateError('Add a place for the date', 400, 'INVALID_DATE_PLACE');
+  }
+
+  const location = input.location !== undefined
+    ? input.location
+    : fallback && fallback.latitude !== null
+      ? { latitude: fallback.latitude, longitude: fallback.longitude, address: fallback.address }
+      : null;
+
+  return {
+    startsAt,
+    endsAt,
+    placeName,
+    latitude: location?.latitude ?? null,
+    longitude: location?.longitude ?? null,
+    address: location?.address ?? null,
+  };
+};
+
+const effectiveStatus = (proposal, now = new Date()) =>
+  proposal.status === 'PENDING' && proposal.endsAt <= now ? 'EXPIRED' : proposal.status;
+
+/** Client shape of a proposal. */
+const toSummary = (proposal, now = new Date()) => ({
+  id: proposal.id,
+  matchId: proposal.matchId,
+  messageId: proposal.messageId,
+  proposedBy: proposal.proposedBy,
+  status: effectiveStatus(proposal, now),
+  startsAt: proposal.startsAt,
+  endsAt: proposal.endsAt,
+  placeName: proposal.placeName,
+  location:
+    proposal.latitude !== null
+      ? { latitude: proposal.latitude, longitude: proposal.longitude, address: proposal.address }
+      : null,
+  counterOfId: proposal.counterOfId,
+  respondedAt: proposal.respondedAt,
+  createdAt: proposal.createdAt,
+});
+
+const emitProposalUpdate = (io, match, proposal) => {
+  if (!io) {
+    return;
+  }
+  const payload = { matchId: match.id, proposal: toSummary(proposal) };
+  io.to(`user:${match.user1Id}`).emit('date-proposal-updated', payload);
+  io.to(`user:${match.user2Id}`).emit('date-proposal-updated', payload);
+};
+
+/**
+ * Create a proposal and post its card. The row goes in first so the card's
+ * metadata can carry its id; if the card can't be sent (blocked, match
+ * ended meanwhile) the row is removed again.
+ */
+const createProposal = async (match, userId, plan, { counterOfId = null, io = null } = {}) => {
+  const proposal = await prisma.dateProposal.create({
+    data: { matchId: match.id, proposedBy: userId, counterOfId, ...plan },
+  });
+
+  let message;
+  try {
+    message = await sendMessage(
+      match.id,
+      userId,
+      {
+        content: `Date idea: ${plan.placeName}`,
+        messageType: 'DATE_PROPOSAL',
+        metadata: JSON.stringify({
+          kind: 'date-proposal',
+          proposalId: proposal.id,
+          counterOfId,
+          startsAt: plan.startsAt,
+          endsAt: plan.endsAt,
+          placeName: plan.placeName,
+          location: toSummary(proposal).location,
+        }),
+      },
+      io,
+    );
+  } catch (error) {
+    await prisma.dateProposal.delete({ where: { id: proposal.id } });
+    throw error;
+  }
+
+  return prisma.dateProposal.update({
+    where: { id: proposal.id },
+    data: { messageId: message.id },
+  });
+};
+
+/**
+ * Propose a date in a match.
+ */
+const proposeDate = async (matchId, userId, input, io = null) => {
+  const match = await assertMembership(matchId, userId);
+  const plan = parsePlan(input, new Date());
+
+  const proposal = await createProposal(match, userId, plan, { io });
+  logger.info(`📅 Date proposed in match ${matchId} by user ${userId}`);
+  return toSummary(proposal);
+};
+
+/**
+ * Load a proposal the user can answer: it belongs to this match, someone
+ * else proposed it, and it's still open.
+ */
+const loadAnswerable = async (matchId, proposalId, userId, now) => {
+  const match = await assertMembership(matchId, userId);
+  const proposal = await prisma.dateProposal.findFirst({ where: { id: proposalId, matchId } });
+  if (!proposal) {
+    throw new AppError('Date proposal not found', 404);
+  }
+  if (proposal.proposedBy === userId) {
+    throw dateError('You can\'t answer your own proposal', 403, 'OWN_PROPOSAL');
+  }
+  const status = effectiveStatus(proposal, now);
+  if (status === 'EXPIRED') {
+    throw dateError('This date has already passed', 409, 'PROPOSAL_EXPIRED');
+  }
+  if (status !== 'PENDING') {
+    throw dateError('This proposal has already been answered', 409, 'PROPOSAL_CLOSED');
+  }
+  return { match, proposal };
+};
+
+/**
+ * Move a pending proposal to `status`. Conditional on it still being
+ * pending, so two answers racing each other can't both land.
+ */
+const closeProposal = async (proposal, status, now) => {
+  const { count } = await prisma.dateProposal.updateMany({
+    where: { id: proposal.id, status: 'PENDING' },
+    data: { status, respondedAt: now },
+  });
+  if (count === 0) {
+    throw dateError('This proposal has already been answered', 409, 'PROPOSAL_CLOSED');
+  }
+  return prisma.dateProposal.findUnique({ where: { id: proposal.id } });
+};
+
+/**
+ * Accept or decline a proposal.
+ */
+const respondToProposal = async (matchId, proposalId, userId, accept, io = null) => {
+  const now = new Date();
+  const { match, proposal } = await loadAnswerable(matchId, proposalId, userId, now);
+
+  const updated = await closeProposal(proposal, accept ? 'ACCEPTED' : 'DECLINED', now);
+  emitProposalUpdate(io, match, updated);
+
+  logger.info(`📅 Date proposal ${proposalId} ${accept ? 'accepted' : 'declined'} by user ${userId}`);
+  return toSummary(updated);
+};
+
+const acceptProposal = (matchId, proposalId, userId, io = null) =>
+  respondToProposal(matchId, proposalId, userId, true, io);
+
+const declineProposal = (matchId, proposalId, userId, io = null) =>
+  respondToProposal(matchId, proposalId, userId, false, io);
+
+/**
+ * Suggest another time (and optionally place) for a proposal. The answer
+ * is a new proposal from this user; the original becomes COUNTERED.
+ */
+const counterProposal = async (matchId, proposalId, userId, input, io = null) => {
+  const now = new Date();
+  const { match, proposal } = await loadAnswerable(matchId, proposalId, userId, now);
+  const plan = parsePlan(input, now, proposal);
+
+  const countered = await closeProposal(proposal, 'COUNTERED', now);
+  let counter;
+  try {
+    counter = await createProposal(match, userId, plan, { counterOfId: proposal.id, io });
+  } catch (error) {
+    // No counter card went out — reopen the original
+    await prisma.dateProposal.update({
+      where: { id: proposal.id },
+      data: { status: 'PENDING', respondedAt: null },
+    });
+    throw error;
+  }
+  emitProposalUpdate(io, match, countered);
+
+  logger.info(`📅 Date proposal ${proposalId} countered by user ${userId} with ${counter.id}`);
+  return toSummary(counter);
+};
+
+/**
+ * Live state for the DATE_PROPOSAL cards among `messageIds`, keyed by
+ * message id.
+ */
+const getProposalsForMessages = async (messageIds) => {
+  if (messageIds.length === 0) {
+    return {};
+  }
+  const proposals = await prisma.dateProposal.findMany({
+    where: { messageId: { in: messageIds } },
+  });
+  const now = new Date();
+  return Object.fromEntries(proposals.map((p) => [p.messageId, toSummary(p, now)]));
+};
+
+/**
+ * A match's accepted plans, soonest first.
+ */
+const getAcceptedPlans = async (matchId) => {
+  const plans = await prisma.dateProposal.findMany({
+    where: { matchId, status: 'ACCEPTED' },
+    orderBy: { startsAt: 'asc' },
+  });
+  return plans.map((plan) => toSummary(plan));
+};
+
+module.exports = {
+  proposeDate,
+  acceptProposal,
+  declineProposal,
+  counterProposal,
+  getProposalsForMessages,
+  getAcceptedPlans,
+};
@@ -0,0 +1,197 @@
+/**
+ * Per-user ranked discovery decks.
+ *
+ * Building a deck (exclusions, priority likers, the scoring pass) is the
+ * expensive part of discovery; serving the next page of one is a slice.
+ * discoveryService builds a deck once, stores the ranked entries here and
+ * pages through them with an opaque cursor until the deck runs dry, the
+ * viewer's filters or location change, or it expires.
+ *
+ * Decks are kept current incrementally instead of being rebuilt on every
+ * swipe: actions remove the target from the actor's deck, blocks remove
+ * each user from the other's, and anything that can reshuffle a whole deck
+ * (a new like, unmatch, pause/resume) drops it. Paused or deactivated
+ * users are filtered out of everyone's decks lazily when a page is
+ * hydrated, since nothing indexes which decks hold them.
+ *
+ * The store speaks a small subset of the Redis command set — async
+ * `get(key)`, `set(key, value, 'EX', seconds)` and `del(key)` over string
+ * values — so an ioredis client can be dropped in with setDeckStore()
+ * when the API runs on more than one instance. The default store is
+ * in-process memory. Cache failures are logged and treated as misses;
+ * they never fail a request.
+ */
+
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+const DECK_TTL_SECONDS = 15 * 60;
+// Upper bound on decks the in-memory store holds; the oldest go first
+const MEMORY_STORE_MAX_DECKS = 10000;
+
+const deckKey = (userId) => `deck:${userId}`;
+
+/**
+ * In-process store with per-key expiry. Map insertion order doubles as
+ * write order, so eviction drops the least recently written deck.
+ */
+const createMemoryDeckStore = ({ maxEntries = MEMORY_STORE_MAX_DECKS } = {}) => {
+  const entries = new Map();
+
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) {
+        return null;
+      }
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return null;
+      }
+      return entry.value;
+    },
+
+    async set(key, value, mode, seconds) {
+      const ttlMs = mode === 'EX' ? seconds * 1000 : Infinity;
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+      return 'OK';
+    },
+
+    async del(key) {
+      return entries.delete(key) ? 1 : 0;
+    },
+  };
+};
+
+let store = createMemoryDeckStore();
+
+/** Swap the backing store (e.g. an ioredis client). */
+const setDeckStore = (nextStore) => {
+  store = nextStore;
+};
+
+/**
+ * Stable fingerprint of everything a deck was ranked against. A request
+ * whose fingerprint differs from the stored deck's gets a fresh deck.
+ */
+const fingerprint = (inputs) =>
+  crypto.createHash('sha1').update(JSON.stringify(inputs)).digest('hex');
+
+const readDeck = async (userId) => {
+  try {
+    const raw = await store.get(deckKey(userId));
+    return raw ? JSON.parse(raw) : null;
+  } catch (error) {
+    logger.warn(`Deck cache read failed for ${userId}:`, error.message);
+    return null;
+  }
+};
+
+const writeDeck = async (userId, deck) => {
+  try {
+    await store.set(deckKey(userId), JSON.stringify(deck), 'EX', DECK_TTL_SECONDS);
+  } catch (error) {
+    logger.warn(`Deck cache write failed for ${userId}:`, error.message);
+  }
+};
+
+/**
+ * Store a freshly ranked deck. `entries` are in rank order and must be
+ * JSON-safe; the returned deck carries the ID cursors refer to.
+ */
+const saveDeck = async (userId, fingerprintValue, entries) => {
+  const deck = {
+    id: crypto.randomBytes(6).toString('hex'),
+    fingerprint: fingerprintValue,
+    builtAt: new Date().toISOString(),
+    entries,
+    removed: [],
+  };
+  await writeDeck(userId, deck);
+  return deck;
+};
+
+/** The user's deck when it was ranked against `fingerprintValue`. */
+const getDeck = async (userId, fingerprintValue) => {
+  const deck = await readDeck(userId);
+  return deck && deck.fingerprint === fingerprintValue ? deck : null;
+};
+
+/**
+ * Next page of a deck. Cursors are `<deckId>.<index>` into the deck's
+ * entry list, which never changes after ranking — removals are recorded
+ * beside it — so a cursor stays valid while cards are being swiped away.
+ * A cursor from an older deck starts over from the top.
+ */
+const pageDeck = (deck, { cursor = null, limit = 20, excludeIds = [] } = {}) => {
+  let start = 0;
+  if (cursor) {
+    const [cursorDeckId, index] = String(cursor).split('.');
+    if (cursorDeckId === deck.id && Number.isInteger(Number(index))) {
+      start = Math.max(0, Number(index));
+    }
+  }
+
+  const skip = new Set([...deck.removed, ...excludeIds]);
+  const page = [];
+  let index = start;
+  for (; index < deck.entries.length && page.length < limit; index++) {
+    if (!skip.has(deck.entries[index].id)) {
+      page.push(deck.entries[index]);
+    }
+  }
+
+  return {
+    entries: page,
+    nextCursor: index < deck.entries.length ? `${deck.id}.${index}` : null,
+  };
+};
+
+/**
+ * Take users out of a viewer's deck (acted on, blocked). Read-modify-write
+ * rather than atomic: a lost race only costs a duplicate card, which the
+ * action endpoints already reject.
+ */
+const removeFromDeck = async (viewerId, targetIds) => {
+  const deck = await readDeck(viewerId);
+  if (!deck) {
+    return;
+  }
+  const ids = Array.isArray(targetIds) ? targetIds : [targetIds];
+  const present = new Set(deck.entries.map((entry) => entry.id));
+  const removed = new Set(deck.removed);
+  ids.filter((id) => present.has(id)).forEach((id) => removed.add(id));
+  if (removed.size === deck.removed.length) {
+    return;
+  }
+  await writeDeck(viewerId, { ...deck, removed: [...removed] });
+};
+
+/** Drop decks outright; the next request ranks from scratch. */
+const invalidateDeck = async (...userIds) => {
+  await Promise.all(
+    userIds.filter(Boolean).map(async (userId) => {
+      try {
+        await store.del(deckKey(userId));
+      } catch (error) {
+        logger.warn(`Deck cache invalidation failed for ${userId}:`, error.message);
+      }
+    }),
+  );
+};
+
+module.exports = {
+  DECK_TTL_SECONDS,
+  createMemoryDeckStore,
+  setDeckStore,
+  fingerprint,
+  saveDeck,
+  getDeck,
+  pageDeck,
+  removeFromDeck,
+  invalidateDeck,
+};
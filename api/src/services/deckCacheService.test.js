@@ -0,0 +1,103 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+const {
+  createMemoryDeckStore,
+  setDeckStore,
+  saveDeck,
+  getDeck,
+  pageDeck,
+  removeFromDeck,
+  invalidateDeck,
+} = require('./deckCacheService');
+
+const entries = (...ids) => ids.map((id) => ({ id, matchScore: 0 }));
+
+describe('Deck Cache Service', () => {
+  beforeEach(() => {
+    setDeckStore(createMemoryDeckStore());
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  describe('pageDeck', () => {
+    it('pages by cursor and ends with a null cursor', async () => {
+      const deck = await saveDeck('viewer', 'fp', entries('a', 'b', 'c', 'd', 'e'));
+
+      const first = pageDeck(deck, { limit: 2 });
+      const second = pageDeck(deck, { limit: 2, cursor: first.nextCursor });
+      const third = pageDeck(deck, { limit: 2, cursor: second.nextCursor });
+
+      expect(first.entries.map((e) => e.id)).toEqual(['a', 'b']);
+      expect(second.entries.map((e) => e.id)).toEqual(['c', 'd']);
+      expect(third.entries.map((e) => e.id)).toEqual(['e']);
+      expect(third.nextCursor).toBeNull();
+    });
+
+    it('skips removed and client-excluded entries without shifting the cursor', async () => {
+      await saveDeck('viewer', 'fp', entries('a', 'b', 'c', 'd'));
+      const first = pageDeck(await getDeck('viewer', 'fp'), { limit: 2 });
+
+      await removeFromDeck('viewer', 'a');
+      const deck = await getDeck('viewer', 'fp');
+      const next = pageDeck(deck, { limit: 2, cursor: first.nextCursor, excludeIds: ['c'] });
+
+      expect(next.entries.map((e) => e.id)).toEqual(['d']);
+      expect(pageDeck(deck, { limit: 10 }).entries.map((e) => e.id)).toEqual(['b', 'c', 'd']);
+    });
+
+    it('starts over when the cursor belongs to an older deck', async () => {
+      const old = await saveDeck('viewer', 'fp', entries('a', 'b'));
+      const { nextCursor } = pageDeck(old, { limit: 1 });
+      const rebuilt = await saveDeck('viewer', 'fp', entries('x', 'y'));
+
+      expect(pageDeck(rebuilt, { limit: 1, cursor: nextCursor }).entries[0].id).toBe('x');
+    });
+  });
+
+  describe('store', () => {
+    it('misses when the fingerprint differs', async () => {
+      await saveDeck('viewer', 'fp-1', entries('a'));
+      expect(await getDeck('viewer', 'fp-2')).toBeNull();
+      expect((await getDeck('viewer', 'fp-1')).entries).toHaveLength(1);
+    });
+
+    it('drops decks on invalidation and expiry', async () => {
+      vi.useFakeTimers();
+      await saveDeck('a', 'fp', entries('x'));
+      await saveDeck('b', 'fp', entries('x'));
+
+      await invalidateDeck('a');
+      expect(await getDeck('a', 'fp')).toBeNull();
+      expect(await getDeck('b', 'fp')).not.toBeNull();
+
+      vi.advanceTimersByTime(16 * 60 * 1000);
+      expect(await getDeck('b', 'fp')).toBeNull();
+    });
+
+    it('evicts the oldest deck past the size bound', async () => {
+      setDeckStore(createMemoryDeckStore({ maxEntries: 2 }));
+      await saveDeck('a', 'fp', entries('x'));
+      await saveDeck('b', 'fp', entries('x'));
+      await saveDeck('c', 'fp', entries('x'));
+
+      expect(await getDeck('a', 'fp')).toBeNull();
+      expect(await getDeck('c', 'fp')).not.toBeNull();
+    });
+
+    it('treats store failures as cache misses', async () => {
+      setDeckStore({
+        get: vi.fn().mockRejectedValue(new Error('connection lost')),
+        set: vi.fn().mockRejectedValue(new Error('connection lost')),
+        del: vi.fn().mockRejectedValue(new Error('connection lost')),
+      });
+
+      const deck = await saveDeck('viewer', 'fp', entries('a'));
+      expect(deck.entries).toHaveLength(1);
+      expect(await getDeck('viewer', 'fp')).toBeNull();
+      await expect(removeFromDeck('viewer', 'a')).resolves.toBeUndefined();
+      await expect(invalidateDeck('viewer')).resolves.toBeUndefined();
+    });
+  });
+});
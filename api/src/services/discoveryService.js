@@ -1,15 +1,132 @@
+const { Prisma } = require('@prisma/client');
 const { getPrismaClient } = require('../config/database');
 const logger = require('../utils/logger');
 const { PUBLIC_USER_SELECT } = require('../utils/userSelectors');
+const { getSharedTraits, calculateAge, parseRelationshipType } = require('../utils/profileUtils');
+const { recordBoostImpressions } = require('./boostService');
+const { getExperimentOverrides } = require('./experimentsService');
+const { fingerprint, getDeck, saveDeck, pageDeck } = require('./deckCacheService');
+const { TRAVEL_SELECT, isTravelActive } = require('./travelService');
 
 const prisma = getPrismaClient();
 
+// Candidates scored per deck refresh. Selection happens in SQL (hard
+// filters applied, nearest first), so this bounds the work done in Node
+// instead of sampling an arbitrary slice of the users table.
+const CANDIDATE_POOL_SIZE = 200;
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * Pass recycling, tunable from the admin panel without a deploy (AppConfig
+ * key `discovery`, e.g. { "passCooldownDays": 30 }). A PASS older than the
+ * cooldown no longer hides that person; 0 keeps passes forever, which is
+ * also the default until an admin sets a window. Likes and blocks are never
+ * recycled. Cached in-process for 60s; the code default serves when unset
+ * or on read failure.
+ */
+const DEFAULT_PASS_COOLDOWN_DAYS = 0;
+const DISCOVERY_CONFIG_CACHE_TTL_MS = 60 * 1000;
+let discoveryConfigCache = { value: null, fetchedAt: 0 };
+
+const getPassCooldownDays = async () => {
+  const now = Date.now();
+  if (!discoveryConfigCache.value || now - discoveryConfigCache.fetchedAt > DISCOVERY_CONFIG_CACHE_TTL_MS) {
+    let value = {};
+    try {
+      const row = await prisma.appConfig.findUnique({ where: { key: 'discovery' } });
+      if (row?.value && typeof row.value === 'object') {
+        value = row.value;
+      }
+    } catch (error) {
+      // Fail open on code defaults — config reads must never break discovery
+    }
+    discoveryConfigCache = { value, fetchedAt: now };
+  }
+  const configured = Number(discoveryConfigCache.value.passCooldownDays);
+  return Number.isInteger(configured) && configured >= 0 ? configured : DEFAULT_PASS_COOLDOWN_DAYS;
+};
+
+/** Drop the cached discovery config so the next read hits AppConfig (tests). */
+const clearDiscoveryConfigCache = () => {
+  discoveryConfigCache = { value: null, fetchedAt: 0 };
+};
+
+/**
+ * calculateMatchScore weights (points at full match), tunable from the
+ * admin panel (AppConfig key `ranking`, e.g. { "distance": 60 }). Unset or
+ * invalid entries fall back to these defaults; cached in-process for 60s.
+ * A running experiment can override weights for the viewer's cohort.
+ */
+const DEFAULT_RANKING_WEIGHTS = Object.freeze({
+  mutualInterest: 100,
+  age: 50,
+  distance: 40,
+  interests: 30,
+  relationshipType: 20,
+  activity: 10,
+  completeness: 10,
+  premium: 5,
+});
+const RANKING_CACHE_TTL_MS = 60 * 1000;
+let rankingCache = { value: null, fetchedAt: 0 };
+
+const getRankingWeights = async (userId = null) => {
+  const now = Date.now();
+  if (!rankingCache.value || now - rankingCache.fetchedAt > RANKING_CACHE_TTL_MS) {
+    let value = {};
+    try {
+      const row = await prisma.appConfig.findUnique({ where: { key: 'ranking' } });
+      if (row?.value && typeof row.value === 'object') {
+        value = row.value;
+      }
+    } catch (error) {
+      // Fail open on code defaults — config reads must never break discovery
+    }
+    rankingCache = { value, fetchedAt: now };
+  }
+  const configuredWeights = {
+    ...rankingCache.value,
+    ...(await getExperimentOverrides(userId, 'ranking')),
+  };
+  const weights = { ...DEFAULT_RANKING_WEIGHTS };
+  for (const key of Object.keys(weights)) {
+    const configured = Number(configuredWeights[key]);
+    if (configuredWeights[key] !== undefined && Number.isFinite(configured) && configured >= 0) {
+      weights[key] = configured;
+    }
+  }
+  return weights;
+};
+
+/** Drop the cached ranking weights so the next read hits AppConfig (tests). */
+const clearRankingWeightsCache = () => {
+  rankingCache = { value: null, fetchedAt: 0 };
+};
+
+/**
+ * Oldest PASS timestamp still in force, or null when passes never expire.
+ */
+const getPassRecycleCutoff = (cooldownDays, now = new Date()) =>
+  cooldownDays > 0 ? new Date(now.getTime() - cooldownDays * 24 * 60 * 60 * 1000) : null;
+
+/**
+ * Whether an existing action is a PASS whose cooldown has run out, so the
+ * sender may act on that person again.
+ */
+const isRecycledPass = async (action) => {
+  if (action?.action !== 'PASS') {
+    return false;
+  }
+  const cutoff = getPassRecycleCutoff(await getPassCooldownDays());
+  return cutoff !== null && new Date(action.createdAt) < cutoff;
+};
+
 /**
  * Calculate distance between two coordinates using Haversine formula
  * @returns Distance in kilometers
  */
 const calculateDistance = (lat1, lon1, lat2, lon2) => {
-  const R = 6371; // Earth's radius in kilometers
+  const R = EARTH_RADIUS_KM;
   const dLat = toRad(lat2 - lat1);
   const dLon = toRad(lon2 - lon1);
   
@@ -28,31 +145,19 @@ const toRad = (deg) => {
   return deg * (Math.PI / 180);
 };
 
-/**
- * Calculate age from birth date
- */
-const calculateAge = (birthDate) => {
-  if (!birthDate) {
-    return null;
-  }
-
-  const today = new Date();
-  const birth = new Date(birthDate);
-  let age = today.getFullYear() - birth.getFullYear();
-  const monthDiff = today.getMonth() - birth.getMonth();
-
-  if (monthDiff < 0 || (monthDiff === 0 && today.getDate() < birth.getDate())) {
-    age--;
-  }
-
-  return age;
-};
-
 /**
  * Calculate preference match score for a user
- * Higher score = better match
+ * Higher score = better match. Point values below are the default
+ * weights; each component scales with its configured weight. Ages and
+ * activity are measured at `now`.
  */
-const calculateMatchScore = (currentUser, otherUser, filters = {}) => {
+const calculateMatchScore = (
+  currentUser,
+  otherUser,
+  filters = {},
+  weights = DEFAULT_RANKING_WEIGHTS,
+  now = new Date(),
+) => {
   let score = 0;
   const scoreBreakdown = {};
   
@@ -66,25 +171,25 @@ const calculateMatchScore = (currentUser, otherUser, filters = {}) => {
   const mutualInterest = currentUserInterested && otherUserInterested;
   
   if (mutualInterest) {
-    score += 100;
-    scoreBreakdown.mutualInterest = 100;
+    score += weights.mutualInterest;
+    scoreBreakdown.mutualInterest = weights.mutualInterest;
   } else {
     scoreBreakdown.mutualInterest = 0;
   }
   
   // 2. AGE PREFERENCE (50 points max)
-  const currentAge = calculateAge(currentUser.birthDate);
-  const otherAge = calculateAge(otherUser.birthDate);
+  const currentAge = calculateAge(currentUser.birthDate, now);
+  const otherAge = calculateAge(otherUser.birthDate, now);
   
   if (filters.ageRange && currentAge && otherAge) {
     const { min, max } = filters.ageRange;
     if (otherAge >= min && otherAge <= max) {
-      score += 50;
-      scoreBreakdown.ageMatch = 50;
+      score += weights.age;
+      scoreBreakdown.ageMatch = weights.age;
     } else {
-      // Partial score based on how close they are to range
+      // Partial score based on how close they are to range (-10% per year)
       const distance = otherAge < min ? min - otherAge : otherAge - max;
-      const partialScore = Math.max(0, 50 - (distance * 5));
+      const partialScore = Math.max(0, weights.age - (distance * weights.age / 10));
       score += partialScore;
       scoreBreakdown.ageMatch = partialScore;
     }
@@ -103,12 +208,15 @@ const calculateMatchScore = (currentUser, otherUser, filters = {}) => {
     if (filters.maxDistance) {
       if (distance <= filters.maxDistance) {
         // Full points if within preferred distance
-        const distanceScore = 40 * (1 - (distance / filters.maxDistance));
+        const distanceScore = weights.distance * (1 - (distance / filters.maxDistance));
         score += distanceScore;
         scoreBreakdown.distance = distanceScore;
       } else {
-        // Partial points if outside preferred distance
-        const distanceScore = Math.max(0, 40 - ((distance - filters.maxDistance) / 10));
+        // Partial points if outside preferred distance (1/40 of the weight lost per 10km)
+        const distanceScore = Math.max(
+          0,
+          weights.distance - ((distance - filters.maxDistance) / 10) * (weights.distance / 40)
+        );
         score += distanceScore;
         scoreBreakdown.distance = distanceScore;
       }
@@ -121,7 +229,8 @@ const calculateMatchScore = (currentUser, otherUser, filters = {}) => {
     otherUser.interests || []
   );
   if (sharedInterests > 0) {
-    const interestScore = Math.min(30, sharedInterests * 10);
+    // Saturates at three shared interests
+    const interestScore = Math.min(weights.interests, sharedInterests * weights.interests / 3);
     score += interestScore;
     scoreBreakdown.interests = interestScore;
   }
@@ -137,21 +246,21 @@ const calculateMatchScore = (currentUser, otherUser, filters = {}) => {
     
     const hasMatch = currentTypes.some(type => otherTypes.includes(type));
     if (hasMatch) {
-      score += 20;
-      scoreBreakdown.relationshipType = 20;
+      score += weights.relationshipType;
+      scoreBreakdown.relationshipType = weights.relationshipType;
     }
   }
   
   // 6. ACTIVITY LEVEL (10 points)
   const daysSinceActive = Math.floor(
-    (new Date() - new Date(otherUser.lastActive)) / (1000 * 60 * 60 * 24)
+    (now - new Date(otherUser.lastActive)) / (1000 * 60 * 60 * 24)
   );
   if (daysSinceActive <= 7) {
-    score += 10;
-    scoreBreakdown.activity = 10;
+    score += weights.activity;
+    scoreBreakdown.activity = weights.activity;
   } else if (daysSinceActive <= 30) {
-    score += 5;
-    scoreBreakdown.activity = 5;
+    score += weights.activity / 2;
+    scoreBreakdown.activity = weights.activity / 2;
   }
   
   // 7. PROFILE COMPLETENESS (10 points)
@@ -160,15 +269,16 @@ const calculateMatchScore = (currentUser, otherUser, filters = {}) => {
   if (otherUser.education) {completeness++;}
   if (otherUser.profession) {completeness++;}
   if (otherUser.height) {completeness++;}
-  if (otherUser.photos?.length >= 3) {completeness++;}
-  const completenessScore = completeness * 2;
+  // SQL candidate rows carry a photo count instead of the photo list
+  if ((otherUser.photoCount ?? otherUser.photos?.length ?? 0) >= 3) {completeness++;}
+  const completenessScore = completeness * weights.completeness / 5;
   score += completenessScore;
   scoreBreakdown.completeness = completenessScore;
   
   // 8. PREMIUM BOOST (5 points if both are premium)
   if (currentUser.isPremium && otherUser.isPremium) {
-    score += 5;
-    scoreBreakdown.premium = 5;
+    score += weights.premium;
+    scoreBreakdown.premium = weights.premium;
   }
   
   return { score, breakdown: scoreBreakdown };
@@ -217,90 +327,324 @@ const passesStrictMultiValueFilter = (userValues, filterValues) => {
   return normalizedUser.some(val => normalizedFilter.includes(val));
 };
 
-const getUsersForDiscovery = async (currentUserId, options = {}) => {
-  try {
-    // First check if user is eligible for discovery and get full profile
-    const currentUser = await prisma.user.findUnique({
-      where: { id: currentUserId },
-      select: {
-        gender: true,
-        interestedIn: true,
-        location: true,
-        isDiscoverable: true,
-        latitude: true,
-        longitude: true,
-        birthDate: true,
-        isPremium: true,
-        relationshipType: true,
-        // Discovery preferences
-        minAge: true,
-        maxAge: true,
-        maxDistance: true,
-        interests: {
-          include: {
-            interest: true,
-          },
+/**
+ * Lat/long box enclosing a radius around a point — a cheap prefilter the
+ * (latitude, longitude) index can serve ahead of the exact great-circle
+ * check. Longitude bounds are dropped when the box reaches a pole or
+ * wraps the antimeridian; the distance check still applies.
+ */
+const getBoundingBox = (lat, lon, radiusKm) => {
+  const angularRadius = radiusKm / EARTH_RADIUS_KM;
+  const latDelta = angularRadius * (180 / Math.PI);
+  const minLat = lat - latDelta;
+  const maxLat = lat + latDelta;
+
+  if (minLat <= -90 || maxLat >= 90) {
+    return { minLat: Math.max(minLat, -90), maxLat: Math.min(maxLat, 90), minLon: null, maxLon: null };
+  }
+
+  const lonDelta = Math.asin(Math.sin(angularRadius) / Math.cos(toRad(lat))) * (180 / Math.PI);
+  if (lon - lonDelta < -180 || lon + lonDelta > 180) {
+    return { minLat, maxLat, minLon: null, maxLon: null };
+  }
+
+  return { minLat, maxLat, minLon: lon - lonDelta, maxLon: lon + lonDelta };
+};
+
+/**
+ * Travel mode: a candidate with a trip running at `now` is placed at the
+ * visiting coordinates instead of their real ones (SQL twin of
+ * travelService.isTravelActive).
+ */
+const visitingSql = (now) => Prisma.sql`(
+  u."visitingUntil" > (${now}::timestamptz AT TIME ZONE 'UTC')
+  AND u."visitingLatitude" IS NOT NULL AND u."visitingLongitude" IS NOT NULL
+)`;
+const candidateLatSql = (now) =>
+  Prisma.sql`(CASE WHEN ${visitingSql(now)} THEN u."visitingLatitude" ELSE u."latitude" END)`;
+const candidateLonSql = (now) =>
+  Prisma.sql`(CASE WHEN ${visitingSql(now)} THEN u."visitingLongitude" ELSE u."longitude" END)`;
+
+/**
+ * Bounding-box prefilter over a candidate's effective position. Written
+ * as real-or-visiting so each branch can use its own coordinate index.
+ */
+const withinBoxSql = (box, now) => {
+  const inBox = (latCol, lonCol) => (box.minLon !== null
+    ? Prisma.sql`(${latCol} BETWEEN ${box.minLat} AND ${box.maxLat} AND ${lonCol} BETWEEN ${box.minLon} AND ${box.maxLon})`
+    : Prisma.sql`(${latCol} BETWEEN ${box.minLat} AND ${box.maxLat})`);
+  return Prisma.sql`(
+    ${inBox(Prisma.sql`u."latitude"`, Prisma.sql`u."longitude"`)}
+    OR (${visitingSql(now)} AND ${inBox(Prisma.sql`u."visitingLatitude"`, Prisma.sql`u."visitingLongitude"`)})
+  )`;
+};
+
+/**
+ * Great-circle distance (km) from a fixed point to each candidate's
+ * effective position, computed in SQL so ordering and radius checks never
+ * leave the database. NULL when either side has no coordinates.
+ */
+const distanceSql = (lat, lon, now) => {
+  if (lat == null || lon == null) {
+    return Prisma.sql`NULL::double precision`;
+  }
+  const candidateLat = candidateLatSql(now);
+  return Prisma.sql`(${EARTH_RADIUS_KM}::double precision * 2 * asin(least(1, sqrt(
+    power(sin(radians(${candidateLat} - ${lat}::double precision) / 2), 2) +
+    cos(radians(${lat}::double precision)) * cos(radians(${candidateLat})) *
+    power(sin(radians(${candidateLonSql(now)} - ${lon}::double precision) / 2), 2)
+  ))))`;
+};
+
+/**
+ * Birth-date window for an inclusive age range, matching calculateAge:
+ * age >= min once the min-th birthday has passed, age <= max until the
+ * (max + 1)-th birthday.
+ */
+const getBirthDateBounds = ({ min, max }, now = new Date()) => {
+  const latest = new Date(now);
+  latest.setFullYear(latest.getFullYear() - min);
+  const earliestExclusive = new Date(now);
+  earliestExclusive.setFullYear(earliestExclusive.getFullYear() - (max + 1));
+  return { latest, earliestExclusive };
+};
+
+const activeBoostSql = (now) => Prisma.sql`EXISTS (
+  SELECT 1 FROM "profile_boosts" pb
+  WHERE pb."userId" = u."id" AND pb."endsAt" > (${now}::timestamptz AT TIME ZONE 'UTC')
+)`;
+
+/**
+ * IDs of every running boost, for the deck fingerprint: starting or ending
+ * any boost changes it, so a cached deck never outlives the boosts it was
+ * ranked with.
+ */
+const getActiveBoostIds = async (now) => {
+  const boosts = await prisma.profileBoost.findMany({
+    where: { endsAt: { gt: now } },
+    select: { id: true },
+    orderBy: { id: 'asc' },
+  });
+  return boosts.map((boost) => boost.id);
+};
+
+/**
+ * Slim candidate rows: only the columns scoring and strict filters read.
+ * Photos and interests arrive as a count and an ID list; full profiles are
+ * hydrated later for the final page only. Column-level selection keeps
+ * credentials and tokens in the database, as PUBLIC_USER_SELECT does.
+ * `recycled` marks people the viewer passed on before the cooldown ran
+ * out — any action row that survives the exclusion filter is such a PASS —
+ * and they sort behind fresh profiles. `boosted` marks a running Profile
+ * Boost.
+ */
+const fetchCandidates = (viewerId, conditions, distanceExpr, limit, now) => prisma.$queryRaw`
+  SELECT u."id",
+         u."gender"::text AS "gender",
+         u."interestedIn"::text[] AS "interestedIn",
+         u."birthDate",
+         u."lastActive",
+         u."bio",
+         u."education",
+         u."profession",
+         u."height",
+         u."relationshipType",
+         u."smoking",
+         u."drinking",
+         u."languages",
+         u."isPremium",
+         u."isVerified",
+         ${candidateLatSql(now)} AS "latitude",
+         ${candidateLonSql(now)} AS "longitude",
+         CASE WHEN ${visitingSql(now)} THEN u."visitingLocation" END AS "visitingLocation",
+         ${distanceExpr} AS "distanceKm",
+         (SELECT COUNT(*)::int FROM "photos" p WHERE p."userId" = u."id") AS "photoCount",
+         ARRAY(SELECT ui."interestId" FROM "user_interests" ui WHERE ui."userId" = u."id") AS "interestIds",
+         EXISTS (
+           SELECT 1 FROM "user_actions" a
+           WHERE a."senderId" = ${viewerId} AND a."receiverId" = u."id"
+         ) AS "recycled",
+         ${activeBoostSql(now)} AS "boosted"
+  FROM "users" u
+  WHERE ${Prisma.join(conditions, ' AND ')}
+  ORDER BY "recycled" ASC, "distanceKm" ASC NULLS LAST, u."lastActive" DESC
+  LIMIT ${limit}
+`;
+
+/**
+ * Load full public profiles for a ranked page and merge in the scoring
+ * fields, preserving rank order. Users who vanished since ranking —
+ * deleted, deactivated or paused after a cached deck was built — are
+ * dropped. The interests and languages each card shares with `viewer`
+ * are worked out here rather than cached, so they follow profile edits.
+ */
+const hydrateRankedPage = async (rankedUsers, viewer) => {
+  if (rankedUsers.length === 0) {
+    return [];
+  }
+
+  const profiles = await prisma.user.findMany({
+    where: {
+      id: { in: rankedUsers.map((u) => u.id) },
+      isActive: true,
+      isProfilePaused: false,
+    },
+    select: {
+      ...PUBLIC_USER_SELECT,
+      interestedIn: true,
+      minAge: true,
+      maxAge: true,
+      photos: {
+        orderBy: [
+          { isMain: 'desc' }, // Main photo first
+          { order: 'asc' }, // Then by order
+        ],
+      },
+      interests: {
+        include: {
+          interest: true,
         },
-        photos: true, // Add photos to check if user has any
-      }
+      },
+    },
+  });
+  const profilesById = new Map(profiles.map((p) => [p.id, p]));
+
+  return rankedUsers
+    .filter((ranked) => profilesById.has(ranked.id))
+    .map((ranked) => {
+      const profile = profilesById.get(ranked.id);
+
+      // Get main photo URL - prioritize mainPhotoUrl field, then first photo with isMain
+      const mainPhotoUrl = profile.mainPhotoUrl ||
+        profile.photos?.find(p => p.isMain)?.url ||
+        profile.photos?.[0]?.url || null;
+
+      return {
+        ...profile,
+        age: ranked.age,
+        mainPhotoUrl,
+        distance: ranked.distance,
+        matchScore: ranked.matchScore,
+        scoreBreakdown: ranked.scoreBreakdown,
+        sharedInterestsCount: ranked.sharedInterestsCount,
+        // Highlighted on the card as things you have in common
+        ...getSharedTraits(viewer, profile),
+        interests: profile.interests.map(ui => ui.interest.name),
+        relationshipType: ranked.relationshipType,
+        matchesPreferences: ranked.matchesPreferences,
+        // "Visiting X" on the card: shown at a trip destination, not home
+        visiting: ranked.visiting ?? null,
+        // The card shows a Super Like badge, and viewing it sends the
+        // sender a "seen" receipt
+        superLikedYou: ranked.superLikedYou ?? false,
+      };
     });
+};
 
-    if (!currentUser) {
-      throw new Error('User not found');
+/**
+ * Load the viewer's discovery profile and check they can use discovery at
+ * all. Throws `CODE: message` errors the routes map to client errors.
+ * A trip running at `now` moves the viewer to the visiting coordinates.
+ */
+const loadViewer = async (currentUserId, now = new Date()) => {
+  const currentUser = await prisma.user.findUnique({
+    where: { id: currentUserId },
+    select: {
+      gender: true,
+      interestedIn: true,
+      location: true,
+      isDiscoverable: true,
+      latitude: true,
+      longitude: true,
+      birthDate: true,
+      isPremium: true,
+      relationshipType: true,
+      // Discovery preferences
+      minAge: true,
+      maxAge: true,
+      maxDistance: true,
+      interests: {
+        include: {
+          interest: true,
+        },
+      },
+      languages: true,
+      photos: true, // Add photos to check if user has any
+      ...TRAVEL_SELECT,
     }
+  });
 
-    // Check if user has completed profile setup
-    if (!currentUser.gender || !currentUser.interestedIn?.length) {
-      throw new Error('PROFILE_INCOMPLETE: Please complete your profile setup (gender and preferences required)');
-    }
+  if (!currentUser) {
+    throw new Error('User not found');
+  }
 
-    // Check if user has photos (required for discovery)
-    if (!currentUser.photos || currentUser.photos.length === 0) {
-      throw new Error('PHOTOS_REQUIRED: At least one photo is required to use discovery');
-    }
+  // Check if user has completed profile setup
+  if (!currentUser.gender || !currentUser.interestedIn?.length) {
+    throw new Error('PROFILE_INCOMPLETE: Please complete your profile setup (gender and preferences required)');
+  }
 
-    if (!currentUser.location) {
-      throw new Error('LOCATION_REQUIRED: Location is required for discovery');
-    }
+  // Check if user has photos (required for discovery)
+  if (!currentUser.photos || currentUser.photos.length === 0) {
+    throw new Error('PHOTOS_REQUIRED: At least one photo is required to use discovery');
+  }
+
+  if (!currentUser.location) {
+    throw new Error('LOCATION_REQUIRED: Location is required for discovery');
+  }
+
+  // A running trip moves the viewer's reference point; their real
+  // location stays as stored
+  if (isTravelActive(currentUser, now)) {
+    currentUser.latitude = currentUser.visitingLatitude;
+    currentUser.longitude = currentUser.visitingLongitude;
+  }
+
+  return currentUser;
+};
+
+/**
+ * Request filters over the viewer's saved preferences, with defaults for
+ * anything neither sets.
+ */
+const resolveFilters = (currentUser, filters = {}) => ({
+  ageRange: {
+    min: filters.ageRange?.min ?? currentUser?.minAge ?? 18,
+    max: filters.ageRange?.max ?? currentUser?.maxAge ?? 99
+  },
+  maxDistance: filters.maxDistance ?? currentUser?.maxDistance ?? 50, // km
+  // Photos are now always required - removed from filters
+  strictAge: filters.strictAge ?? false,
+  strictDistance: filters.strictDistance ?? false,
+  relationshipType: filters.relationshipType ?? [],
+  strictRelationshipType: filters.strictRelationshipType ?? false,
+  education: filters.education ?? [],
+  strictEducation: filters.strictEducation ?? false,
+  smoking: filters.smoking ?? [],
+  strictSmoking: filters.strictSmoking ?? false,
+  drinking: filters.drinking ?? [],
+  strictDrinking: filters.strictDrinking ?? false,
+  languages: filters.languages ?? [],
+  strictLanguages: filters.strictLanguages ?? false,
+  // 'shared_interests' ranks people with the most interests in common
+  // first, right after those who already liked the viewer
+  sortBy: filters.sortBy === 'shared_interests' ? 'shared_interests' : 'recommended',
+});
 
+/**
+ * Rank the viewer's whole deck: every candidate in the pool that passes
+ * the hard and strict filters, best first. When a `trace` object is
+ * passed (explainDiscovery), the filters and per-candidate rejections are
+ * recorded on it. `options.now` sets the clock the ranking runs on.
+ */
+const rankDeck = async (currentUserId, currentUser, defaultFilters, options = {}, trace = null) => {
+  try {
     const {
-      limit = 20,
       excludeIds = [],
       filters = {},
-      strictMode = false // If true, only show perfect matches
+      strictMode = false, // If true, only show perfect matches
+      now = new Date(),
     } = options;
 
-    // Default filter values - use user's saved preferences or fall back to defaults
-    const defaultFilters = {
-      ageRange: {
-        min: filters.ageRange?.min ?? currentUser?.minAge ?? 18,
-        max: filters.ageRange?.max ?? currentUser?.maxAge ?? 99
-      },
-      maxDistance: filters.maxDistance ?? currentUser?.maxDistance ?? 50, // km
-      // Photos are now always required - removed from filters
-      strictAge: filters.strictAge ?? false,
-      strictDistance: filters.strictDistance ?? false,
-      relationshipType: filters.relationshipType ?? [],
-      strictRelationshipType: filters.strictRelationshipType ?? false,
-      education: filters.education ?? [],
-      strictEducation: filters.strictEducation ?? false,
-      smoking: filters.smoking ?? [],
-      strictSmoking: filters.strictSmoking ?? false,
-      drinking: filters.drinking ?? [],
-      strictDrinking: filters.strictDrinking ?? false,
-      languages: filters.languages ?? [],
-      strictLanguages: filters.strictLanguages ?? false,
-    };
-
-    // Get user's already processed user IDs (liked/passed)
-    // Only get actions where current user was the sender
-    const userActions = await prisma.userAction.findMany({
-      where: { senderId: currentUserId },
-      select: { receiverId: true },
-    });
-
-    const processedUserIds = userActions.map((action) => action.receiverId);
-    
     // IMPORTANT: Get users who have liked the current user
     // These should ALWAYS appear in discovery regardless of preferences
     const usersWhoLikedMe = await prisma.userAction.findMany({
@@ -308,128 +652,177 @@ const getUsersForDiscovery = async (currentUserId, options = {}) => {
         receiverId: currentUserId,
         action: { in: ['LIKE', 'SUPER_LIKE'] },
         // Exclude users we've already acted on
-        senderId: { notIn: processedUserIds }
+        sender: { actionsReceived: { none: { senderId: currentUserId } } },
       },
-      select: { senderId: true },
+      select: { senderId: true, action: true },
     });
     
     const priorityUserIds = usersWhoLikedMe.map((action) => action.senderId);
     logger.info(`🎯 Found ${priorityUserIds.length} users who liked ${currentUserId} and haven't been acted on yet`);
 
-    // Also exclude users we've matched with
-    const userMatches = await prisma.match.findMany({
-      where: {
-        OR: [
-          { user1Id: currentUserId },
-          { user2Id: currentUserId },
-        ],
-        isActive: true,
-      },
-      select: {
-        user1Id: true,
-        user2Id: true,
-      },
-    });
-
-    // Extract matched user IDs
-    const matchedUserIds = userMatches.map(match => 
-      match.user1Id === currentUserId ? match.user2Id : match.user1Id
+    const prioritySet = new Set(priorityUserIds);
+    // Super likers go ahead of everyone, ordinary likers included
+    const superLikerSet = new Set(
+      usersWhoLikedMe.filter((action) => action.action === 'SUPER_LIKE').map((action) => action.senderId),
     );
 
-    // Blocked users (either direction) are never discoverable to each other
-    const { getBlockedUserIds } = require('./moderationService');
-    const blockedUserIds = await getBlockedUserIds(currentUserId);
-
-    // Combine with explicitly excluded IDs
-    const allExcludedIds = [
-      ...new Set([
-        ...processedUserIds,
-        ...matchedUserIds,
-        ...excludeIds,
-        ...blockedUserIds,
-        currentUserId,
-      ]),
-    ];
+    // Passes older than the cooldown stop hiding people (ranked behind
+    // fresh profiles); likes and super likes exclude for good
+    const passCutoff = getPassRecycleCutoff(await getPassCooldownDays(), now);
+    const recycledPass = passCutoff
+      ? Prisma.sql`(a."action" = 'PASS' AND a."createdAt" < (${passCutoff}::timestamptz AT TIME ZONE 'UTC'))`
+      : Prisma.sql`false`;
 
-    logger.info(
-      `User ${currentUserId} discovery: excluded ${allExcludedIds.length} users (${processedUserIds.length} acted on, ${matchedUserIds.length} matched)`,
-      { excludedIds: allExcludedIds }
-    );
-
-    // Current user already fetched at the beginning of the function
-
-    // Build base where clause - get ALL active users except excluded
-    const baseWhereClause = {
-      id: { notIn: allExcludedIds },
-      isActive: true,
-      isProfilePaused: false, // Exclude users who paused their profile
-      isDiscoverable: true, // Complete profiles only (backfilled by migration)
-    };
+    // Hard filters, applied in SQL. Soft preferences (age, distance and the
+    // rest) are scored below unless their strict flag makes them hard too.
+    // Each carries the reason explainDiscovery reports when a user fails it.
+    const hardFilters = [
+      { reason: 'self', sql: Prisma.sql`u."id" <> ${currentUserId}` },
+      // Anti-joins rather than an ID list, so the query stays the same size
+      // however many people the viewer has swiped on, matched or blocked.
+      // Users we've already acted on (liked, or passed within the cooldown)
+      {
+        reason: 'acted_on',
+        sql: Prisma.sql`NOT EXISTS (
+          SELECT 1 FROM "user_actions" a
+          WHERE a."senderId" = ${currentUserId} AND a."receiverId" = u."id"
+            AND NOT ${recycledPass}
+        )`,
+      },
+      // Users we're actively matched with
+      {
+        reason: 'matched',
+        sql: Prisma.sql`NOT EXISTS (
+          SELECT 1 FROM "matches" m
+          WHERE m."isActive" = true
+            AND ((m."user1Id" = ${currentUserId} AND m."user2Id" = u."id")
+              OR (m."user1Id" = u."id" AND m."user2Id" = ${currentUserId}))
+        )`,
+      },
+      // Blocked users (either direction) are never discoverable to each other
+      {
+        reason: 'blocked',
+        sql: Prisma.sql`NOT EXISTS (
+          SELECT 1 FROM "blocked_users" b
+          WHERE (b."blockerId" = ${currentUserId} AND b."blockedId" = u."id")
+             OR (b."blockerId" = u."id" AND b."blockedId" = ${currentUserId})
+        )`,
+      },
+      // Explicit client-side exclusions (cards already on screen)
+      { reason: 'excluded_by_client', sql: Prisma.sql`u."id" <> ALL(${excludeIds}::text[])` },
+      { reason: 'inactive', sql: Prisma.sql`u."isActive" = true` },
+      { reason: 'paused', sql: Prisma.sql`u."isProfilePaused" = false` }, // Exclude users who paused their profile
+      { reason: 'not_discoverable', sql: Prisma.sql`u."isDiscoverable" = true` }, // Complete profiles only (backfilled by migration)
+      // Photos are mandatory for discovery
+      {
+        reason: 'no_photos',
+        sql: Prisma.sql`EXISTS (SELECT 1 FROM "photos" p WHERE p."userId" = u."id")`,
+      },
+    ];
 
     // Gender preference is a HARD filter, always: once a small community's
     // deck runs dry, soft-scored gender would surface wrong-gender cards.
     // Everything else stays soft (scored) unless a strict flag is set.
     const isInterestedInEveryone = currentUser.interestedIn.length === 3;
     if (!isInterestedInEveryone && currentUser.interestedIn.length > 0) {
-      baseWhereClause.gender = { in: currentUser.interestedIn };
+      hardFilters.push({
+        reason: 'gender_preference',
+        sql: Prisma.sql`u."gender"::text = ANY(${currentUser.interestedIn}::text[])`,
+      });
     }
 
+    // The other side must be interested in us too — except users who
+    // already liked us, who always stay in the deck
+    const interestedInCurrentUser = Prisma.sql`(
+      cardinality(u."interestedIn") = 3 OR ${currentUser.gender}::text = ANY(u."interestedIn"::text[])
+    )`;
+    hardFilters.push({
+      reason: 'not_interested_in_viewer',
+      sql: strictMode
+        ? interestedInCurrentUser
+        : Prisma.sql`(${interestedInCurrentUser} OR u."id" = ANY(${priorityUserIds}::text[]))`,
+    });
+
     // "Verified profiles only" — opt-in filter, off by default
     if (filters?.verifiedOnly) {
-      baseWhereClause.isVerified = true;
+      hardFilters.push({ reason: 'verified_only', sql: Prisma.sql`u."isVerified" = true` });
     }
 
-    // In strict mode, only get users matching preferences
-    if (strictMode) {
-      // Check if other users would be interested in current user
-      baseWhereClause.OR = [
-        { interestedIn: { hasSome: [currentUser.gender] } },
-        // Also include users interested in all genders (stored as array of 3)
-        { 
-          AND: [
-            { interestedIn: { hasSome: ['MAN'] } },
-            { interestedIn: { hasSome: ['WOMAN'] } },
-            { interestedIn: { hasSome: ['OTHER'] } }
-          ]
-        }
-      ];
+    // Age and distance bounds: hard when strict (fail-closed on a missing
+    // birthDate or coordinates), otherwise they only decide which
+    // candidates are fetched first.
+    const { latest, earliestExclusive } = getBirthDateBounds(defaultFilters.ageRange, now);
+    const ageConditions = [
+      Prisma.sql`u."birthDate" <= (${latest}::timestamptz AT TIME ZONE 'UTC')`,
+      Prisma.sql`u."birthDate" > (${earliestExclusive}::timestamptz AT TIME ZONE 'UTC')`,
+    ];
+
+    const hasCoordinates = currentUser.latitude != null && currentUser.longitude != null;
+    const distanceExpr = distanceSql(currentUser.latitude, currentUser.longitude, now);
+    const distanceConditions = [];
+    if (hasCoordinates && defaultFilters.maxDistance) {
+      const box = getBoundingBox(
+        currentUser.latitude,
+        currentUser.longitude,
+        defaultFilters.maxDistance,
+      );
+      distanceConditions.push(withinBoxSql(box, now));
+      distanceConditions.push(Prisma.sql`${distanceExpr} <= ${defaultFilters.maxDistance}`);
+    } else if (defaultFilters.strictDistance) {
+      // No reference point: nobody can be proven within range
+      distanceConditions.push(Prisma.sql`false`);
+    }
+
+    const preferredConditions = [];
+    if (defaultFilters.strictAge) {
+      hardFilters.push(...ageConditions.map((sql) => ({ reason: 'strict_age', sql })));
+    } else {
+      preferredConditions.push(...ageConditions);
+    }
+    if (defaultFilters.strictDistance) {
+      hardFilters.push(...distanceConditions.map((sql) => ({ reason: 'strict_distance', sql })));
+    } else if (distanceConditions.length > 0) {
+      preferredConditions.push(...distanceConditions);
+    }
+    const baseConditions = hardFilters.map((filter) => filter.sql);
+    if (trace) {
+      trace.hardFilters = hardFilters;
+      trace.distanceExpr = distanceExpr;
     }
 
-    // Always require users to have at least one photo
-    // Photos are now mandatory for discovery
-    baseWhereClause.photos = {
-      some: {},
+    // Fill the candidate pool in tiers, nearest first within each: users
+    // who liked us, boosted users, then users inside the age/distance preferences (the
+    // bounding box keeps this index-assisted), then everyone else who
+    // passes the hard filters — soft preferences never empty the deck.
+    const candidates = [];
+    const fillPool = async (conditions) => {
+      if (candidates.length >= CANDIDATE_POOL_SIZE) {
+        return;
+      }
+      const seenIds = candidates.map((c) => c.id);
+      const rows = await fetchCandidates(
+        currentUserId,
+        [...conditions, Prisma.sql`u."id" <> ALL(${seenIds}::text[])`],
+        distanceExpr,
+        CANDIDATE_POOL_SIZE - candidates.length,
+        now,
+      );
+      candidates.push(...rows);
     };
 
-    // Get potential users with a bounded select — sensitive columns
-    // (password, email, tokens, quotas) never leave the database.
-    const users = await prisma.user.findMany({
-      where: baseWhereClause,
-      select: {
-        ...PUBLIC_USER_SELECT,
-        // Scoring inputs; coordinates are stripped before the response
-        latitude: true,
-        longitude: true,
-        interestedIn: true,
-        minAge: true,
-        maxAge: true,
-        photos: {
-          orderBy: [
-            { isMain: 'desc' }, // Main photo first
-            { order: 'asc' }, // Then by order
-          ],
-        },
-        interests: {
-          include: {
-            interest: true,
-          },
-        },
-      },
-      take: 200,
-    });
+    if (priorityUserIds.length > 0) {
+      await fillPool([...baseConditions, Prisma.sql`u."id" = ANY(${priorityUserIds}::text[])`]);
+    }
+    // Boosted profiles get a pool slot wherever they are, as long as they
+    // pass the viewer's hard filters
+    await fillPool([...baseConditions, activeBoostSql(now)]);
+    if (preferredConditions.length > 0) {
+      await fillPool([...baseConditions, ...preferredConditions]);
+    }
+    await fillPool(baseConditions);
 
     logger.info(
-      `Found ${users.length} potential users for ${currentUserId} with filters`,
+      `Found ${candidates.length} potential users for ${currentUserId} with filters`,
       { 
         interestedIn: currentUser.interestedIn,
         userGender: currentUser.gender,
@@ -437,80 +830,74 @@ const getUsersForDiscovery = async (currentUserId, options = {}) => {
       }
     );
 
-    // Calculate match scores for all users
-    const scoredUsers = users.map((user) => {
-      const age = calculateAge(user.birthDate);
-
-      // Calculate distance
-      let distance = null;
-      if (
-        currentUser.latitude &&
-        currentUser.longitude &&
-        user.latitude &&
-        user.longitude
-      ) {
-        distance = calculateDistance(
-          currentUser.latitude,
-          currentUser.longitude,
-          user.latitude,
-          user.longitude
-        );
-      }
-
-      // Calculate match score
+    // Calculate match scores for the candidate pool
+    const weights = await getRankingWeights(currentUserId);
+    const scoredUsers = candidates.map((candidate) => {
+      const candidateInterests = candidate.interestIds.map((interestId) => ({ interestId }));
       const { score, breakdown } = calculateMatchScore(
         currentUser, 
-        user, 
-        defaultFilters
+        { ...candidate, interests: candidateInterests }, 
+        defaultFilters,
+        weights,
+        now,
       );
 
-      // The bounded select above already withholds credentials/tokens.
-      // Coordinates are scoring inputs only — strip them from the response.
-      const userWithoutSensitive = { ...user };
-      delete userWithoutSensitive.latitude;
-      delete userWithoutSensitive.longitude;
-
-      // Get main photo URL - prioritize mainPhotoUrl field, then first photo with isMain
-      const mainPhotoUrl = user.mainPhotoUrl ||
-        user.photos?.find(p => p.isMain)?.url ||
-        user.photos?.[0]?.url || null;
-
       return {
-        ...userWithoutSensitive,
-        age,
-        mainPhotoUrl,
-        distance: distance !== null ? Math.round(distance) : null,
+        id: candidate.id,
+        lastActive: candidate.lastActive,
+        recycled: candidate.recycled,
+        boosted: candidate.boosted,
+        verified: candidate.isVerified,
+        education: candidate.education,
+        smoking: candidate.smoking,
+        drinking: candidate.drinking,
+        languages: candidate.languages,
+        age: calculateAge(candidate.birthDate, now),
+        distance: candidate.distanceKm !== null ? Math.round(candidate.distanceKm) : null,
         matchScore: score,
         scoreBreakdown: breakdown,
         sharedInterestsCount: calculateSharedInterests(
           currentUser.interests || [],
-          user.interests || []
+          candidateInterests
         ),
-        interests: user.interests.map(ui => ui.interest.name),
-        // Convert relationshipType string to array
-        relationshipType: user.relationshipType 
-          ? (user.relationshipType.includes(',') 
-            ? user.relationshipType.split(',').map(s => s.trim())
-            : [user.relationshipType])
-          : [],
+        relationshipType: parseRelationshipType(candidate.relationshipType),
+        visiting: candidate.visitingLocation ? { location: candidate.visitingLocation } : null,
         // Flag if this user matches preferences (handle all 3 genders = everyone)
         matchesPreferences: 
           (currentUser.interestedIn.length === 3 || 
-           currentUser.interestedIn.includes(user.gender)) &&
-          (user.interestedIn.length === 3 || 
-           user.interestedIn.includes(currentUser.gender)),
+           currentUser.interestedIn.includes(candidate.gender)) &&
+          (candidate.interestedIn.length === 3 || 
+           candidate.interestedIn.includes(currentUser.gender)),
       };
     });
 
     // Sort by match score (highest first)
     scoredUsers.sort((a, b) => {
-      // HIGHEST PRIORITY: Users who liked us should appear first
-      const aLikedUs = priorityUserIds.includes(a.id);
-      const bLikedUs = priorityUserIds.includes(b.id);
+      // HIGHEST PRIORITY: Users who super liked us, then everyone else who
+      // liked us
+      const aSuperLikedUs = superLikerSet.has(a.id);
+      const bSuperLikedUs = superLikerSet.has(b.id);
+      if (aSuperLikedUs !== bSuperLikedUs) {return aSuperLikedUs ? -1 : 1;}
+
+      const aLikedUs = prioritySet.has(a.id);
+      const bLikedUs = prioritySet.has(b.id);
       if (aLikedUs && !bLikedUs) {return -1;}
       if (!aLikedUs && bLikedUs) {return 1;}
       
-      // Second priority: Users who match preferences
+      // Recycled passes only fill in behind fresh profiles
+      if (a.recycled !== b.recycled) {return a.recycled ? 1 : -1;}
+
+      // Active Profile Boosts lead their group (fresh or recycled), ahead
+      // of any sort the viewer picked
+      if (a.boosted !== b.boosted) {return a.boosted ? -1 : 1;}
+
+      // "Shared interests first" sort
+      if (defaultFilters.sortBy === 'shared_interests' &&
+          a.sharedInterestsCount !== b.sharedInterestsCount) {
+        return b.sharedInterestsCount - a.sharedInterestsCount;
+      }
+      
+      // Then: Users who match preferences
       if (a.matchesPreferences && !b.matchesPreferences) {return -1;}
       if (!a.matchesPreferences && b.matchesPreferences) {return 1;}
       
@@ -523,26 +910,11 @@ const getUsersForDiscovery = async (currentUserId, options = {}) => {
       return new Date(b.lastActive) - new Date(a.lastActive);
     });
 
-    // Filter by gender preferences BUT always include users who liked us
-    let filteredUsers = scoredUsers.filter(user => {
-      // PRIORITY: If this user liked us, ALWAYS include them
-      if (priorityUserIds.includes(user.id)) {
-        logger.info(`✅ Including user ${user.id} in discovery because they liked you`);
-        return true;
-      }
-      
-      // Otherwise, check mutual gender interest
-      const currentUserInterested = currentUser.interestedIn.length === 3 || 
-        currentUser.interestedIn.includes(user.gender);
-      const otherUserInterested = user.interestedIn.length === 3 || 
-        user.interestedIn.includes(currentUser.gender);
-      
-      return currentUserInterested && otherUserInterested;
-    });
+    let filteredUsers = scoredUsers;
     
-    // Check if any additional strict filters are enabled
-    const hasStrictFilters = defaultFilters.strictAge || defaultFilters.strictDistance || 
-                            defaultFilters.strictRelationshipType || defaultFilters.strictEducation ||
+    // Check if any additional strict filters are enabled. Strict age and
+    // distance are already enforced by the candidate query.
+    const hasStrictFilters = defaultFilters.strictRelationshipType || defaultFilters.strictEducation ||
                             defaultFilters.strictSmoking || defaultFilters.strictDrinking || 
                             defaultFilters.strictLanguages;
     
@@ -551,76 +923,51 @@ const getUsersForDiscovery = async (currentUserId, options = {}) => {
       const nonPreferenceMatches = [];
       
       for (const user of filteredUsers) {
-        let passesFilters = true;
-        
-        // Strict age filter — fail-closed when age is missing. Users without
-        // birthDate slipped through the previous `&& user.age` short-circuit.
-        if (defaultFilters.strictAge && defaultFilters.ageRange) {
-          const { min, max } = defaultFilters.ageRange;
-          if (user.age == null || user.age < min || user.age > max) {
-            passesFilters = false;
-          }
-        }
-
-        // Strict distance filter — fail-closed when distance is missing
-        // (e.g., either user lacks lat/long).
-        if (defaultFilters.strictDistance && defaultFilters.maxDistance) {
-          if (user.distance == null || user.distance > defaultFilters.maxDistance) {
-            passesFilters = false;
-          }
-        }
+        const failedFilters = [];
         
         // Strict relationship type filter (inclusive - user just needs ONE matching type)
         if (defaultFilters.strictRelationshipType && defaultFilters.relationshipType.length > 0) {
-          // Parse user's relationship types (could be array, comma-separated string, or single value)
-          let userTypes = [];
-          if (Array.isArray(user.relationshipType)) {
-            userTypes = user.relationshipType;
-          } else if (user.relationshipType) {
-            userTypes = user.relationshipType.includes(',')
-              ? user.relationshipType.split(',').map(s => s.trim())
-              : [user.relationshipType];
-          }
-
-          if (!passesStrictMultiValueFilter(userTypes, defaultFilters.relationshipType)) {
-            passesFilters = false;
+          if (!passesStrictMultiValueFilter(user.relationshipType, defaultFilters.relationshipType)) {
+            failedFilters.push('strict_relationship_type');
           }
         }
 
         // Strict education filter (case-insensitive)
         if (defaultFilters.strictEducation && defaultFilters.education.length > 0) {
           if (!passesStrictSingleValueFilter(user.education, defaultFilters.education)) {
-            passesFilters = false;
+            failedFilters.push('strict_education');
           }
         }
 
         // Strict smoking filter (case-insensitive)
         if (defaultFilters.strictSmoking && defaultFilters.smoking.length > 0) {
           if (!passesStrictSingleValueFilter(user.smoking, defaultFilters.smoking)) {
-            passesFilters = false;
+            failedFilters.push('strict_smoking');
           }
         }
 
         // Strict drinking filter (case-insensitive)
         if (defaultFilters.strictDrinking && defaultFilters.drinking.length > 0) {
           if (!passesStrictSingleValueFilter(user.drinking, defaultFilters.drinking)) {
-            passesFilters = false;
+            failedFilters.push('strict_drinking');
           }
         }
 
         // Strict languages filter (case-insensitive)
         if (defaultFilters.strictLanguages && defaultFilters.languages.length > 0) {
           if (!passesStrictMultiValueFilter(user.languages, defaultFilters.languages)) {
-            passesFilters = false;
+            failedFilters.push('strict_languages');
           }
         }
         
-        if (passesFilters) {
+        if (failedFilters.length === 0) {
           if (user.matchesPreferences) {
             preferenceMatches.push(user);
           } else {
             nonPreferenceMatches.push(user);
           }
+        } else if (trace) {
+          trace.strictRejects.push({ id: user.id, reasons: failedFilters });
         }
       }
       
@@ -628,35 +975,223 @@ const getUsersForDiscovery = async (currentUserId, options = {}) => {
       filteredUsers = [...preferenceMatches, ...nonPreferenceMatches];
     }
 
-    // Limit to requested number
-    const finalUsers = filteredUsers.slice(0, limit);
+    if (trace) {
+      trace.poolIds = candidates.map((c) => c.id);
+    }
 
-    // Count how many priority users made it to final results
-    const priorityUsersInResults = finalUsers.filter(u => priorityUserIds.includes(u.id)).length;
-    
     logger.info(
-      `Discovery for user ${currentUserId}: ${finalUsers.length} users found`,
+      `Ranked discovery deck for user ${currentUserId}: ${filteredUsers.length} users`,
       {
         filters: defaultFilters,
-        totalUsers: users.length,
+        totalUsers: candidates.length,
         afterFiltering: filteredUsers.length,
-        preferenceMatches: finalUsers.filter(u => u.matchesPreferences).length,
+        priorityUsers: filteredUsers.filter(u => prioritySet.has(u.id)).length,
+      }
+    );
+
+    // Only what hydrateRankedPage merges back in, plus the flags paging
+    // and Top Picks read, is kept; the deck cache stores these as JSON
+    return filteredUsers.map((user) => ({
+      id: user.id,
+      age: user.age,
+      distance: user.distance,
+      matchScore: user.matchScore,
+      scoreBreakdown: user.scoreBreakdown,
+      sharedInterestsCount: user.sharedInterestsCount,
+      relationshipType: user.relationshipType,
+      matchesPreferences: user.matchesPreferences,
+      boosted: user.boosted,
+      recycled: user.recycled,
+      verified: user.verified,
+      visiting: user.visiting,
+      likedYou: prioritySet.has(user.id),
+      superLikedYou: superLikerSet.has(user.id),
+    }));
+  } catch (error) {
+    logger.error('❌ Error getting users for discovery:', error);
+    throw error;
+  }
+};
+
+/**
+ * Ranked discovery page for explainDiscovery: always ranks from scratch,
+ * bypasses the deck cache and records nothing.
+ */
+const discover = async (currentUserId, options, trace) => {
+  const { limit = 20 } = options;
+  const currentUser = await loadViewer(currentUserId);
+  const ranked = await rankDeck(
+    currentUserId,
+    currentUser,
+    resolveFilters(currentUser, options.filters),
+    options,
+    trace,
+  );
+  trace.belowPageIds = ranked.slice(limit).map((u) => u.id);
+  return hydrateRankedPage(ranked.slice(0, limit), currentUser);
+};
+
+/**
+ * A page of the viewer's discovery deck plus the cursor for the next one.
+ * The first request ranks the whole deck and caches it (deckCacheService);
+ * later ones — `cursor` from the previous page — are a slice and one
+ * hydration query. A deck is re-ranked when it was dropped or expired,
+ * when the request's filters, the viewer's preferences, their location,
+ * the ranking weights or the set of running boosts no longer match what it
+ * was ranked against, and once when a cached deck runs dry, since new
+ * people may have joined since. `excludeIds` (cards
+ * the client already holds) are skipped at serve time so one cached deck
+ * serves every request.
+ */
+const getDiscoveryPage = async (currentUserId, options = {}) => {
+  try {
+    const now = new Date();
+    const currentUser = await loadViewer(currentUserId, now);
+    const {
+      limit = 20,
+      excludeIds = [],
+      filters = {},
+      strictMode = false,
+      cursor = null,
+    } = options;
+    const defaultFilters = resolveFilters(currentUser, filters);
+    const deckFingerprint = fingerprint({
+      weights: await getRankingWeights(currentUserId),
+      boosts: await getActiveBoostIds(now),
+      filters: defaultFilters,
+      verifiedOnly: Boolean(filters.verifiedOnly),
+      strictMode,
+      gender: currentUser.gender,
+      interestedIn: currentUser.interestedIn,
+      latitude: currentUser.latitude,
+      longitude: currentUser.longitude,
+      relationshipType: currentUser.relationshipType,
+      interestIds: currentUser.interests.map((ui) => ui.interestId).sort(),
+    });
+
+    const buildDeck = async () => {
+      const ranked = await rankDeck(currentUserId, currentUser, defaultFilters, {
+        filters,
+        strictMode,
+        now,
+      });
+      return saveDeck(currentUserId, deckFingerprint, ranked);
+    };
+
+    let deck = await getDeck(currentUserId, deckFingerprint);
+    const fromCache = Boolean(deck);
+    if (!deck) {
+      deck = await buildDeck();
+    }
+    let { entries, nextCursor } = pageDeck(deck, { cursor, limit, excludeIds });
+    if (entries.length === 0 && fromCache) {
+      deck = await buildDeck();
+      ({ entries, nextCursor } = pageDeck(deck, { limit, excludeIds }));
+    }
+
+    // Only the final page is materialized as full profiles
+    const users = await hydrateRankedPage(entries, currentUser);
+
+    // Feeds the post-boost summary's view count
+    await recordBoostImpressions(entries.filter((u) => u.boosted).map((u) => u.id));
+
+    const priorityUsersInResults = entries.filter((u) => u.likedYou).length;
+    logger.info(
+      `Discovery for user ${currentUserId}: ${users.length} users found`,
+      {
+        fromCache,
+        preferenceMatches: users.filter(u => u.matchesPreferences).length,
         priorityUsers: priorityUsersInResults,
-        returned: finalUsers.length,
+        returned: users.length,
       }
     );
-    
+
     if (priorityUsersInResults > 0) {
       logger.info(`🎯 Including ${priorityUsersInResults} users who liked you in discovery results`);
     }
-    
-    return finalUsers;
+
+    return { users, nextCursor };
   } catch (error) {
     logger.error('❌ Error getting users for discovery:', error);
     throw error;
   }
 };
 
+/**
+ * The user's whole ranked deck on their saved preferences, ranked fresh
+ * and uncached — for scheduled jobs that curate from it (Top Picks).
+ * Throws like discovery does when the user can't use discovery. Jobs pass
+ * their own `now` so the ranking runs on the job's clock.
+ */
+const rankDeckForUser = async (userId, { now = new Date() } = {}) => {
+  const currentUser = await loadViewer(userId, now);
+  return rankDeck(userId, currentUser, resolveFilters(currentUser), { now });
+};
+
+const getUsersForDiscovery = async (currentUserId, options = {}) =>
+  (await getDiscoveryPage(currentUserId, options)).users;
+
+/**
+ * Debug view of one discovery run for ranking tuning: the ranked page with
+ * each candidate's scoreBreakdown, plus why nearby users did not make it.
+ * Reasons come from the same hard filters the run applied (acted_on,
+ * matched, blocked, paused, strict_age, ...), from the strict_* value
+ * filters, or from ranking (`below_page`). Eligible users beyond a full
+ * candidate pool are never scored; `pool.capped` flags that case.
+ */
+const explainDiscovery = async (currentUserId, options = {}, exclusionLimit = 50) => {
+  const trace = { strictRejects: [] };
+  const users = await discover(currentUserId, options, trace);
+
+  const failsAny = Prisma.join(
+    trace.hardFilters.map((filter) => Prisma.sql`(${filter.sql}) IS NOT TRUE`),
+    ' OR ',
+  );
+  const reasonChecks = Prisma.join(
+    trace.hardFilters.map(
+      (filter) => Prisma.sql`CASE WHEN (${filter.sql}) IS NOT TRUE THEN ${filter.reason}::text END`,
+    ),
+  );
+  const filtered = await prisma.$queryRaw`
+    SELECT u."id", u."name",
+           ${trace.distanceExpr} AS "distanceKm",
+           array_remove(ARRAY[${reasonChecks}]::text[], NULL) AS "reasons"
+    FROM "users" u
+    WHERE u."id" <> ${currentUserId} AND (${failsAny})
+    ORDER BY "distanceKm" ASC NULLS LAST, u."lastActive" DESC
+    LIMIT ${exclusionLimit}
+  `;
+
+  // Users that passed every SQL filter but still aren't on the page
+  const rankedOut = [
+    ...trace.strictRejects,
+    ...trace.belowPageIds.map((id) => ({ id, reasons: ['below_page'] })),
+  ];
+  const names = await prisma.user.findMany({
+    where: { id: { in: rankedOut.map((r) => r.id) } },
+    select: { id: true, name: true },
+  });
+  const namesById = new Map(names.map((n) => [n.id, n.name]));
+
+  return {
+    users,
+    excluded: [
+      ...filtered.map((f) => ({
+        id: f.id,
+        name: f.name,
+        distance: f.distanceKm !== null ? Math.round(f.distanceKm) : null,
+        reasons: f.reasons,
+      })),
+      ...rankedOut.map((r) => ({ id: r.id, name: namesById.get(r.id) ?? null, reasons: r.reasons })),
+    ],
+    // A full pool means eligible users further away were never scored
+    pool: {
+      size: trace.poolIds.length,
+      capped: trace.poolIds.length >= CANDIDATE_POOL_SIZE,
+    },
+  };
+};
+
 /**
  * Calculate number of shared interests between users
  */
@@ -678,4 +1213,15 @@ const calculateSharedInterests = (currentUserInterests, otherUserInterests) => {
 
 module.exports = {
   getUsersForDiscovery,
+  getDiscoveryPage,
+  rankDeckForUser,
+  explainDiscovery,
+  calculateMatchScore,
+  calculateDistance,
+  getRankingWeights,
+  clearRankingWeightsCache,
+  DEFAULT_RANKING_WEIGHTS,
+  getPassCooldownDays,
+  clearDiscoveryConfigCache,
+  isRecycledPass,
 };
\ No newline at end of file
@@ -4,11 +4,20 @@ import { userFactory, photoFactory, matchFactory, userActionFactory, userInteres
 // The discovery service exports only getUsersForDiscovery
 // Internal functions (calculateDistance, calculateAge, calculateMatchScore, calculateSharedInterests)
 // are tested indirectly through getUsersForDiscovery behavior
-const { getUsersForDiscovery } = require('./discoveryService');
+const {
+  getUsersForDiscovery,
+  getDiscoveryPage,
+  rankDeckForUser,
+  explainDiscovery,
+  clearDiscoveryConfigCache,
+  clearRankingWeightsCache,
+} = require('./discoveryService');
 
 describe('Discovery Service', () => {
   beforeEach(() => {
     vi.clearAllMocks();
+    clearDiscoveryConfigCache();
+    clearRankingWeightsCache();
   });
 
   describe('getUsersForDiscovery - Profile Eligibility', () => {
@@ -91,6 +100,42 @@ describe('Discovery Service', () => {
       expect(passedUserInResults).toBeUndefined();
     });
 
+    it('should keep passes forever until a cooldown is configured', async () => {
+      const user1 = await createEligibleUser('MAN', ['WOMAN']);
+      const user2 = await createEligibleUser('WOMAN', ['MAN']);
+
+      const longAgo = new Date(Date.now() - 400 * 24 * 60 * 60 * 1000);
+      await userActionFactory.create(global.prisma, user1.id, user2.id, 'PASS', { createdAt: longAgo });
+
+      const results = await getUsersForDiscovery(user1.id);
+      expect(results.find(u => u.id === user2.id)).toBeUndefined();
+    });
+
+    it('should recycle passes older than the cooldown behind fresh profiles', async () => {
+      await setPassCooldown(30);
+      const user1 = await createEligibleUser('MAN', ['WOMAN']);
+      const recycled = await createEligibleUser('WOMAN', ['MAN']);
+      const fresh = await createEligibleUser('WOMAN', ['MAN']);
+
+      const longAgo = new Date(Date.now() - 40 * 24 * 60 * 60 * 1000);
+      await userActionFactory.create(global.prisma, user1.id, recycled.id, 'PASS', { createdAt: longAgo });
+
+      const results = await getUsersForDiscovery(user1.id);
+      expect(results.map(u => u.id)).toEqual([fresh.id, recycled.id]);
+    });
+
+    it('should never recycle likes', async () => {
+      await setPassCooldown(30);
+      const user1 = await createEligibleUser('MAN', ['WOMAN']);
+      const user2 = await createEligibleUser('WOMAN', ['MAN']);
+
+      const longAgo = new Date(Date.now() - 400 * 24 * 60 * 60 * 1000);
+      await userActionFactory.create(global.prisma, user1.id, user2.id, 'LIKE', { createdAt: longAgo });
+
+      const results = await getUsersForDiscovery(user1.id);
+      expect(results.find(u => u.id === user2.id)).toBeUndefined();
+    });
+
     it('should exclude users in active matches', async () => {
       const user1 = await createEligibleUser('MAN', ['WOMAN']);
       const user2 = await createEligibleUser('WOMAN', ['MAN']);
@@ -224,6 +269,21 @@ describe('Discovery Service', () => {
       expect(results[0].id).toBe(user2.id);
     });
 
+    it('should put super likers ahead of ordinary likers', async () => {
+      const user1 = await createEligibleUser('MAN', ['WOMAN']);
+      const liker = await createEligibleUser('WOMAN', ['MAN']);
+      const superLiker = await createEligibleUser('WOMAN', ['MAN']);
+
+      await userActionFactory.createLike(global.prisma, liker.id, user1.id);
+      await userActionFactory.createSuperLike(global.prisma, superLiker.id, user1.id);
+
+      const results = await getUsersForDiscovery(user1.id);
+
+      expect(results.map(u => u.id)).toEqual([superLiker.id, liker.id]);
+      expect(results[0].superLikedYou).toBe(true);
+      expect(results[1].superLikedYou).toBe(false);
+    });
+
     it('should include users who liked me even if I already acted on them is excluded', async () => {
       const user1 = await createEligibleUser('MAN', ['WOMAN']);
       const user2 = await createEligibleUser('WOMAN', ['MAN']);
@@ -242,6 +302,50 @@ describe('Discovery Service', () => {
   });
 
   describe('getUsersForDiscovery - Scoring and Sorting', () => {
+    it('should rank boosted profiles right after users who liked me', async () => {
+      const user1 = await createEligibleUser('MAN', ['WOMAN']);
+      const regular = await createEligibleUser('WOMAN', ['MAN']);
+      const boosted = await createEligibleUser('WOMAN', ['MAN']);
+      const liker = await createEligibleUser('WOMAN', ['MAN']);
+      await userActionFactory.createLike(global.prisma, liker.id, user1.id);
+      await global.prisma.profileBoost.create({
+        data: { userId: boosted.id, endsAt: new Date(Date.now() + 30 * 60 * 1000) },
+      });
+
+      const results = await getUsersForDiscovery(user1.id);
+      expect(results.map(u => u.id)).toEqual([liker.id, boosted.id, regular.id]);
+
+      const boost = await global.prisma.profileBoost.findFirst({ where: { userId: boosted.id } });
+      expect(boost.impressions).toBe(1);
+    });
+
+    it('should reorder the deck when the ranking weights change', async () => {
+      const viewer = await createEligibleUser('MAN', ['WOMAN'], {
+        latitude: 40.7128,
+        longitude: -74.0060,
+      });
+      // Close by but idle for weeks
+      const near = await createEligibleUser('WOMAN', ['MAN'], {
+        latitude: 40.7128,
+        longitude: -74.0060,
+        lastActive: new Date(Date.now() - 20 * 24 * 60 * 60 * 1000),
+      });
+      // About 30km away but active right now
+      const active = await createEligibleUser('WOMAN', ['MAN'], {
+        latitude: 40.98,
+        longitude: -74.0060,
+        lastActive: new Date(),
+      });
+
+      const byDefault = await getUsersForDiscovery(viewer.id);
+      expect(byDefault.map(u => u.id)).toEqual([near.id, active.id]);
+
+      await setRankingWeights({ distance: 0, activity: 100 });
+
+      const reweighted = await getUsersForDiscovery(viewer.id);
+      expect(reweighted.map(u => u.id)).toEqual([active.id, near.id]);
+    });
+
     it('should return users sorted by match score descending', async () => {
       const user1 = await createEligibleUser('MAN', ['WOMAN']);
 
@@ -465,6 +569,171 @@ describe('Discovery Service', () => {
     });
   });
 
+  describe('getDiscoveryPage - Deck cache', () => {
+    it('pages through one ranked deck with the cursor', async () => {
+      const viewer = await createEligibleUser('MAN', ['WOMAN']);
+      for (let i = 0; i < 5; i++) {
+        await createEligibleUser('WOMAN', ['MAN']);
+      }
+
+      const first = await getDiscoveryPage(viewer.id, { limit: 3 });
+      const second = await getDiscoveryPage(viewer.id, { limit: 3, cursor: first.nextCursor });
+
+      expect(first.users).toHaveLength(3);
+      expect(second.users).toHaveLength(2);
+      expect(second.nextCursor).toBeNull();
+      const ids = [...first.users, ...second.users].map((u) => u.id);
+      expect(new Set(ids).size).toBe(5);
+    });
+
+    it('drops acted-on and blocked users from the cached deck', async () => {
+      const { likeUser, passUser } = require('./actionsService');
+      const { blockUser } = require('./moderationService');
+      const viewer = await createEligibleUser('MAN', ['WOMAN']);
+      const liked = await createEligibleUser('WOMAN', ['MAN']);
+      const passed = await createEligibleUser('WOMAN', ['MAN']);
+      const blocker = await createEligibleUser('WOMAN', ['MAN']);
+      const kept = await createEligibleUser('WOMAN', ['MAN']);
+
+      const before = await getDiscoveryPage(viewer.id);
+      expect(before.users).toHaveLength(4);
+
+      await likeUser(viewer.id, liked.id);
+      await passUser(viewer.id, passed.id);
+      await blockUser(blocker.id, viewer.id);
+
+      const after = await getDiscoveryPage(viewer.id);
+      expect(after.users.map((u) => u.id)).toEqual([kept.id]);
+    });
+
+    it('hides users who paused after the deck was cached', async () => {
+      const viewer = await createEligibleUser('MAN', ['WOMAN']);
+      const pausing = await createEligibleUser('WOMAN', ['MAN']);
+
+      expect((await getDiscoveryPage(viewer.id)).users).toHaveLength(1);
+
+      await global.prisma.user.update({
+        where: { id: pausing.id },
+        data: { isProfilePaused: true },
+      });
+
+      expect((await getDiscoveryPage(viewer.id)).users).toEqual([]);
+    });
+
+    it('re-ranks when the filters change', async () => {
+      const viewer = await createEligibleUser('MAN', ['WOMAN']);
+      await createEligibleUser('WOMAN', ['MAN'], { isVerified: false });
+      const verified = await createEligibleUser('WOMAN', ['MAN'], { isVerified: true });
+
+      expect((await getDiscoveryPage(viewer.id)).users).toHaveLength(2);
+
+      const { users } = await getDiscoveryPage(viewer.id, { filters: { verifiedOnly: true } });
+      expect(users.map((u) => u.id)).toEqual([verified.id]);
+    });
+
+    it('moves a new liker to the top of the receiver\'s cached deck', async () => {
+      const { likeUser } = require('./actionsService');
+      const viewer = await createEligibleUser('MAN', ['WOMAN']);
+      await createEligibleUser('WOMAN', ['MAN']);
+      const liker = await createEligibleUser('WOMAN', ['MAN']);
+
+      await getDiscoveryPage(viewer.id);
+      await likeUser(liker.id, viewer.id);
+
+      const { users } = await getDiscoveryPage(viewer.id);
+      expect(users[0].id).toBe(liker.id);
+    });
+
+    it('re-ranks cached decks when a boost starts or ends', async () => {
+      const viewer = await createEligibleUser('MAN', ['WOMAN']);
+      await createEligibleUser('WOMAN', ['MAN']);
+      const booster = await createEligibleUser('WOMAN', ['MAN']);
+
+      await getDiscoveryPage(viewer.id);
+      const boost = await global.prisma.profileBoost.create({
+        data: { userId: booster.id, endsAt: new Date(Date.now() + 30 * 60 * 1000) },
+      });
+
+      const { users } = await getDiscoveryPage(viewer.id);
+      expect(users[0].id).toBe(booster.id);
+
+      await global.prisma.profileBoost.update({
+        where: { id: boost.id },
+        data: { endsAt: new Date(Date.now() - 1000) },
+      });
+      await getDiscoveryPage(viewer.id);
+
+      // Served again, but no longer as a boosted card
+      const ended = await global.prisma.profileBoost.findUnique({ where: { id: boost.id } });
+      expect(ended.impressions).toBe(1);
+    });
+  });
+
+  describe('getUsersForDiscovery - Travel mode', () => {
+    const inDays = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    const yerevan = { latitude: 40.1792, longitude: 44.4991 };
+
+    it('discovers from the visiting location while the trip runs', async () => {
+      const traveler = await createEligibleUser('MAN', ['WOMAN'], {
+        visitingLocation: 'Yerevan',
+        visitingLatitude: yerevan.latitude,
+        visitingLongitude: yerevan.longitude,
+        visitingUntil: inDays(2),
+      });
+      const local = await createEligibleUser('WOMAN', ['MAN'], yerevan);
+
+      const results = await getUsersForDiscovery(traveler.id, { filters: { strictDistance: true } });
+      expect(results.map((u) => u.id)).toEqual([local.id]);
+      expect(results[0].distance).toBe(0);
+    });
+
+    it('shows a traveler to locals as visiting', async () => {
+      const local = await createEligibleUser('MAN', ['WOMAN'], yerevan);
+      const traveler = await createEligibleUser('WOMAN', ['MAN'], {
+        visitingLocation: 'Yerevan',
+        visitingLatitude: yerevan.latitude,
+        visitingLongitude: yerevan.longitude,
+        visitingUntil: inDays(2),
+      });
+
+      const results = await getUsersForDiscovery(local.id, { filters: { strictDistance: true } });
+      expect(results.map((u) => u.id)).toEqual([traveler.id]);
+      expect(results[0].visiting).toEqual({ location: 'Yerevan' });
+      expect(results[0]).not.toHaveProperty('visitingLatitude');
+    });
+
+    it('falls back to the real location once the trip expires', async () => {
+      const traveler = await createEligibleUser('MAN', ['WOMAN'], {
+        visitingLocation: 'Yerevan',
+        visitingLatitude: yerevan.latitude,
+        visitingLongitude: yerevan.longitude,
+        visitingUntil: inDays(-1),
+      });
+      await createEligibleUser('WOMAN', ['MAN'], yerevan);
+      const neighbor = await createEligibleUser('WOMAN', ['MAN']);
+
+      const results = await getUsersForDiscovery(traveler.id, { filters: { strictDistance: true } });
+      expect(results.map((u) => u.id)).toEqual([neighbor.id]);
+      expect(results[0].visiting).toBeNull();
+    });
+
+    it('ends trips on the ranking clock, not the database one', async () => {
+      const viewer = await createEligibleUser('MAN', ['WOMAN']);
+      await createEligibleUser('WOMAN', ['MAN'], {
+        visitingLocation: 'Manhattan',
+        visitingLatitude: 40.7580,
+        visitingLongitude: -73.9855,
+        visitingUntil: inDays(2),
+      });
+
+      const [during] = await rankDeckForUser(viewer.id, { now: inDays(1) });
+      const [after] = await rankDeckForUser(viewer.id, { now: inDays(3) });
+
+      expect(during.visiting).toEqual({ location: 'Manhattan' });
+      expect(after.visiting).toBeNull();
+    });
+  });
+
   describe('getUsersForDiscovery - Shared Interests', () => {
     it('should calculate sharedInterestsCount correctly', async () => {
       const user1 = await createEligibleUser('MAN', ['WOMAN']);
@@ -480,6 +749,38 @@ describe('Discovery Service', () => {
       expect(found).toBeDefined();
       expect(found.sharedInterestsCount).toBe(1); // Travel is shared
     });
+
+    it('should list the shared interests and languages by name', async () => {
+      const user1 = await createEligibleUser('MAN', ['WOMAN'], { languages: ['English', 'Spanish'] });
+      const user2 = await createEligibleUser('WOMAN', ['MAN'], { languages: ['spanish', 'French'] });
+
+      await userInterestFactory.addInterestsToUser(global.prisma, user1.id, ['Travel', 'Music']);
+      await userInterestFactory.addInterestsToUser(global.prisma, user2.id, ['Travel', 'Photography']);
+
+      const results = await getUsersForDiscovery(user1.id);
+      const found = results.find(u => u.id === user2.id);
+
+      expect(found.sharedInterests).toEqual(['Travel']);
+      expect(found.sharedLanguages).toEqual(['spanish']);
+    });
+
+    it('should rank the most shared interests first when sorting by them', async () => {
+      const viewer = await createEligibleUser('MAN', ['WOMAN']);
+      const none = await createEligibleUser('WOMAN', ['MAN']);
+      const one = await createEligibleUser('WOMAN', ['MAN']);
+      const two = await createEligibleUser('WOMAN', ['MAN']);
+
+      await userInterestFactory.addInterestsToUser(global.prisma, viewer.id, ['Travel', 'Music']);
+      await userInterestFactory.addInterestsToUser(global.prisma, none.id, ['Cooking']);
+      await userInterestFactory.addInterestsToUser(global.prisma, one.id, ['Music']);
+      await userInterestFactory.addInterestsToUser(global.prisma, two.id, ['Travel', 'Music']);
+
+      const results = await getUsersForDiscovery(viewer.id, {
+        filters: { sortBy: 'shared_interests' },
+      });
+
+      expect(results.map(u => u.id)).toEqual([two.id, one.id, none.id]);
+    });
   });
 
   describe('getUsersForDiscovery - Response Shape', () => {
@@ -583,8 +884,58 @@ describe('Discovery Service', () => {
       expect(results.some((u) => u.id === blocked.id)).toBe(false);
     });
   });
+
+  describe('explainDiscovery', () => {
+    it('returns score breakdowns and the reason each user was filtered', async () => {
+      const viewer = await createEligibleUser('MAN', ['WOMAN']);
+      const visible = await createEligibleUser('WOMAN', ['MAN']);
+      const passed = await createEligibleUser('WOMAN', ['MAN']);
+      const paused = await createEligibleUser('WOMAN', ['MAN'], { isProfilePaused: true });
+      const matched = await createEligibleUser('WOMAN', ['MAN']);
+      await userActionFactory.createPass(global.prisma, viewer.id, passed.id);
+      await matchFactory.create(global.prisma, viewer.id, matched.id);
+
+      const result = await explainDiscovery(viewer.id);
+
+      expect(result.users.map(u => u.id)).toEqual([visible.id]);
+      expect(result.users[0].scoreBreakdown).toBeDefined();
+
+      const reasonsFor = (id) => result.excluded.find(e => e.id === id)?.reasons;
+      expect(reasonsFor(passed.id)).toContain('acted_on');
+      expect(reasonsFor(paused.id)).toContain('paused');
+      expect(reasonsFor(matched.id)).toContain('matched');
+      expect(reasonsFor(viewer.id)).toBeUndefined();
+    });
+
+    it('reports strict value filters and does not count boost impressions', async () => {
+      const viewer = await createEligibleUser('MAN', ['WOMAN']);
+      const smoker = await createEligibleUser('WOMAN', ['MAN'], { smoking: 'Regularly' });
+      await global.prisma.profileBoost.create({
+        data: { userId: smoker.id, endsAt: new Date(Date.now() + 30 * 60 * 1000) },
+      });
+
+      const result = await explainDiscovery(viewer.id, {
+        filters: { smoking: ['Never'], strictSmoking: true },
+      });
+
+      expect(result.users).toHaveLength(0);
+      expect(result.excluded.find(e => e.id === smoker.id).reasons).toEqual(['strict_smoking']);
+      const boost = await global.prisma.profileBoost.findFirst({ where: { userId: smoker.id } });
+      expect(boost.impressions).toBe(0);
+    });
+  });
 });
 
+async function setRankingWeights(value) {
+  await global.prisma.appConfig.create({ data: { key: 'ranking', value } });
+  clearRankingWeightsCache();
+}
+
+async function setPassCooldown(days) {
+  await global.prisma.appConfig.create({ data: { key: 'discovery', value: { passCooldownDays: days } } });
+  clearDiscoveryConfigCache();
+}
+
 // Helper function to create a user eligible for discovery
 async function createEligibleUser(gender, interestedIn, overrides = {}) {
   const userData = {
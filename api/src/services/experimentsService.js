@@ -0,0 +1,150 @@
+/**
+ * A/B experiments on stable user cohorts.
+ *
+ * Definitions live in AppConfig key `experiments`, one entry per experiment:
+ *   {
+ *     "likes_quota_q4": {
+ *       "enabled": true,
+ *       "variants": [
+ *         { "name": "control", "weight": 50 },
+ *         { "name": "more_likes", "weight": 50,
+ *           "overrides": { "quotas": { "freeLikesPerWindow": 40 } } }
+ *       ]
+ *     }
+ *   }
+ * Overrides apply on top of the global config per namespace: `quotas`
+ * (premiumService), `ranking` (discovery scoring weights) and `flags`
+ * (GET /api/config/flags).
+ *
+ * Assignment is a pure function of experiment key, optional salt and user
+ * ID — no assignment table. The same md5 bucketing is reproduced in SQL so
+ * the admin overview can roll outcomes up per variant.
+ */
+
+const crypto = require('crypto');
+const { Prisma } = require('@prisma/client');
+const { getPrismaClient } = require('../config/database');
+
+const prisma = getPrismaClient();
+
+const BUCKETS = 10000;
+const OVERRIDE_NAMESPACES = ['quotas', 'ranking', 'flags'];
+
+const CACHE_TTL_MS = 60 * 1000;
+let experimentsCache = { value: null, fetchedAt: 0 };
+
+/** Running experiment definitions (60s in-process cache, fail-open to none). */
+const getExperiments = async () => {
+  const now = Date.now();
+  if (!experimentsCache.value || now - experimentsCache.fetchedAt > CACHE_TTL_MS) {
+    let value = {};
+    try {
+      const row = await prisma.appConfig.findUnique({ where: { key: 'experiments' } });
+      if (row?.value && typeof row.value === 'object') {
+        value = row.value;
+      }
+    } catch (error) {
+      // Fail open with no experiments — everyone gets the global config
+    }
+    experimentsCache = { value, fetchedAt: now };
+  }
+  return experimentsCache.value;
+};
+
+/** Drop the cached definitions so the next read hits AppConfig (admin writes, tests). */
+const clearExperimentsCache = () => {
+  experimentsCache = { value: null, fetchedAt: 0 };
+};
+
+const bucketSeed = (key, experiment, userId) => `${key}:${experiment.salt || ''}:${userId}`;
+
+/** Stable bucket in [0, BUCKETS) for a user within one experiment. */
+const bucketFor = (key, experiment, userId) => {
+  const hash = crypto.createHash('md5').update(bucketSeed(key, experiment, userId)).digest('hex');
+  return parseInt(hash.slice(0, 8), 16) % BUCKETS;
+};
+
+/**
+ * Variant ranges over the bucket space, proportional to weights. The last
+ * positive-weight variant absorbs rounding so every bucket is covered.
+ */
+const variantRanges = (experiment) => {
+  const variants = (experiment.variants || []).filter((v) => Number(v.weight) > 0);
+  const total = variants.reduce((sum, v) => sum + Number(v.weight), 0);
+  let start = 0;
+  return variants.map((variant, i) => {
+    const end = i === variants.length - 1
+      ? BUCKETS
+      : start + Math.round((Number(variant.weight) / total) * BUCKETS);
+    const range = { variant, start, end };
+    start = end;
+    return range;
+  });
+};
+
+const assignVariant = (key, experiment, userId) => {
+  if (!experiment?.enabled || !userId) {
+    return null;
+  }
+  const bucket = bucketFor(key, experiment, userId);
+  return variantRanges(experiment).find((r) => bucket >= r.start && bucket < r.end)?.variant || null;
+};
+
+/** { experimentKey: variantName } for every running experiment. */
+const getUserExperiments = async (userId) => {
+  const experiments = await getExperiments();
+  const assignments = {};
+  for (const [key, experiment] of Object.entries(experiments)) {
+    const variant = assignVariant(key, experiment, userId);
+    if (variant) {
+      assignments[key] = variant.name;
+    }
+  }
+  return assignments;
+};
+
+/**
+ * Merged overrides for one namespace across the user's running
+ * experiments. Experiments should not overlap on a key; if they do, the
+ * one defined later wins.
+ */
+const getExperimentOverrides = async (userId, namespace) => {
+  if (!userId) {
+    return {};
+  }
+  const experiments = await getExperiments();
+  let merged = {};
+  for (const [key, experiment] of Object.entries(experiments)) {
+    const overrides = assignVariant(key, experiment, userId)?.overrides?.[namespace];
+    if (overrides && typeof overrides === 'object') {
+      merged = { ...merged, ...overrides };
+    }
+  }
+  return merged;
+};
+
+/**
+ * SQL twin of assignVariant for a users-table alias `u`: evaluates to the
+ * variant name (NULL when the experiment is off). Keep in sync with
+ * bucketFor — md5, first 32 bits, modulo BUCKETS.
+ */
+const variantSql = (key, experiment) => {
+  const bucket = Prisma.sql`(('x' || substr(md5(${`${key}:${experiment.salt || ''}:`} || u."id"), 1, 8))::bit(32)::bigint % ${BUCKETS})`;
+  const ranges = variantRanges(experiment);
+  if (!experiment.enabled || ranges.length === 0) {
+    return Prisma.sql`NULL::text`;
+  }
+  const cases = ranges.map((r) => Prisma.sql`WHEN ${bucket} < ${r.end} THEN ${r.variant.name}::text`);
+  return Prisma.sql`CASE ${Prisma.join(cases, ' ')} END`;
+};
+
+module.exports = {
+  BUCKETS,
+  OVERRIDE_NAMESPACES,
+  getExperiments,
+  clearExperimentsCache,
+  assignVariant,
+  getUserExperiments,
+  getExperimentOverrides,
+  variantSql,
+};
@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest';
+import { userFactory } from '@test-helpers/factories.js';
+
+const { assignVariant, variantSql } = require('./experimentsService');
+
+const experiment = {
+  enabled: true,
+  variants: [
+    { name: 'control', weight: 50 },
+    { name: 'treatment', weight: 50, overrides: { quotas: { freeLikesPerWindow: 40 } } },
+  ],
+};
+
+describe('Experiments Service', () => {
+  describe('assignVariant', () => {
+    it('assigns the same user to the same variant every time', () => {
+      const first = assignVariant('likes_quota', experiment, 'user-123');
+      for (let i = 0; i < 5; i++) {
+        expect(assignVariant('likes_quota', experiment, 'user-123').name).toBe(first.name);
+      }
+    });
+
+    it('splits users roughly by weight', () => {
+      const counts = { control: 0, treatment: 0 };
+      for (let i = 0; i < 2000; i++) {
+        counts[assignVariant('likes_quota', experiment, `user-${i}`).name]++;
+      }
+      expect(counts.control).toBeGreaterThan(850);
+      expect(counts.treatment).toBeGreaterThan(850);
+    });
+
+    it('returns null for disabled experiments and never picks zero-weight variants', () => {
+      expect(assignVariant('likes_quota', { ...experiment, enabled: false }, 'user-1')).toBeNull();
+
+      const allIn = {
+        enabled: true,
+        variants: [{ name: 'off', weight: 0 }, { name: 'on', weight: 100 }],
+      };
+      for (let i = 0; i < 50; i++) {
+        expect(assignVariant('rollout', allIn, `user-${i}`).name).toBe('on');
+      }
+    });
+  });
+
+  describe('variantSql', () => {
+    it('buckets users in SQL exactly like assignVariant', async () => {
+      const users = await userFactory.createMany(global.prisma, 8);
+
+      const rows = await global.prisma.$queryRaw`
+        SELECT u."id", ${variantSql('likes_quota', experiment)} AS variant FROM "users" u`;
+
+      for (const user of users) {
+        const row = rows.find((r) => r.id === user.id);
+        expect(row.variant).toBe(assignVariant('likes_quota', experiment, user.id).name);
+      }
+    });
+  });
+});
@@ -0,0 +1,45 @@
+/**
+ * Feature flags: AppConfig key `feature_flags` (written by the admin
+ * dashboard) with the caller's experiment `flags` overrides on top. One
+ * reader for GET /api/config/flags and the server-side checks, so a flag
+ * experiment changes both sides for the same cohort.
+ */
+
+const { getPrismaClient } = require('../config/database');
+const { getExperimentOverrides } = require('./experimentsService');
+
+const prisma = getPrismaClient();
+
+const FLAGS_CACHE_TTL_MS = 60 * 1000;
+let flagsCache = { value: null, fetchedAt: 0 };
+
+/**
+ * Global flags (60s in-process cache), merged with the user's experiment
+ * overrides when a userId is given.
+ */
+const getFeatureFlags = async (userId = null) => {
+  const now = Date.now();
+  if (!flagsCache.value || now - flagsCache.fetchedAt > FLAGS_CACHE_TTL_MS) {
+    let flags = {};
+    try {
+      const row = await prisma.appConfig.findUnique({ where: { key: 'feature_flags' } });
+      if (row?.value && typeof row.value === 'object') {
+        flags = row.value;
+      }
+    } catch (error) {
+      // Fail open with the empty set — callers apply their own defaults
+    }
+    flagsCache = { value: flags, fetchedAt: now };
+  }
+  return { ...flagsCache.value, ...(await getExperimentOverrides(userId, 'flags')) };
+};
+
+/** Drop the cached flags so the next read hits AppConfig (admin writes, tests). */
+const clearFeatureFlagsCache = () => {
+  flagsCache = { value: null, fetchedAt: 0 };
+};
+
+module.exports = {
+  getFeatureFlags,
+  clearFeatureFlagsCache,
+};
@@ -13,6 +13,7 @@ const logger = require('../../utils/logger');
 const { AppError } = require('../../middleware/errorHandler');
 const { getEngine } = require('./engines');
 const { sendMessage } = require('../messagesService');
+const { getFeatureFlags } = require('../featureFlagsService');
 
 const prisma = getPrismaClient();
 
@@ -28,17 +29,12 @@ const GAME_LABELS = {
 };
 
 /**
- * Feature flags from AppConfig with env fallback (admin dashboard writes
- * them; before it has, GAMES_ENABLED / GAMES_GATING_ENABLED env apply).
+ * The user's feature flags (global plus experiment overrides, same as
+ * GET /api/config/flags) with env fallback: before the admin dashboard has
+ * written them, GAMES_ENABLED / GAMES_GATING_ENABLED env apply.
  */
-const getGameFlags = async () => {
-  let flags = {};
-  try {
-    const row = await prisma.appConfig.findUnique({ where: { key: 'feature_flags' } });
-    flags = row?.value || {};
-  } catch (error) {
-    // fall through to env defaults
-  }
+const getGameFlags = async (userId) => {
+  const flags = await getFeatureFlags(userId);
   return {
     gamesEnabled: flags.games_enabled ?? process.env.GAMES_ENABLED !== 'false',
     gatingEnabled: flags.games_gating_enabled ?? process.env.GAMES_GATING_ENABLED === 'true',
@@ -73,7 +69,7 @@ const getUsedPromptIds = async (matchId, gameType) => {
  * visibly benefits the pair.
  */
 const canStartGame = async (userId, match, gameType) => {
-  const { gamesEnabled, gatingEnabled } = await getGameFlags();
+  const { gamesEnabled, gatingEnabled } = await getGameFlags(userId);
   if (!gamesEnabled) {
     return { allowed: false, error: 'GAMES_DISABLED', message: 'Games are not available right now' };
   }
@@ -196,7 +192,7 @@ const redactedSession = (session, viewerId) => ({
  */
 const getGamesAvailability = async (matchId, userId) => {
   const match = await assertMembership(matchId, userId);
-  const { gamesEnabled } = await getGameFlags();
+  const { gamesEnabled } = await getGameFlags(userId);
   const [members, mutes] = await Promise.all([
     prisma.user.findMany({
       where: { id: { in: [match.user1Id, match.user2Id] } },
@@ -0,0 +1,266 @@
+/**
+ * Match expiry
+ *
+ * Optional policy (AppConfig key `match_expiry`) that ends matches nobody
+ * ever messaged, so the matches list reflects live connections:
+ *
+ *   { "enabled": true, "days": 7, "reminderHours": 24, "extensionHours": 24 }
+ *
+ * A silent match expires `days` after it was made, or at `extendedUntil`
+ * once a premium member has extended it. Both people get a push reminder
+ * `reminderHours` before that, and the first message stops the clock for
+ * good. Off by default.
+ */
+
+const { getPrismaClient } = require('../config/database');
+const logger = require('../utils/logger');
+const { requiresPremium } = require('./premiumService');
+const { shouldSendNotification, sendMatchExpiringNotification } = require('./notificationService');
+
+const prisma = getPrismaClient();
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const DEFAULT_MATCH_EXPIRY_POLICY = {
+  enabled: false,
+  days: 7,
+  reminderHours: 24,
+  extensionHours: 24,
+};
+
+const BATCH_SIZE = 200;
+
+/**
+ * Effective policy: stored overrides on top of the code defaults, cached
+ * in-process for 60s. Fails open to the defaults (expiry off) on read
+ * failure — a config outage must never end anyone's matches.
+ */
+const POLICY_CACHE_TTL_MS = 60 * 1000;
+let policyCache = { value: null, fetchedAt: 0 };
+
+const getMatchExpiryPolicy = async () => {
+  const now = Date.now();
+  if (!policyCache.value || now - policyCache.fetchedAt > POLICY_CACHE_TTL_MS) {
+    let value = {};
+    try {
+      const row = await prisma.appConfig.findUnique({ where: { key: 'match_expiry' } });
+      if (row?.value && typeof row.value === 'object') {
+        value = row.value;
+      }
+    } catch (error) {
+      // Fall through to the defaults
+    }
+    policyCache = { value: { ...DEFAULT_MATCH_EXPIRY_POLICY, ...value }, fetchedAt: now };
+  }
+  return policyCache.value;
+};
+
+/** Drop the cached policy so the next read hits AppConfig (admin updates, tests). */
+const clearMatchExpiryPolicyCache = () => {
+  policyCache = { value: null, fetchedAt: 0 };
+};
+
+/**
+ * When a match will expire under `policy`, or null if it never will
+ * (policy off, or someone has already sent a message).
+ */
+const getMatchExpiresAt = (match, policy) => {
+  if (!policy.enabled || match.lastMessageTime) {
+    return null;
+  }
+  if (match.extendedUntil) {
+    return new Date(match.extendedUntil);
+  }
+  return new Date(new Date(match.matchedAt).getTime() + policy.days * DAY_MS);
+};
+
+/**
+ * Prisma filter for active, silent matches whose expiry falls at or
+ * before `at`.
+ */
+const expiringBy = (policy, at) => ({
+  isActive: true,
+  lastMessageTime: null,
+  OR: [
+    { extendedUntil: null, matchedAt: { lte: new Date(at.getTime() - policy.days * DAY_MS) } },
+    { extendedUntil: { lte: at } },
+  ],
+});
+
+const REMINDER_USER_SELECT = {
+  id: true,
+  name: true,
+  pushToken: true,
+  photos: { select: { url: true, isMain: true }, orderBy: { isMain: 'desc' }, take: 1 },
+};
+
+const notifyExpiring = async (user, otherUser, match, expiresAt, now) => {
+  if (!user.pushToken || !(await shouldSendNotification(user.id, 'matches'))) {
+    return;
+  }
+  const hoursLeft = Math.max(1, Math.round((expiresAt - now) / HOUR_MS));
+  await sendMatchExpiringNotification(user.pushToken, otherUser, match.id, hoursLeft);
+};
+
+/**
+ * Remind both people about matches entering the reminder window. The
+ * reminder is claimed with a conditional update first, so concurrent
+ * scheduler runs never send it twice.
+ */
+const sendExpiryReminders = async (policy, now) => {
+  const due = await prisma.match.findMany({
+    where: {
+      ...expiringBy(policy, new Date(now.getTime() + policy.reminderHours * HOUR_MS)),
+      expiryReminderSentAt: null,
+    },
+    select: {
+      id: true,
+      matchedAt: true,
+      extendedUntil: true,
+      lastMessageTime: true,
+      user1: { select: REMINDER_USER_SELECT },
+      user2: { select: REMINDER_USER_SELECT },
+    },
+    take: BATCH_SIZE,
+  });
+
+  let sent = 0;
+  for (const match of due) {
+    const claimed = await prisma.match.updateMany({
+      where: { id: match.id, expiryReminderSentAt: null },
+      data: { expiryReminderSentAt: now },
+    });
+    if (claimed.count === 0) {
+      continue;
+    }
+
+    const expiresAt = getMatchExpiresAt(match, policy);
+    try {
+      await Promise.all([
+        notifyExpiring(match.user1, match.user2, match, expiresAt, now),
+        notifyExpiring(match.user2, match.user1, match, expiresAt, now),
+      ]);
+      sent++;
+    } catch (error) {
+      logger.warn(`Match expiry reminder failed for ${match.id}:`, error);
+    }
+  }
+  return sent;
+};
+
+/**
+ * Scheduler entry point: send due reminders, then expire matches whose
+ * time is up. Safe to run on every instance — each expiry is a
+ * conditional update, so a match ends (and is announced) exactly once.
+ */
+const processMatchExpiry = async ({ now = new Date(), io = null } = {}) => {
+  const policy = await getMatchExpiryPolicy();
+  if (!policy.enabled) {
+    return { reminded: 0, expired: 0 };
+  }
+
+  // Required lazily: matchesService reads the policy from this module
+  const { expireMatch } = require('./matchesService');
+
+  const reminded = await sendExpiryReminders(policy, now);
+
+  const due = await prisma.match.findMany({
+    where: expiringBy(policy, now),
+    select: { id: true },
+    take: BATCH_SIZE,
+  });
+
+  let expired = 0;
+  for (const { id } of due) {
+    try {
+      if (await expireMatch(id, { days: policy.days, now, io })) {
+        expired++;
+      }
+    } catch (error) {
+      logger.error(`❌ Failed to expire match ${id}:`, error);
+    }
+  }
+
+  if (reminded > 0 || expired > 0) {
+    logger.info(`⌛ Match expiry: ${reminded} reminded, ${expired} expired`);
+  }
+  return { reminded, expired };
+};
+
+/**
+ * Premium: push an expiring match's deadline back by `extensionHours`
+ * (from whichever is later, the current deadline or now). One extension
+ * per user per UTC day, claimed atomically with the match update.
+ */
+const extendMatch = async (userId, matchId, { now = new Date() } = {}) => {
+  const premium = await requiresPremium(userId, 'match_extension');
+  if (!premium.allowed) {
+    const error = new Error(premium.message);
+    error.code = premium.error;
+    throw error;
+  }
+
+  const policy = await getMatchExpiryPolicy();
+  const match = await prisma.match.findUnique({ where: { id: matchId } });
+
+  if (!match) {
+    throw new Error('Match not found');
+  }
+  if (match.user1Id !== userId && match.user2Id !== userId) {
+    throw new Error('Unauthorized access to match');
+  }
+  if (!match.isActive) {
+    throw new Error('Match is no longer active');
+  }
+
+  const expiresAt = getMatchExpiresAt(match, policy);
+  if (!expiresAt) {
+    const error = new Error('This match is not expiring');
+    error.code = 'NOT_EXPIRING';
+    throw error;
+  }
+
+  const startOfDay = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  const extendedUntil = new Date(
+    Math.max(expiresAt.getTime(), now.getTime()) + policy.extensionHours * HOUR_MS,
+  );
+
+  return prisma.$transaction(async (tx) => {
+    const claimed = await tx.user.updateMany({
+      where: {
+        id: userId,
+        OR: [{ lastMatchExtensionAt: null }, { lastMatchExtensionAt: { lt: startOfDay } }],
+      },
+      data: { lastMatchExtensionAt: now },
+    });
+    if (claimed.count === 0) {
+      const error = new Error('You can extend one match per day');
+      error.code = 'DAILY_LIMIT_REACHED';
+      throw error;
+    }
+
+    // A message or expiry may have landed since the read above
+    const updated = await tx.match.updateMany({
+      where: { id: matchId, isActive: true, lastMessageTime: null },
+      data: { extendedUntil, expiryReminderSentAt: null },
+    });
+    if (updated.count === 0) {
+      const error = new Error('This match is not expiring');
+      error.code = 'NOT_EXPIRING';
+      throw error;
+    }
+
+    logger.info(`⏳ Match ${matchId} extended by user ${userId} until ${extendedUntil.toISOString()}`);
+    return { matchId, expiresAt: extendedUntil };
+  });
+};
+
+module.exports = {
+  DEFAULT_MATCH_EXPIRY_POLICY,
+  getMatchExpiryPolicy,
+  clearMatchExpiryPolicyCache,
+  getMatchExpiresAt,
+  processMatchExpiry,
+  extendMatch,
+};
@@ -0,0 +1,169 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { userFactory, messageFactory } from '@test-helpers/factories.js';
+
+const {
+  clearMatchExpiryPolicyCache,
+  processMatchExpiry,
+  extendMatch,
+} = require('./matchExpiryService');
+const { getUserMatches } = require('./matchesService');
+
+const NOW = new Date('2026-10-18T12:00:00Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Match Expiry Service', () => {
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    clearMatchExpiryPolicyCache();
+  });
+
+  describe('processMatchExpiry', () => {
+    it('does nothing while the policy is off', async () => {
+      const match = await createMatch({ matchedAt: new Date(NOW.getTime() - 30 * DAY_MS) });
+
+      const result = await processMatchExpiry({ now: NOW });
+
+      expect(result).toEqual({ reminded: 0, expired: 0 });
+      const fresh = await global.prisma.match.findUnique({ where: { id: match.id } });
+      expect(fresh.isActive).toBe(true);
+    });
+
+    it('reminds once inside the reminder window', async () => {
+      await enablePolicy();
+      const match = await createMatch({ matchedAt: new Date(NOW.getTime() - 6.5 * DAY_MS) });
+      await createMatch({ matchedAt: new Date(NOW.getTime() - 2 * DAY_MS) });
+
+      const first = await processMatchExpiry({ now: NOW });
+      const second = await processMatchExpiry({ now: NOW });
+
+      expect(first.reminded).toBe(1);
+      expect(second.reminded).toBe(0);
+      const fresh = await global.prisma.match.findUnique({ where: { id: match.id } });
+      expect(fresh.expiryReminderSentAt).not.toBeNull();
+      expect(fresh.isActive).toBe(true);
+    });
+
+    it('expires silent matches past the window and tells both members', async () => {
+      await enablePolicy();
+      const match = await createMatch({ matchedAt: new Date(NOW.getTime() - 8 * DAY_MS) });
+      const io = createIo();
+
+      const result = await processMatchExpiry({ now: NOW, io });
+
+      expect(result.expired).toBe(1);
+      const fresh = await global.prisma.match.findUnique({ where: { id: match.id } });
+      expect(fresh.isActive).toBe(false);
+      expect(fresh.expiredAt).toEqual(NOW);
+      expect(io.to).toHaveBeenCalledWith(`user:${match.user1Id}`);
+      expect(io.to).toHaveBeenCalledWith(`user:${match.user2Id}`);
+      expect(io.emit).toHaveBeenCalledWith('match-ended', { matchId: match.id, reason: 'expired' });
+      expect(io.evictMatchRoom).toHaveBeenCalledWith(match.id);
+    });
+
+    it('never expires a match once someone has messaged', async () => {
+      await enablePolicy();
+      const match = await createMatch({ matchedAt: new Date(NOW.getTime() - 30 * DAY_MS) });
+      await messageFactory.create(global.prisma, match.id, match.user1Id, match.user2Id);
+      await global.prisma.match.update({
+        where: { id: match.id },
+        data: { lastMessageTime: new Date(NOW.getTime() - 29 * DAY_MS) },
+      });
+
+      const result = await processMatchExpiry({ now: NOW });
+
+      expect(result.expired).toBe(0);
+    });
+  });
+
+  describe('extendMatch', () => {
+    it('requires premium', async () => {
+      await enablePolicy();
+      const match = await createMatch({ matchedAt: new Date(NOW.getTime() - 6.5 * DAY_MS) });
+
+      await expect(extendMatch(match.user1Id, match.id, { now: NOW })).rejects.toMatchObject({
+        code: 'PREMIUM_REQUIRED',
+      });
+    });
+
+    it('pushes the deadline back and allows one extension per day', async () => {
+      await enablePolicy();
+      const premium = await userFactory.create(global.prisma, { isPremium: true });
+      const match = await createMatch({
+        user1Id: premium.id,
+        matchedAt: new Date(NOW.getTime() - 6.5 * DAY_MS),
+        expiryReminderSentAt: NOW,
+      });
+      const other = await createMatch({
+        user1Id: premium.id,
+        matchedAt: new Date(NOW.getTime() - 6.5 * DAY_MS),
+      });
+
+      const result = await extendMatch(premium.id, match.id, { now: NOW });
+
+      // Old deadline was 12h away; the extension adds 24h on top of it
+      expect(result.expiresAt).toEqual(new Date(NOW.getTime() + 36 * 60 * 60 * 1000));
+      const fresh = await global.prisma.match.findUnique({ where: { id: match.id } });
+      expect(fresh.expiryReminderSentAt).toBeNull();
+
+      await expect(extendMatch(premium.id, other.id, { now: NOW })).rejects.toMatchObject({
+        code: 'DAILY_LIMIT_REACHED',
+      });
+      const tomorrow = new Date(NOW.getTime() + DAY_MS);
+      await expect(extendMatch(premium.id, other.id, { now: tomorrow })).resolves.toMatchObject({
+        matchId: other.id,
+      });
+    });
+
+    it('keeps an extended match alive past the original window', async () => {
+      await enablePolicy();
+      const premium = await userFactory.create(global.prisma, { isPremium: true });
+      const match = await createMatch({
+        user1Id: premium.id,
+        matchedAt: new Date(NOW.getTime() - 6.5 * DAY_MS),
+      });
+      await extendMatch(premium.id, match.id, { now: NOW });
+
+      const later = new Date(NOW.getTime() + DAY_MS);
+      expect((await processMatchExpiry({ now: later })).expired).toBe(0);
+
+      const [listed] = await getUserMatches(premium.id);
+      expect(listed.expiresAt).toEqual(new Date(NOW.getTime() + 36 * 60 * 60 * 1000));
+    });
+
+    it('rejects matches that are not expiring', async () => {
+      const premium = await userFactory.create(global.prisma, { isPremium: true });
+      const match = await createMatch({ user1Id: premium.id });
+
+      await expect(extendMatch(premium.id, match.id, { now: NOW })).rejects.toMatchObject({
+        code: 'NOT_EXPIRING',
+      });
+    });
+  });
+});
+
+async function enablePolicy(overrides = {}) {
+  await global.prisma.appConfig.create({
+    data: {
+      key: 'match_expiry',
+      value: { enabled: true, days: 7, reminderHours: 24, extensionHours: 24, ...overrides },
+    },
+  });
+  clearMatchExpiryPolicyCache();
+}
+
+async function createMatch({ user1Id, ...data } = {}) {
+  const user1 = user1Id || (await userFactory.create(global.prisma)).id;
+  const user2 = await userFactory.create(global.prisma);
+  return global.prisma.match.create({
+    data: { user1Id: user1, user2Id: user2.id, isActive: true, ...data },
+  });
+}
+
+function createIo() {
+  const io = {
+    emit: vi.fn(),
+    evictMatchRoom: vi.fn(),
+  };
+  io.to = vi.fn(() => io);
+  return io;
+}
@@ -1,6 +1,9 @@
 const logger = require('../utils/logger');
 const { getPrismaClient } = require('../config/database');
 const { PUBLIC_USER_WITH_MEDIA_SELECT } = require('../utils/userSelectors');
+const { getSharedTraits, calculateAge } = require('../utils/profileUtils');
+const { invalidateDeck } = require('./deckCacheService');
+const { getMatchExpiryPolicy, getMatchExpiresAt } = require('./matchExpiryService');
 
 const prisma = getPrismaClient();
 
@@ -11,6 +14,14 @@ const getUserMatches = async (userId, options = {}) => {
   try {
     const { limit = 50, offset = 0 } = options;
 
+    const expiryPolicy = await getMatchExpiryPolicy();
+
+    // Compared against each match to show what the two have in common
+    const viewer = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { interests: { select: { interestId: true } }, languages: true },
+    });
+
     const matches = await prisma.match.findMany({
       where: {
         OR: [{ user1Id: userId }, { user2Id: userId }],
@@ -30,6 +41,8 @@ const getUserMatches = async (userId, options = {}) => {
               select: { url: true, isMain: true },
               orderBy: { isMain: 'desc' }, // Main photos first
             },
+            interests: { include: { interest: true } },
+            languages: true,
           },
         },
         user2: {
@@ -45,10 +58,14 @@ const getUserMatches = async (userId, options = {}) => {
               select: { url: true, isMain: true },
               orderBy: { isMain: 'desc' }, // Main photos first
             },
+            interests: { include: { interest: true } },
+            languages: true,
           },
         },
-        // Only the latest message — unread counts come from one groupBy below
+        // Only the latest message still standing — unread counts come
+        // from one groupBy below
         messages: {
+          where: { deletedAt: null },
           orderBy: { createdAt: 'desc' },
           take: 1,
           select: {
@@ -74,6 +91,7 @@ const getUserMatches = async (userId, options = {}) => {
             matchId: { in: matchIds },
             receiverId: userId,
             isRead: false,
+            deletedAt: null,
           },
           _count: { _all: true },
         })
@@ -105,6 +123,7 @@ const getUserMatches = async (userId, options = {}) => {
           mainPhotoUrl: otherUser.mainPhotoUrl,
           photos: otherUser.photos || [],
           lastActive: otherUser.lastActive,
+          ...getSharedTraits(viewer || {}, otherUser),
         },
         lastMessage: lastMessage
           ? {
@@ -115,6 +134,8 @@ const getUserMatches = async (userId, options = {}) => {
             }
           : null,
         unreadCount,
+        // Null unless the match expiry policy is on and nobody has messaged yet
+        expiresAt: getMatchExpiresAt(match, expiryPolicy),
       };
     });
 
@@ -159,19 +180,26 @@ const getMatchDetails = async (matchId, currentUserId) => {
     // Get the other user's info
     const otherUser =
       match.user1Id === currentUserId ? match.user2 : match.user1;
+    const currentUser =
+      match.user1Id === currentUserId ? match.user1 : match.user2;
 
     // Calculate age, then drop the raw birth date from the response
     const age = calculateAge(otherUser.birthDate);
     const otherUserPublic = { ...otherUser };
     delete otherUserPublic.birthDate;
 
+    const { getAcceptedPlans } = require('./datePlanService');
+
     const matchDetails = {
       id: match.id,
       matchedAt: match.createdAt,
       otherUser: {
         ...otherUserPublic,
         age,
+        ...getSharedTraits(currentUser, otherUser),
       },
+      // Dates both people agreed to in chat, soonest first
+      datePlans: await getAcceptedPlans(match.id),
     };
 
     logger.info(`Retrieved match details for match ${matchId}`);
@@ -182,6 +210,21 @@ const getMatchDetails = async (matchId, currentUserId) => {
   }
 };
 
+/**
+ * Shared tail of every way a match ends: tell both members' devices so
+ * open lists and chats update live, drop the match's socket room, and
+ * let both decks reconsider each other.
+ */
+const closeMatch = async (match, reason, io) => {
+  if (io) {
+    const payload = { matchId: match.id, reason };
+    io.to(`user:${match.user1Id}`).emit('match-ended', payload);
+    io.to(`user:${match.user2Id}`).emit('match-ended', payload);
+  }
+  io?.evictMatchRoom?.(match.id);
+  await invalidateDeck(match.user1Id, match.user2Id);
+};
+
 /**
  * Deactivate a match (unmatch)
  */
@@ -200,13 +243,13 @@ const deactivateMatch = async (matchId, userId, io = null) => {
       throw new Error('Unauthorized access to match');
     }
 
-    // Deactivate the match
+    // Deactivate the match (who and when drive the rematch grace window)
     const updatedMatch = await prisma.match.update({
       where: { id: matchId },
-      data: { isActive: false },
+      data: { isActive: false, unmatchedBy: userId, unmatchedAt: new Date() },
     });
 
-    io?.evictMatchRoom?.(matchId);
+    await closeMatch(match, 'unmatched', io);
 
     logger.info(`Match ${matchId} deactivated by user ${userId}`);
 
@@ -221,25 +264,40 @@ const deactivateMatch = async (matchId, userId, io = null) => {
 };
 
 /**
- * Calculate age from birth date
+ * Expire a silent match whose time is up (see matchExpiryService).
+ * The update re-checks that the match is still active, still has no
+ * messages and is past its deadline, so a message or extension that
+ * lands first wins. Returns the expired match, or null if it didn't.
  */
-const calculateAge = (birthDate) => {
-  if (!birthDate) { return null; }
-
-  const today = new Date();
-  const birth = new Date(birthDate);
-  let age = today.getFullYear() - birth.getFullYear();
-  const monthDiff = today.getMonth() - birth.getMonth();
-
-  if (monthDiff < 0 || (monthDiff === 0 && today.getDate() < birth.getDate())) {
-    age--;
+const expireMatch = async (matchId, { days, now = new Date(), io = null }) => {
+  const cutoff = new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+  const { count } = await prisma.match.updateMany({
+    where: {
+      id: matchId,
+      isActive: true,
+      lastMessageTime: null,
+      OR: [
+        { extendedUntil: null, matchedAt: { lte: cutoff } },
+        { extendedUntil: { lte: now } },
+      ],
+    },
+    data: { isActive: false, expiredAt: now },
+  });
+  if (count === 0) {
+    return null;
   }
 
-  return age;
+  const match = await prisma.match.findUnique({ where: { id: matchId } });
+  await closeMatch(match, 'expired', io);
+
+  logger.info(`Match ${matchId} expired with no messages`);
+  return match;
 };
 
 module.exports = {
   getUserMatches,
   getMatchDetails,
   deactivateMatch,
+  expireMatch,
+  closeMatch,
 };
@@ -175,6 +175,20 @@ describe('Matches Service', () => {
       expect(matches[0].otherUser.photos).toBeDefined();
       expect(matches[0].otherUser.photos.length).toBeGreaterThan(0);
     });
+
+    it('should list the interests and languages both users share', async () => {
+      const user1 = await userFactory.create(global.prisma, { languages: ['English', 'German'] });
+      const user2 = await userFactory.create(global.prisma, { languages: ['german', 'Italian'] });
+      await userInterestFactory.addInterestsToUser(global.prisma, user1.id, ['Travel', 'Music']);
+      await userInterestFactory.addInterestsToUser(global.prisma, user2.id, ['Music', 'Hiking']);
+
+      await matchFactory.create(global.prisma, user1.id, user2.id);
+
+      const [match] = await getUserMatches(user1.id);
+
+      expect(match.otherUser.sharedInterests).toEqual(['Music']);
+      expect(match.otherUser.sharedLanguages).toEqual(['german']);
+    });
   });
 
   describe('getMatchDetails', () => {
@@ -290,6 +304,20 @@ describe('Matches Service', () => {
       expect(details.otherUser.interests.length).toBe(2);
     });
 
+    it('should list the interests and languages both users share', async () => {
+      const user1 = await userFactory.create(global.prisma, { languages: ['English'] });
+      const user2 = await userFactory.create(global.prisma, { languages: ['English', 'French'] });
+      await userInterestFactory.addInterestsToUser(global.prisma, user1.id, ['Travel']);
+      await userInterestFactory.addInterestsToUser(global.prisma, user2.id, ['Travel', 'Music']);
+
+      const match = await matchFactory.create(global.prisma, user1.id, user2.id);
+
+      const details = await getMatchDetails(match.id, user1.id);
+
+      expect(details.otherUser.sharedInterests).toEqual(['Travel']);
+      expect(details.otherUser.sharedLanguages).toEqual(['English']);
+    });
+
     it('should calculate age correctly', async () => {
       const user1 = await userFactory.create(global.prisma);
 
@@ -351,6 +379,21 @@ describe('Matches Service', () => {
       expect(result.match.isActive).toBe(false);
     });
 
+    it('should tell both members the match ended', async () => {
+      const user1 = await userFactory.create(global.prisma);
+      const user2 = await userFactory.create(global.prisma);
+      const match = await matchFactory.create(global.prisma, user1.id, user2.id);
+      const emit = vi.fn();
+      const io = { to: vi.fn(() => ({ emit })), evictMatchRoom: vi.fn() };
+
+      await deactivateMatch(match.id, user1.id, io);
+
+      expect(io.to).toHaveBeenCalledWith(`user:${user1.id}`);
+      expect(io.to).toHaveBeenCalledWith(`user:${user2.id}`);
+      expect(emit).toHaveBeenCalledWith('match-ended', { matchId: match.id, reason: 'unmatched' });
+      expect(io.evictMatchRoom).toHaveBeenCalledWith(match.id);
+    });
+
     it('should not affect other matches', async () => {
       const user1 = await userFactory.create(global.prisma);
       const user2 = await userFactory.create(global.prisma);
@@ -1,3 +1,4 @@
+const { Prisma } = require('@prisma/client');
 const logger = require('../utils/logger');
 const { getPrismaClient } = require('../config/database');
 const { sendMessageNotification, shouldSendNotification } = require('./notificationService');
@@ -5,92 +6,252 @@ const { getReactionsForMessages } = require('./reactionsService');
 
 const prisma = getPrismaClient();
 
+// How long after sending a text message its sender can still edit it
+const MESSAGE_EDIT_WINDOW_MS = 15 * 60 * 1000;
+
+// Cards whose live state hangs off the message; unsending them would
+// orphan a running game or a pending date
+const UNSENDABLE_TYPES = ['GAME', 'DATE_PROPOSAL'];
+
+// Catch-up syncs return at most this many changed messages; past that the
+// client is better off reloading the thread
+const MAX_SYNC_CHANGES = 500;
+
+// Watermarks are backdated by this much so a write whose timestamp was
+// taken just before a sync, but committed just after, is still picked up
+// next time. Clients upsert by id, so the overlap is harmless.
+const SYNC_OVERLAP_MS = 5000;
+
+// Global search pages; results are ranked, so pages are cursor-based
+const SEARCH_PAGE_SIZE = 20;
+const MAX_SEARCH_PAGE = 50;
+const MAX_SEARCH_TERMS = 8;
+
+// ts_headline wraps matches in these private-use characters, which real
+// text never contains, and formatSnippet splits them back out
+const HIGHLIGHT_START = '\uE000';
+const HIGHLIGHT_END = '\uE001';
+const HEADLINE_OPTIONS = `StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_END}, MaxWords=16, MinWords=6, ShortWord=2, MaxFragments=2, FragmentDelimiter=" … "`;
+
 /**
- * Get messages for a match
+ * Chat list preview for a message (show [GIF] for GIFs, etc.)
  */
-const getMessages = async (matchId, userId, options = {}) => {
-  try {
-    const { limit = 100, offset = 0 } = options;
+const getMessagePreview = (content, messageType) => {
+  switch (messageType) {
+    case 'GIF':
+      return '[GIF]';
+    case 'IMAGE':
+      return '[Image]';
+    case 'VIDEO':
+      return '[Video]';
+    case 'AUDIO':
+      return '[Voice message]';
+    case 'DATE_PROPOSAL':
+      return '[Date proposal]';
+    default:
+      return content;
+  }
+};
 
-    // Verify user has access to this match
-    const match = await prisma.match.findUnique({
-      where: { id: matchId },
-    });
+/**
+ * Client shape of the message a reply quotes. An unsent original keeps
+ * its place in the thread but none of its content.
+ */
+const formatReplyTo = (replyTo) => {
+  if (!replyTo) {
+    return null;
+  }
+  return {
+    id: replyTo.id,
+    content: replyTo.deletedAt ? null : replyTo.content,
+    messageType: replyTo.messageType,
+    senderId: replyTo.senderId,
+    senderName: replyTo.sender?.name,
+    ...(replyTo.deletedAt ? { isDeleted: true } : {}),
+  };
+};
 
-    if (!match) {
-      throw new Error('Match not found');
-    }
+const REPLY_TO_SELECT = {
+  id: true,
+  content: true,
+  messageType: true,
+  senderId: true,
+  deletedAt: true,
+  sender: {
+    select: {
+      id: true,
+      name: true,
+    },
+  },
+};
 
-    if (match.user1Id !== userId && match.user2Id !== userId) {
-      throw new Error('Unauthorized access to match');
-    }
+/**
+ * Client shape of an edited message's history: the versions it replaced,
+ * oldest first. Unedited messages carry none.
+ */
+const formatEditHistory = (message) =>
+  message.editedAt
+    ? {
+        editedAt: message.editedAt,
+        previousVersions: (message.edits || []).map((edit) => ({
+          content: edit.content,
+          replacedAt: edit.createdAt,
+        })),
+      }
+    : {};
 
-    if (!match.isActive) {
-      throw new Error('Match is no longer active');
+/**
+ * Opaque paging cursor for a message's (createdAt, id) position in its
+ * thread. Positions never shift as new messages arrive, unlike offsets.
+ */
+const encodeMessageCursor = (message) =>
+  Buffer.from(JSON.stringify([new Date(message.createdAt).toISOString(), message.id])).toString('base64url');
+
+const decodeMessageCursor = (cursor) => {
+  try {
+    const [createdAt, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    const date = new Date(createdAt);
+    if (!Number.isNaN(date.getTime()) && typeof id === 'string' && id) {
+      return { createdAt: date, id };
     }
+  } catch {
+    // fall through
+  }
+  throw new Error('Invalid message cursor');
+};
+
+// Messages strictly before/after a cursor position, in (createdAt, id) order
+const cursorCondition = (cursor, direction) => {
+  const { createdAt, id } = decodeMessageCursor(cursor);
+  const op = direction === 'before' ? 'lt' : 'gt';
+  return {
+    OR: [
+      { createdAt: { [op]: createdAt } },
+      { createdAt, id: { [op]: id } },
+    ],
+  };
+};
 
-    // Get the most recent messages first, then reverse for chronological display
-    // This ensures we always get the newest messages when there's a limit
+/**
+ * Watermark for a read starting now, to pass to the next syncMessages
+ */
+const getSyncWatermark = () => new Date(Date.now() - SYNC_OVERLAP_MS);
+
+const MESSAGE_INCLUDE = {
+  sender: {
+    select: {
+      id: true,
+      name: true,
+    },
+  },
+  replyTo: {
+    select: REPLY_TO_SELECT,
+  },
+  edits: {
+    select: { content: true, createdAt: true },
+    orderBy: { createdAt: 'asc' },
+  },
+};
+
+/**
+ * The match, if the user may read its thread
+ */
+const getReadableMatch = async (matchId, userId) => {
+  const match = await prisma.match.findUnique({
+    where: { id: matchId },
+  });
+
+  if (!match) {
+    throw new Error('Match not found');
+  }
+
+  if (match.user1Id !== userId && match.user2Id !== userId) {
+    throw new Error('Unauthorized access to match');
+  }
+
+  if (!match.isActive) {
+    throw new Error('Match is no longer active');
+  }
+
+  return match;
+};
+
+/**
+ * Client shape of a batch of messages, with reactions and date cards
+ */
+const formatMessages = async (messages, userId) => {
+  // Get reactions for all messages
+  const messageIds = messages.map((m) => m.id);
+  const reactionsMap = await getReactionsForMessages(messageIds);
+
+  // Date cards render from their proposal's live state
+  const { getProposalsForMessages } = require('./datePlanService');
+  const proposalsMap = await getProposalsForMessages(
+    messages.filter((m) => m.messageType === 'DATE_PROPOSAL').map((m) => m.id),
+  );
+
+  return messages.map((message) => ({
+    id: message.id,
+    clientMessageId: message.clientMessageId,
+    content: message.content,
+    messageType: message.messageType,
+    mediaUrl: message.mediaUrl,
+    metadata: message.metadata,
+    senderId: message.senderId,
+    senderName: message.sender.name,
+    isFromMe: message.senderId === userId,
+    timestamp: message.createdAt,
+    isRead: message.isRead,
+    readAt: message.readAt,
+    isDelivered: message.isDelivered,
+    deliveredAt: message.deliveredAt,
+    reactions: reactionsMap[message.id] || {},
+    ...formatEditHistory(message),
+    ...(proposalsMap[message.id] ? { dateProposal: proposalsMap[message.id] } : {}),
+    // Unsent: a "message removed" tombstone, already emptied on delete,
+    // that keeps its place in the thread
+    ...(message.deletedAt ? { isDeleted: true, deletedAt: message.deletedAt } : {}),
+    replyTo: formatReplyTo(message.replyTo),
+  }));
+};
+
+/**
+ * Get messages for a match, oldest first. By default the newest `limit`
+ * (optionally skipping `offset`, kept for older clients); with `before` or
+ * `after` — cursors from encodeMessageCursor — the page right before or
+ * after that position instead.
+ */
+const getMessages = async (matchId, userId, options = {}) => {
+  try {
+    const { limit = 100, offset = 0, before = null, after = null } = options;
+
+    // Verify user has access to this match
+    await getReadableMatch(matchId, userId);
+
+    // Newer pages read forwards from the cursor; everything else reads
+    // backwards from the newest (or from `before`) and is reversed for
+    // chronological display
+    const forwards = Boolean(after);
+    const direction = forwards ? 'asc' : 'desc';
     const messages = await prisma.message.findMany({
-      where: { matchId },
-      include: {
-        sender: {
-          select: {
-            id: true,
-            name: true,
-          },
-        },
-        replyTo: {
-          select: {
-            id: true,
-            content: true,
-            messageType: true,
-            senderId: true,
-            sender: {
-              select: {
-                id: true,
-                name: true,
-              },
-            },
-          },
-        },
+      where: {
+        matchId,
+        AND: [
+          ...(after ? [cursorCondition(after, 'after')] : []),
+          ...(before ? [cursorCondition(before, 'before')] : []),
+        ],
       },
-      orderBy: { createdAt: 'desc' },  // Get newest first
+      include: MESSAGE_INCLUDE,
+      orderBy: [{ createdAt: direction }, { id: direction }],
       take: limit,
-      skip: offset,
+      ...(before || after ? {} : { skip: offset }),
     });
 
-    // Reverse to get chronological order for display
-    messages.reverse();
-
-    // Get reactions for all messages
-    const messageIds = messages.map((m) => m.id);
-    const reactionsMap = await getReactionsForMessages(messageIds);
-
-    // Transform messages for client
-    const transformedMessages = messages.map((message) => ({
-      id: message.id,
-      content: message.content,
-      messageType: message.messageType,
-      mediaUrl: message.mediaUrl,
-      metadata: message.metadata,
-      senderId: message.senderId,
-      senderName: message.sender.name,
-      isFromMe: message.senderId === userId,
-      timestamp: message.createdAt,
-      isRead: message.isRead,
-      readAt: message.readAt,
-      isDelivered: message.isDelivered,
-      deliveredAt: message.deliveredAt,
-      reactions: reactionsMap[message.id] || {},
-      replyTo: message.replyTo ? {
-        id: message.replyTo.id,
-        content: message.replyTo.content,
-        messageType: message.replyTo.messageType,
-        senderId: message.replyTo.senderId,
-        senderName: message.replyTo.sender?.name,
-      } : null,
-    }));
+    if (!forwards) {
+      messages.reverse();
+    }
+
+    const transformedMessages = await formatMessages(messages, userId);
 
     logger.info(
       `Retrieved ${transformedMessages.length} messages for match ${matchId}`,
@@ -103,11 +264,92 @@ const getMessages = async (matchId, userId, options = {}) => {
 };
 
 /**
- * Send a message in a match
+ * Everything that changed in a thread since a watermark: new messages,
+ * edits, unsends (as tombstones), reactions and read receipts all touch
+ * the message row, so each changed message comes back whole and clients
+ * upsert by id. Pass the returned watermark to the next sync. When more
+ * than MAX_SYNC_CHANGES changed, `fullReload` tells the client to reload
+ * the thread instead.
+ */
+const syncMessages = async (matchId, userId, { since }) => {
+  try {
+    await getReadableMatch(matchId, userId);
+
+    const watermark = getSyncWatermark();
+    const changed = await prisma.message.findMany({
+      where: { matchId, updatedAt: { gt: new Date(since) } },
+      include: MESSAGE_INCLUDE,
+      orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+      take: MAX_SYNC_CHANGES + 1,
+    });
+
+    if (changed.length > MAX_SYNC_CHANGES) {
+      return { messages: [], watermark, fullReload: true };
+    }
+
+    return {
+      messages: await formatMessages(changed, userId),
+      watermark,
+      fullReload: false,
+    };
+  } catch (error) {
+    logger.error('❌ Error syncing messages:', error);
+    throw error;
+  }
+};
+
+const SENT_MESSAGE_INCLUDE = {
+  sender: {
+    select: {
+      id: true,
+      name: true,
+      photos: true,
+    },
+  },
+  replyTo: {
+    select: REPLY_TO_SELECT,
+  },
+};
+
+const findByClientMessageId = (senderId, clientMessageId) =>
+  prisma.message.findUnique({
+    where: { senderId_clientMessageId: { senderId, clientMessageId } },
+    include: SENT_MESSAGE_INCLUDE,
+  });
+
+/**
+ * Client shape of a just-sent message, for the sender and the socket rooms
+ */
+const formatSentMessage = (message) => ({
+  id: message.id,
+  clientMessageId: message.clientMessageId,
+  content: message.content,
+  messageType: message.messageType,
+  mediaUrl: message.mediaUrl,
+  metadata: message.metadata,
+  senderId: message.senderId,
+  senderName: message.sender.name,
+  timestamp: message.createdAt,
+  isRead: message.isRead,
+  isDelivered: message.isDelivered,
+  reactions: {},
+  replyTo: formatReplyTo(message.replyTo),
+});
+
+/**
+ * Send a message in a match. With a clientMessageId the send is
+ * idempotent: repeating it returns the message it first created.
  */
 const sendMessage = async (matchId, senderId, messageData, io = null) => {
   try {
-    const { content, messageType = 'TEXT', mediaUrl = null, metadata = null, replyToId = null } = messageData;
+    const {
+      content,
+      messageType = 'TEXT',
+      mediaUrl = null,
+      metadata = null,
+      replyToId = null,
+      clientMessageId = null,
+    } = messageData;
 
     // Verify user has access to this match
     const match = await prisma.match.findUnique({
@@ -122,6 +364,19 @@ const sendMessage = async (matchId, senderId, messageData, io = null) => {
       throw new Error('Unauthorized access to match');
     }
 
+    // A retry of a send that already went through (the response was lost
+    // on a flaky connection): hand back the original, notifying no one again
+    if (clientMessageId) {
+      const existing = await findByClientMessageId(senderId, clientMessageId);
+      if (existing) {
+        if (existing.matchId !== matchId) {
+          throw new Error('Client message ID already used');
+        }
+        logger.info(`Duplicate send of ${clientMessageId} in match ${matchId} ignored`);
+        return formatSentMessage(existing);
+      }
+    }
+
     if (!match.isActive) {
       throw new Error('Cannot send message to inactive match');
     }
@@ -138,56 +393,37 @@ const sendMessage = async (matchId, senderId, messageData, io = null) => {
     }
 
     // Create message
-    const message = await prisma.message.create({
-      data: {
-        matchId,
-        senderId,
-        receiverId,
-        content,
-        messageType,
-        mediaUrl,
-        metadata,
-        replyToId,
-        isDelivered: true,
-        deliveredAt: new Date(),
-      },
-      include: {
-        sender: {
-          select: {
-            id: true,
-            name: true,
-            photos: true,
-          },
+    let message;
+    try {
+      message = await prisma.message.create({
+        data: {
+          matchId,
+          senderId,
+          receiverId,
+          content,
+          messageType,
+          mediaUrl,
+          metadata,
+          replyToId,
+          clientMessageId,
+          isDelivered: true,
+          deliveredAt: new Date(),
         },
-        replyTo: {
-          select: {
-            id: true,
-            content: true,
-            messageType: true,
-            senderId: true,
-            sender: {
-              select: {
-                id: true,
-                name: true,
-              },
-            },
-          },
-        },
-      },
-    });
-
-    // Determine last message preview (show [GIF] for GIFs, etc.)
-    let lastMessagePreview = content;
-    if (messageType === 'GIF') {
-      lastMessagePreview = '[GIF]';
-    } else if (messageType === 'IMAGE') {
-      lastMessagePreview = '[Image]';
-    } else if (messageType === 'VIDEO') {
-      lastMessagePreview = '[Video]';
-    } else if (messageType === 'AUDIO') {
-      lastMessagePreview = '[Voice message]';
+        include: SENT_MESSAGE_INCLUDE,
+      });
+    } catch (error) {
+      // Lost the race to a concurrent retry of the same send
+      if (error.code === 'P2002' && clientMessageId) {
+        const existing = await findByClientMessageId(senderId, clientMessageId);
+        if (existing?.matchId === matchId) {
+          return formatSentMessage(existing);
+        }
+      }
+      throw error;
     }
 
+    const lastMessagePreview = getMessagePreview(content, messageType);
+
     // Update match with last message info
     await prisma.match.update({
       where: { id: matchId },
@@ -199,26 +435,7 @@ const sendMessage = async (matchId, senderId, messageData, io = null) => {
     });
 
     // Transform message for response
-    const transformedMessage = {
-      id: message.id,
-      content: message.content,
-      messageType: message.messageType,
-      mediaUrl: message.mediaUrl,
-      metadata: message.metadata,
-      senderId: message.senderId,
-      senderName: message.sender.name,
-      timestamp: message.createdAt,
-      isRead: message.isRead,
-      isDelivered: message.isDelivered,
-      reactions: {},
-      replyTo: message.replyTo ? {
-        id: message.replyTo.id,
-        content: message.replyTo.content,
-        messageType: message.replyTo.messageType,
-        senderId: message.replyTo.senderId,
-        senderName: message.replyTo.sender?.name,
-      } : null,
-    };
+    const transformedMessage = formatSentMessage(message);
 
     logger.info(`Message sent in match ${matchId} by user ${senderId}`);
 
@@ -276,6 +493,7 @@ const sendMessage = async (matchId, senderId, messageData, io = null) => {
             senderId,
             receiverId,
             isRead: false,
+            deletedAt: null,
           },
           orderBy: { createdAt: 'desc' },
           take: 5, // Max 5 messages in stacked notification
@@ -408,15 +626,140 @@ const markMessagesAsRead = async (
 };
 
 /**
- * Delete a message
+ * Edit the text of a message. Only its sender can, only for TEXT
+ * messages, and only within MESSAGE_EDIT_WINDOW_MS of sending; the text
+ * it replaces is kept in message_edits. Reactions and replies stay
+ * attached since the message keeps its id.
  */
-const deleteMessage = async (messageId, userId) => {
+const editMessage = async (matchId, messageId, userId, content, io = null) => {
   try {
-    // Get message and verify ownership
     const message = await prisma.message.findUnique({
       where: { id: messageId },
-      include: {
-        match: true,
+      include: { match: true },
+    });
+
+    if (!message || message.matchId !== matchId || message.deletedAt) {
+      throw new Error('Message not found');
+    }
+
+    if (message.senderId !== userId) {
+      throw new Error('You can only edit your own messages');
+    }
+
+    if (!message.match.isActive) {
+      throw new Error('Match is no longer active');
+    }
+
+    if (message.messageType !== 'TEXT') {
+      throw new Error('Only text messages can be edited');
+    }
+
+    if (Date.now() - message.createdAt.getTime() > MESSAGE_EDIT_WINDOW_MS) {
+      throw new Error('This message can no longer be edited');
+    }
+
+    if (content !== message.content) {
+      const editedAt = new Date();
+      await prisma.$transaction([
+        prisma.messageEdit.create({
+          data: { messageId, content: message.content, createdAt: editedAt },
+        }),
+        prisma.message.update({
+          where: { id: messageId },
+          data: { content, editedAt },
+        }),
+      ]);
+
+      // Keep the chat list preview current when this is the latest message
+      const latest = await prisma.message.findFirst({
+        where: { matchId, deletedAt: null },
+        orderBy: { createdAt: 'desc' },
+        select: { id: true },
+      });
+      if (latest?.id === messageId) {
+        await prisma.match.update({
+          where: { id: matchId },
+          data: { lastMessage: content },
+        });
+      }
+
+      logger.info(`Message ${messageId} edited by user ${userId}`);
+    }
+
+    const edited = await prisma.message.findUnique({
+      where: { id: messageId },
+      select: {
+        id: true,
+        content: true,
+        editedAt: true,
+        edits: {
+          select: { content: true, createdAt: true },
+          orderBy: { createdAt: 'asc' },
+        },
+      },
+    });
+
+    const result = {
+      id: edited.id,
+      content: edited.content,
+      ...formatEditHistory(edited),
+    };
+
+    if (io && content !== message.content) {
+      io.to(`match:${matchId}`).emit('message-edited', {
+        matchId,
+        messageId,
+        ...result,
+      });
+      logger.info(`📡 Edit event emitted for message ${messageId}`);
+    }
+
+    return result;
+  } catch (error) {
+    logger.error('❌ Error editing message:', error);
+    throw error;
+  }
+};
+
+/**
+ * Point the match's chat list preview at its newest message still
+ * standing. When every message is gone, lastMessageTime is left as it
+ * was: the two did talk, which is what expiry and nudges go by.
+ */
+const refreshLastMessage = async (matchId) => {
+  const latest = await prisma.message.findFirst({
+    where: { matchId, deletedAt: null },
+    orderBy: { createdAt: 'desc' },
+    select: { content: true, messageType: true, createdAt: true, senderId: true },
+  });
+
+  await prisma.match.update({
+    where: { id: matchId },
+    data: latest
+      ? {
+          lastMessage: getMessagePreview(latest.content, latest.messageType),
+          lastMessageTime: latest.createdAt,
+          lastMessageBy: latest.senderId,
+        }
+      : { lastMessage: null, lastMessageBy: null },
+  });
+};
+
+/**
+ * Unsend a message for everyone. The row stays as a tombstone so replies
+ * still quote it as "message removed"; its content, media, reactions and
+ * edit history are dropped. Unsending twice is a no-op.
+ */
+const deleteMessage = async (messageId, userId, io = null) => {
+  try {
+    const message = await prisma.message.findUnique({
+      where: { id: messageId },
+      select: {
+        id: true,
+        matchId: true,
+        senderId: true,
+        messageType: true,
+        deletedAt: true,
       },
     });
 
@@ -428,16 +771,50 @@ const deleteMessage = async (messageId, userId) => {
       throw new Error('You can only delete your own messages');
     }
 
-    // Delete the message
-    await prisma.message.delete({
-      where: { id: messageId },
-    });
+    if (UNSENDABLE_TYPES.includes(message.messageType)) {
+      throw new Error('Game and date cards cannot be unsent');
+    }
 
-    logger.info(`Message ${messageId} deleted by user ${userId}`);
+    if (message.deletedAt) {
+      return {
+        success: true,
+        deletedMessage: { id: message.id, matchId: message.matchId, deletedAt: message.deletedAt },
+      };
+    }
+
+    const deletedAt = new Date();
+    await prisma.$transaction([
+      prisma.messageReaction.deleteMany({ where: { messageId } }),
+      prisma.messageEdit.deleteMany({ where: { messageId } }),
+      prisma.message.update({
+        where: { id: messageId },
+        data: {
+          deletedAt,
+          content: '',
+          mediaUrl: null,
+          mediaType: null,
+          metadata: null,
+          editedAt: null,
+        },
+      }),
+    ]);
+
+    await refreshLastMessage(message.matchId);
+
+    logger.info(`Message ${messageId} unsent by user ${userId}`);
+
+    if (io) {
+      io.to(`match:${message.matchId}`).emit('message-deleted', {
+        matchId: message.matchId,
+        messageId,
+        deletedAt,
+      });
+      logger.info(`📡 Delete event emitted for message ${messageId}`);
+    }
 
     return {
       success: true,
-      deletedMessage: message,
+      deletedMessage: { id: message.id, matchId: message.matchId, deletedAt },
     };
   } catch (error) {
     logger.error('❌ Error deleting message:', error);
@@ -461,6 +838,7 @@ const searchMessages = async (matchId, userId, { q = '', type = null, limit = 10
   const query = String(q || '').trim();
   const where = {
     matchId,
+    deletedAt: null,
     ...(type ? { messageType: type } : {}),
     ...(query ? { content: { contains: query, mode: 'insensitive' } } : {}),
   };
@@ -482,10 +860,157 @@ const searchMessages = async (matchId, userId, { q = '', type = null, limit = 10
   return messages;
 };
 
+/**
+ * Prefix tsquery for search-as-you-type: every word must match the start of
+ * a word in the message. Only letters and digits survive, so user input
+ * can never inject tsquery operators.
+ */
+const toPrefixTsQuery = (q) => {
+  const terms = String(q || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  return terms
+    .slice(0, MAX_SEARCH_TERMS)
+    .map((term) => `${term}:*`)
+    .join(' & ');
+};
+
+/**
+ * Opaque cursor for ranked search: the (rank, createdAt, id) of the last
+ * result on the previous page.
+ */
+const encodeSearchCursor = (row) =>
+  Buffer.from(JSON.stringify([row.rank, row.createdAt.toISOString(), row.id])).toString('base64url');
+
+const decodeSearchCursor = (cursor) => {
+  if (!cursor) {
+    return null;
+  }
+  try {
+    const [rank, createdAt, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    const date = new Date(createdAt);
+    if (Number.isFinite(rank) && !Number.isNaN(date.getTime()) && typeof id === 'string' && id) {
+      return { rank, createdAt: date, id };
+    }
+  } catch {
+    // fall through
+  }
+  throw new Error('Invalid search cursor');
+};
+
+/**
+ * Split a ts_headline result into plain and highlighted runs, so clients
+ * can style matches without parsing markup.
+ */
+const formatSnippet = (headline) =>
+  headline
+    .split(HIGHLIGHT_END)
+    .flatMap((part) => {
+      const [before, match] = part.split(HIGHLIGHT_START);
+      return match === undefined
+        ? [{ text: before, highlight: false }]
+        : [{ text: before, highlight: false }, { text: match, highlight: true }];
+    })
+    .filter((segment) => segment.text);
+
+/**
+ * Search every active conversation the user is in, using the messages'
+ * generated tsvector column. With a query, results are ranked by relevance
+ * and carry a highlighted snippet; filter-only searches (type, match, date
+ * range) come back newest first. Pages with an opaque cursor.
+ */
+const searchAllMessages = async (
+  userId,
+  { q = '', matchId = null, type = null, from = null, to = null, cursor = null, limit = SEARCH_PAGE_SIZE } = {}
+) => {
+  const after = decodeSearchCursor(cursor);
+  const tsquery = toPrefixTsQuery(q);
+  if (!tsquery && !type) {
+    return { results: [], nextCursor: null };
+  }
+  const take = Math.min(Math.max(Number(limit) || SEARCH_PAGE_SIZE, 1), MAX_SEARCH_PAGE);
+
+  const querySql = tsquery ? Prisma.sql`to_tsquery('simple', ${tsquery})` : null;
+  const rankSql = querySql ? Prisma.sql`ts_rank(m."searchVector", ${querySql})` : Prisma.sql`0::real`;
+
+  const conditions = [
+    Prisma.sql`m."deletedAt" IS NULL`,
+    Prisma.sql`mt."isActive" = true`,
+    Prisma.sql`(mt."user1Id" = ${userId} OR mt."user2Id" = ${userId})`,
+  ];
+  if (querySql) {
+    conditions.push(Prisma.sql`m."searchVector" @@ ${querySql}`);
+  }
+  if (matchId) {
+    conditions.push(Prisma.sql`m."matchId" = ${matchId}`);
+  }
+  if (type) {
+    conditions.push(Prisma.sql`m."messageType"::text = ${type}`);
+  }
+  if (from) {
+    conditions.push(Prisma.sql`m."createdAt" >= (${new Date(from)}::timestamptz AT TIME ZONE 'UTC')`);
+  }
+  if (to) {
+    conditions.push(Prisma.sql`m."createdAt" <= (${new Date(to)}::timestamptz AT TIME ZONE 'UTC')`);
+  }
+  if (after) {
+    conditions.push(Prisma.sql`(${rankSql}, m."createdAt", m."id") < (${after.rank}::real, (${after.createdAt}::timestamptz AT TIME ZONE 'UTC'), ${after.id})`);
+  }
+
+  // Headlines are the expensive part, so they're built for the page only
+  const rows = await prisma.$queryRaw`
+    SELECT hits.*,
+           ${querySql ? Prisma.sql`ts_headline('simple', hits."content", ${querySql}, ${HEADLINE_OPTIONS})` : Prisma.sql`NULL`} AS "headline"
+    FROM (
+      SELECT m."id",
+             m."matchId",
+             m."senderId",
+             m."messageType"::text AS "messageType",
+             m."content",
+             m."createdAt",
+             ${rankSql} AS "rank",
+             u."id" AS "otherUserId",
+             u."name" AS "otherUserName",
+             u."mainPhotoUrl" AS "otherUserPhotoUrl"
+      FROM "messages" m
+      JOIN "matches" mt ON mt."id" = m."matchId"
+      JOIN "users" u ON u."id" = CASE WHEN mt."user1Id" = ${userId} THEN mt."user2Id" ELSE mt."user1Id" END
+      WHERE ${Prisma.join(conditions, ' AND ')}
+      ORDER BY "rank" DESC, m."createdAt" DESC, m."id" DESC
+      LIMIT ${take + 1}
+    ) hits
+    ORDER BY hits."rank" DESC, hits."createdAt" DESC, hits."id" DESC
+  `;
+
+  const page = rows.slice(0, take);
+  return {
+    results: page.map((row) => ({
+      id: row.id,
+      matchId: row.matchId,
+      messageType: row.messageType,
+      senderId: row.senderId,
+      isFromMe: row.senderId === userId,
+      createdAt: row.createdAt,
+      snippet: row.headline
+        ? formatSnippet(row.headline)
+        : [{ text: getMessagePreview(row.content, row.messageType), highlight: false }],
+      otherUser: {
+        id: row.otherUserId,
+        name: row.otherUserName,
+        mainPhotoUrl: row.otherUserPhotoUrl,
+      },
+    })),
+    nextCursor: rows.length > take ? encodeSearchCursor(page[page.length - 1]) : null,
+  };
+};
+
 module.exports = {
   getMessages,
+  syncMessages,
+  encodeMessageCursor,
+  getSyncWatermark,
   sendMessage,
   markMessagesAsRead,
+  editMessage,
   deleteMessage,
   searchMessages,
+  searchAllMessages,
 };
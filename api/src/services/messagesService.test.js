@@ -7,7 +7,17 @@ import {
 } from '@test-helpers/factories.js';
 import { createMockSocketIO } from '@test-helpers/test-utils.js';
 
-const { getMessages, sendMessage, markMessagesAsRead, deleteMessage } = require('./messagesService');
+const {
+  getMessages,
+  sendMessage,
+  markMessagesAsRead,
+  editMessage,
+  deleteMessage,
+  searchAllMessages,
+  syncMessages,
+  encodeMessageCursor,
+} = require('./messagesService');
+const { addReaction } = require('./reactionsService');
 
 describe('Messages Service', () => {
   beforeEach(() => {
@@ -169,6 +179,140 @@ describe('Messages Service', () => {
     });
   });
 
+  describe('getMessages with cursors', () => {
+    const cursorFor = (message) => encodeMessageCursor({ createdAt: message.timestamp, id: message.id });
+
+    it('should page backwards and forwards by (createdAt, id)', async () => {
+      const user1 = await userFactory.create(global.prisma);
+      const user2 = await userFactory.create(global.prisma);
+      const match = await matchFactory.create(global.prisma, user1.id, user2.id);
+      // Two share a timestamp, so only the id breaks the tie
+      const sameTime = new Date('2026-10-01T12:00:00Z');
+      const times = [
+        new Date('2026-10-01T10:00:00Z'),
+        new Date('2026-10-01T11:00:00Z'),
+        sameTime,
+        sameTime,
+        new Date('2026-10-01T13:00:00Z'),
+      ];
+      for (const [i, createdAt] of times.entries()) {
+        await messageFactory.create(global.prisma, match.id, user1.id, user2.id, {
+          content: `m${i}`,
+          createdAt,
+        });
+      }
+      const all = await getMessages(match.id, user2.id);
+
+      const newest = await getMessages(match.id, user2.id, { limit: 2 });
+      expect(newest.map((m) => m.id)).toEqual(all.slice(3).map((m) => m.id));
+
+      const older = await getMessages(match.id, user2.id, { limit: 2, before: cursorFor(newest[0]) });
+      expect(older.map((m) => m.id)).toEqual(all.slice(1, 3).map((m) => m.id));
+
+      const newer = await getMessages(match.id, user2.id, { limit: 10, after: cursorFor(all[1]) });
+      expect(newer.map((m) => m.id)).toEqual(all.slice(2).map((m) => m.id));
+    });
+
+    it('should not shift pages when new messages arrive', async () => {
+      const user1 = await userFactory.create(global.prisma);
+      const user2 = await userFactory.create(global.prisma);
+      const match = await matchFactory.create(global.prisma, user1.id, user2.id);
+      for (let i = 0; i < 4; i += 1) {
+        await messageFactory.create(global.prisma, match.id, user1.id, user2.id, {
+          content: `m${i}`,
+          createdAt: new Date(Date.UTC(2026, 9, 1, i)),
+        });
+      }
+
+      const newest = await getMessages(match.id, user2.id, { limit: 2 });
+      await sendMessage(match.id, user2.id, { content: 'arrives mid-scroll' });
+      const older = await getMessages(match.id, user2.id, { limit: 2, before: cursorFor(newest[0]) });
+
+      expect(older.map((m) => m.content)).toEqual(['m0', 'm1']);
+    });
+
+    it('should reject a malformed cursor', async () => {
+      const user1 = await userFactory.create(global.prisma);
+      const user2 = await userFactory.create(global.prisma);
+      const match = await matchFactory.create(global.prisma, user1.id, user2.id);
+
+      await expect(getMessages(match.id, user1.id, { before: 'not-a-cursor' }))
+        .rejects.toThrow('Invalid message cursor');
+    });
+  });
+
+  describe('syncMessages', () => {
+    const anHourAgo = () => new Date(Date.now() - 60 * 60 * 1000);
+
+    it('should return every message created or changed since the watermark', async () => {
+      const user1 = await userFactory.create(global.prisma);
+      const user2 = await userFactory.create(global.prisma);
+      const match = await matchFactory.create(global.prisma, user1.id, user2.id);
+      const old = { createdAt: anHourAgo(), updatedAt: anHourAgo() };
+      const untouched = await messageFactory.create(global.prisma, match.id, user1.id, user2.id, {
+        content: 'untouched',
+        ...old,
+      });
+      const unread = await messageFactory.create(global.prisma, match.id, user1.id, user2.id, {
+        content: 'read later',
+        ...old,
+      });
+      const reacted = await messageFactory.create(global.prisma, match.id, user2.id, user1.id, {
+        content: 'reacted to',
+        ...old,
+      });
+      const unsent = await messageFactory.create(global.prisma, match.id, user1.id, user2.id, {
+        content: 'unsent',
+        ...old,
+      });
+      const since = new Date(Date.now() - 60 * 1000);
+
+      const fresh = await sendMessage(match.id, user2.id, { content: 'new one' });
+      await markMessagesAsRead(match.id, user2.id, [unread.id]);
+      await addReaction(reacted.id, user1.id, '🔥');
+      await deleteMessage(unsent.id, user1.id);
+
+      const result = await syncMessages(match.id, user2.id, { since: since.toISOString() });
+
+      expect(result.fullReload).toBe(false);
+      expect(result.watermark).toBeInstanceOf(Date);
+      const byId = Object.fromEntries(result.messages.map((m) => [m.id, m]));
+      expect(byId[untouched.id]).toBeUndefined();
+      expect(byId[fresh.id].content).toBe('new one');
+      expect(byId[unread.id].isRead).toBe(true);
+      expect(byId[reacted.id].reactions).toEqual({ '🔥': [user1.id] });
+      expect(byId[unsent.id]).toMatchObject({ isDeleted: true, content: '' });
+    });
+
+    it('should ask for a full reload when too much changed', async () => {
+      const user1 = await userFactory.create(global.prisma);
+      const user2 = await userFactory.create(global.prisma);
+      const match = await matchFactory.create(global.prisma, user1.id, user2.id);
+      await global.prisma.message.createMany({
+        data: Array.from({ length: 501 }, (_, i) => ({
+          matchId: match.id,
+          senderId: user1.id,
+          receiverId: user2.id,
+          content: `bulk ${i}`,
+        })),
+      });
+
+      const result = await syncMessages(match.id, user2.id, { since: anHourAgo().toISOString() });
+
+      expect(result).toMatchObject({ messages: [], fullReload: true });
+    });
+
+    it('should reject outsiders', async () => {
+      const user1 = await userFactory.create(global.prisma);
+      const user2 = await userFactory.create(global.prisma);
+      const outsider = await userFactory.create(global.prisma);
+      const match = await matchFactory.create(global.prisma, user1.id, user2.id);
+
+      await expect(syncMessages(match.id, outsider.id, { since: anHourAgo().toISOString() }))
+        .rejects.toThrow('Unauthorized access to match');
+    });
+  });
+
   describe('sendMessage', () => {
     it('should create TEXT message successfully', async () => {
       const user1 = await userFactory.create(global.prisma);
@@ -186,6 +330,40 @@ describe('Messages Service', () => {
       expect(message.senderId).toBe(user1.id);
     });
 
+    it('should send a message only once per client message ID', async () => {
+      const user1 = await userFactory.create(global.prisma);
+      const user2 = await userFactory.create(global.prisma);
+      const match = await matchFactory.create(global.prisma, user1.id, user2.id);
+      const mockIO = createMockSocketIO();
+      const payload = { content: 'Are we still on?', clientMessageId: 'outbox-0001' };
+
+      const first = await sendMessage(match.id, user1.id, payload, mockIO);
+      mockIO.clearEmitCalls();
+      const retry = await sendMessage(match.id, user1.id, payload, mockIO);
+
+      expect(retry.id).toBe(first.id);
+      expect(retry.clientMessageId).toBe('outbox-0001');
+      expect(await global.prisma.message.count({ where: { matchId: match.id } })).toBe(1);
+      // Nobody hears about the retry
+      expect(mockIO.getEmitCalls()).toEqual([]);
+    });
+
+    it('should keep client message IDs per sender', async () => {
+      const user1 = await userFactory.create(global.prisma);
+      const user2 = await userFactory.create(global.prisma);
+      const user3 = await userFactory.create(global.prisma);
+      const match = await matchFactory.create(global.prisma, user1.id, user2.id);
+      const otherMatch = await matchFactory.create(global.prisma, user1.id, user3.id);
+
+      const mine = await sendMessage(match.id, user1.id, { content: 'hi', clientMessageId: 'same-id-123' });
+      const theirs = await sendMessage(match.id, user2.id, { content: 'hey', clientMessageId: 'same-id-123' });
+      expect(theirs.id).not.toBe(mine.id);
+
+      await expect(
+        sendMessage(otherMatch.id, user1.id, { content: 'hi', clientMessageId: 'same-id-123' })
+      ).rejects.toThrow('Client message ID already used');
+    });
+
     it('should create GIF message with [GIF] preview', async () => {
       const user1 = await userFactory.create(global.prisma);
       const user2 = await userFactory.create(global.prisma);
@@ -479,25 +657,126 @@ describe('Messages Service', () => {
     });
   });
 
+  describe('editMessage', () => {
+    it('should replace the text and keep the earlier version', async () => {
+      const user1 = await userFactory.create(global.prisma);
+      const user2 = await userFactory.create(global.prisma);
+      const match = await matchFactory.create(global.prisma, user1.id, user2.id);
+      const sent = await sendMessage(match.id, user1.id, { content: 'See you at 7' });
+      const mockIO = createMockSocketIO();
+
+      const edited = await editMessage(match.id, sent.id, user1.id, 'See you at 8', mockIO);
+
+      expect(edited.content).toBe('See you at 8');
+      expect(edited.editedAt).toBeDefined();
+      expect(edited.previousVersions.map((v) => v.content)).toEqual(['See you at 7']);
+
+      const [message] = await getMessages(match.id, user2.id);
+      expect(message.content).toBe('See you at 8');
+      expect(message.previousVersions).toHaveLength(1);
+
+      const updatedMatch = await global.prisma.match.findUnique({ where: { id: match.id } });
+      expect(updatedMatch.lastMessage).toBe('See you at 8');
+
+      const editEmit = mockIO.findEmit('message-edited', `match:${match.id}`);
+      expect(editEmit.data).toMatchObject({ messageId: sent.id, content: 'See you at 8' });
+    });
+
+    it('should throw error when editing other users message', async () => {
+      const user1 = await userFactory.create(global.prisma);
+      const user2 = await userFactory.create(global.prisma);
+      const match = await matchFactory.create(global.prisma, user1.id, user2.id);
+      const message = await messageFactory.create(global.prisma, match.id, user2.id, user1.id);
+
+      await expect(editMessage(match.id, message.id, user1.id, 'changed')).rejects.toThrow(
+        'only edit your own'
+      );
+    });
+
+    it('should refuse non-text messages and messages past the edit window', async () => {
+      const user1 = await userFactory.create(global.prisma);
+      const user2 = await userFactory.create(global.prisma);
+      const match = await matchFactory.create(global.prisma, user1.id, user2.id);
+      const gif = await messageFactory.create(global.prisma, match.id, user1.id, user2.id, {
+        messageType: 'GIF',
+      });
+      const old = await messageFactory.create(global.prisma, match.id, user1.id, user2.id, {
+        createdAt: new Date(Date.now() - 60 * 60 * 1000),
+      });
+
+      await expect(editMessage(match.id, gif.id, user1.id, 'changed')).rejects.toThrow(
+        'Only text messages'
+      );
+      await expect(editMessage(match.id, old.id, user1.id, 'changed')).rejects.toThrow(
+        'no longer be edited'
+      );
+    });
+  });
+
   describe('deleteMessage', () => {
-    it('should delete own message successfully', async () => {
+    it('should leave a tombstone when unsending own message', async () => {
       const user1 = await userFactory.create(global.prisma);
       const user2 = await userFactory.create(global.prisma);
 
       const match = await matchFactory.create(global.prisma, user1.id, user2.id);
 
-      const message = await messageFactory.create(global.prisma, match.id, user1.id, user2.id);
+      const message = await messageFactory.create(global.prisma, match.id, user1.id, user2.id, {
+        content: 'oops, wrong chat',
+      });
+      await global.prisma.messageReaction.create({
+        data: { messageId: message.id, userId: user2.id, emoji: '😂' },
+      });
 
       const result = await deleteMessage(message.id, user1.id);
 
       expect(result.success).toBe(true);
       expect(result.deletedMessage.id).toBe(message.id);
 
-      // Verify message is deleted
-      const deletedMessage = await global.prisma.message.findUnique({
+      // The row stays, emptied out
+      const tombstone = await global.prisma.message.findUnique({
         where: { id: message.id },
       });
-      expect(deletedMessage).toBeNull();
+      expect(tombstone.deletedAt).not.toBeNull();
+      expect(tombstone.content).toBe('');
+      expect(await global.prisma.messageReaction.count({ where: { messageId: message.id } })).toBe(0);
+
+      const [shown] = await getMessages(match.id, user2.id);
+      expect(shown).toMatchObject({ id: message.id, isDeleted: true, content: '', reactions: {} });
+    });
+
+    it('should keep replies pointing at an unsent message', async () => {
+      const user1 = await userFactory.create(global.prisma);
+      const user2 = await userFactory.create(global.prisma);
+      const match = await matchFactory.create(global.prisma, user1.id, user2.id);
+      const original = await sendMessage(match.id, user1.id, { content: 'Friday?' });
+      const reply = await sendMessage(match.id, user2.id, {
+        content: 'Works for me',
+        replyToId: original.id,
+      });
+
+      await deleteMessage(original.id, user1.id);
+
+      const messages = await getMessages(match.id, user2.id);
+      const shownReply = messages.find((m) => m.id === reply.id);
+      expect(shownReply.replyTo).toMatchObject({ id: original.id, content: null, isDeleted: true });
+    });
+
+    it('should tell the match room and recompute the last message', async () => {
+      const user1 = await userFactory.create(global.prisma);
+      const user2 = await userFactory.create(global.prisma);
+      const match = await matchFactory.create(global.prisma, user1.id, user2.id);
+      await sendMessage(match.id, user2.id, { content: 'Hey!' });
+      const latest = await sendMessage(match.id, user1.id, { content: 'regrettable' });
+      const mockIO = createMockSocketIO();
+
+      await deleteMessage(latest.id, user1.id, mockIO);
+
+      const updatedMatch = await global.prisma.match.findUnique({ where: { id: match.id } });
+      expect(updatedMatch.lastMessage).toBe('Hey!');
+      expect(updatedMatch.lastMessageBy).toBe(user2.id);
+
+      const deleteEmit = mockIO.findEmit('message-deleted', `match:${match.id}`);
+      expect(deleteEmit.data).toMatchObject({ matchId: match.id, messageId: latest.id });
     });
 
     it('should throw error for non-existent message', async () => {
@@ -521,4 +800,109 @@ describe('Messages Service', () => {
       );
     });
   });
+
+  describe('searchAllMessages', () => {
+    it('should search every conversation and highlight the matched words', async () => {
+      const me = await userFactory.create(global.prisma);
+      const ani = await userFactory.create(global.prisma, { name: 'Ani' });
+      const gor = await userFactory.create(global.prisma, { name: 'Gor' });
+      const stranger = await userFactory.create(global.prisma);
+      const withAni = await matchFactory.create(global.prisma, me.id, ani.id);
+      const withGor = await matchFactory.create(global.prisma, gor.id, me.id);
+      const elsewhere = await matchFactory.create(global.prisma, ani.id, stranger.id);
+
+      await sendMessage(withAni.id, ani.id, { content: 'Dinner at the jazz club on Friday?' });
+      await sendMessage(withGor.id, me.id, { content: 'Jazz or rock tonight?' });
+      await sendMessage(withGor.id, gor.id, { content: 'No idea yet' });
+      await sendMessage(elsewhere.id, stranger.id, { content: 'jazz is overrated' });
+
+      const { results, nextCursor } = await searchAllMessages(me.id, { q: 'JAZ' });
+
+      expect(nextCursor).toBeNull();
+      expect(results.map((r) => r.matchId).sort()).toEqual([withAni.id, withGor.id].sort());
+      const fromAni = results.find((r) => r.matchId === withAni.id);
+      expect(fromAni.otherUser.name).toBe('Ani');
+      expect(fromAni.isFromMe).toBe(false);
+      expect(fromAni.snippet).toContainEqual({ text: 'jazz', highlight: true });
+    });
+
+    it('should leave out unsent messages and inactive matches', async () => {
+      const me = await userFactory.create(global.prisma);
+      const other = await userFactory.create(global.prisma);
+      const third = await userFactory.create(global.prisma);
+      const match = await matchFactory.create(global.prisma, me.id, other.id);
+      const ended = await matchFactory.create(global.prisma, me.id, third.id);
+      await global.prisma.match.update({ where: { id: ended.id }, data: { isActive: false } });
+
+      const unsent = await sendMessage(match.id, me.id, { content: 'secret picnic plans' });
+      await deleteMessage(unsent.id, me.id);
+      await messageFactory.create(global.prisma, ended.id, third.id, me.id, { content: 'picnic?' });
+
+      const { results } = await searchAllMessages(me.id, { q: 'picnic' });
+
+      expect(results).toEqual([]);
+    });
+
+    it('should filter by match, type and date range', async () => {
+      const me = await userFactory.create(global.prisma);
+      const other = await userFactory.create(global.prisma);
+      const third = await userFactory.create(global.prisma);
+      const match = await matchFactory.create(global.prisma, me.id, other.id);
+      const otherMatch = await matchFactory.create(global.prisma, me.id, third.id);
+
+      await messageFactory.create(global.prisma, match.id, other.id, me.id, {
+        content: 'coffee last spring',
+        createdAt: new Date('2026-04-01T10:00:00Z'),
+      });
+      await messageFactory.create(global.prisma, match.id, other.id, me.id, {
+        content: 'coffee this week',
+        createdAt: new Date('2026-10-15T10:00:00Z'),
+      });
+      await messageFactory.create(global.prisma, otherMatch.id, third.id, me.id, {
+        content: 'coffee with someone else',
+        createdAt: new Date('2026-10-15T11:00:00Z'),
+      });
+      await messageFactory.create(global.prisma, match.id, other.id, me.id, {
+        content: 'Voice message',
+        messageType: 'AUDIO',
+      });
+
+      const inRange = await searchAllMessages(me.id, {
+        q: 'coffee',
+        matchId: match.id,
+        from: '2026-10-01T00:00:00Z',
+        to: '2026-10-31T00:00:00Z',
+      });
+      expect(inRange.results.map((r) => r.snippet.map((s) => s.text).join(''))).toEqual(['coffee this week']);
+
+      const voice = await searchAllMessages(me.id, { type: 'AUDIO' });
+      expect(voice.results).toHaveLength(1);
+      expect(voice.results[0].snippet).toEqual([{ text: '[Voice message]', highlight: false }]);
+    });
+
+    it('should page through results with a cursor', async () => {
+      const me = await userFactory.create(global.prisma);
+      const other = await userFactory.create(global.prisma);
+      const match = await matchFactory.create(global.prisma, me.id, other.id);
+      for (let i = 0; i < 5; i += 1) {
+        await messageFactory.create(global.prisma, match.id, other.id, me.id, {
+          content: `movie idea ${i}`,
+          createdAt: new Date(Date.UTC(2026, 9, 1 + i)),
+        });
+      }
+
+      const first = await searchAllMessages(me.id, { q: 'movie', limit: 2 });
+      const second = await searchAllMessages(me.id, { q: 'movie', limit: 2, cursor: first.nextCursor });
+      const third = await searchAllMessages(me.id, { q: 'movie', limit: 2, cursor: second.nextCursor });
+
+      const ids = [...first.results, ...second.results, ...third.results].map((r) => r.id);
+      expect(new Set(ids).size).toBe(5);
+      expect(third.nextCursor).toBeNull();
+      // Equal rank, so newest first
+      expect(first.results[0].snippet.map((s) => s.text).join('')).toBe('movie idea 4');
+
+      await expect(searchAllMessages(me.id, { q: 'movie', cursor: 'garbage' }))
+        .rejects.toThrow('Invalid search cursor');
+    });
+  });
 });
@@ -1,6 +1,7 @@
 const logger = require('../utils/logger');
 const { AppError } = require('../middleware/errorHandler');
 const { getPrismaClient } = require('../config/database');
+const { removeFromDeck, invalidateDeck } = require('./deckCacheService');
 
 const prisma = getPrismaClient();
 
@@ -126,6 +127,9 @@ const blockUser = async (blockerId, blockedId, _matchId = null, io = null) => {
     io?.evictMatchRoom?.(matchId);
   }
 
+  await removeFromDeck(blockerId, blockedId);
+  await removeFromDeck(blockedId, blockerId);
+
   logger.info(`User ${blockerId} blocked user ${blockedId}`);
   return { blockedId, blockedAt: result.blocked.createdAt };
 };
@@ -219,6 +223,7 @@ const unmatch = async (userId, matchId, io = null) => {
   });
 
   io?.evictMatchRoom?.(matchId);
+  await invalidateDeck(match.user1Id, match.user2Id);
 
   logger.info(`User ${userId} unmatched from match ${matchId}`);
   return { matchId };
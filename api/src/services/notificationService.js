@@ -6,7 +6,9 @@ const prisma = getPrismaClient();
 /**
  * Check if a notification should be sent based on user preferences
  * @param {string} userId - User ID to check preferences for
- * @param {string} type - Notification type: 'messages', 'matches', or 'likes'
+ * @param {string} type - Notification type: 'messages', 'matches', 'likes', or a
+ *   scheduled nudge — 'match_nudges', 'reply_reminders' or 'weekly_digest'.
+ *   Nudges about matches and messages also honour the inline preference.
  * @returns {Promise<boolean>} - Whether the notification should be sent
  */
 async function shouldSendNotification(userId, type) {
@@ -17,6 +19,9 @@ async function shouldSendNotification(userId, type) {
         notifyMessages: true,
         notifyMatches: true,
         notifyLikes: true,
+        notifyMatchNudges: true,
+        notifyReplyReminders: true,
+        notifyWeeklyDigest: true,
       },
     });
 
@@ -31,6 +36,12 @@ async function shouldSendNotification(userId, type) {
         return user.notifyMatches !== false;
       case 'likes':
         return user.notifyLikes !== false;
+      case 'match_nudges':
+        return user.notifyMatches !== false && user.notifyMatchNudges !== false;
+      case 'reply_reminders':
+        return user.notifyMessages !== false && user.notifyReplyReminders !== false;
+      case 'weekly_digest':
+        return user.notifyWeeklyDigest !== false;
       default:
         return true;
     }
@@ -161,10 +172,103 @@ async function sendSuperLikeNotification(pushToken, likerName, isPremium = false
   });
 }
 
+/**
+ * Send reminder that a match with no messages is about to expire
+ * @param {string} pushToken - Expo push token
+ * @param {object} otherUser - The person they matched with (id, name, photos)
+ * @param {string} matchId - Match ID, for opening the chat on tap
+ * @param {number} hoursLeft - Hours until the match expires
+ */
+async function sendMatchExpiringNotification(pushToken, otherUser, matchId, hoursLeft) {
+  return sendPushNotification(pushToken, {
+    title: '⏳ Your match is expiring',
+    body: `Say hi to ${otherUser.name} — your match expires in ${hoursLeft}h.`,
+    data: {
+      type: 'match_expiring',
+      matchId,
+      otherUser: {
+        id: otherUser.id,
+        name: otherUser.name,
+        photos: otherUser.photos || [],
+      },
+    },
+  });
+}
+
+/**
+ * Send notification that someone they unmatched wants a second chance
+ */
+async function sendRematchRequestNotification(pushToken, requesterName) {
+  return sendPushNotification(pushToken, {
+    title: '🔁 Second chance?',
+    body: `${requesterName} would like to match again.`,
+    data: { type: 'rematch_request' },
+  });
+}
+
+const chatNavigationData = (otherUser, matchId) => ({
+  matchId,
+  otherUser: {
+    id: otherUser.id,
+    name: otherUser.name,
+    photos: otherUser.photos || [],
+  },
+});
+
+/**
+ * Nudge about a match nobody has messaged yet
+ * @param {string} pushToken - Expo push token
+ * @param {object} otherUser - The person they matched with (id, name, photos)
+ * @param {string} matchId - Match ID, for opening the chat on tap
+ * @param {number} days - Days since they matched
+ */
+async function sendMatchNudgeNotification(pushToken, otherUser, matchId, days) {
+  return sendPushNotification(pushToken, {
+    title: '👋 Say hi?',
+    body: `You matched with ${otherUser.name} ${days} days ago — say hi!`,
+    data: { type: 'match_nudge', ...chatNavigationData(otherUser, matchId) },
+  });
+}
+
+/**
+ * Remind someone that a message has been waiting on them
+ * @param {string} pushToken - Expo push token
+ * @param {object} otherUser - The person waiting on a reply (id, name, photos)
+ * @param {string} matchId - Match ID, for opening the chat on tap
+ * @param {number} hours - Hours the message has been waiting, at least
+ */
+async function sendReplyReminderNotification(pushToken, otherUser, matchId, hours) {
+  const days = Math.floor(hours / 24);
+  const when = days === 0
+    ? `${hours} hour${hours === 1 ? '' : 's'} ago`
+    : days === 1 ? 'yesterday' : `${days} days ago`;
+  return sendPushNotification(pushToken, {
+    title: `💬 ${otherUser.name} is waiting`,
+    body: `${otherUser.name} replied ${when}. Keep the conversation going!`,
+    data: { type: 'reply_reminder', ...chatNavigationData(otherUser, matchId) },
+  });
+}
+
+/**
+ * Weekly digest: how many new people joined nearby
+ */
+async function sendWeeklyDigestNotification(pushToken, newNearbyCount) {
+  return sendPushNotification(pushToken, {
+    title: '✨ New people near you',
+    body: `${newNearbyCount} new people joined near you this week. Take a look!`,
+    data: { type: 'weekly_digest' },
+  });
+}
+
 module.exports = {
   sendPushNotification,
   sendMatchNotification,
+  sendMatchExpiringNotification,
+  sendRematchRequestNotification,
   sendMessageNotification,
+  sendMatchNudgeNotification,
+  sendReplyReminderNotification,
+  sendWeeklyDigestNotification,
   sendLikeNotification,
   sendSuperLikeNotification,
   shouldSendNotification,
@@ -0,0 +1,116 @@
+/**
+ * Photo teasers
+ *
+ * Free users see who liked them only as blurred previews. Each photo gets
+ * one teaser, made once and stored in photo_teasers: the image shrunk to a
+ * few dozen pixels, blurred, and kept as a small JPEG data URI. At that size
+ * the detail is gone from the bytes themselves, so there is nothing for a
+ * modified client to un-blur — and the real photo URL never leaves the
+ * server.
+ *
+ * Teasers are generated in the background when a photo is added; photos
+ * from before this existed (or whose first attempt failed) are filled in
+ * the first time a Liked You request needs them.
+ */
+
+const sharp = require('sharp');
+const { getPrismaClient } = require('../config/database');
+const logger = require('../utils/logger');
+
+const prisma = getPrismaClient();
+
+const TEASER_WIDTH = 24;
+const TEASER_HEIGHT = 32;
+const TEASER_BLUR_SIGMA = 2;
+const TEASER_JPEG_QUALITY = 40;
+const MAX_SOURCE_BYTES = 15 * 1024 * 1024;
+const FETCH_TIMEOUT_MS = 10 * 1000;
+
+// Photo ids with a generation running in this process
+const inFlight = new Set();
+
+/**
+ * Render a teaser from image bytes. Returns a data URI.
+ */
+const renderTeaser = async (imageBuffer) => {
+  const jpeg = await sharp(imageBuffer)
+    .rotate() // honour EXIF orientation before cropping
+    .resize(TEASER_WIDTH, TEASER_HEIGHT, { fit: 'cover' })
+    .blur(TEASER_BLUR_SIGMA)
+    .jpeg({ quality: TEASER_JPEG_QUALITY })
+    .toBuffer();
+  return `data:image/jpeg;base64,${jpeg.toString('base64')}`;
+};
+
+const downloadPhoto = async (url) => {
+  const response = await fetch(url, { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+  if (!response.ok) {
+    throw new Error(`Photo download failed with ${response.status}`);
+  }
+  const declaredLength = Number(response.headers.get('content-length'));
+  if (declaredLength > MAX_SOURCE_BYTES) {
+    throw new Error('Photo is too large for a teaser');
+  }
+  const buffer = Buffer.from(await response.arrayBuffer());
+  if (buffer.length > MAX_SOURCE_BYTES) {
+    throw new Error('Photo is too large for a teaser');
+  }
+  return buffer;
+};
+
+/**
+ * Make and store the teaser for one photo, unless it already has one.
+ * Returns the teaser, or null when the photo is gone or can't be read.
+ */
+const generatePhotoTeaser = async (photoId) => {
+  if (inFlight.has(photoId)) {
+    return null;
+  }
+  inFlight.add(photoId);
+  try {
+    const photo = await prisma.photo.findUnique({
+      where: { id: photoId },
+      select: { url: true, teaser: { select: { image: true } } },
+    });
+    if (!photo) {
+      return null;
+    }
+    if (photo.teaser) {
+      return photo.teaser.image;
+    }
+
+    const image = await renderTeaser(await downloadPhoto(photo.url));
+    await prisma.photoTeaser.create({ data: { photoId, image } });
+    return image;
+  } catch (error) {
+    // P2002: another instance stored it first. P2003: the photo was
+    // deleted while we worked. Neither needs anything more from us.
+    if (error.code !== 'P2002' && error.code !== 'P2003') {
+      logger.warn(`Could not generate teaser for photo ${photoId}: ${error.message}`);
+    }
+    return null;
+  } finally {
+    inFlight.delete(photoId);
+  }
+};
+
+/**
+ * Generate teasers in the background, one at a time. Never throws.
+ */
+const queuePhotoTeasers = (photoIds) => {
+  const pending = photoIds.filter((id) => id && !inFlight.has(id));
+  if (pending.length === 0) {
+    return;
+  }
+  (async () => {
+    for (const photoId of pending) {
+      await generatePhotoTeaser(photoId);
+    }
+  })();
+};
+
+module.exports = {
+  renderTeaser,
+  generatePhotoTeaser,
+  queuePhotoTeasers,
+};
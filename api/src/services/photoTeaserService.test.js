@@ -0,0 +1,44 @@
+import { describe, it, expect } from 'vitest';
+import sharp from 'sharp';
+import { userFactory, photoFactory } from '@test-helpers/factories.js';
+
+const { renderTeaser, generatePhotoTeaser } = require('./photoTeaserService');
+
+const DATA_URI_PREFIX = 'data:image/jpeg;base64,';
+
+describe('Photo Teaser Service', () => {
+  describe('renderTeaser', () => {
+    it('shrinks a photo to a tiny JPEG data URI', async () => {
+      const source = await sharp({
+        create: { width: 1200, height: 1600, channels: 3, background: '#c04080' },
+      })
+        .jpeg()
+        .toBuffer();
+
+      const teaser = await renderTeaser(source);
+
+      expect(teaser.startsWith(DATA_URI_PREFIX)).toBe(true);
+      const bytes = Buffer.from(teaser.slice(DATA_URI_PREFIX.length), 'base64');
+      const { width, height, format } = await sharp(bytes).metadata();
+      expect(format).toBe('jpeg');
+      expect(width).toBe(24);
+      expect(height).toBe(32);
+    });
+  });
+
+  describe('generatePhotoTeaser', () => {
+    it('returns the stored teaser without fetching the photo again', async () => {
+      const user = await userFactory.create(global.prisma);
+      const photo = await photoFactory.create(global.prisma, user.id, { isMain: true });
+      await global.prisma.photoTeaser.create({
+        data: { photoId: photo.id, image: `${DATA_URI_PREFIX}c3RvcmVk` },
+      });
+
+      expect(await generatePhotoTeaser(photo.id)).toBe(`${DATA_URI_PREFIX}c3RvcmVk`);
+    });
+
+    it('returns null for a photo that no longer exists', async () => {
+      expect(await generatePhotoTeaser('missing-photo-id')).toBeNull();
+    });
+  });
+});
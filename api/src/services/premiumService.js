@@ -5,6 +5,7 @@
 
 const { getPrismaClient } = require('../config/database');
 const logger = require('../utils/logger');
+const { getExperimentOverrides } = require('./experimentsService');
 
 const prisma = getPrismaClient();
 
@@ -20,6 +21,7 @@ const LIMITS = {
     canUndo: false,
     // Free users get the teaser count only — liker entries are premium
     whoLikedMeLimit: 0,
+    monthlyBoosts: 0,
   },
   PREMIUM: {
     dailyLikes: Infinity,
@@ -28,6 +30,8 @@ const LIMITS = {
     superLikeBankCap: 5,
     canUndo: true,
     whoLikedMeLimit: Infinity, // Unlimited
+    // 30-minute Profile Boosts per UTC calendar month (no banking)
+    monthlyBoosts: 1,
   },
 };
 
@@ -39,14 +43,21 @@ const hasPremiumAccess = (user) =>
   !!user?.isPremium || (!!user?.trialEndsAt && new Date(user.trialEndsAt) > new Date());
 
 /**
- * Free-tier quota overrides, tunable from the admin panel without a deploy
- * (AppConfig key `quotas`, e.g. { "freeLikesPerWindow": 25 }). Cached
- * in-process for 60s; code defaults serve when unset or on read failure.
+ * Quota overrides, tunable from the admin panel without a deploy
+ * (AppConfig key `quotas`, e.g. { "freeLikesPerWindow": 25, "undoDepth": 3,
+ * "undoWindowMinutes": 5 }). Cached in-process for 60s; code defaults serve
+ * when unset or on read failure. A running experiment can override any of
+ * them for the user's cohort.
  */
 const QUOTA_CACHE_TTL_MS = 60 * 1000;
 let quotaCache = { value: null, fetchedAt: 0 };
 
-const getFreeLikesPerWindow = async () => {
+const DEFAULT_UNDO_POLICY = {
+  undoDepth: 3,
+  undoWindowMinutes: 5,
+};
+
+const getQuotaConfig = async (userId) => {
   const now = Date.now();
   if (!quotaCache.value || now - quotaCache.fetchedAt > QUOTA_CACHE_TTL_MS) {
     let value = {};
@@ -60,10 +71,39 @@ const getFreeLikesPerWindow = async () => {
     }
     quotaCache = { value, fetchedAt: now };
   }
-  const configured = Number(quotaCache.value.freeLikesPerWindow);
+  const overrides = await getExperimentOverrides(userId, 'quotas');
+  return { ...quotaCache.value, ...overrides };
+};
+
+/** A positive integer from config, or the fallback. */
+const positiveInt = (raw, fallback) => {
+  const value = Number(raw);
+  return Number.isInteger(value) && value > 0 ? value : fallback;
+};
+
+const getFreeLikesPerWindow = async (userId = null) => {
+  const config = await getQuotaConfig(userId);
+  const configured = Number(config.freeLikesPerWindow);
   return Number.isFinite(configured) && configured > 0 ? configured : LIMITS.FREE.dailyLikes;
 };
 
+/**
+ * How many swipes in a row a user may take back (`undoDepth`), and how old
+ * a swipe may be before it can no longer be undone (`undoWindowMinutes`).
+ */
+const getUndoPolicy = async (userId = null) => {
+  const config = await getQuotaConfig(userId);
+  return {
+    undoDepth: positiveInt(config.undoDepth, DEFAULT_UNDO_POLICY.undoDepth),
+    undoWindowMinutes: positiveInt(config.undoWindowMinutes, DEFAULT_UNDO_POLICY.undoWindowMinutes),
+  };
+};
+
+/** Drop the cached quota config so the next read hits AppConfig (tests). */
+const clearQuotaCache = () => {
+  quotaCache = { value: null, fetchedAt: 0 };
+};
+
 /**
  * Launch-promo config (AppConfig key `launch_promo`), cached 60s:
  * { "enabled": true, "trialDays": 3, "waitlistOnly": false }
@@ -140,6 +180,10 @@ const shouldResetLikes = (resetAt) => !resetAt || new Date(resetAt) < likesWindo
 const utcDaysSince = (from, to = new Date()) =>
   Math.floor(new Date(to).getTime() / 86400000) - Math.floor(new Date(from).getTime() / 86400000);
 
+/** Start of the current UTC calendar month (boost allowance period). */
+const boostPeriodStart = (now = new Date()) =>
+  new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+
 /**
  * Get user's current quota status and reset if needed
  */
@@ -162,7 +206,7 @@ const getUserQuotas = async (userId) => {
 
   const premium = hasPremiumAccess(user);
   const limits = premium ? LIMITS.PREMIUM : LIMITS.FREE;
-  const freeLikesLimit = premium ? Infinity : await getFreeLikesPerWindow();
+  const freeLikesLimit = premium ? Infinity : await getFreeLikesPerWindow(userId);
   let likesUsed = user.dailyLikesUsed;
   let superLikeBalance = user.superLikeBalance;
 
@@ -224,6 +268,10 @@ const getUserQuotas = async (userId) => {
     }
   }
 
+  const boostsUsed = await prisma.profileBoost.count({
+    where: { userId, startedAt: { gte: boostPeriodStart() } },
+  });
+
   return {
     isPremium: premium,
     likes: {
@@ -239,6 +287,11 @@ const getUserQuotas = async (userId) => {
     },
     canUndo: limits.canUndo,
     whoLikedMeLimit: limits.whoLikedMeLimit,
+    boosts: {
+      used: boostsUsed,
+      limit: limits.monthlyBoosts,
+      remaining: Math.max(0, limits.monthlyBoosts - boostsUsed),
+    },
   };
 };
 
@@ -357,6 +410,33 @@ const canUndo = async (userId) => {
   return { allowed: true, quotas };
 };
 
+/**
+ * Check if user can start a Profile Boost this month
+ */
+const canBoost = async (userId) => {
+  const quotas = await getUserQuotas(userId);
+
+  if (quotas.boosts.limit === 0) {
+    return {
+      allowed: false,
+      error: 'PREMIUM_REQUIRED',
+      message: 'Profile Boost is a Premium feature. Upgrade to get seen first!',
+      quotas,
+    };
+  }
+
+  if (quotas.boosts.remaining <= 0) {
+    return {
+      allowed: false,
+      error: 'MONTHLY_LIMIT_REACHED',
+      message: 'You\'ve used this month\'s Boost. A new one arrives on the 1st.',
+      quotas,
+    };
+  }
+
+  return { allowed: true, quotas };
+};
+
 /**
  * Get the limit for "who liked me" feature
  */
@@ -395,7 +475,7 @@ const requiresPremium = async (userId, feature) => {
     return { allowed: true };
   }
 
-  const premiumFeatures = ['super_like', 'undo', 'unlimited_likes', 'see_all_likes', 'advanced_filters'];
+  const premiumFeatures = ['super_like', 'undo', 'unlimited_likes', 'see_all_likes', 'advanced_filters', 'profile_boost', 'travel_mode', 'top_picks', 'match_extension'];
 
   if (premiumFeatures.includes(feature)) {
     return {
@@ -418,6 +498,12 @@ module.exports = {
   canLike,
   canSuperLike,
   canUndo,
+  canBoost,
+  boostPeriodStart,
+  likesWindowStart,
+  DEFAULT_UNDO_POLICY,
+  getUndoPolicy,
+  clearQuotaCache,
   getWhoLikedMeLimit,
   requiresPremium,
 };
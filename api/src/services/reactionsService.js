@@ -3,6 +3,14 @@ const { getPrismaClient } = require('../config/database');
 
 const prisma = getPrismaClient();
 
+// Reactions live in their own table; bumping the message's updatedAt is
+// what lets a catch-up sync (messagesService.syncMessages) see the change
+const touchMessage = (messageId) =>
+  prisma.message.update({
+    where: { id: messageId },
+    data: { updatedAt: new Date() },
+  });
+
 /**
  * Add or toggle a reaction to a message
  */
@@ -16,7 +24,8 @@ const addReaction = async (messageId, userId, emoji, io = null) => {
       },
     });
 
-    if (!message) {
+    // Unsent messages are tombstones with nothing left to react to
+    if (!message || message.deletedAt) {
       throw new Error('Message not found');
     }
 
@@ -41,20 +50,26 @@ const addReaction = async (messageId, userId, emoji, io = null) => {
 
     if (existingReaction) {
       // Remove the reaction (toggle off)
-      await prisma.messageReaction.delete({
-        where: { id: existingReaction.id },
-      });
+      await prisma.$transaction([
+        prisma.messageReaction.delete({
+          where: { id: existingReaction.id },
+        }),
+        touchMessage(messageId),
+      ]);
       action = 'removed';
       logger.info(`Reaction ${emoji} removed from message ${messageId} by user ${userId}`);
     } else {
       // Add the reaction
-      await prisma.messageReaction.create({
-        data: {
-          messageId,
-          userId,
-          emoji,
-        },
-      });
+      await prisma.$transaction([
+        prisma.messageReaction.create({
+          data: {
+            messageId,
+            userId,
+            emoji,
+          },
+        }),
+        touchMessage(messageId),
+      ]);
       action = 'added';
       logger.info(`Reaction ${emoji} added to message ${messageId} by user ${userId}`);
     }
@@ -124,9 +139,12 @@ const removeReaction = async (messageId, userId, emoji, io = null) => {
       throw new Error('Reaction not found');
     }
 
-    await prisma.messageReaction.delete({
-      where: { id: existingReaction.id },
-    });
+    await prisma.$transaction([
+      prisma.messageReaction.delete({
+        where: { id: existingReaction.id },
+      }),
+      touchMessage(messageId),
+    ]);
 
     logger.info(`Reaction ${emoji} removed from message ${messageId} by user ${userId}`);
 
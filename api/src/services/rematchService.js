@@ -0,0 +1,287 @@
+/**
+ * Rematch ("second chance")
+ *
+ * For REMATCH_GRACE_DAYS after an unmatch, the person who unmatched may
+ * ask for the match back — once per unmatch. The other person can accept,
+ * which reactivates the same Match row (messages and all), or ignore it;
+ * a request nobody answers lapses after REMATCH_REQUEST_TTL_DAYS.
+ *
+ * Blocks always win: a block in either direction makes the pair
+ * ineligible at every step, and reads as the same generic "unavailable"
+ * error so the requester can't use it to detect being blocked.
+ */
+
+const { getPrismaClient } = require('../config/database');
+const logger = require('../utils/logger');
+const { AppError } = require('../middleware/errorHandler');
+const { isUserBlocked, getBlockedUserIds } = require('./moderationService');
+const { invalidateDeck } = require('./deckCacheService');
+const { shouldSendNotification, sendRematchRequestNotification } = require('./notificationService');
+
+const prisma = getPrismaClient();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const REMATCH_GRACE_DAYS = 7;
+const REMATCH_REQUEST_TTL_DAYS = 7;
+
+const USER_SUMMARY_SELECT = {
+  id: true,
+  name: true,
+  isVerified: true,
+  mainPhotoUrl: true,
+  pushToken: true,
+  photos: { select: { url: true, isMain: true }, orderBy: { isMain: 'desc' } },
+};
+
+const unavailable = () => {
+  const error = new AppError('This match can no longer be rematched', 409);
+  error.code = 'REMATCH_UNAVAILABLE';
+  return error;
+};
+
+const toSummary = (user) => ({
+  id: user.id,
+  name: user.name,
+  isVerified: user.isVerified,
+  mainPhoto: user.mainPhotoUrl || user.photos[0]?.url || null,
+  photos: user.photos,
+});
+
+/**
+ * Matches the user unmatched recently enough to ask for a rematch, with
+ * the state of any request already sent for that unmatch.
+ */
+const getRematchCandidates = async (userId, { now = new Date() } = {}) => {
+  const blockedIds = new Set(await getBlockedUserIds(userId));
+
+  const matches = await prisma.match.findMany({
+    where: {
+      unmatchedBy: userId,
+      isActive: false,
+      unmatchedAt: { gte: new Date(now.getTime() - REMATCH_GRACE_DAYS * DAY_MS) },
+    },
+    include: {
+      user1: { select: USER_SUMMARY_SELECT },
+      user2: { select: USER_SUMMARY_SELECT },
+      rematchRequests: { orderBy: { createdAt: 'desc' }, take: 1 },
+    },
+    orderBy: { unmatchedAt: 'desc' },
+  });
+
+  return matches
+    .map((match) => {
+      const otherUser = match.user1Id === userId ? match.user2 : match.user1;
+      const request = match.rematchRequests[0];
+      const current = request && request.unmatchedAt.getTime() === match.unmatchedAt.getTime();
+      return {
+        matchId: match.id,
+        otherUser: toSummary(otherUser),
+        unmatchedAt: match.unmatchedAt,
+        requestBy: new Date(match.unmatchedAt.getTime() + REMATCH_GRACE_DAYS * DAY_MS),
+        // An ignored request reads as pending until it lapses
+        request: current
+          ? {
+              id: request.id,
+              status: request.expiresAt > now ? 'PENDING' : 'EXPIRED',
+              expiresAt: request.expiresAt,
+            }
+          : null,
+      };
+    })
+    .filter((candidate) => !blockedIds.has(candidate.otherUser.id));
+};
+
+/**
+ * Ask for a match back. Only the person who unmatched can ask, only
+ * within the grace window, and only once per unmatch.
+ */
+const requestRematch = async (userId, matchId, { now = new Date(), io = null } = {}) => {
+  const match = await prisma.match.findUnique({
+    where: { id: matchId },
+    include: {
+      user1: { select: USER_SUMMARY_SELECT },
+      user2: { select: USER_SUMMARY_SELECT },
+    },
+  });
+
+  if (!match || (match.user1Id !== userId && match.user2Id !== userId)) {
+    throw new AppError('Match not found or you are not part of this match', 404);
+  }
+
+  const recipient = match.user1Id === userId ? match.user2 : match.user1;
+  const requester = match.user1Id === userId ? match.user1 : match.user2;
+  const withinGrace =
+    match.unmatchedAt && now - match.unmatchedAt <= REMATCH_GRACE_DAYS * DAY_MS;
+
+  if (match.isActive || match.unmatchedBy !== userId || !withinGrace) {
+    throw unavailable();
+  }
+  if (await isUserBlocked(userId, recipient.id)) {
+    throw unavailable();
+  }
+
+  let request;
+  try {
+    request = await prisma.rematchRequest.create({
+      data: {
+        matchId,
+        requesterId: userId,
+        recipientId: recipient.id,
+        unmatchedAt: match.unmatchedAt,
+        expiresAt: new Date(now.getTime() + REMATCH_REQUEST_TTL_DAYS * DAY_MS),
+        createdAt: now,
+      },
+    });
+  } catch (error) {
+    if (error.code === 'P2002') {
+      const duplicate = new AppError('You already asked for this rematch', 409);
+      duplicate.code = 'REMATCH_ALREADY_REQUESTED';
+      throw duplicate;
+    }
+    throw error;
+  }
+
+  if (io) {
+    io.to(`user:${recipient.id}`).emit('rematch-request', {
+      requestId: request.id,
+      matchId,
+      requester: toSummary(requester),
+      expiresAt: request.expiresAt,
+    });
+  }
+
+  if (recipient.pushToken) {
+    shouldSendNotification(recipient.id, 'matches')
+      .then((shouldNotify) => shouldNotify && sendRematchRequestNotification(recipient.pushToken, requester.name))
+      .catch((err) => logger.error('Failed to send rematch request notification:', err));
+  }
+
+  logger.info(`User ${userId} asked for a rematch on match ${matchId}`);
+  return { requestId: request.id, matchId, expiresAt: request.expiresAt };
+};
+
+/**
+ * Pending requests the user has received, newest first. Lapsed requests
+ * and any involving a block are left out.
+ */
+const getIncomingRematchRequests = async (userId, { now = new Date() } = {}) => {
+  const blockedIds = await getBlockedUserIds(userId);
+
+  const requests = await prisma.rematchRequest.findMany({
+    where: {
+      recipientId: userId,
+      status: 'PENDING',
+      expiresAt: { gt: now },
+      requesterId: { notIn: blockedIds },
+    },
+    include: { requester: { select: USER_SUMMARY_SELECT } },
+    orderBy: { createdAt: 'desc' },
+  });
+
+  return requests.map((request) => ({
+    requestId: request.id,
+    matchId: request.matchId,
+    requester: toSummary(request.requester),
+    createdAt: request.createdAt,
+    expiresAt: request.expiresAt,
+  }));
+};
+
+/**
+ * Accept a rematch: the same Match row comes back to life with its
+ * message history, as a fresh match (new matchedAt, so the expiry clock
+ * restarts too). Both people get the usual `new-match` event.
+ */
+const acceptRematch = async (userId, requestId, { now = new Date(), io = null } = {}) => {
+  const match = await prisma.$transaction(async (tx) => {
+    const request = await tx.rematchRequest.findUnique({ where: { id: requestId } });
+    if (!request || request.recipientId !== userId) {
+      throw new AppError('Rematch request not found', 404);
+    }
+    if (request.status !== 'PENDING' || request.expiresAt <= now) {
+      throw unavailable();
+    }
+    if (await isUserBlocked(request.requesterId, request.recipientId)) {
+      throw unavailable();
+    }
+
+    const claimed = await tx.rematchRequest.updateMany({
+      where: { id: requestId, status: 'PENDING' },
+      data: { status: 'ACCEPTED', respondedAt: now },
+    });
+    if (claimed.count === 0) {
+      throw unavailable();
+    }
+
+    // Only the unmatch this request was made for; anything since wins
+    const reactivated = await tx.match.updateMany({
+      where: { id: request.matchId, isActive: false, unmatchedAt: request.unmatchedAt },
+      data: {
+        isActive: true,
+        matchedAt: now,
+        unmatchedBy: null,
+        unmatchedAt: null,
+        expiredAt: null,
+        extendedUntil: null,
+        expiryReminderSentAt: null,
+      },
+    });
+    if (reactivated.count === 0) {
+      throw unavailable();
+    }
+
+    return tx.match.findUnique({
+      where: { id: request.matchId },
+      include: {
+        user1: { select: USER_SUMMARY_SELECT },
+        user2: { select: USER_SUMMARY_SELECT },
+      },
+    });
+  });
+
+  await invalidateDeck(match.user1Id, match.user2Id);
+
+  if (io) {
+    const payload = { matchId: match.id, timestamp: now, rematch: true };
+    io.to(`user:${match.user1Id}`).emit('new-match', {
+      ...payload,
+      matchedUser: toSummary(match.user2),
+      message: "You're matched again! 🎉",
+    });
+    io.to(`user:${match.user2Id}`).emit('new-match', {
+      ...payload,
+      matchedUser: toSummary(match.user1),
+      message: "You're matched again! 🎉",
+    });
+  }
+
+  logger.info(`Rematch accepted on match ${match.id} by user ${userId}`);
+  return { matchId: match.id, matchedAt: match.matchedAt };
+};
+
+/**
+ * Ignore a rematch request. The requester isn't told; from their side the
+ * request simply never gets an answer.
+ */
+const ignoreRematch = async (userId, requestId, { now = new Date() } = {}) => {
+  const { count } = await prisma.rematchRequest.updateMany({
+    where: { id: requestId, recipientId: userId, status: 'PENDING' },
+    data: { status: 'IGNORED', respondedAt: now },
+  });
+
+  if (count === 0) {
+    throw new AppError('Rematch request not found', 404);
+  }
+
+  return { requestId };
+};
+
+module.exports = {
+  REMATCH_GRACE_DAYS,
+  REMATCH_REQUEST_TTL_DAYS,
+  getRematchCandidates,
+  requestRematch,
+  getIncomingRematchRequests,
+  acceptRematch,
+  ignoreRematch,
+};
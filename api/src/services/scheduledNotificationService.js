@@ -0,0 +1,436 @@
+/**
+ * Scheduled notifications
+ *
+ * Pushes that no user action triggers, sent from the scheduler instead:
+ *
+ *   - match nudges: "You matched with X 3 days ago — say hi!" for matches
+ *     nobody has messaged yet
+ *   - reply reminders: "X replied yesterday" when the last message in a
+ *     chat has waited a day for an answer
+ *   - a weekly digest of new people who joined nearby
+ *
+ * Each type has its own opt-out on top of the inline preference it belongs
+ * to (see shouldSendNotification). Nothing goes out during a user's quiet
+ * hours — the nudge simply waits for a run outside them — and no one gets
+ * more than `dailyCap` of these in any 24 hours. Tuned with AppConfig key
+ * `scheduled_notifications`:
+ *
+ *   { "enabled": true, "dailyCap": 2, "matchNudgeDays": 3,
+ *     "replyReminderHours": 24, "digestMinNewPeople": 3 }
+ *
+ * Off by default, so nothing goes out until an admin has tuned and enabled
+ * it. Every push is claimed first with a unique (user, type, key) row, so
+ * instances running the job side by side never send one twice.
+ */
+
+const { getPrismaClient } = require('../config/database');
+const logger = require('../utils/logger');
+const { calculateDistance } = require('./discoveryService');
+const { TRAVEL_SELECT, isTravelActive } = require('./travelService');
+const {
+  shouldSendNotification,
+  sendMatchNudgeNotification,
+  sendReplyReminderNotification,
+  sendWeeklyDigestNotification,
+} = require('./notificationService');
+
+const prisma = getPrismaClient();
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const WEEK_MS = 7 * DAY_MS;
+const KM_PER_DEGREE = 111.32;
+
+const DEFAULT_SCHEDULED_NOTIFICATION_POLICY = {
+  enabled: false,
+  dailyCap: 2,
+  matchNudgeDays: 3,
+  replyReminderHours: 24,
+  digestMinNewPeople: 3,
+};
+
+const BATCH_SIZE = 200;
+// Enough to say "N new people" honestly without loading a whole city
+const MAX_DIGEST_CANDIDATES = 500;
+
+/**
+ * Effective policy: stored overrides on top of the code defaults, cached
+ * in-process for 60s. Falls back to the defaults on read failure.
+ */
+const POLICY_CACHE_TTL_MS = 60 * 1000;
+let policyCache = { value: null, fetchedAt: 0 };
+
+const getScheduledNotificationPolicy = async () => {
+  const now = Date.now();
+  if (!policyCache.value || now - policyCache.fetchedAt > POLICY_CACHE_TTL_MS) {
+    let value = {};
+    try {
+      const row = await prisma.appConfig.findUnique({ where: { key: 'scheduled_notifications' } });
+      if (row?.value && typeof row.value === 'object') {
+        value = row.value;
+      }
+    } catch (error) {
+      // Fall through to the defaults
+    }
+    policyCache = {
+      value: { ...DEFAULT_SCHEDULED_NOTIFICATION_POLICY, ...value },
+      fetchedAt: now,
+    };
+  }
+  return policyCache.value;
+};
+
+/** Drop the cached policy so the next read hits AppConfig (admin updates, tests). */
+const clearScheduledNotificationPolicyCache = () => {
+  policyCache = { value: null, fetchedAt: 0 };
+};
+
+const getLocalHour = (now, timezone) => {
+  try {
+    const hour = new Intl.DateTimeFormat('en-US', {
+      hour: 'numeric',
+      hourCycle: 'h23',
+      timeZone: timezone || 'UTC',
+    }).format(now);
+    return Number(hour);
+  } catch (error) {
+    // A zone this runtime doesn't know — treat the user as on UTC
+    return now.getUTCHours();
+  }
+};
+
+/**
+ * Whether `now` falls in the user's quiet hours: local hours
+ * [quietHoursStart, quietHoursEnd), wrapping past midnight when start > end.
+ */
+const isQuietHour = (user, now) => {
+  const { quietHoursStart: start, quietHoursEnd: end } = user;
+  if (start === null || start === undefined || end === null || end === undefined || start === end) {
+    return false;
+  }
+  const hour = getLocalHour(now, user.timezone);
+  return start < end ? hour >= start && hour < end : hour >= start || hour < end;
+};
+
+/** ISO-8601 week of `now` in UTC, e.g. "2026-W42" — the digest's key. */
+const getWeekKey = (now) => {
+  const date = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  // The ISO week belongs to the year of its Thursday
+  date.setUTCDate(date.getUTCDate() + 4 - (date.getUTCDay() || 7));
+  const yearStart = Date.UTC(date.getUTCFullYear(), 0, 1);
+  const week = Math.ceil(((date - yearStart) / DAY_MS + 1) / 7);
+  return `${date.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+};
+
+const RECIPIENT_SELECT = {
+  id: true,
+  name: true,
+  pushToken: true,
+  isActive: true,
+  quietHoursStart: true,
+  quietHoursEnd: true,
+  timezone: true,
+  photos: { select: { url: true, isMain: true }, orderBy: { isMain: 'desc' }, take: 1 },
+};
+
+/** Walk every row `findPage` returns, BATCH_SIZE at a time, in id order. */
+const forEachPage = async (findPage, handlePage) => {
+  let afterId = null;
+  for (;;) {
+    const rows = await findPage(afterId ? { id: { gt: afterId } } : {});
+    if (rows.length > 0) {
+      await handlePage(rows);
+      afterId = rows[rows.length - 1].id;
+    }
+    if (rows.length < BATCH_SIZE) {
+      return;
+    }
+  }
+};
+
+/** `${userId}:${dedupeKey}` for each of `keys` already claimed under `type`. */
+const findClaimed = async (type, keys) => {
+  const rows = await prisma.scheduledNotification.findMany({
+    where: { type, dedupeKey: { in: keys } },
+    select: { userId: true, dedupeKey: true },
+  });
+  return new Set(rows.map((row) => `${row.userId}:${row.dedupeKey}`));
+};
+
+/** Claim a nudge for a user. Null when someone else already has. */
+const claim = async (userId, type, dedupeKey, now, delivered = true) => {
+  try {
+    return await prisma.scheduledNotification.create({
+      data: { userId, type, dedupeKey, delivered, createdAt: now },
+    });
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return null;
+    }
+    throw error;
+  }
+};
+
+const isCapped = async (userId, { policy, now }) => {
+  const sentToday = await prisma.scheduledNotification.count({
+    where: { userId, delivered: true, createdAt: { gt: new Date(now.getTime() - DAY_MS) } },
+  });
+  return sentToday >= policy.dailyCap;
+};
+
+/**
+ * Send one nudge if the user wants it now: opted in, outside quiet hours,
+ * under the daily cap, and not already claimed. A push the provider
+ * rejects is marked undelivered, so it doesn't count toward the cap.
+ * Returns whether it was sent.
+ */
+const deliver = async (user, { type, dedupeKey, preference }, ctx, send) => {
+  if (!user.pushToken || !user.isActive || isQuietHour(user, ctx.now)) {
+    return false;
+  }
+  if (!(await shouldSendNotification(user.id, preference)) || (await isCapped(user.id, ctx))) {
+    return false;
+  }
+  const claimed = await claim(user.id, type, dedupeKey, ctx.now);
+  if (!claimed) {
+    return false;
+  }
+
+  const result = await send();
+  if (!result?.success) {
+    await prisma.scheduledNotification.update({
+      where: { id: claimed.id },
+      data: { delivered: false },
+    });
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Reply reminders: chats whose last message arrived `replyReminderHours`
+ * ago (within a day's window) and is still unanswered. Keyed by that
+ * message's time, so a later unanswered message can be reminded again.
+ */
+const sendReplyReminders = async (ctx) => {
+  const { policy, now } = ctx;
+  const to = new Date(now.getTime() - policy.replyReminderHours * HOUR_MS);
+  const from = new Date(to.getTime() - DAY_MS);
+  let sent = 0;
+
+  await forEachPage(
+    (after) =>
+      prisma.match.findMany({
+        where: {
+          isActive: true,
+          lastMessageBy: { not: null },
+          lastMessageTime: { gt: from, lte: to },
+          ...after,
+        },
+        select: {
+          id: true,
+          lastMessageBy: true,
+          lastMessageTime: true,
+          user1: { select: RECIPIENT_SELECT },
+          user2: { select: RECIPIENT_SELECT },
+        },
+        orderBy: { id: 'asc' },
+        take: BATCH_SIZE,
+      }),
+    async (matches) => {
+      const keyOf = (match) => `${match.id}:${match.lastMessageTime.toISOString()}`;
+      const claimed = await findClaimed('REPLY_REMINDER', matches.map(keyOf));
+
+      for (const match of matches) {
+        const [user, other] =
+          match.lastMessageBy === match.user1.id
+            ? [match.user2, match.user1]
+            : [match.user1, match.user2];
+        if (claimed.has(`${user.id}:${keyOf(match)}`)) {
+          continue;
+        }
+        const muted = await prisma.mutedMatch.findFirst({
+          where: { userId: user.id, matchId: match.id },
+          select: { id: true },
+        });
+        if (muted) {
+          continue;
+        }
+        const nudge = { type: 'REPLY_REMINDER', dedupeKey: keyOf(match), preference: 'reply_reminders' };
+        const send = () =>
+          sendReplyReminderNotification(user.pushToken, other, match.id, policy.replyReminderHours);
+        if (await deliver(user, nudge, ctx, send)) {
+          sent++;
+        }
+      }
+    },
+  );
+  return sent;
+};
+
+/**
+ * Match nudges: silent matches made `matchNudgeDays` ago (within a day's
+ * window), sent to both people.
+ */
+const sendMatchNudges = async (ctx) => {
+  const { policy, now } = ctx;
+  const to = new Date(now.getTime() - policy.matchNudgeDays * DAY_MS);
+  const from = new Date(to.getTime() - DAY_MS);
+  let sent = 0;
+
+  await forEachPage(
+    (after) =>
+      prisma.match.findMany({
+        where: { isActive: true, lastMessageTime: null, matchedAt: { gt: from, lte: to }, ...after },
+        select: {
+          id: true,
+          user1: { select: RECIPIENT_SELECT },
+          user2: { select: RECIPIENT_SELECT },
+        },
+        orderBy: { id: 'asc' },
+        take: BATCH_SIZE,
+      }),
+    async (matches) => {
+      const claimed = await findClaimed('MATCH_NUDGE', matches.map((match) => match.id));
+
+      for (const match of matches) {
+        const pairs = [
+          [match.user1, match.user2],
+          [match.user2, match.user1],
+        ];
+        for (const [user, other] of pairs) {
+          if (claimed.has(`${user.id}:${match.id}`)) {
+            continue;
+          }
+          const nudge = { type: 'MATCH_NUDGE', dedupeKey: match.id, preference: 'match_nudges' };
+          const send = () =>
+            sendMatchNudgeNotification(user.pushToken, other, match.id, policy.matchNudgeDays);
+          if (await deliver(user, nudge, ctx, send)) {
+            sent++;
+          }
+        }
+      }
+    },
+  );
+  return sent;
+};
+
+/**
+ * Discoverable people who joined in the last week within the user's
+ * distance, and whom the user could match with (mutual gender preference).
+ */
+const countNewPeopleNearby = async (user, now) => {
+  const traveling = isTravelActive(user, now);
+  const latitude = traveling ? user.visitingLatitude : user.latitude;
+  const longitude = traveling ? user.visitingLongitude : user.longitude;
+  const latDelta = user.maxDistance / KM_PER_DEGREE;
+  const lngDelta = latDelta / Math.max(Math.cos((latitude * Math.PI) / 180), 0.01);
+  const interestedInSome = user.interestedIn.length > 0 && user.interestedIn.length < 3;
+
+  const candidates = await prisma.user.findMany({
+    where: {
+      id: { not: user.id },
+      createdAt: { gt: new Date(now.getTime() - WEEK_MS) },
+      isActive: true,
+      isProfilePaused: false,
+      isDiscoverable: true,
+      latitude: { gte: latitude - latDelta, lte: latitude + latDelta },
+      longitude: { gte: longitude - lngDelta, lte: longitude + lngDelta },
+      ...(interestedInSome && { gender: { in: user.interestedIn } }),
+      ...(user.gender && { interestedIn: { has: user.gender } }),
+    },
+    select: { latitude: true, longitude: true },
+    take: MAX_DIGEST_CANDIDATES,
+  });
+
+  return candidates.filter(
+    (candidate) =>
+      calculateDistance(latitude, longitude, candidate.latitude, candidate.longitude) <=
+      user.maxDistance,
+  ).length;
+};
+
+/**
+ * Weekly digest, once per ISO week. A week with too little to report is
+ * claimed undelivered so the user isn't reconsidered on every run.
+ */
+const sendWeeklyDigests = async (ctx) => {
+  const { policy, now } = ctx;
+  const weekKey = getWeekKey(now);
+  let sent = 0;
+
+  await forEachPage(
+    (after) =>
+      prisma.user.findMany({
+        where: {
+          isActive: true,
+          pushToken: { not: null },
+          notifyWeeklyDigest: true,
+          latitude: { not: null },
+          longitude: { not: null },
+          scheduledNotifications: { none: { type: 'WEEKLY_DIGEST', dedupeKey: weekKey } },
+          ...after,
+        },
+        select: {
+          ...RECIPIENT_SELECT,
+          gender: true,
+          interestedIn: true,
+          latitude: true,
+          longitude: true,
+          maxDistance: true,
+          ...TRAVEL_SELECT,
+        },
+        orderBy: { id: 'asc' },
+        take: BATCH_SIZE,
+      }),
+    async (users) => {
+      for (const user of users) {
+        if (isQuietHour(user, now) || (await isCapped(user.id, ctx))) {
+          continue;
+        }
+        const newPeople = await countNewPeopleNearby(user, now);
+        if (newPeople < policy.digestMinNewPeople) {
+          await claim(user.id, 'WEEKLY_DIGEST', weekKey, now, false);
+          continue;
+        }
+        const nudge = { type: 'WEEKLY_DIGEST', dedupeKey: weekKey, preference: 'weekly_digest' };
+        if (await deliver(user, nudge, ctx, () => sendWeeklyDigestNotification(user.pushToken, newPeople))) {
+          sent++;
+        }
+      }
+    },
+  );
+  return sent;
+};
+
+/**
+ * Scheduler entry point. Types run most-personal first, so when the daily
+ * cap is tight a waiting reply wins over a digest.
+ */
+const processScheduledNotifications = async ({ now = new Date() } = {}) => {
+  const policy = await getScheduledNotificationPolicy();
+  if (!policy.enabled) {
+    return { replyReminders: 0, matchNudges: 0, digests: 0 };
+  }
+
+  const ctx = { policy, now };
+  const replyReminders = await sendReplyReminders(ctx);
+  const matchNudges = await sendMatchNudges(ctx);
+  const digests = await sendWeeklyDigests(ctx);
+
+  if (replyReminders > 0 || matchNudges > 0 || digests > 0) {
+    logger.info(
+      `🔔 Scheduled notifications: ${replyReminders} reply reminders, ${matchNudges} match nudges, ${digests} digests`,
+    );
+  }
+  return { replyReminders, matchNudges, digests };
+};
+
+module.exports = {
+  DEFAULT_SCHEDULED_NOTIFICATION_POLICY,
+  getScheduledNotificationPolicy,
+  clearScheduledNotificationPolicyCache,
+  isQuietHour,
+  getWeekKey,
+  processScheduledNotifications,
+};
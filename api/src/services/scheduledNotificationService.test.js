@@ -0,0 +1,195 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { userFactory } from '@test-helpers/factories.js';
+
+const {
+  clearScheduledNotificationPolicyCache,
+  processScheduledNotifications,
+} = require('./scheduledNotificationService');
+
+const NOW = new Date('2026-10-18T12:00:00Z');
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+describe('Scheduled Notification Service', () => {
+  let fetchSpy;
+
+  beforeEach(() => {
+    clearScheduledNotificationPolicyCache();
+    fetchSpy = vi.spyOn(global, 'fetch').mockResolvedValue({
+      ok: true,
+      json: async () => ({ data: { status: 'ok' } }),
+    });
+  });
+
+  afterEach(() => {
+    fetchSpy.mockRestore();
+  });
+
+  const pushesTo = (user) =>
+    fetchSpy.mock.calls
+      .map(([, init]) => JSON.parse(init.body))
+      .filter((message) => message.to === user.pushToken);
+
+  it('does nothing while the policy is off', async () => {
+    await createMatch({ matchedAt: new Date(NOW.getTime() - 3.5 * DAY_MS) });
+
+    const result = await processScheduledNotifications({ now: NOW });
+
+    expect(result).toEqual({ replyReminders: 0, matchNudges: 0, digests: 0 });
+    expect(fetchSpy).not.toHaveBeenCalled();
+  });
+
+  it('nudges both people about a silent match once, three days in', async () => {
+    await enablePolicy();
+    const match = await createMatch({ matchedAt: new Date(NOW.getTime() - 3.5 * DAY_MS) });
+    await createMatch({ matchedAt: new Date(NOW.getTime() - DAY_MS) });
+
+    const first = await processScheduledNotifications({ now: NOW });
+    const second = await processScheduledNotifications({ now: new Date(NOW.getTime() + HOUR_MS) });
+
+    expect(first.matchNudges).toBe(2);
+    expect(second.matchNudges).toBe(0);
+    const [nudge] = pushesTo(match.user1);
+    expect(nudge.body).toBe(`You matched with ${match.user2.name} 3 days ago — say hi!`);
+    expect(nudge.data).toMatchObject({ type: 'match_nudge', matchId: match.id });
+  });
+
+  it('reminds only the person who owes a reply, unless they opted out', async () => {
+    await enablePolicy();
+    const match = await createMatch({ lastMessageTime: new Date(NOW.getTime() - 30 * HOUR_MS) });
+    await global.prisma.match.update({
+      where: { id: match.id },
+      data: { lastMessageBy: match.user1.id },
+    });
+    const optedOut = await createMatch({ lastMessageTime: new Date(NOW.getTime() - 30 * HOUR_MS) });
+    await global.prisma.match.update({
+      where: { id: optedOut.id },
+      data: { lastMessageBy: optedOut.user1.id },
+    });
+    await global.prisma.user.update({
+      where: { id: optedOut.user2.id },
+      data: { notifyReplyReminders: false },
+    });
+
+    const result = await processScheduledNotifications({ now: NOW });
+
+    expect(result.replyReminders).toBe(1);
+    expect(pushesTo(match.user2)[0].body).toBe(
+      `${match.user1.name} replied yesterday. Keep the conversation going!`,
+    );
+    expect(pushesTo(match.user1)).toHaveLength(0);
+    expect(pushesTo(optedOut.user2)).toHaveLength(0);
+  });
+
+  it('words the reply reminder from the configured wait', async () => {
+    await enablePolicy({ replyReminderHours: 6 });
+    const match = await createMatch({ lastMessageTime: new Date(NOW.getTime() - 7 * HOUR_MS) });
+    await global.prisma.match.update({
+      where: { id: match.id },
+      data: { lastMessageBy: match.user1.id },
+    });
+
+    await processScheduledNotifications({ now: NOW });
+
+    expect(pushesTo(match.user2)[0].body).toBe(
+      `${match.user1.name} replied 6 hours ago. Keep the conversation going!`,
+    );
+  });
+
+  it('holds nudges during quiet hours and sends them once those end', async () => {
+    await enablePolicy();
+    const match = await createMatch({ matchedAt: new Date(NOW.getTime() - 3.5 * DAY_MS) });
+    // 12:00Z is 14:00 in Berlin; quiet 13:00-15:00 local
+    await global.prisma.user.update({
+      where: { id: match.user1.id },
+      data: { quietHoursStart: 13, quietHoursEnd: 15, timezone: 'Europe/Berlin' },
+    });
+
+    await processScheduledNotifications({ now: NOW });
+    expect(pushesTo(match.user1)).toHaveLength(0);
+    expect(pushesTo(match.user2)).toHaveLength(1);
+
+    await processScheduledNotifications({ now: new Date(NOW.getTime() + 2 * HOUR_MS) });
+    expect(pushesTo(match.user1)).toHaveLength(1);
+  });
+
+  it('never sends one person more than the daily cap', async () => {
+    await enablePolicy({ dailyCap: 1 });
+    const user = await createRecipient();
+    await createMatch({ user1: user, matchedAt: new Date(NOW.getTime() - 3.2 * DAY_MS) });
+    await createMatch({ user1: user, matchedAt: new Date(NOW.getTime() - 3.4 * DAY_MS) });
+
+    await processScheduledNotifications({ now: NOW });
+    await processScheduledNotifications({ now: new Date(NOW.getTime() + 6 * HOUR_MS) });
+
+    expect(pushesTo(user)).toHaveLength(1);
+    const delivered = await global.prisma.scheduledNotification.count({
+      where: { userId: user.id, delivered: true },
+    });
+    expect(delivered).toBe(1);
+  });
+
+  it('sends the weekly digest once, and only when there is something new nearby', async () => {
+    await enablePolicy({ digestMinNewPeople: 2 });
+    const viewer = await createRecipient({
+      notifyWeeklyDigest: true,
+      latitude: 52.52,
+      longitude: 13.405,
+      maxDistance: 25,
+      gender: 'WOMAN',
+      interestedIn: ['MAN'],
+    });
+    const quiet = await createRecipient({
+      notifyWeeklyDigest: true,
+      latitude: -33.86,
+      longitude: 151.2,
+      maxDistance: 25,
+    });
+    for (const offset of [0.01, 0.05]) {
+      await userFactory.create(global.prisma, {
+        latitude: 52.52 + offset,
+        longitude: 13.405,
+        gender: 'MAN',
+        interestedIn: ['WOMAN'],
+        createdAt: new Date(NOW.getTime() - 2 * DAY_MS),
+      });
+    }
+
+    const first = await processScheduledNotifications({ now: NOW });
+    const second = await processScheduledNotifications({ now: new Date(NOW.getTime() + DAY_MS) });
+
+    expect(first.digests).toBe(1);
+    expect(second.digests).toBe(0);
+    expect(pushesTo(viewer)[0].body).toBe('2 new people joined near you this week. Take a look!');
+    expect(pushesTo(quiet)).toHaveLength(0);
+    const considered = await global.prisma.scheduledNotification.findFirst({
+      where: { userId: quiet.id, type: 'WEEKLY_DIGEST' },
+    });
+    expect(considered.delivered).toBe(false);
+  });
+});
+
+async function enablePolicy(overrides = {}) {
+  await global.prisma.appConfig.create({
+    data: { key: 'scheduled_notifications', value: { enabled: true, ...overrides } },
+  });
+  clearScheduledNotificationPolicyCache();
+}
+
+// Digests are off unless a test is about them
+function createRecipient(overrides = {}) {
+  return userFactory.create(global.prisma, {
+    pushToken: `ExponentPushToken[${Math.random().toString(36).slice(2)}]`,
+    notifyWeeklyDigest: false,
+    ...overrides,
+  });
+}
+
+async function createMatch({ user1, ...data } = {}) {
+  const first = user1 || (await createRecipient());
+  const second = await createRecipient();
+  const match = await global.prisma.match.create({
+    data: { user1Id: first.id, user2Id: second.id, isActive: true, ...data },
+  });
+  return { ...match, user1: first, user2: second };
+}
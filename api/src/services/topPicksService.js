@@ -0,0 +1,209 @@
+/**
+ * Top Picks: a short, curated deck refreshed once per UTC day.
+ *
+ * A scheduled job (src/jobs/scheduler.js) walks recently active users and
+ * writes each one's picks for the day. Candidates come from the user's
+ * fresh discovery ranking (calculateMatchScore on their saved
+ * preferences), re-scored with extra weight on shared interests and
+ * verification. People who already liked the user stay out — those are
+ * the Liked You screen's to reveal — as do recycled passes.
+ *
+ * Idempotency: a user's picks for a day are written once, under a
+ * per-user-and-day advisory lock, and the job only visits users without
+ * picks for the day, so reruns and overlapping instances are no-ops.
+ * Every entry point takes `now`, so tests never need a real clock.
+ */
+
+const { getPrismaClient } = require('../config/database');
+const logger = require('../utils/logger');
+const { PUBLIC_USER_SELECT } = require('../utils/userSelectors');
+const { calculateAge } = require('../utils/profileUtils');
+const { requiresPremium } = require('./premiumService');
+
+const prisma = getPrismaClient();
+
+const TOP_PICKS_PER_DAY = 10;
+// Picks a free user sees in full; the rest are counted but withheld
+const FREE_PREVIEW_COUNT = 2;
+// Users idle longer than this get no picks until they come back
+const ACTIVE_WITHIN_DAYS = 14;
+const JOB_BATCH_SIZE = 100;
+
+const PICK_BONUS = {
+  sharedInterest: 15,
+  verified: 25,
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Midnight UTC of the day `now` falls in. */
+const utcDay = (now = new Date()) =>
+  new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+
+const pickScore = (entry) =>
+  entry.matchScore +
+  entry.sharedInterestsCount * PICK_BONUS.sharedInterest +
+  (entry.verified ? PICK_BONUS.verified : 0);
+
+/** Best candidates from a ranked deck, highest pick score first. */
+const choosePicks = (ranked, limit = TOP_PICKS_PER_DAY) =>
+  ranked
+    .filter((entry) => !entry.likedYou && !entry.recycled)
+    .map((entry) => ({ id: entry.id, score: pickScore(entry) }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+
+/**
+ * Compute and store one user's picks for `day` unless they already exist.
+ * Returns the number of picks written (0 when already done).
+ */
+const generateTopPicksForUser = async (userId, day, now = new Date()) => {
+  // Lazy: discoveryService is heavy and only the job/fallback path needs it
+  const { rankDeckForUser } = require('./discoveryService');
+  const picks = choosePicks(await rankDeckForUser(userId, { now }));
+  if (picks.length === 0) {
+    return 0;
+  }
+
+  return prisma.$transaction(async (tx) => {
+    await tx.$queryRaw`SELECT pg_advisory_xact_lock(hashtext(${`top_picks:${userId}:${day.toISOString()}`}))`;
+    const existing = await tx.topPick.count({ where: { userId, day } });
+    if (existing > 0) {
+      return 0;
+    }
+    await tx.topPick.createMany({
+      data: picks.map((pick, index) => ({
+        userId,
+        pickedUserId: pick.id,
+        day,
+        rank: index + 1,
+        score: Math.round(pick.score),
+      })),
+    });
+    return picks.length;
+  });
+};
+
+/**
+ * The scheduled job: give every recently active, discoverable user their
+ * picks for the current UTC day. Safe to run any number of times a day.
+ * One user's failure (e.g. an incomplete profile) never stops the run.
+ */
+const generateDailyTopPicks = async ({ now = new Date(), batchSize = JOB_BATCH_SIZE } = {}) => {
+  const day = utcDay(now);
+  const activeSince = new Date(now.getTime() - ACTIVE_WITHIN_DAYS * DAY_MS);
+  const stats = { day: day.toISOString(), users: 0, picks: 0, failed: 0 };
+
+  let cursor = null;
+  for (;;) {
+    const users = await prisma.user.findMany({
+      where: {
+        isActive: true,
+        isProfilePaused: false,
+        isDiscoverable: true,
+        lastActive: { gte: activeSince },
+        topPicks: { none: { day } },
+        ...(cursor ? { id: { gt: cursor } } : {}),
+      },
+      select: { id: true },
+      orderBy: { id: 'asc' },
+      take: batchSize,
+    });
+    if (users.length === 0) {
+      break;
+    }
+
+    for (const { id } of users) {
+      try {
+        const written = await generateTopPicksForUser(id, day, now);
+        if (written > 0) {
+          stats.users++;
+          stats.picks += written;
+        }
+      } catch (error) {
+        stats.failed++;
+        logger.warn(`Top Picks skipped for user ${id}:`, error.message);
+      }
+    }
+    cursor = users[users.length - 1].id;
+  }
+
+  logger.info('✨ Daily Top Picks generated', stats);
+  return stats;
+};
+
+/**
+ * Today's picks for a user. Picks they've since acted on, or who blocked
+ * them either way, paused or left, drop out. Users the job hasn't reached
+ * yet (new today, or back from a break) get theirs computed on the spot.
+ * Free users get the first FREE_PREVIEW_COUNT in full and a count of the
+ * rest.
+ */
+const getTopPicks = async (userId, { now = new Date() } = {}) => {
+  const day = utcDay(now);
+
+  let rows = await prisma.topPick.findMany({
+    where: { userId, day },
+    orderBy: { rank: 'asc' },
+  });
+  if (rows.length === 0) {
+    await generateTopPicksForUser(userId, day, now);
+    rows = await prisma.topPick.findMany({
+      where: { userId, day },
+      orderBy: { rank: 'asc' },
+    });
+  }
+
+  const profiles = await prisma.user.findMany({
+    where: {
+      id: { in: rows.map((row) => row.pickedUserId) },
+      isActive: true,
+      isProfilePaused: false,
+      actionsReceived: { none: { senderId: userId } },
+      blockedUsers: { none: { blockedId: userId } },
+      blockedByUsers: { none: { blockerId: userId } },
+    },
+    select: {
+      ...PUBLIC_USER_SELECT,
+      photos: {
+        orderBy: [{ isMain: 'desc' }, { order: 'asc' }],
+        select: { id: true, url: true, isMain: true, order: true },
+      },
+      interests: { include: { interest: true } },
+    },
+  });
+  const profilesById = new Map(profiles.map((p) => [p.id, p]));
+  const picks = rows
+    .filter((row) => profilesById.has(row.pickedUserId))
+    .map((row) => {
+      const { birthDate, interests, ...profile } = profilesById.get(row.pickedUserId);
+      return {
+        ...profile,
+        age: calculateAge(birthDate),
+        interests: interests.map((ui) => ui.interest.name),
+        topPick: { rank: row.rank },
+      };
+    });
+
+  const access = await requiresPremium(userId, 'top_picks');
+  const visible = access.allowed ? picks : picks.slice(0, FREE_PREVIEW_COUNT);
+
+  return {
+    day: day.toISOString(),
+    refreshesAt: new Date(day.getTime() + DAY_MS).toISOString(),
+    picks: visible,
+    total: picks.length,
+    locked: picks.length - visible.length,
+    isPreview: !access.allowed,
+  };
+};
+
+module.exports = {
+  TOP_PICKS_PER_DAY,
+  FREE_PREVIEW_COUNT,
+  utcDay,
+  choosePicks,
+  generateTopPicksForUser,
+  generateDailyTopPicks,
+  getTopPicks,
+};
@@ -0,0 +1,180 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { userFactory, photoFactory, userActionFactory } from '@test-helpers/factories.js';
+
+const {
+  TOP_PICKS_PER_DAY,
+  FREE_PREVIEW_COUNT,
+  utcDay,
+  choosePicks,
+  generateDailyTopPicks,
+  getTopPicks,
+} = require('./topPicksService');
+
+const NOW = new Date('2026-10-18T15:30:00Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Top Picks Service', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('utcDay', () => {
+    it('truncates to midnight UTC', () => {
+      expect(utcDay(new Date('2026-10-18T23:59:59Z')).toISOString()).toBe('2026-10-18T00:00:00.000Z');
+      expect(utcDay(new Date('2026-10-19T00:00:00Z')).toISOString()).toBe('2026-10-19T00:00:00.000Z');
+    });
+  });
+
+  describe('choosePicks', () => {
+    it('favours shared interests and verification over raw score', () => {
+      const ranked = [
+        { id: 'plain', matchScore: 100, sharedInterestsCount: 0, verified: false },
+        { id: 'verified', matchScore: 80, sharedInterestsCount: 0, verified: true },
+        { id: 'shared', matchScore: 60, sharedInterestsCount: 3, verified: false },
+      ];
+
+      expect(choosePicks(ranked).map((pick) => pick.id)).toEqual(['verified', 'shared', 'plain']);
+    });
+
+    it('leaves out likers and recycled passes, and caps the list', () => {
+      const ranked = [
+        { id: 'liker', matchScore: 200, sharedInterestsCount: 0, likedYou: true },
+        { id: 'recycled', matchScore: 200, sharedInterestsCount: 0, recycled: true },
+        ...Array.from({ length: TOP_PICKS_PER_DAY + 5 }, (_, i) => ({
+          id: `u${i}`,
+          matchScore: i,
+          sharedInterestsCount: 0,
+        })),
+      ];
+
+      const picks = choosePicks(ranked);
+      expect(picks).toHaveLength(TOP_PICKS_PER_DAY);
+      expect(picks.map((pick) => pick.id)).not.toContain('liker');
+      expect(picks.map((pick) => pick.id)).not.toContain('recycled');
+    });
+  });
+
+  describe('generateDailyTopPicks', () => {
+    it('is idempotent within a UTC day and regenerates the next day', async () => {
+      const viewer = await createEligibleUser('MAN', ['WOMAN']);
+      await createEligibleUser('WOMAN', ['MAN']);
+      await createEligibleUser('WOMAN', ['MAN']);
+
+      const first = await generateDailyTopPicks({ now: NOW });
+      const second = await generateDailyTopPicks({ now: new Date('2026-10-18T22:00:00Z') });
+
+      expect(first.picks).toBeGreaterThan(0);
+      expect(second.picks).toBe(0);
+      const todays = await global.prisma.topPick.count({
+        where: { userId: viewer.id, day: utcDay(NOW) },
+      });
+      expect(todays).toBe(2);
+
+      const tomorrow = await generateDailyTopPicks({ now: new Date('2026-10-19T01:00:00Z') });
+      expect(tomorrow.picks).toBe(first.picks);
+    });
+
+    it('skips users who have been away and keeps going past failures', async () => {
+      const away = await createEligibleUser('MAN', ['WOMAN'], {
+        lastActive: new Date('2026-09-01T00:00:00Z'),
+      });
+      // No photos: ranking throws PHOTOS_REQUIRED for this one
+      await userFactory.create(global.prisma, {
+        gender: 'MAN',
+        interestedIn: ['WOMAN'],
+        location: 'New York',
+        latitude: 40.7128,
+        longitude: -74.006,
+        lastActive: NOW,
+      });
+      await createEligibleUser('WOMAN', ['MAN']);
+
+      const stats = await generateDailyTopPicks({ now: NOW });
+
+      expect(stats.failed).toBe(1);
+      expect(await global.prisma.topPick.count({ where: { userId: away.id } })).toBe(0);
+    });
+
+    it('ranks on the job clock, not the real one', async () => {
+      const later = new Date('2040-01-15T12:00:00Z');
+      const viewer = await createEligibleUser('MAN', ['WOMAN'], { lastActive: later });
+      const spot = { latitude: 40.75, longitude: -74.0 };
+      const current = await createEligibleUser('WOMAN', ['MAN'], { ...spot, lastActive: later });
+      const lapsed = await createEligibleUser('WOMAN', ['MAN'], {
+        ...spot,
+        lastActive: new Date(later.getTime() - 20 * DAY_MS),
+      });
+
+      await generateDailyTopPicks({ now: later });
+
+      const picks = await global.prisma.topPick.findMany({ where: { userId: viewer.id } });
+      const scoreOf = (user) => picks.find((pick) => pick.pickedUserId === user.id).score;
+      // Idle 20 days as of `later` earns half the activity points; the real
+      // clock would see both as recently active
+      expect(scoreOf(current) - scoreOf(lapsed)).toBeCloseTo(5);
+    });
+  });
+
+  describe('getTopPicks', () => {
+    it('excludes people who already liked the user', async () => {
+      const viewer = await createEligibleUser('MAN', ['WOMAN']);
+      const liker = await createEligibleUser('WOMAN', ['MAN']);
+      const other = await createEligibleUser('WOMAN', ['MAN']);
+      await userActionFactory.createLike(global.prisma, liker.id, viewer.id);
+
+      const result = await getTopPicks(viewer.id, { now: NOW });
+      const ids = result.picks.map((pick) => pick.id);
+
+      expect(ids).toContain(other.id);
+      expect(ids).not.toContain(liker.id);
+    });
+
+    it('gives free users a preview and premium users every pick', async () => {
+      const free = await createEligibleUser('MAN', ['WOMAN']);
+      const premium = await createEligibleUser('MAN', ['WOMAN'], { isPremium: true });
+      for (let i = 0; i < FREE_PREVIEW_COUNT + 2; i++) {
+        await createEligibleUser('WOMAN', ['MAN']);
+      }
+
+      const freeResult = await getTopPicks(free.id, { now: NOW });
+      const premiumResult = await getTopPicks(premium.id, { now: NOW });
+
+      expect(freeResult.isPreview).toBe(true);
+      expect(freeResult.picks).toHaveLength(FREE_PREVIEW_COUNT);
+      expect(freeResult.locked).toBe(freeResult.total - FREE_PREVIEW_COUNT);
+      expect(premiumResult.isPreview).toBe(false);
+      expect(premiumResult.picks).toHaveLength(premiumResult.total);
+      expect(premiumResult.locked).toBe(0);
+      expect(premiumResult.refreshesAt).toBe('2026-10-19T00:00:00.000Z');
+    });
+
+    it('drops picks the user has since acted on', async () => {
+      const viewer = await createEligibleUser('MAN', ['WOMAN']);
+      const passed = await createEligibleUser('WOMAN', ['MAN']);
+
+      const before = await getTopPicks(viewer.id, { now: NOW });
+      expect(before.picks.map((pick) => pick.id)).toContain(passed.id);
+
+      await userActionFactory.createPass(global.prisma, viewer.id, passed.id);
+      const after = await getTopPicks(viewer.id, { now: NOW });
+
+      expect(after.picks.map((pick) => pick.id)).not.toContain(passed.id);
+      expect(after.picks.every((pick) => pick.birthDate === undefined)).toBe(true);
+    });
+  });
+});
+
+async function createEligibleUser(gender, interestedIn, overrides = {}) {
+  const user = await userFactory.create(global.prisma, {
+    gender,
+    interestedIn,
+    location: 'New York',
+    latitude: 40.7128 + (Math.random() * 0.1),
+    longitude: -74.0060 + (Math.random() * 0.1),
+    isActive: true,
+    lastActive: NOW,
+    ...overrides,
+  });
+  await photoFactory.create(global.prisma, user.id, { isMain: true });
+  return user;
+}
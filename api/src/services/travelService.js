@@ -0,0 +1,105 @@
+/**
+ * Travel mode: a premium, time-limited virtual location. While it runs,
+ * discovery ranks the traveler's deck from the destination and places
+ * their card there for everyone else ("visiting X"). The real
+ * location/latitude/longitude are never written. There is no revert job:
+ * every reader checks visitingUntil, so the mode lapses on its own and
+ * stale visiting* values are just ignored until the next trip.
+ */
+
+const { getPrismaClient } = require('../config/database');
+const logger = require('../utils/logger');
+const { AppError } = require('../middleware/errorHandler');
+const { requiresPremium } = require('./premiumService');
+
+const prisma = getPrismaClient();
+
+const MAX_TRAVEL_DAYS = 14;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const TRAVEL_SELECT = {
+  visitingLocation: true,
+  visitingLatitude: true,
+  visitingLongitude: true,
+  visitingUntil: true,
+};
+
+/** Callers must select TRAVEL_SELECT. */
+const isTravelActive = (user, now = new Date()) =>
+  !!user?.visitingUntil &&
+  new Date(user.visitingUntil) > now &&
+  user.visitingLatitude != null &&
+  user.visitingLongitude != null;
+
+/** Client-facing travel state: null when off or expired. */
+const formatTravelMode = (user, now = new Date()) =>
+  isTravelActive(user, now)
+    ? { location: user.visitingLocation, expiresAt: user.visitingUntil }
+    : null;
+
+const getTravelMode = async (userId) => {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: TRAVEL_SELECT,
+  });
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+  return formatTravelMode(user);
+};
+
+/**
+ * Start (or move) a trip. Starting a new one replaces any running trip;
+ * the expiry counts from now.
+ */
+const setTravelMode = async (userId, { location, latitude, longitude, days }) => {
+  if (days > MAX_TRAVEL_DAYS) {
+    throw new AppError(`Trips can last at most ${MAX_TRAVEL_DAYS} days`, 400);
+  }
+
+  const premiumCheck = await requiresPremium(userId, 'travel_mode');
+  if (!premiumCheck.allowed) {
+    const error = new AppError('Travel mode is a Premium feature. Upgrade to match before you land!', 403);
+    error.code = premiumCheck.error;
+    throw error;
+  }
+
+  const user = await prisma.user.update({
+    where: { id: userId },
+    data: {
+      visitingLocation: location,
+      visitingLatitude: latitude,
+      visitingLongitude: longitude,
+      visitingUntil: new Date(Date.now() + days * DAY_MS),
+    },
+    select: TRAVEL_SELECT,
+  });
+
+  logger.info(`✈️ User ${userId} is visiting ${location} until ${user.visitingUntil.toISOString()}`);
+  return formatTravelMode(user);
+};
+
+/** End a trip early. */
+const clearTravelMode = async (userId) => {
+  await prisma.user.update({
+    where: { id: userId },
+    data: {
+      visitingLocation: null,
+      visitingLatitude: null,
+      visitingLongitude: null,
+      visitingUntil: null,
+    },
+  });
+  logger.info(`🏠 User ${userId} ended travel mode`);
+  return null;
+};
+
+module.exports = {
+  MAX_TRAVEL_DAYS,
+  TRAVEL_SELECT,
+  isTravelActive,
+  formatTravelMode,
+  getTravelMode,
+  setTravelMode,
+  clearTravelMode,
+};
@@ -79,7 +79,54 @@ const formatHeight = (height) => {
   return null;
 };
 
+/**
+ * Interests and languages two users have in common, as shown on the
+ * other user's card. Interests are compared by id, languages
+ * case-insensitively; names come back as the other user spelled them.
+ * @param {Object} viewer - User with `interests` (UserInterest rows incl. interest) and `languages`
+ * @param {Object} other - The user whose card is shown, same shape
+ * @returns {{sharedInterests: string[], sharedLanguages: string[]}}
+ */
+const getSharedTraits = (viewer, other) => {
+  const viewerInterestIds = new Set(
+    (viewer.interests || []).map(ui => ui.interestId || ui.interest?.id)
+  );
+  const viewerLanguages = new Set(
+    (viewer.languages || []).map(language => language.toLowerCase())
+  );
+
+  return {
+    sharedInterests: (other.interests || [])
+      .filter(ui => viewerInterestIds.has(ui.interestId || ui.interest?.id))
+      .map(ui => ui.interest.name),
+    sharedLanguages: (other.languages || [])
+      .filter(language => viewerLanguages.has(language.toLowerCase())),
+  };
+};
+
+/**
+ * Age in whole years on a given day
+ * @param {Date|string|null} birthDate - The birth date
+ * @param {Date} [today] - The day to measure at (defaults to now)
+ * @returns {number|null} Age, or null without a birth date
+ */
+const calculateAge = (birthDate, today = new Date()) => {
+  if (!birthDate) {return null;}
+
+  const birth = new Date(birthDate);
+  let age = today.getFullYear() - birth.getFullYear();
+  const monthDiff = today.getMonth() - birth.getMonth();
+
+  if (monthDiff < 0 || (monthDiff === 0 && today.getDate() < birth.getDate())) {
+    age--;
+  }
+
+  return age;
+};
+
 module.exports = {
   parseRelationshipType,
   formatHeight,
+  getSharedTraits,
+  calculateAge,
 };
\ No newline at end of file
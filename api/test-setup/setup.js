@@ -81,6 +81,24 @@ beforeAll(async () => {
     
     // Connect to database
     await global.prisma.$connect();
+
+    // db push can't express generated columns, so it leaves messages.searchVector
+    // as a plain (always null) tsvector. Swap in the generated column from the
+    // add_message_search migration so full-text search has something to match.
+    await global.prisma.$executeRawUnsafe(`
+      DO $$
+      BEGIN
+        IF NOT EXISTS (
+          SELECT 1 FROM information_schema.columns
+          WHERE table_name = 'messages' AND column_name = 'searchVector' AND is_generated = 'ALWAYS'
+        ) THEN
+          ALTER TABLE "messages" DROP COLUMN IF EXISTS "searchVector";
+          ALTER TABLE "messages" ADD COLUMN "searchVector" tsvector
+            GENERATED ALWAYS AS (to_tsvector('simple', coalesce("content", ''))) STORED;
+          CREATE INDEX IF NOT EXISTS "messages_searchVector_idx" ON "messages" USING GIN ("searchVector");
+        END IF;
+      END $$;
+    `);
   } catch (error) {
     Logger.error('Failed to setup test database:', error);
     throw error;
@@ -91,16 +109,23 @@ beforeAll(async () => {
 beforeEach(async () => {
   // Clear data in the correct order to respect foreign key constraints
   await global.prisma.messageReaction.deleteMany();
+  await global.prisma.messageEdit.deleteMany();
   await global.prisma.message.deleteMany();
   await global.prisma.mutedMatch.deleteMany();
+  await global.prisma.rematchRequest.deleteMany();
+  await global.prisma.dateProposal.deleteMany();
   await global.prisma.match.deleteMany();
   await global.prisma.blockedUser.deleteMany();
   await global.prisma.userAction.deleteMany();
   await global.prisma.userInterest.deleteMany();
   await global.prisma.interest.deleteMany();
   await global.prisma.notification.deleteMany();
+  await global.prisma.scheduledNotification.deleteMany();
+  await global.prisma.photoTeaser.deleteMany();
   await global.prisma.photo.deleteMany();
   await global.prisma.report.deleteMany();
+  await global.prisma.profileBoost.deleteMany();
+  await global.prisma.topPick.deleteMany();
   await global.prisma.user.deleteMany();
   await global.prisma.waitlist.deleteMany();
   await global.prisma.appConfig.deleteMany();
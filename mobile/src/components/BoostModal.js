@@ -0,0 +1,213 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  Modal,
+  TouchableOpacity,
+  StyleSheet,
+  TouchableWithoutFeedback,
+  ActivityIndicator,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { theme } from '../styles/theme';
+
+const formatRemaining = seconds => {
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+const Stat = ({ value, label }) => (
+  <View style={styles.stat}>
+    <Text style={styles.statValue}>{value}</Text>
+    <Text style={styles.statLabel}>{label}</Text>
+  </View>
+);
+
+/**
+ * BoostModal - Start a Profile Boost, follow a running one, and see how the
+ * last one went
+ *
+ * @param {Object} props
+ * @param {boolean} props.visible - Whether the modal is visible
+ * @param {Object|null} props.status - GET /actions/boost data: { active, lastBoost }
+ * @param {boolean} props.isActivating - A start request is in flight
+ * @param {Function} props.onActivate - Start a boost
+ * @param {Function} props.onClose - Called when the modal is dismissed
+ */
+const BoostModal = ({ visible, status, isActivating, onActivate, onClose }) => {
+  const active = status?.active || null;
+  const lastBoost = status?.lastBoost || null;
+  const [remainingSeconds, setRemainingSeconds] = useState(0);
+
+  // Tick the countdown locally from endsAt rather than polling the API
+  useEffect(() => {
+    if (!visible || !active) return undefined;
+    const tick = () =>
+      setRemainingSeconds(
+        Math.max(0, Math.ceil((new Date(active.endsAt).getTime() - Date.now()) / 1000))
+      );
+    tick();
+    const interval = setInterval(tick, 1000);
+    return () => clearInterval(interval);
+  }, [visible, active]);
+
+  return (
+    <Modal visible={visible} transparent animationType="slide" onRequestClose={onClose}>
+      <TouchableWithoutFeedback onPress={onClose}>
+        <View style={styles.overlay}>
+          <TouchableWithoutFeedback>
+            <View style={styles.modalContainer}>
+              <View style={styles.header}>
+                <Text style={styles.title}>
+                  {active ? "You're boosted 🚀" : lastBoost ? 'Your last Boost' : 'Boost'}
+                </Text>
+                <TouchableOpacity onPress={onClose} style={styles.closeButton}>
+                  <Ionicons
+                    name="close"
+                    size={theme.icons.md}
+                    color={theme.colors.text.secondary}
+                  />
+                </TouchableOpacity>
+              </View>
+
+              {active ? (
+                <>
+                  <Text style={styles.subtitle}>
+                    You're near the top of people's decks for another{' '}
+                    <Text style={styles.countdown}>{formatRemaining(remainingSeconds)}</Text>
+                  </Text>
+                  <View style={styles.statsRow}>
+                    <Stat value={active.summary.views} label="Views so far" />
+                    <Stat value={active.summary.likes} label="Likes so far" />
+                  </View>
+                </>
+              ) : lastBoost ? (
+                <>
+                  <View style={styles.statsRow}>
+                    <Stat value={lastBoost.summary.views} label="Views" />
+                    <Stat value={lastBoost.summary.likes} label="Likes" />
+                    <Stat value={lastBoost.summary.extraLikes} label="More than usual" />
+                  </View>
+                  <Text style={styles.subtitle}>
+                    Boost again to be one of the first profiles people see for 30 minutes.
+                  </Text>
+                </>
+              ) : (
+                <Text style={styles.subtitle}>
+                  Be one of the first profiles people see for 30 minutes. Premium members get a
+                  Boost every month.
+                </Text>
+              )}
+
+              <View style={styles.footer}>
+                {!active && (
+                  <TouchableOpacity
+                    style={[styles.boostButton, isActivating && styles.boostButtonDisabled]}
+                    onPress={onActivate}
+                    disabled={isActivating}
+                  >
+                    {isActivating ? (
+                      <ActivityIndicator color={theme.colors.text.white} />
+                    ) : (
+                      <>
+                        <Ionicons name="flash" size={18} color={theme.colors.text.white} />
+                        <Text style={styles.boostButtonText}>Boost now</Text>
+                      </>
+                    )}
+                  </TouchableOpacity>
+                )}
+              </View>
+            </View>
+          </TouchableWithoutFeedback>
+        </View>
+      </TouchableWithoutFeedback>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: theme.colors.overlay.medium,
+    justifyContent: 'flex-end',
+  },
+  modalContainer: {
+    backgroundColor: theme.colors.background.primary,
+    borderTopLeftRadius: theme.borderRadius.xxl,
+    borderTopRightRadius: theme.borderRadius.xxl,
+    paddingHorizontal: theme.spacing.xl,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingTop: theme.spacing.xl,
+    paddingBottom: theme.spacing.md,
+  },
+  title: {
+    fontSize: theme.typography.sizes.xl,
+    fontWeight: theme.typography.weights.semibold,
+    fontFamily: theme.typography.fontFamily.semibold,
+    color: theme.colors.text.primary,
+  },
+  closeButton: {
+    padding: theme.spacing.xs,
+  },
+  subtitle: {
+    fontSize: theme.typography.sizes.md,
+    fontFamily: theme.typography.fontFamily.regular,
+    color: theme.colors.text.secondary,
+    marginBottom: theme.spacing.md,
+  },
+  countdown: {
+    fontFamily: theme.typography.fontFamily.semibold,
+    color: theme.colors.premium,
+  },
+  statsRow: {
+    flexDirection: 'row',
+    marginBottom: theme.spacing.md,
+  },
+  stat: {
+    flex: 1,
+    alignItems: 'center',
+    paddingVertical: theme.spacing.md,
+    marginHorizontal: theme.spacing.xs,
+    borderRadius: theme.borderRadius.lg,
+    backgroundColor: theme.colors.background.secondary,
+  },
+  statValue: {
+    fontSize: theme.typography.sizes.xxxl,
+    fontFamily: theme.typography.fontFamily.heading,
+    color: theme.colors.text.primary,
+  },
+  statLabel: {
+    marginTop: theme.spacing.xs,
+    fontSize: theme.typography.sizes.sm,
+    fontFamily: theme.typography.fontFamily.regular,
+    color: theme.colors.text.muted,
+  },
+  footer: {
+    paddingVertical: theme.spacing.lg,
+    paddingBottom: 34,
+  },
+  boostButton: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: theme.colors.premium,
+    paddingVertical: theme.spacing.lg,
+    borderRadius: theme.borderRadius.lg,
+  },
+  boostButtonDisabled: {
+    opacity: 0.5,
+  },
+  boostButtonText: {
+    marginLeft: theme.spacing.sm,
+    fontSize: theme.typography.sizes.lg,
+    fontWeight: theme.typography.weights.semibold,
+    fontFamily: theme.typography.fontFamily.semibold,
+    color: theme.colors.text.white,
+  },
+});
+
+export default BoostModal;
@@ -1,5 +1,14 @@
 import React, { useCallback, useMemo } from 'react';
-import { View, Text, StyleSheet, Dimensions, Image, ScrollView, Pressable } from 'react-native';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Dimensions,
+  Image,
+  ScrollView,
+  Pressable,
+  TouchableOpacity,
+} from 'react-native';
 import Animated, { useAnimatedStyle, interpolate, Extrapolation } from 'react-native-reanimated';
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
 import { Ionicons } from '@expo/vector-icons';
@@ -17,13 +26,16 @@ const HERO_HEIGHT = SCREEN_HEIGHT * 0.55;
  * - Hero photo at top
  * - Photos distributed throughout content
  * - Clean label/value pairs for single fields
- * - Chips for multi-select fields (interests, languages)
+ * - Chips for multi-select fields (interests, languages), with the ones
+ *   the viewer shares highlighted
+ * - With onComment, photos, bio and interests get a button to like with a note
  */
 const FullscreenSwipeableCard = ({
   profile,
   translateX,
   isTop = false,
   onPhotoPress, // Callback to handle photo viewing at parent level
+  onComment, // (profile, { photoId, photoUrl } | { field, label }) => void
 }) => {
   const insets = useSafeAreaInsets();
   const scrollViewRef = React.useRef(null);
@@ -37,6 +49,25 @@ const FullscreenSwipeableCard = ({
     return profile.photos.map(p => (typeof p === 'string' ? p : p?.url)).filter(Boolean);
   }, [profile]);
 
+  // Photo IDs parallel to `photos` (null where only a URL is known)
+  const photoIds = useMemo(
+    () =>
+      (profile?.photos || [])
+        .filter(p => (typeof p === 'string' ? p : p?.url))
+        .map(p => (typeof p === 'string' ? null : p.id || null)),
+    [profile]
+  );
+
+  // Interests and languages in common with the viewer, lowercased for lookup
+  const sharedInterests = useMemo(
+    () => new Set((profile?.sharedInterests || []).map(name => name.toLowerCase())),
+    [profile?.sharedInterests]
+  );
+  const sharedLanguages = useMemo(
+    () => new Set((profile?.sharedLanguages || []).map(name => name.toLowerCase())),
+    [profile?.sharedLanguages]
+  );
+
   // Calculate age from birthDate
   const age = useMemo(() => {
     if (profile?.age) return profile.age;
@@ -328,13 +359,36 @@ const FullscreenSwipeableCard = ({
     );
   };
 
+  // Small "like with a note" button pinned to a photo or section
+  const renderCommentButton = (target, style) =>
+    onComment ? (
+      <TouchableOpacity
+        style={[styles.commentButton, style]}
+        onPress={() => onComment(profile, target)}
+        hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
+      >
+        <Ionicons name="chatbubble-ellipses" size={18} color={theme.colors.primary} />
+      </TouchableOpacity>
+    ) : null;
+
+  const renderPhotoCommentButton = (index, style) =>
+    photoIds[index]
+      ? renderCommentButton({ photoId: photoIds[index], photoUrl: photos[index] }, style)
+      : null;
+
   // Render chip for multi-select items
-  const renderChip = (text, index) => (
-    <View key={index} style={styles.chip}>
-      <Text style={styles.chipText}>{text}</Text>
+  const renderChip = (text, index, shared = false) => (
+    <View key={index} style={[styles.chip, shared && styles.sharedChip]}>
+      {shared && (
+        <Ionicons name="heart" size={12} color={theme.colors.primary} style={styles.sharedIcon} />
+      )}
+      <Text style={[styles.chipText, shared && styles.sharedChipText]}>{text}</Text>
     </View>
   );
 
+  const renderSharedCount = shared =>
+    shared.size > 0 ? <Text style={styles.sharedCount}>{shared.size} in common</Text> : null;
+
   const renderSection = section => {
     switch (section.type) {
       case 'photo':
@@ -348,6 +402,7 @@ const FullscreenSwipeableCard = ({
             <View style={styles.photoExpandHint}>
               <Ionicons name="expand-outline" size={20} color={theme.colors.text.white} />
             </View>
+            {renderPhotoCommentButton(section.photoIndex, styles.photoCommentButton)}
           </Pressable>
         );
 
@@ -361,7 +416,10 @@ const FullscreenSwipeableCard = ({
       case 'bio':
         return (
           <View style={styles.section} key={section.key}>
-            <Text style={styles.sectionTitle}>About me</Text>
+            <View style={styles.sectionTitleRow}>
+              <Text style={styles.sectionTitle}>About me</Text>
+              {section.data && renderCommentButton({ field: 'bio', label: 'bio' })}
+            </View>
             {section.data ? (
               <Text style={styles.bioText}>{section.data}</Text>
             ) : (
@@ -399,10 +457,15 @@ const FullscreenSwipeableCard = ({
       case 'languages':
         return (
           <View style={styles.section} key={section.key}>
-            <Text style={styles.sectionTitle}>Languages</Text>
+            <View style={styles.sectionTitleRow}>
+              <Text style={styles.sectionTitle}>Languages</Text>
+              {renderSharedCount(sharedLanguages)}
+            </View>
             {section.data ? (
               <View style={styles.chipContainer}>
-                {section.data.map((lang, index) => renderChip(lang, index))}
+                {section.data.map((lang, index) =>
+                  renderChip(lang, index, sharedLanguages.has(lang.toLowerCase()))
+                )}
               </View>
             ) : (
               <Text style={styles.placeholderText}>No languages specified</Text>
@@ -413,7 +476,11 @@ const FullscreenSwipeableCard = ({
       case 'interests':
         return (
           <View style={styles.section} key={section.key}>
-            <Text style={styles.sectionTitle}>Interests</Text>
+            <View style={styles.sectionTitleRow}>
+              <Text style={styles.sectionTitle}>Interests</Text>
+              {renderSharedCount(sharedInterests)}
+              {section.data && renderCommentButton({ field: 'interests', label: 'interests' })}
+            </View>
             {section.data ? (
               <View style={styles.chipContainer}>
                 {section.data.map((interest, index) => {
@@ -421,7 +488,11 @@ const FullscreenSwipeableCard = ({
                     typeof interest === 'object'
                       ? interest.interest?.name || interest.name
                       : interest;
-                  return renderChip(interestName, index);
+                  return renderChip(
+                    interestName,
+                    index,
+                    sharedInterests.has(interestName?.toLowerCase())
+                  );
                 })}
               </View>
             ) : (
@@ -486,6 +557,18 @@ const FullscreenSwipeableCard = ({
               {profile.isVerified && <VerifiedBadge size={26} style={styles.verifiedBadge} />}
             </View>
             <View style={styles.heroDetails}>
+              {profile.superLikedYou && (
+                <View style={styles.heroDetailItem}>
+                  <Ionicons name="star" size={14} color={theme.colors.premium} />
+                  <Text style={styles.heroDetailText}>Super Liked you</Text>
+                </View>
+              )}
+              {profile.visiting && (
+                <View style={styles.heroDetailItem}>
+                  <Ionicons name="airplane" size={14} color={theme.colors.text.white} />
+                  <Text style={styles.heroDetailText}>Visiting {profile.visiting.location}</Text>
+                </View>
+              )}
               {profile.distance !== null && profile.distance !== undefined && (
                 <View style={styles.heroDetailItem}>
                   <Ionicons name="location" size={14} color={theme.colors.text.white} />
@@ -502,6 +585,7 @@ const FullscreenSwipeableCard = ({
               )}
             </View>
           </View>
+          {renderPhotoCommentButton(0, styles.heroCommentButton)}
         </Pressable>
 
         {/* Profile sections with distributed photos */}
@@ -616,6 +700,34 @@ const styles = StyleSheet.create({
     borderRadius: theme.borderRadius.xxl,
     padding: theme.spacing.sm,
   },
+  photoCommentButton: {
+    position: 'absolute',
+    bottom: theme.spacing.md,
+    left: theme.spacing.md,
+  },
+  heroCommentButton: {
+    position: 'absolute',
+    bottom: theme.spacing.lg,
+    right: theme.spacing.lg,
+  },
+  commentButton: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: theme.colors.background.primary,
+    shadowColor: theme.colors.shadow,
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.15,
+    shadowRadius: 3,
+    elevation: 2,
+  },
+  sectionTitleRow: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    justifyContent: 'space-between',
+  },
   photoDivider: {
     height: 50,
     backgroundColor: theme.colors.background.primary,
@@ -716,6 +828,27 @@ const styles = StyleSheet.create({
     fontWeight: theme.typography.weights.medium,
     fontFamily: theme.typography.fontFamily.medium,
   },
+  sharedChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: theme.colors.primaryTint,
+    borderWidth: 1,
+    borderColor: theme.colors.primary,
+  },
+  sharedIcon: {
+    marginRight: theme.spacing.xs,
+  },
+  sharedChipText: {
+    color: theme.colors.primary,
+  },
+  sharedCount: {
+    marginLeft: theme.spacing.sm,
+    marginRight: 'auto',
+    marginTop: 2,
+    fontSize: theme.typography.sizes.sm,
+    color: theme.colors.primary,
+    fontFamily: theme.typography.fontFamily.semibold,
+  },
   bottomSpacer: {
     height: 200,
   },
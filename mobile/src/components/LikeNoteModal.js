@@ -0,0 +1,202 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  Modal,
+  TouchableOpacity,
+  StyleSheet,
+  TouchableWithoutFeedback,
+  TextInput,
+  Image,
+  KeyboardAvoidingView,
+  Platform,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { theme } from '../styles/theme';
+
+// Mirrors the API's LIKE_NOTE_MAX_LENGTH
+const NOTE_MAX_LENGTH = 150;
+
+/**
+ * LikeNoteModal - Compose a note to send with a like
+ *
+ * @param {Object} props
+ * @param {boolean} props.visible - Whether the modal is visible
+ * @param {string} props.userName - Name of the person being liked
+ * @param {Object|null} props.target - What the note is about: { photoUrl } or { label }
+ * @param {Function} props.onSend - Called with the trimmed note text
+ * @param {Function} props.onCancel - Called when the modal is dismissed
+ */
+const LikeNoteModal = ({ visible, userName, target, onSend, onCancel }) => {
+  const [note, setNote] = useState('');
+
+  // Every target starts with a blank note
+  useEffect(() => {
+    if (visible) {
+      setNote('');
+    }
+  }, [visible, target]);
+
+  const canSend = note.trim().length > 0;
+
+  return (
+    <Modal visible={visible} transparent animationType="slide" onRequestClose={onCancel}>
+      <TouchableWithoutFeedback onPress={onCancel}>
+        <KeyboardAvoidingView
+          style={styles.overlay}
+          behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+        >
+          <TouchableWithoutFeedback>
+            <View style={styles.modalContainer}>
+              <View style={styles.header}>
+                <Text style={styles.title}>Like {userName}</Text>
+                <TouchableOpacity onPress={onCancel} style={styles.closeButton}>
+                  <Ionicons
+                    name="close"
+                    size={theme.icons.md}
+                    color={theme.colors.text.secondary}
+                  />
+                </TouchableOpacity>
+              </View>
+
+              <View style={styles.targetRow}>
+                {target?.photoUrl ? (
+                  <Image source={{ uri: target.photoUrl }} style={styles.targetPhoto} />
+                ) : (
+                  <View style={styles.targetIcon}>
+                    <Ionicons name="chatbubble-ellipses" size={20} color={theme.colors.primary} />
+                  </View>
+                )}
+                <Text style={styles.targetText}>
+                  {target?.photoUrl ? 'About this photo' : `About their ${target?.label}`}
+                </Text>
+              </View>
+
+              <TextInput
+                style={styles.noteInput}
+                placeholder="Say something that stands out..."
+                placeholderTextColor={theme.colors.text.muted}
+                multiline
+                autoFocus
+                maxLength={NOTE_MAX_LENGTH}
+                value={note}
+                onChangeText={setNote}
+                textAlignVertical="top"
+              />
+              <Text style={styles.charCount}>
+                {note.length}/{NOTE_MAX_LENGTH}
+              </Text>
+
+              <View style={styles.footer}>
+                <TouchableOpacity
+                  style={[styles.sendButton, !canSend && styles.sendButtonDisabled]}
+                  onPress={() => onSend(note.trim())}
+                  disabled={!canSend}
+                >
+                  <Ionicons name="heart" size={18} color={theme.colors.text.white} />
+                  <Text style={styles.sendButtonText}>Send Like</Text>
+                </TouchableOpacity>
+              </View>
+            </View>
+          </TouchableWithoutFeedback>
+        </KeyboardAvoidingView>
+      </TouchableWithoutFeedback>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: theme.colors.overlay.medium,
+    justifyContent: 'flex-end',
+  },
+  modalContainer: {
+    backgroundColor: theme.colors.background.primary,
+    borderTopLeftRadius: theme.borderRadius.xxl,
+    borderTopRightRadius: theme.borderRadius.xxl,
+    paddingHorizontal: theme.spacing.xl,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingTop: theme.spacing.xl,
+    paddingBottom: theme.spacing.md,
+  },
+  title: {
+    fontSize: theme.typography.sizes.xl,
+    fontWeight: theme.typography.weights.semibold,
+    fontFamily: theme.typography.fontFamily.semibold,
+    color: theme.colors.text.primary,
+  },
+  closeButton: {
+    padding: theme.spacing.xs,
+  },
+  targetRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: theme.spacing.md,
+  },
+  targetPhoto: {
+    width: 44,
+    height: 44,
+    borderRadius: theme.borderRadius.md,
+    marginRight: theme.spacing.md,
+  },
+  targetIcon: {
+    width: 44,
+    height: 44,
+    borderRadius: theme.borderRadius.md,
+    marginRight: theme.spacing.md,
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: theme.colors.primaryTint,
+  },
+  targetText: {
+    fontSize: theme.typography.sizes.md,
+    fontFamily: theme.typography.fontFamily.medium,
+    color: theme.colors.text.secondary,
+  },
+  noteInput: {
+    borderWidth: 1,
+    borderColor: theme.colors.border.light,
+    borderRadius: theme.borderRadius.lg,
+    padding: theme.spacing.md,
+    fontSize: 15,
+    fontFamily: theme.typography.fontFamily.regular,
+    color: theme.colors.text.primary,
+    minHeight: 90,
+  },
+  charCount: {
+    fontSize: theme.typography.sizes.sm,
+    fontFamily: theme.typography.fontFamily.regular,
+    color: theme.colors.text.muted,
+    textAlign: 'right',
+    marginTop: theme.spacing.xs,
+  },
+  footer: {
+    paddingVertical: theme.spacing.lg,
+    paddingBottom: 34,
+  },
+  sendButton: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: theme.colors.primary,
+    paddingVertical: theme.spacing.lg,
+    borderRadius: theme.borderRadius.lg,
+  },
+  sendButtonDisabled: {
+    opacity: 0.5,
+  },
+  sendButtonText: {
+    marginLeft: theme.spacing.sm,
+    fontSize: theme.typography.sizes.lg,
+    fontWeight: theme.typography.weights.semibold,
+    fontFamily: theme.typography.fontFamily.semibold,
+    color: theme.colors.text.white,
+  },
+});
+
+export default LikeNoteModal;
@@ -11,7 +11,7 @@ import {
   getUserLocation,
 } from '../utils/profileHelpers';
 import { isUserOnline } from '../utils/userHelpers';
-import { formatRelativeTime } from '../utils/timeHelpers';
+import { formatRelativeTime, formatExpiresIn } from '../utils/timeHelpers';
 import ClickablePhoto from './shared/ClickablePhoto';
 import { usePhotoViewer } from '../contexts/PhotoViewerContext';
 import { useIsPremium } from '../contexts/FeatureFlagsContext';
@@ -25,6 +25,7 @@ export const MatchCard = memo(
     style = {},
     unreadCount = 0,
     showLastMessage = false,
+    onExtend,
   }) => {
     const isPremium = useIsPremium();
     const user = match.otherUser || match;
@@ -119,6 +120,28 @@ export const MatchCard = memo(
               <Text style={styles.lastMessageTime} numberOfLines={1}>
                 {formatRelativeTime(match.lastMessageTime || match.matchedAt) || 'New match'}
               </Text>
+              {/* Silent matches expire unless someone says hi */}
+              {match.expiresAt && (
+                <View style={styles.expiryRow}>
+                  <Ionicons
+                    name="hourglass-outline"
+                    size={12}
+                    color={theme.colors.status.warning}
+                  />
+                  <Text style={styles.expiryText}>{formatExpiresIn(match.expiresAt)}</Text>
+                  {onExtend && (
+                    <TouchableOpacity
+                      onPress={e => {
+                        e.stopPropagation();
+                        onExtend();
+                      }}
+                      hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
+                    >
+                      <Text style={styles.extendText}>Extend</Text>
+                    </TouchableOpacity>
+                  )}
+                </View>
+              )}
             </>
           ) : (
             <>
@@ -266,4 +289,22 @@ const styles = {
     fontFamily: theme.typography.fontFamily.regular,
     color: theme.colors.text.muted,
   },
+  expiryRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: theme.spacing.xs,
+  },
+  expiryText: {
+    marginLeft: theme.spacing.xs,
+    fontSize: theme.typography.sizes.sm,
+    fontFamily: theme.typography.fontFamily.medium,
+    color: theme.colors.status.warning,
+  },
+  extendText: {
+    marginLeft: theme.spacing.sm,
+    fontSize: theme.typography.sizes.sm,
+    fontWeight: theme.typography.weights.semibold,
+    fontFamily: theme.typography.fontFamily.semibold,
+    color: theme.colors.premium,
+  },
 };
@@ -18,6 +18,7 @@ import { theme } from '../styles/theme';
 const { width: SCREEN_WIDTH, height: SCREEN_HEIGHT } = Dimensions.get('window');
 const SWIPE_THRESHOLD = SCREEN_WIDTH * 0.25;
 const SWIPE_OUT_DURATION = 300;
+const MAX_UNDO_HISTORY = 20;
 
 const SwipeableCardStack = forwardRef(
   (
@@ -27,16 +28,19 @@ const SwipeableCardStack = forwardRef(
       onSwipeRight,
       onSwipeSuperLike,
       onUndo,
+      onCardShown,
       onNeedMore,
       onPhotoPress,
+      onComment,
       loadingMore = false,
+      prefetchThreshold = 3,
     },
     ref
   ) => {
     const [currentIndex, setCurrentIndex] = useState(0);
     const [isProcessing, setIsProcessing] = useState(false);
     const processedProfiles = useRef(new Set());
-    const lastSwipedProfile = useRef(null); // Track last swiped profile for undo
+    const swipeHistory = useRef([]); // Swiped profiles, newest last, for multi-step undo
 
     // Reanimated shared values
     const translateX = useSharedValue(0);
@@ -45,7 +49,8 @@ const SwipeableCardStack = forwardRef(
     const cardOpacity = useSharedValue(1);
     const staticTranslateX = useSharedValue(0); // For background cards
 
-    // Request more profiles when running low
+    // Request more profiles when running low. A higher prefetchThreshold
+    // fetches the next page earlier, while the user is still swiping.
     useEffect(() => {
       const remainingCards = profiles.length - currentIndex;
       let unprocessedAhead = 0;
@@ -55,12 +60,21 @@ const SwipeableCardStack = forwardRef(
         }
       }
 
-      if (unprocessedAhead <= 3 && !loadingMore && remainingCards > 0) {
+      if (unprocessedAhead <= prefetchThreshold && !loadingMore && remainingCards > 0) {
         Logger.info('Running low on profiles, requesting more...');
         onNeedMore?.();
       }
       // eslint-disable-next-line react-hooks/exhaustive-deps
-    }, [currentIndex, profiles.length, loadingMore, onNeedMore]);
+    }, [currentIndex, profiles.length, loadingMore, onNeedMore, prefetchThreshold]);
+
+    // Tell the parent which card is now on top
+    const topProfile = profiles[currentIndex];
+    useEffect(() => {
+      if (topProfile) {
+        onCardShown?.(topProfile);
+      }
+      // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [topProfile?.id]);
 
     // Clear processed profiles when we get a new set
     useEffect(() => {
@@ -83,12 +97,16 @@ const SwipeableCardStack = forwardRef(
       const swipedProfile = profiles[currentIndex];
       Logger.info(`Swiping profile: ${swipedProfile.name} (${swipedProfile.id}) - ${direction}`);
 
-      // Save for potential undo (only track last one)
-      lastSwipedProfile.current = {
+      // Save for potential undo. The server decides how far back undo may
+      // go; the local history only needs to cover that.
+      swipeHistory.current.push({
         profile: swipedProfile,
         index: currentIndex,
         direction,
-      };
+      });
+      if (swipeHistory.current.length > MAX_UNDO_HISTORY) {
+        swipeHistory.current.shift();
+      }
 
       if (!processedProfiles.current.has(swipedProfile.id)) {
         processedProfiles.current.add(swipedProfile.id);
@@ -134,9 +152,9 @@ const SwipeableCardStack = forwardRef(
       });
     };
 
-    // Undo last swipe
+    // Undo the most recent swipe; repeated calls walk further back
     const performUndo = async () => {
-      const lastSwiped = lastSwipedProfile.current;
+      const lastSwiped = swipeHistory.current[swipeHistory.current.length - 1];
       if (!lastSwiped || isProcessing) {
         Logger.warn('No swipe to undo or processing');
         return { success: false, error: 'NO_SWIPE_TO_UNDO' };
@@ -173,7 +191,7 @@ const SwipeableCardStack = forwardRef(
           setIsProcessing(false);
         }, 50);
 
-        lastSwipedProfile.current = null;
+        swipeHistory.current.pop();
         Logger.info('Undo successful');
         return { success: true };
       } catch (error) {
@@ -203,7 +221,7 @@ const SwipeableCardStack = forwardRef(
           }
         },
         undo: performUndo,
-        canUndo: () => !!lastSwipedProfile.current && !isProcessing,
+        canUndo: () => swipeHistory.current.length > 0 && !isProcessing,
         getCurrentProfile: () => {
           if (currentIndex < profiles.length) {
             return profiles[currentIndex];
@@ -310,6 +328,7 @@ const SwipeableCardStack = forwardRef(
                   translateX={translateX}
                   isTop={true}
                   onPhotoPress={onPhotoPress}
+                  onComment={onComment}
                 />
               </Animated.View>
             </GestureDetector>
@@ -1,5 +1,5 @@
 import React from 'react';
-import { render, screen } from '@testing-library/react-native';
+import { render, screen, fireEvent } from '@testing-library/react-native';
 import { MatchCard } from '../MatchCard';
 
 jest.mock('../../contexts/PhotoViewerContext', () => ({
@@ -54,6 +54,25 @@ describe('MatchCard', () => {
     expect(screen.queryByTestId('verified-badge')).toBeNull();
   });
 
+  it('shows the expiry countdown and extend action for expiring matches', () => {
+    const onExtend = jest.fn();
+    const expiring = {
+      ...baseMatch,
+      expiresAt: new Date(Date.now() + 5 * 60 * 60 * 1000 + 60000).toISOString(),
+    };
+    const { rerender } = render(
+      <MatchCard match={expiring} onPress={jest.fn()} showLastMessage onExtend={onExtend} />
+    );
+    expect(screen.getByText('Expires in 5h')).toBeTruthy();
+    fireEvent.press(screen.getByText('Extend'), { stopPropagation: jest.fn() });
+    expect(onExtend).toHaveBeenCalled();
+
+    rerender(
+      <MatchCard match={baseMatch} onPress={jest.fn()} showLastMessage onExtend={onExtend} />
+    );
+    expect(screen.queryByText('Extend')).toBeNull();
+  });
+
   it('tolerates a match object without otherUser (self-shaped payload)', () => {
     const flat = { ...baseMatch.otherUser, matchId: 'match-2' };
     render(<MatchCard match={flat} onPress={jest.fn()} />);
@@ -28,6 +28,11 @@ const FILTER_OPTIONS = {
     { id: 'WOMAN', label: 'Women' },
     { id: 'OTHER', label: 'Other' },
   ],
+  // Deck order, sent as `sortBy`
+  sortOptions: [
+    { id: 'recommended', label: 'Recommended' },
+    { id: 'shared_interests', label: 'Shared interests first' },
+  ],
   // IMPORTANT: these values are compared server-side (lowercased) against
   // what profiles actually store via ProfileFieldsConfig — a value that
   // doesn't exist there silently filters out EVERY candidate
@@ -72,6 +77,7 @@ const DEFAULT_CORE_PREFERENCES = {
 };
 
 const DEFAULT_ADVANCED_FILTERS = {
+  sortBy: 'recommended',
   verifiedOnly: false,
   strictAge: false,
   strictDistance: false,
@@ -480,6 +486,32 @@ const FilterPreferencesForm = ({
           </>
         )}
 
+        {/* Sort */}
+        {renderSection(
+          'Sort By',
+          <View style={styles.optionsContainer}>
+            {FILTER_OPTIONS.sortOptions.map(option => (
+              <TouchableOpacity
+                key={option.id}
+                style={[
+                  styles.optionButton,
+                  advancedFilters.sortBy === option.id && styles.optionButtonActive,
+                ]}
+                onPress={() => updateAdvancedFilter('sortBy', option.id)}
+              >
+                <Text
+                  style={[
+                    styles.optionText,
+                    advancedFilters.sortBy === option.id && styles.optionTextActive,
+                  ]}
+                >
+                  {option.label}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        )}
+
         {/* Relationship Type */}
         {renderSection(
           'Looking For',
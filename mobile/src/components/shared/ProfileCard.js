@@ -45,6 +45,19 @@ const calculateAge = birthDate => {
   return age;
 };
 
+/**
+ * Put the items the viewer shares first, so they survive the tag limit,
+ * and return the case-insensitive set used to highlight them
+ */
+const sharedFirst = (items, shared) => {
+  const sharedSet = new Set((shared || []).map(item => item.toLowerCase()));
+  const isShared = item => sharedSet.has(item.toLowerCase());
+  return {
+    items: [...items.filter(isShared), ...items.filter(item => !isShared(item))],
+    sharedSet,
+  };
+};
+
 /**
  * Shared ProfileCard component used across the app
  * - PeopleScreen (swipe cards)
@@ -84,6 +97,16 @@ const ProfileCard = ({
     return Array.isArray(profile.languages) ? profile.languages : [];
   }, [profile?.languages]);
 
+  // Interests and languages in common with the viewer, from the server
+  const interestTags = useMemo(
+    () => sharedFirst(interests, profile?.sharedInterests),
+    [interests, profile?.sharedInterests]
+  );
+  const languageTags = useMemo(
+    () => sharedFirst(languages, profile?.sharedLanguages),
+    [languages, profile?.sharedLanguages]
+  );
+
   const relationshipTypes = useMemo(() => {
     if (!profile?.relationshipType) return [];
     if (Array.isArray(profile.relationshipType)) {
@@ -121,16 +144,27 @@ const ProfileCard = ({
     );
   }, []);
 
-  // Render tag pills - memoized (must be before early returns)
-  const renderTags = useCallback((items, maxItems = 6) => {
+  // Render tag pills, highlighting any in `sharedSet` - memoized (must be before early returns)
+  const renderTags = useCallback((items, maxItems = 6, sharedSet = null) => {
     if (!items || items.length === 0) return null;
     return (
       <View style={styles.tagsContainer}>
-        {items.slice(0, maxItems).map((item, index) => (
-          <View key={index} style={styles.tag}>
-            <Text style={styles.tagText}>{item}</Text>
-          </View>
-        ))}
+        {items.slice(0, maxItems).map((item, index) => {
+          const shared = sharedSet?.has(item.toLowerCase());
+          return (
+            <View key={index} style={[styles.tag, shared && styles.sharedTag]}>
+              {shared && (
+                <Ionicons
+                  name="heart"
+                  size={11}
+                  color={theme.colors.text.white}
+                  style={styles.sharedTagIcon}
+                />
+              )}
+              <Text style={[styles.tagText, shared && styles.sharedTagText]}>{item}</Text>
+            </View>
+          );
+        })}
         {items.length > maxItems && (
           <View style={styles.tag}>
             <Text style={styles.tagText}>+{items.length - maxItems}</Text>
@@ -145,6 +179,10 @@ const ProfileCard = ({
 
   const currentPhoto = photos[currentPhotoIndex] || photos[0] || profile.mainPhoto || null;
   const age = profile.age || calculateAge(profile.birthDate);
+  // Travel mode: show where they're visiting instead of their home city
+  const locationLabel = profile.visiting
+    ? `Visiting ${profile.visiting.location}`
+    : profile.location;
 
   // If no photo available, show placeholder
   if (!currentPhoto) {
@@ -156,7 +194,7 @@ const ProfileCard = ({
             {profile.name}
             {age && `, ${age}`}
           </Text>
-          {profile.location && <Text style={styles.noPhotoLocation}>{profile.location}</Text>}
+          {locationLabel && <Text style={styles.noPhotoLocation}>{locationLabel}</Text>}
         </View>
         {children}
       </View>
@@ -214,10 +252,14 @@ const ProfileCard = ({
                 </Text>
 
                 {/* Location */}
-                {profile.location && (
+                {locationLabel && (
                   <View style={styles.locationRow}>
-                    <Ionicons name="location-outline" size={14} color={theme.colors.text.white} />
-                    <Text style={styles.cardLocation}>{profile.location}</Text>
+                    <Ionicons
+                      name={profile.visiting ? 'airplane-outline' : 'location-outline'}
+                      size={14}
+                      color={theme.colors.text.white}
+                    />
+                    <Text style={styles.cardLocation}>{locationLabel}</Text>
                   </View>
                 )}
 
@@ -277,7 +319,7 @@ const ProfileCard = ({
                     {languages.length > 0 && (
                       <View style={styles.detailGroup}>
                         <Text style={styles.sectionLabel}>Languages</Text>
-                        {renderTags(languages, 4)}
+                        {renderTags(languageTags.items, 4, languageTags.sharedSet)}
                       </View>
                     )}
                   </View>
@@ -286,7 +328,11 @@ const ProfileCard = ({
                 {/* Interests - always shown */}
                 {interests.length > 0 && (
                   <View style={styles.interestsSection}>
-                    {renderTags(interests, showFullDetails ? 10 : 6)}
+                    {renderTags(
+                      interestTags.items,
+                      showFullDetails ? 10 : 6,
+                      interestTags.sharedSet
+                    )}
                   </View>
                 )}
               </ScrollView>
@@ -434,6 +480,18 @@ const styles = StyleSheet.create({
     fontSize: 12,
     fontFamily: theme.typography.fontFamily.regular,
   },
+  sharedTag: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: theme.colors.primary,
+    borderColor: theme.colors.primary,
+  },
+  sharedTagIcon: {
+    marginRight: 4,
+  },
+  sharedTagText: {
+    fontFamily: theme.typography.fontFamily.semibold,
+  },
   interestsSection: {
     marginTop: 8,
   },
@@ -1,5 +1,6 @@
-import React, { createContext, useContext, useState, useMemo } from 'react';
+import React, { createContext, useContext, useState, useMemo, useEffect } from 'react';
 import { useAuth } from './AuthContext';
+import apiClient from '../services/ApiClient';
 import Logger from '../utils/logger';
 import { shouldShowDeveloperOptions } from '../utils/buildConfig';
 
@@ -24,6 +25,25 @@ export const FeatureFlagsProvider = ({ children }) => {
   // Use the actual premium status from user profile, with override for testing
   const [premiumOverride, setPremiumOverride] = useState(null);
 
+  // Server flags with this user's experiment overrides applied (stable per
+  // user, so one fetch per sign-in is enough). Failures keep baked-in defaults.
+  const [remoteFlags, setRemoteFlags] = useState({});
+
+  useEffect(() => {
+    let cancelled = false;
+    apiClient
+      .get('/config/flags')
+      .then(response => {
+        if (!cancelled && response?.success) {
+          setRemoteFlags(response.data || {});
+        }
+      })
+      .catch(error => Logger.warn('Feature flags unavailable, using defaults:', error?.message));
+    return () => {
+      cancelled = true;
+    };
+  }, [userProfile?.id]);
+
   // Memoize the premium status to prevent unnecessary re-renders
   const isPremiumUser = useMemo(() => {
     return premiumOverride !== null ? premiumOverride : userProfile?.isPremium || false;
@@ -81,6 +101,9 @@ export const FeatureFlagsProvider = ({ children }) => {
       // Feature constants (for easy reference)
       FEATURES: PREMIUM_FEATURES,
 
+      // Server-driven flags (read through useFeatureFlag)
+      flags: remoteFlags,
+
       // 🧪 Development helpers
       togglePremiumForTesting,
 
@@ -88,7 +111,7 @@ export const FeatureFlagsProvider = ({ children }) => {
       // upgradePrompt: showUpgradePrompt,
       // purchasePremium: handlePremiumPurchase,
     }),
-    [hasFeature, isPremiumUser, premiumStatus, togglePremiumForTesting]
+    [hasFeature, isPremiumUser, premiumStatus, remoteFlags, togglePremiumForTesting]
   );
 
   return <FeatureFlagsContext.Provider value={value}>{children}</FeatureFlagsContext.Provider>;
@@ -113,4 +136,10 @@ export const useIsPremium = () => {
   return isPremium;
 };
 
+// Server flag value, or the fallback until the server has set it
+export const useFeatureFlag = (name, fallback = false) => {
+  const { flags } = useFeatureFlags();
+  return name in flags ? flags[name] : fallback;
+};
+
 export default FeatureFlagsContext;
@@ -169,6 +169,12 @@ export const UnreadProvider = ({ children }) => {
                 typingUser: null,
               },
             ]);
+          } else if (eventType === 'match-ended') {
+            setConversations(prev => {
+              const updated = prev.filter(conv => conv.matchId !== data.matchId);
+              setUnreadConversationCount(updated.filter(conv => conv.unreadCount > 0).length);
+              return updated;
+            });
           }
         });
 
@@ -1,8 +1,9 @@
-import React, { useState, useCallback } from 'react';
+import React, { useState, useCallback, useEffect } from 'react';
 import { useFocusEffect } from '@react-navigation/native';
 import { useAuth } from '../contexts/AuthContext';
 import { useAsyncOperation } from './useAsyncOperation';
 import ApiDataService from '../services/ApiDataService';
+import SocketService from '../services/SocketService';
 import Logger from '../utils/logger';
 
 export const useMatches = () => {
@@ -97,6 +98,7 @@ export const useMatchesWithProfiles = () => {
                 lastMessage: match.lastMessage?.content || null,
                 lastMessageTime: match.lastMessage?.timestamp || null,
                 unreadCount: unreadCount,
+                expiresAt: match.expiresAt || null,
               };
             })
           );
@@ -154,14 +156,35 @@ export const useMatchesWithProfiles = () => {
   );
 
   // Real-time updates will be handled by subscribing to UnreadContext changes
-  // This avoids conflicts with multiple WebSocket listeners
+  // This avoids conflicts with multiple WebSocket listeners. Ended matches
+  // are the exception: merging can't remove rows, so drop them here.
+  useEffect(() => {
+    return SocketService.onMatch((eventType, data) => {
+      if (eventType === 'match-ended') {
+        setConversations(prev => prev.filter(conv => conv.matchId !== data.matchId));
+      }
+    });
+  }, []);
+
+  // Stable so screens can use it in effect dependencies
+  const refresh = useCallback(() => loadMatchesWithProfiles(true), [loadMatchesWithProfiles]);
+
+  // Premium: push back an expiring match's deadline (one per day)
+  const extendMatch = useCallback(async matchId => {
+    const { expiresAt } = await ApiDataService.extendMatch(matchId);
+    setConversations(prev =>
+      prev.map(conv => (conv.matchId === matchId ? { ...conv, expiresAt } : conv))
+    );
+    return expiresAt;
+  }, []);
 
   return {
     conversations,
     loading: isInitialLoad && loading, // Only show loading on initial load
     refreshing,
     error,
-    refresh: () => loadMatchesWithProfiles(true), // Manual refresh
+    refresh, // Manual refresh
+    extendMatch,
     hasConversations: conversations.length > 0,
     conversationCount: conversations.length,
   };
@@ -263,6 +263,9 @@ const MainNavigator = () => {
  */
 const HAPTIC_DEBOUNCE_MS = 150;
 
+// Push types whose tap opens the chat they're about
+const CHAT_NOTIFICATION_TYPES = ['message', 'match_expiring', 'match_nudge', 'reply_reminder'];
+
 const AppNavigator = () => {
   const { user, userProfile, loading } = useAuth();
   const navigationRef = useRef();
@@ -344,7 +347,10 @@ const AppNavigator = () => {
       const data = response.notification.request.content.data;
       Logger.info('Notification tapped:', data);
 
-      if (data?.type === 'message' && data?.matchId && data?.otherUser) {
+      // Expiry reminders and scheduled nudges open the chat too — the fix
+      // is to say hi
+      const opensChat = CHAT_NOTIFICATION_TYPES.includes(data?.type);
+      if (opensChat && data?.matchId && data?.otherUser) {
         handledNotificationIdRef.current = id;
         pendingNavigationRef.current = data;
         drainPendingNotificationNav();
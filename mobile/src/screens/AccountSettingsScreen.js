@@ -1,8 +1,19 @@
 import React, { useState, useEffect, useCallback } from 'react';
-import { View, Text, ScrollView, TouchableOpacity, StyleSheet, Alert, Switch } from 'react-native';
+import {
+  View,
+  Text,
+  ScrollView,
+  TouchableOpacity,
+  StyleSheet,
+  Alert,
+  Switch,
+  TextInput,
+} from 'react-native';
 import { MaterialIcons, Ionicons } from '@expo/vector-icons';
+import * as Location from 'expo-location';
 import { useAuth } from '../contexts/AuthContext';
 import { useToast } from '../contexts/ToastContext';
+import { useIsPremium, useFeatureFlag } from '../contexts/FeatureFlagsContext';
 import ApiDataService from '../services/ApiDataService';
 import ApiClient from '../services/ApiClient';
 import Logger from '../utils/logger';
@@ -11,6 +22,8 @@ import GamesApiService from '../services/GamesApiService';
 import { theme } from '../styles/theme';
 import ScreenWrapper from '../components/shared/ScreenWrapper';
 
+const TRAVEL_DAY_OPTIONS = [1, 3, 7, 14];
+
 const AccountSettingsScreen = ({ navigation }) => {
   const isAdmin = useAdminCheck();
   const { logout, userProfile } = useAuth();
@@ -19,6 +32,15 @@ const AccountSettingsScreen = ({ navigation }) => {
   const [isPauseLoading, setIsPauseLoading] = useState(false);
   const [gamesEnabled, setGamesEnabled] = useState(true);
   const [isGamesLoading, setIsGamesLoading] = useState(false);
+  const isPremium = useIsPremium();
+  // Off globally or for this user's experiment cohort: the server refuses
+  // games anyway, so don't offer the opt-in
+  const gamesAvailable = useFeatureFlag('games_enabled', true);
+  const [travelMode, setTravelMode] = useState(null);
+  const [showTravelForm, setShowTravelForm] = useState(false);
+  const [travelCity, setTravelCity] = useState('');
+  const [travelDays, setTravelDays] = useState(3);
+  const [isTravelLoading, setIsTravelLoading] = useState(false);
 
   // In-chat games opt-in — chats show the games icon only when BOTH
   // people have this on
@@ -86,6 +108,74 @@ const AccountSettingsScreen = ({ navigation }) => {
     loadPauseStatus();
   }, [loadPauseStatus]);
 
+  // Travel mode: discover from another city until the trip expires
+  useEffect(() => {
+    ApiDataService.getTravelMode()
+      .then(setTravelMode)
+      .catch(error => Logger.error('Failed to load travel mode:', error));
+  }, []);
+
+  const handleTravelToggle = async value => {
+    if (value) {
+      if (!isPremium) {
+        showError('Travel mode is a Premium feature');
+        return;
+      }
+      setShowTravelForm(true);
+      return;
+    }
+    if (!travelMode) {
+      setShowTravelForm(false);
+      return;
+    }
+    setIsTravelLoading(true);
+    try {
+      await ApiDataService.endTravelMode();
+      setTravelMode(null);
+      showSuccess("Travel mode off - you're discovering from home again");
+    } catch (error) {
+      showError('Could not end travel mode');
+    } finally {
+      setIsTravelLoading(false);
+    }
+  };
+
+  const handleStartTravel = async () => {
+    const city = travelCity.trim();
+    if (!city) {
+      showError('Enter the city you are visiting');
+      return;
+    }
+    setIsTravelLoading(true);
+    try {
+      // The server only stores coordinates plus the label we show on cards
+      const [place] = await Location.geocodeAsync(city);
+      if (!place) {
+        showError(`Couldn't find ${city}`);
+        return;
+      }
+      const trip = await ApiDataService.startTravelMode({
+        location: city,
+        latitude: place.latitude,
+        longitude: place.longitude,
+        days: travelDays,
+      });
+      setTravelMode(trip);
+      setShowTravelForm(false);
+      setTravelCity('');
+      showSuccess(`You're visiting ${trip.location}`);
+    } catch (error) {
+      Logger.error('Failed to start travel mode:', error);
+      showError(
+        error.code === 'PREMIUM_REQUIRED'
+          ? 'Travel mode is a Premium feature'
+          : 'Could not start travel mode'
+      );
+    } finally {
+      setIsTravelLoading(false);
+    }
+  };
+
   const handlePauseToggle = async value => {
     setIsPauseLoading(true);
     try {
@@ -255,24 +345,93 @@ const AccountSettingsScreen = ({ navigation }) => {
 
           <View style={styles.settingItem}>
             <View style={styles.settingIcon}>
-              <Ionicons name="game-controller-outline" size={24} color={theme.colors.primary} />
+              <Ionicons name="airplane-outline" size={24} color={theme.colors.primary} />
             </View>
             <View style={styles.settingContent}>
-              <Text style={styles.settingLabel}>In-Chat Games</Text>
+              <Text style={styles.settingLabel}>Travel Mode</Text>
               <Text style={styles.settingDescription}>
-                {gamesEnabled
-                  ? 'Games show in chats when both people allow them'
-                  : 'Games are hidden in all your chats'}
+                {travelMode
+                  ? `Visiting ${travelMode.location} until ${new Date(
+                      travelMode.expiresAt
+                    ).toLocaleDateString()}`
+                  : 'Match in another city before you arrive'}
               </Text>
             </View>
             <Switch
-              value={gamesEnabled}
-              onValueChange={handleGamesToggle}
-              disabled={isGamesLoading}
+              value={!!travelMode || showTravelForm}
+              onValueChange={handleTravelToggle}
+              disabled={isTravelLoading}
               trackColor={{ false: theme.colors.border.light, true: `${theme.colors.primary}80` }}
-              thumbColor={gamesEnabled ? theme.colors.primary : theme.colors.gray[100]}
+              thumbColor={travelMode ? theme.colors.primary : theme.colors.gray[100]}
             />
           </View>
+
+          {showTravelForm && !travelMode && (
+            <View style={styles.travelForm}>
+              <TextInput
+                style={styles.travelInput}
+                value={travelCity}
+                onChangeText={setTravelCity}
+                placeholder="City (e.g. Yerevan)"
+                placeholderTextColor={theme.colors.text.muted}
+                autoCapitalize="words"
+                returnKeyType="done"
+              />
+              <View style={styles.travelDaysRow}>
+                {TRAVEL_DAY_OPTIONS.map(days => (
+                  <TouchableOpacity
+                    key={days}
+                    style={[
+                      styles.travelDayChip,
+                      travelDays === days && styles.travelDayChipActive,
+                    ]}
+                    onPress={() => setTravelDays(days)}
+                  >
+                    <Text
+                      style={[
+                        styles.travelDayText,
+                        travelDays === days && styles.travelDayTextActive,
+                      ]}
+                    >
+                      {days === 1 ? '1 day' : `${days} days`}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+              <TouchableOpacity
+                style={styles.travelStartButton}
+                onPress={handleStartTravel}
+                disabled={isTravelLoading}
+              >
+                <Text style={styles.travelStartText}>
+                  {isTravelLoading ? 'Starting...' : 'Start Travel Mode'}
+                </Text>
+              </TouchableOpacity>
+            </View>
+          )}
+
+          {gamesAvailable && (
+            <View style={styles.settingItem}>
+              <View style={styles.settingIcon}>
+                <Ionicons name="game-controller-outline" size={24} color={theme.colors.primary} />
+              </View>
+              <View style={styles.settingContent}>
+                <Text style={styles.settingLabel}>In-Chat Games</Text>
+                <Text style={styles.settingDescription}>
+                  {gamesEnabled
+                    ? 'Games show in chats when both people allow them'
+                    : 'Games are hidden in all your chats'}
+                </Text>
+              </View>
+              <Switch
+                value={gamesEnabled}
+                onValueChange={handleGamesToggle}
+                disabled={isGamesLoading}
+                trackColor={{ false: theme.colors.border.light, true: `${theme.colors.primary}80` }}
+                thumbColor={gamesEnabled ? theme.colors.primary : theme.colors.gray[100]}
+              />
+            </View>
+          )}
         </View>
 
         {/* Legal Section */}
@@ -463,6 +622,58 @@ const styles = StyleSheet.create({
     color: theme.colors.text.secondary,
     marginTop: 2,
   },
+  travelForm: {
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: theme.colors.background.tertiary,
+  },
+  travelInput: {
+    borderWidth: 1,
+    borderColor: theme.colors.border.light,
+    borderRadius: 10,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 15,
+    fontFamily: theme.typography.fontFamily.regular,
+    color: theme.colors.text.primary,
+  },
+  travelDaysRow: {
+    flexDirection: 'row',
+    marginTop: 10,
+  },
+  travelDayChip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: theme.colors.border.light,
+    marginRight: 8,
+  },
+  travelDayChipActive: {
+    backgroundColor: theme.colors.primary,
+    borderColor: theme.colors.primary,
+  },
+  travelDayText: {
+    fontSize: 13,
+    fontFamily: theme.typography.fontFamily.medium,
+    color: theme.colors.text.secondary,
+  },
+  travelDayTextActive: {
+    color: theme.colors.text.white,
+  },
+  travelStartButton: {
+    marginTop: 12,
+    paddingVertical: 12,
+    borderRadius: 10,
+    backgroundColor: theme.colors.primary,
+    alignItems: 'center',
+  },
+  travelStartText: {
+    fontSize: 15,
+    fontWeight: '600',
+    fontFamily: theme.typography.fontFamily.semibold,
+    color: theme.colors.text.white,
+  },
   infoSection: {
     flexDirection: 'row',
     alignItems: 'flex-start',
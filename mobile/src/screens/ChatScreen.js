@@ -14,6 +14,7 @@ import {
   AppState,
 } from 'react-native';
 import * as Haptics from 'expo-haptics';
+import * as Crypto from 'expo-crypto';
 import { SafeAreaView, useSafeAreaInsets } from 'react-native-safe-area-context';
 import { useIsFocused, useFocusEffect } from '@react-navigation/native';
 import { Ionicons } from '@expo/vector-icons';
@@ -46,11 +47,13 @@ import ChatInput from './chat/ChatInput';
 import ChatReactionsSheet from './chat/ChatReactionsSheet';
 import ChatSearchModal from './chat/ChatSearchModal';
 import ChatMessageBubble from './chat/ChatMessageBubble';
+import PlanDateModal from './chat/PlanDateModal';
 import AnimatedTypingIndicator from '../components/chat/AnimatedTypingIndicator';
 import AnimatedMessageBubble from '../components/chat/AnimatedMessageBubble';
 import AnimatedScrollToBottom from '../components/chat/AnimatedScrollToBottom';
 import { theme } from '../styles/theme';
 import GamesApiService from '../services/GamesApiService';
+import DatesApiService from '../services/DatesApiService';
 import useGameSession from '../hooks/useGameSession';
 import {
   GamePickerSheet,
@@ -87,6 +90,10 @@ const ChatScreen = ({ route, navigation }) => {
   const [lastSeen, setLastSeen] = useState(null);
   const [_longPressMessage, setLongPressMessage] = useState(null);
   const [replyTo, setReplyTo] = useState(null);
+  // Own text message whose new text is in the input instead of a new message
+  const [editingMessage, setEditingMessage] = useState(null);
+  // Own message waiting on the "unsend for everyone" confirmation
+  const [unsendTarget, setUnsendTarget] = useState(null);
   const [_keyboardVisible, setKeyboardVisible] = useState(false);
   const [showScrollButton, setShowScrollButton] = useState(false);
   const [tappedMessageId, setTappedMessageId] = useState(null);
@@ -121,6 +128,10 @@ const ChatScreen = ({ route, navigation }) => {
   const [showDisableGamesConfirm, setShowDisableGamesConfirm] = useState(false);
   const [recapSession, setRecapSession] = useState(null);
   const [showChatSearch, setShowChatSearch] = useState(false);
+  // Date planning: the modal (counterOf set when suggesting another time)
+  // and the card whose answer is in flight
+  const [planDate, setPlanDate] = useState(null);
+  const [busyProposalId, setBusyProposalId] = useState(null);
   const {
     session: gameSession,
     refresh: refreshGameSession,
@@ -437,6 +448,28 @@ const ChatScreen = ({ route, navigation }) => {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [match.matchId]);
 
+  // Messages still in the outbox come back as pending/failed bubbles, and
+  // sends settle here even if they finish while the chat is in the background
+  useEffect(() => {
+    let cancelled = false;
+    ApiDataService.getOutbox(match.matchId).then(entries => {
+      if (cancelled || !entries.length) return;
+      setMessages(prev => {
+        const shown = new Set(prev.map(msg => msg.clientMessageId).filter(Boolean));
+        const restored = entries
+          .filter(entry => !shown.has(entry.clientMessageId))
+          .map(buildOutboxMessage);
+        return restored.length ? [...prev, ...restored] : prev;
+      });
+    });
+    const unsubscribe = ApiDataService.onOutboxChange(handleOutboxChange);
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [match.matchId]);
+
   // Socket listeners — subscribe on focus, unsubscribe on blur/unmount.
   // This prevents background state updates from causing scroll jitter on other tabs.
   useFocusEffect(
@@ -506,7 +539,9 @@ const ChatScreen = ({ route, navigation }) => {
   const loadMessages = async () => {
     try {
       setLoading(true);
-      const loadedMessages = await ApiDataService.getMessages(match.matchId);
+      const { messages: loadedMessages, meta } = await ApiDataService.getMessagePage(match.matchId);
+      // Reconnects catch up from here instead of reloading the thread
+      SocketService.setSyncWatermark(match.matchId, meta.watermark);
 
       // Filter out any messages without valid IDs and normalize the data
       const validMessages = (loadedMessages || [])
@@ -536,10 +571,14 @@ const ChatScreen = ({ route, navigation }) => {
           return prev;
         }
         const fetchedIds = new Set(validMessages.map(msg => msg.id));
+        const fetchedClientIds = new Set(validMessages.map(msg => msg.clientMessageId));
         const windowEnd = Math.max(...validMessages.map(msg => new Date(msg.createdAt).getTime()));
-        const newerThanSnapshot = prev.filter(
-          msg => !fetchedIds.has(msg.id) && new Date(msg.createdAt).getTime() > windowEnd
-        );
+        const newerThanSnapshot = prev.filter(msg => {
+          if (fetchedIds.has(msg.id)) return false;
+          // Unsent bubbles stay however old they are, until the server has them
+          if (msg.isTemp) return !fetchedClientIds.has(msg.clientMessageId);
+          return new Date(msg.createdAt).getTime() > windowEnd;
+        });
         return newerThanSnapshot.length ? [...validMessages, ...newerThanSnapshot] : validMessages;
       });
       setLoadError(false);
@@ -571,10 +610,11 @@ const ChatScreen = ({ route, navigation }) => {
         const messageId = data.message?.id;
 
         // Skip our own optimistically-added messages. Server-created GAME
-        // messages (start/summary cards) are never in the optimistic list,
+        // and DATE_PROPOSAL cards are never in the optimistic list,
         // so they flow through even when we authored the action —
         // handleNewMessage dedupes by id if both paths deliver.
-        const isServerCreated = data.message?.messageType === 'GAME';
+        const isServerCreated =
+          data.message?.messageType === 'GAME' || data.message?.messageType === 'DATE_PROPOSAL';
         if (
           sentMessageIdsRef.current.has(messageId) ||
           (messageSenderId === currentUserId && !isServerCreated)
@@ -585,6 +625,18 @@ const ChatScreen = ({ route, navigation }) => {
         handleNewMessage(data);
       } else if (event === 'message-reaction' && data.matchId === match.matchId) {
         handleMessageReaction(data);
+      } else if (event === 'message-edited' && data.matchId === match.matchId) {
+        applyMessageEdit(data);
+      } else if (event === 'message-deleted' && data.matchId === match.matchId) {
+        applyMessageDeletion(data);
+      } else if (event === 'messages-synced' && data.matchId === match.matchId) {
+        if (data.fullReload) {
+          loadMessages();
+        } else {
+          applySyncedMessages(data.messages);
+        }
+      } else if (event === 'date-proposal-updated' && data.matchId === match.matchId) {
+        applyDateProposal(data.proposal);
       } else if (
         event === 'user-typing' &&
         data.matchId === match.matchId &&
@@ -707,6 +759,97 @@ const ChatScreen = ({ route, navigation }) => {
     }
   };
 
+  // Live state for a DATE_PROPOSAL card, from a socket update or our own answer
+  const applyDateProposal = proposal => {
+    setMessages(prev =>
+      prev.map(msg => (msg.id === proposal.messageId ? { ...msg, dateProposal: proposal } : msg))
+    );
+  };
+
+  // Text and edit history from a message-edited event or our own edit
+  const applyMessageEdit = edit => {
+    setMessages(prev =>
+      prev.map(msg =>
+        msg.id === (edit.messageId || edit.id)
+          ? {
+              ...msg,
+              text: edit.content,
+              content: edit.content,
+              editedAt: edit.editedAt,
+              previousVersions: edit.previousVersions,
+            }
+          : msg
+      )
+    );
+  };
+
+  // An unsent message becomes a tombstone; replies quoting it keep their
+  // place but lose the quoted text
+  const applyMessageDeletion = ({ messageId }) => {
+    setMessages(prev =>
+      prev.map(msg => {
+        if (msg.id === messageId) {
+          return {
+            ...msg,
+            isDeleted: true,
+            text: '',
+            content: '',
+            mediaUrl: null,
+            metadata: null,
+            reactions: {},
+            editedAt: null,
+            previousVersions: undefined,
+          };
+        }
+        if (msg.replyTo?.id === messageId) {
+          return { ...msg, replyTo: { ...msg.replyTo, content: null, isDeleted: true } };
+        }
+        return msg;
+      })
+    );
+    setReplyTo(current => (current?.id === messageId ? null : current));
+    setEditingMessage(current => {
+      if (current?.id !== messageId) return current;
+      setMessageText('');
+      return null;
+    });
+  };
+
+  // Changes missed while disconnected: server rows replace ours by id (new
+  // ones slot in by time), and unsends also blank the replies quoting them
+  const applySyncedMessages = synced => {
+    const changed = synced
+      .filter(msg => msg.id)
+      .map(msg => ({ ...msg, createdAt: msg.timestamp || msg.createdAt }));
+    if (!changed.length) return;
+
+    setMessages(prev => {
+      const byId = new Map(changed.map(msg => [msg.id, msg]));
+      // Our own outbox sends can arrive this way before their confirmation does
+      const arrivedClientIds = new Set(changed.map(msg => msg.clientMessageId).filter(Boolean));
+      const kept = prev.filter(msg => !(msg.isTemp && arrivedClientIds.has(msg.clientMessageId)));
+      const known = new Set(kept.map(msg => msg.id));
+      const added = changed.filter(msg => !known.has(msg.id));
+      const merged = [...kept.map(msg => byId.get(msg.id) || msg), ...added];
+      if (added.length) {
+        merged.sort((a, b) => new Date(a.createdAt).getTime() - new Date(b.createdAt).getTime());
+      }
+      return merged;
+    });
+    changed
+      .filter(msg => msg.isDeleted)
+      .forEach(msg => applyMessageDeletion({ messageId: msg.id }));
+
+    const isAppActive = appStateRef.current === 'active';
+    if (
+      changed.some(msg => msg.senderId !== user.uid && !msg.isRead) &&
+      isFocusedRef.current &&
+      isAppActive
+    ) {
+      markMessagesAsRead();
+    }
+  };
+
   // Handle message reaction
   const handleMessageReaction = reactionData => {
     setMessages(prev =>
@@ -761,7 +904,73 @@ const ChatScreen = ({ route, navigation }) => {
     [user.uid]
   );
 
-  // Core message sending function (handles both text and GIF)
+  // Optimistic bubble for an outbox entry; sendStatus is 'pending' or 'failed'
+  const buildOutboxMessage = ({
+    clientMessageId,
+    payload,
+    replyTo: replyToMessage,
+    createdAt,
+    status,
+  }) => ({
+    id: `temp-${clientMessageId}`,
+    clientMessageId,
+    content: payload.content,
+    text: payload.messageType === 'TEXT' ? payload.content : undefined,
+    messageType: payload.messageType,
+    mediaUrl: payload.mediaUrl || null,
+    metadata: payload.metadata || null,
+    senderId: user.uid,
+    senderName: user.displayName,
+    createdAt,
+    isTemp: true,
+    isRead: false, // Not read yet - other user hasn't seen it
+    isDelivered: false, // Not delivered until API confirms
+    reactions: {},
+    replyTo: replyToMessage,
+    sendStatus: status,
+  });
+
+  // Replace the temp bubble with the server's message. If that message
+  // already reached us another way (sync, reload), just drop the temp.
+  const confirmSentMessage = (clientMessageId, sentMessage) => {
+    trackSentMessageId(sentMessage.id);
+    setMessages(prev => {
+      if (prev.some(msg => msg.id === sentMessage.id)) {
+        return prev.filter(msg => !(msg.isTemp && msg.clientMessageId === clientMessageId));
+      }
+      return prev.map(msg =>
+        msg.isTemp && msg.clientMessageId === clientMessageId
+          ? {
+              ...sentMessage,
+              senderId: user.uid,
+              isTemp: false,
+              isDelivered: true, // Delivered once API confirms
+              // Preserve read status: if temp was already marked read (via socket), keep it
+              // Otherwise use server value or default to false
+              isRead: msg.isRead || sentMessage.isRead || false,
+              mediaUrl: sentMessage.mediaUrl || msg.mediaUrl,
+            }
+          : msg
+      );
+    });
+  };
+
+  const handleOutboxChange = ({ matchId, clientMessageId, status, message }) => {
+    if (matchId !== match.matchId) return;
+    if (status === 'sent') {
+      confirmSentMessage(clientMessageId, message);
+      return;
+    }
+    setMessages(prev =>
+      prev.map(msg =>
+        msg.isTemp && msg.clientMessageId === clientMessageId ? { ...msg, sendStatus: status } : msg
+      )
+    );
+  };
+
+  // Core message sending function (handles text, GIF and audio). Messages go
+  // through the outbox: offline sends stay as pending bubbles and go out on
+  // reconnect, the outbox listener swaps in the server message once it lands.
   const sendMessageCore = async ({
     content,
     messageType,
@@ -769,83 +978,93 @@ const ChatScreen = ({ route, navigation }) => {
     metadata = null,
     replyToData = null,
   }) => {
-    const tempId = `temp-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-
-    // Build temp message for optimistic update
-    const tempMessage = {
-      id: tempId,
+    const clientMessageId = Crypto.randomUUID();
+    const apiPayload = {
       content,
-      text: messageType === 'TEXT' ? content : undefined,
       messageType,
-      mediaUrl,
-      metadata,
-      senderId: user.uid,
-      senderName: user.displayName,
-      createdAt: new Date().toISOString(),
-      isTemp: true,
-      isRead: false, // Not read yet - other user hasn't seen it
-      isDelivered: false, // Not delivered until API confirms
-      reactions: {},
-      replyTo: replyToData,
+      ...(mediaUrl && { mediaUrl }),
+      ...(metadata && { metadata }),
+      ...(replyToData && { replyToId: replyToData.id }),
     };
 
     // Add to messages immediately
-    setMessages(prev => [...prev, tempMessage]);
+    setMessages(prev => [
+      ...prev,
+      buildOutboxMessage({
+        clientMessageId,
+        payload: apiPayload,
+        replyTo: replyToData,
+        createdAt: new Date().toISOString(),
+        status: 'pending',
+      }),
+    ]);
     Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light);
     setTimeout(() => scrollToBottom(true), 100);
 
-    try {
-      const apiPayload = {
-        content,
-        messageType,
-        ...(mediaUrl && { mediaUrl }),
-        ...(metadata && { metadata }),
-        ...(replyToData && { replyToId: replyToData.id }),
-      };
+    // Track message sent in analytics
+    if (messageType === 'GIF') {
+      trackGifSent();
+    } else {
+      trackMessageSent(messageType.toLowerCase());
+    }
 
-      const sentMessage = await ApiDataService.sendMessage(match.matchId, apiPayload);
+    const { status, error } = await ApiDataService.queueMessage(match.matchId, apiPayload, {
+      replyTo: replyToData,
+      clientMessageId,
+    });
+    if (status === 'failed') {
+      Logger.error(`Failed to send ${messageType.toLowerCase()}:`, error);
+      showError(`Failed to send ${messageType === 'GIF' ? 'GIF' : 'message'}`, { error });
+    }
+  };
 
-      if (!sentMessage?.id) {
-        Logger.error(`API returned ${messageType} message without ID:`, sentMessage);
-        throw new Error('Invalid message response from server');
+  const handleRetryMessage = useCallback(
+    async message => {
+      setMessages(prev =>
+        prev.map(msg => (msg.id === message.id ? { ...msg, sendStatus: 'pending' } : msg))
+      );
+      const { status, error } = await ApiDataService.retryOutboxMessage(message.clientMessageId);
+      if (status === 'missing') {
+        setMessages(prev => prev.filter(msg => msg.id !== message.id));
+      } else if (status === 'failed') {
+        showError(error?.message || 'Failed to send message', { error });
       }
+    },
+    [showError]
+  );
 
-      trackSentMessageId(sentMessage.id);
+  const handleDiscardMessage = useCallback(async message => {
+    await ApiDataService.discardOutboxMessage(message.clientMessageId);
+    setMessages(prev => prev.filter(msg => msg.id !== message.id));
+  }, []);
 
-      // Track message sent in analytics
-      if (messageType === 'GIF') {
-        trackGifSent();
-      } else {
-        trackMessageSent(messageType.toLowerCase());
-      }
+  // Save the input as the new text of the message being edited
+  const saveEdit = async () => {
+    const message = editingMessage;
+    const text = messageText.trim();
+    setEditingMessage(null);
+    setMessageText('');
+    if (text === (message.content || message.text)) return;
 
-      // Replace temp message with real one
-      setMessages(prev =>
-        prev.map(msg =>
-          msg.id === tempId
-            ? {
-                ...sentMessage,
-                senderId: user.uid,
-                isTemp: false,
-                isDelivered: true, // Delivered once API confirms
-                // Preserve read status: if temp was already marked read (via socket), keep it
-                // Otherwise use server value or default to false
-                isRead: msg.isRead || sentMessage.isRead || false,
-                ...(mediaUrl && { mediaUrl }),
-              }
-            : msg
-        )
-      );
+    setIsSending(true);
+    try {
+      const edited = await ApiDataService.editMessage(match.matchId, message.id, text);
+      applyMessageEdit(edited);
     } catch (error) {
-      Logger.error(`Failed to send ${messageType.toLowerCase()}:`, error);
-      showError(`Failed to send ${messageType === 'GIF' ? 'GIF' : 'message'}`, { error });
-      setMessages(prev => prev.filter(msg => msg.id !== tempId));
+      Logger.error('Failed to edit message:', error);
+      showError(error.message || 'Failed to edit message');
+    } finally {
+      setIsSending(false);
     }
   };
 
   // Send text message
   const sendMessage = async () => {
     if (!messageText.trim() || isSending) return;
+    if (editingMessage) {
+      await saveEdit();
+      return;
+    }
 
     const text = messageText.trim();
     const currentReplyTo = replyTo;
@@ -1057,6 +1276,18 @@ const ChatScreen = ({ route, navigation }) => {
     [reversedMessages]
   );
 
+  // Opened from a search result in another chat: jump to it once loaded
+  const pendingFocusIdRef = useRef(route.params?.focusMessageId || null);
+  useEffect(() => {
+    const messageId = pendingFocusIdRef.current;
+    if (!messageId || !reversedMessages.some(m => m.id === messageId)) {
+      return;
+    }
+    pendingFocusIdRef.current = null;
+    // Give the list a moment to lay out before scrolling
+    setTimeout(() => scrollToMessage(messageId), 300);
+  }, [reversedMessages, scrollToMessage]);
+
   // Handle tap on message to show timestamp
   const handleMessageTap = useCallback(
     message => {
@@ -1064,8 +1295,11 @@ const ChatScreen = ({ route, navigation }) => {
       const DOUBLE_TAP_DELAY = 300;
 
       if (lastTapRef.current && now - lastTapRef.current < DOUBLE_TAP_DELAY) {
-        // Double tap detected - add heart reaction
-        addReaction(message.id, '❤️');
+        // Double tap detected - add heart reaction (nothing to react to on
+        // an unsent message)
+        if (!message.isDeleted) {
+          addReaction(message.id, '❤️');
+        }
         lastTapRef.current = null;
       } else {
         lastTapRef.current = now;
@@ -1099,10 +1333,90 @@ const ChatScreen = ({ route, navigation }) => {
     }
     // Defer state update to avoid blocking the animation
     requestAnimationFrame(() => {
+      setEditingMessage(null);
       setReplyTo(message);
     });
   }, []);
 
+  // Start editing: the message's text goes into the input
+  const handleEditMessage = useCallback(message => {
+    setReplyTo(null);
+    setTappedMessageId(null);
+    setEditingMessage(message);
+    setMessageText(message.content || message.text || '');
+    inputRef.current?.focus();
+  }, []);
+
+  const cancelEdit = () => {
+    setEditingMessage(null);
+    setMessageText('');
+  };
+
+  const handleUnsendMessage = useCallback(message => {
+    setTappedMessageId(null);
+    setUnsendTarget(message);
+  }, []);
+
+  const confirmUnsend = async () => {
+    const message = unsendTarget;
+    setUnsendTarget(null);
+    try {
+      await ApiDataService.deleteMessage(message.id);
+      applyMessageDeletion({ messageId: message.id });
+    } catch (error) {
+      Logger.error('Failed to unsend message:', error);
+      showError(error.message || 'Failed to unsend message');
+    }
+  };
+
+  // Accept / decline answer a date card in place; "another time" opens the
+  // planner and posts a counter card
+  const handleDateProposalAction = useCallback(
+    async (action, proposal) => {
+      if (action === 'counter') {
+        setPlanDate({ counterOf: proposal });
+        return;
+      }
+      setBusyProposalId(proposal.id);
+      try {
+        const updated =
+          action === 'accept'
+            ? await DatesApiService.accept(match.matchId, proposal.id)
+            : await DatesApiService.decline(match.matchId, proposal.id);
+        applyDateProposal(updated);
+        if (updated.status === 'ACCEPTED') {
+          showSuccess("It's a date! 🎉");
+        }
+      } catch (error) {
+        Logger.error('Failed to answer date proposal:', error);
+        showError(error.message || 'Could not answer the date idea');
+      } finally {
+        setBusyProposalId(null);
+      }
+    },
+    [match.matchId, showSuccess, showError]
+  );
+
+  const handlePlanDateSubmit = useCallback(
+    async plan => {
+      const counterOf = planDate?.counterOf;
+      try {
+        if (counterOf) {
+          await DatesApiService.counter(match.matchId, counterOf.id, plan);
+        } else {
+          await DatesApiService.propose(match.matchId, plan);
+        }
+        // The new card arrives through new-message, the countered one's
+        // status through date-proposal-updated
+        setPlanDate(null);
+      } catch (error) {
+        Logger.error('Failed to send date proposal:', error);
+        showError(error.message || 'Could not send the date idea');
+      }
+    },
+    [match.matchId, planDate, showError]
+  );
+
   // Handle reactions press to show detail sheet
   const handleReactionsPress = useCallback(message => {
     setReactionsDetailMessageId(message.id);
@@ -1158,6 +1472,12 @@ const ChatScreen = ({ route, navigation }) => {
             onReactionsPress={handleReactionsPress}
             onQuotedReplyPress={scrollToMessage}
             onPhotoPress={openPhotoViewer}
+            onDateProposalAction={handleDateProposalAction}
+            busyProposalId={busyProposalId}
+            onEdit={handleEditMessage}
+            onUnsend={handleUnsendMessage}
+            onRetry={handleRetryMessage}
+            onDiscard={handleDiscardMessage}
             swipeableRef={ref => (swipeableRefs.current[item.id] = ref)}
           />
         </AnimatedMessageBubble>
@@ -1176,6 +1496,12 @@ const ChatScreen = ({ route, navigation }) => {
       scrollToMessage,
       openPhotoViewer,
       handleOpenGameDetails,
+      handleDateProposalAction,
+      busyProposalId,
+      handleEditMessage,
+      handleUnsendMessage,
+      handleRetryMessage,
+      handleDiscardMessage,
     ]
   );
 
@@ -1219,6 +1545,9 @@ const ChatScreen = ({ route, navigation }) => {
         case 'search':
           setShowChatSearch(true);
           break;
+        case 'planDate':
+          setPlanDate({ counterOf: null });
+          break;
         case 'toggleChatGames':
           handleToggleChatGames();
           break;
@@ -1493,10 +1822,11 @@ const ChatScreen = ({ route, navigation }) => {
 
           {/* Reply Preview */}
           <ChatReplyPreview
-            replyTo={replyTo}
+            replyTo={editingMessage || replyTo}
+            title={editingMessage ? 'Edit message' : undefined}
             currentUserId={user.uid}
             otherUserName={getUserDisplayName(match.otherUser)}
-            onClear={() => setReplyTo(null)}
+            onClear={editingMessage ? cancelEdit : () => setReplyTo(null)}
           />
 
           {/* Input */}
@@ -1665,6 +1995,16 @@ const ChatScreen = ({ route, navigation }) => {
           onCancel={() => setShowUnmatchConfirm(false)}
         />
 
+        {/* Unsend confirmation */}
+        <ConfirmationModal
+          visible={unsendTarget !== null}
+          title="Unsend message?"
+          message="It will be removed for both of you. Replies to it stay, without the quoted text."
+          confirmText="Unsend"
+          onConfirm={confirmUnsend}
+          onCancel={() => setUnsendTarget(null)}
+        />
+
         {/* End game confirmation */}
         <ConfirmationModal
           visible={showEndGameConfirm}
@@ -1693,6 +2033,13 @@ const ChatScreen = ({ route, navigation }) => {
           onClose={() => setRecapSession(null)}
         />
 
+        <PlanDateModal
+          visible={planDate !== null}
+          counterOf={planDate?.counterOf || null}
+          onClose={() => setPlanDate(null)}
+          onSubmit={handlePlanDateSubmit}
+        />
+
         {/* Conversation search */}
         <ChatSearchModal
           visible={showChatSearch}
@@ -1706,6 +2053,13 @@ const ChatScreen = ({ route, navigation }) => {
               showInfo('That message is further up the conversation');
             }
           }}
+          onOpenConversation={result => {
+            setShowChatSearch(false);
+            navigation.push('Chat', {
+              match: { matchId: result.matchId, otherUser: result.otherUser },
+              focusMessageId: result.id,
+            });
+          }}
         />
 
         {/* Report Modal */}
@@ -4,14 +4,16 @@ import { Ionicons } from '@expo/vector-icons';
 import { theme } from '../../styles/theme';
 
 /**
- * ChatReplyPreview - Shows a preview of the message being replied to
+ * ChatReplyPreview - Shows a preview of the message being replied to (or,
+ * with a `title`, the one being edited)
  * @param {Object} props
  * @param {Object} props.replyTo - The message being replied to
+ * @param {string} [props.title] - Heading in place of the sender's name
  * @param {string} props.currentUserId - Current user's ID to determine "You" vs other user name
  * @param {string} props.otherUserName - Display name of the other user in the chat
  * @param {Function} props.onClear - Callback to clear the reply
  */
-const ChatReplyPreview = ({ replyTo, currentUserId, otherUserName, onClear }) => {
+const ChatReplyPreview = ({ replyTo, title, currentUserId, otherUserName, onClear }) => {
   if (!replyTo) {
     return null;
   }
@@ -30,7 +32,7 @@ const ChatReplyPreview = ({ replyTo, currentUserId, otherUserName, onClear }) =>
       <View style={styles.replyPreviewContent}>
         <View style={styles.replyPreviewBar} />
         <View style={styles.replyPreviewText}>
-          <Text style={styles.replyPreviewName}>{senderName}</Text>
+          <Text style={styles.replyPreviewName}>{title || senderName}</Text>
           <Text style={styles.replyPreviewMessage} numberOfLines={1}>
             {messagePreview}
           </Text>
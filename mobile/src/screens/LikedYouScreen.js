@@ -28,6 +28,8 @@ import { useTabNavigation } from '../hooks/useTabNavigation';
 import { theme } from '../styles/theme';
 import LikedYouCard from './liked-you/LikedYouCard';
 import LikedYouUserModal from './liked-you/LikedYouUserModal';
+import TopPicksStrip from './liked-you/TopPicksStrip';
+import LikedYouFilterBar, { buildWhoLikedMeQuery } from './liked-you/LikedYouFilterBar';
 
 const LikedYouScreen = () => {
   const { user, userProfile } = useAuth();
@@ -44,6 +46,8 @@ const LikedYouScreen = () => {
   const [offset, setOffset] = useState(0);
   const [selectedUser, setSelectedUser] = useState(null);
   const [showUpgradeModal, setShowUpgradeModal] = useState(false);
+  const [topPicks, setTopPicks] = useState({ picks: [], locked: 0 });
+  const [selectedPick, setSelectedPick] = useState(null);
   const [showMatchModal, setShowMatchModal] = useState(false);
   const [matchedUser, setMatchedUser] = useState(null);
   const [pendingMatchToast, setPendingMatchToast] = useState(false);
@@ -52,6 +56,8 @@ const LikedYouScreen = () => {
   const [loadingAction, setLoadingAction] = useState(null); // Track which user action is loading { userId, type: 'like' | 'pass' }
   const [reportTarget, setReportTarget] = useState(null); // User being reported
   const [reportSubmitting, setReportSubmitting] = useState(false);
+  // Sort and filters run server-side; changing them reloads from the top
+  const [listQuery, setListQuery] = useState({ sort: 'newest', toggles: {} });
   const timeoutRef = useRef(null);
   const BATCH_SIZE = 10;
 
@@ -76,15 +82,19 @@ const LikedYouScreen = () => {
 
         const currentOffset = isLoadMore ? offset : 0;
         const response = await apiClient.get(
-          `/actions/who-liked-me?limit=${BATCH_SIZE}&offset=${currentOffset}`
+          `/actions/who-liked-me?limit=${BATCH_SIZE}&offset=${currentOffset}&${buildWhoLikedMeQuery(listQuery, userProfile)}`
         );
 
         // ApiClient unwraps API response, so response.data is the likes array
         // Extra fields like totalCount are at response.totalCount
         if (response.success) {
-          // Extract the likes array and total count from the response
-          const responseData = response.data || [];
+          // Extract the likes array and total count from the response.
+          // Free users get no entries, only `previews` — blurred teasers
+          // with nothing that says who the liker is.
+          const responseData = response.previews || response.data || [];
           const totalCount = response.totalCount || 0;
+          // Pages run out at what the filters leave, not the badge total
+          const matchingCount = response.filteredCount ?? totalCount;
           const totalLikesCountFromAPI = response.totalLikesCount || 0;
 
           // Clear error state on successful load
@@ -107,8 +117,8 @@ const LikedYouScreen = () => {
           }
 
           // Transform the data to match our UI expectations.
-          // Free-tier responses withhold profiles entirely (user: null) —
-          // those become placeholder cards keyed by actionId.
+          // Free-tier previews carry no profile (user absent) — those become
+          // placeholder cards keyed by actionId, showing the teaser if any.
           const likes = responseData.map(item => {
             if (!item.user) {
               return {
@@ -120,7 +130,7 @@ const LikedYouScreen = () => {
                 location: '',
                 bio: '',
                 photos: [],
-                mainPhoto: null,
+                mainPhoto: item.teaser || null,
                 isSuperLike: item.actionType === 'SUPER_LIKE',
                 likedAt: item.likedAt,
                 isNew: false,
@@ -139,6 +149,10 @@ const LikedYouScreen = () => {
                 item.user.photos?.[0]?.url ||
                 'https://via.placeholder.com/150',
               isSuperLike: item.actionType === 'SUPER_LIKE',
+              isVerified: !!item.user.isVerified,
+              distance: item.distance ?? null,
+              matchScore: item.matchScore ?? null,
+              note: item.note || null,
               likedAt: item.likedAt,
               isNew: false, // You could track this with timestamps
             };
@@ -173,69 +187,23 @@ const LikedYouScreen = () => {
               return;
             }
 
-            // Append to existing likes and re-sort everything
-            setIncomingLikes(prev => {
-              const newTotal = [...prev, ...uniqueNewLikes];
-
-              // Count super likes before sorting
-              const superLikesBefore = newTotal.filter(u => u.isSuperLike).length;
-              Logger.info(
-                `⭐ Before sort: ${superLikesBefore} Super Likes in list of ${newTotal.length}`
-              );
-
-              // Sort the entire list: Super Likes first, then by date
-              newTotal.sort((a, b) => {
-                // Super Likes come first
-                if (a.isSuperLike && !b.isSuperLike) return -1;
-                if (!a.isSuperLike && b.isSuperLike) return 1;
-                // Within same type, sort by date (newest first)
-                return new Date(b.likedAt) - new Date(a.likedAt);
-              });
-
-              // Log first 5 after sorting to verify order
-              Logger.info(`📋 After sort - First 5 users:`);
-              newTotal.slice(0, 5).forEach((u, i) => {
-                Logger.info(`   ${i + 1}. ${u.name} ${u.isSuperLike ? '⭐ SUPER' : '❤️ regular'}`);
-              });
-
-              Logger.info(
-                `📋 LikedYou: Appending ${uniqueNewLikes.length} unique users to existing ${prev.length} = ${newTotal.length} total loaded (sorted)`
-              );
-
-              return newTotal;
-            });
+            // Server order (the chosen sort) carries across pages
+            setIncomingLikes(prev => [...prev, ...uniqueNewLikes]);
+            Logger.info(
+              `📋 LikedYou: Appended ${uniqueNewLikes.length} unique users to ${incomingLikes.length} loaded`
+            );
 
             // Update offset by the fetched count (not unique count) to avoid skipping records
             setOffset(currentOffset + likes.length);
           } else {
-            // Initial load - sort the batch
-            const superLikesInBatch = likes.filter(u => u.isSuperLike).length;
-            Logger.info(
-              `⭐ Initial batch: ${superLikesInBatch} Super Likes out of ${likes.length}`
-            );
-
-            likes.sort((a, b) => {
-              // Super Likes come first
-              if (a.isSuperLike && !b.isSuperLike) return -1;
-              if (!a.isSuperLike && b.isSuperLike) return 1;
-              // Within same type, sort by date (newest first)
-              return new Date(b.likedAt) - new Date(a.likedAt);
-            });
-
-            // Log first 5 after sorting
-            Logger.info(`📋 Initial sort - First 5 users:`);
-            likes.slice(0, 5).forEach((u, i) => {
-              Logger.info(`   ${i + 1}. ${u.name} ${u.isSuperLike ? '⭐ SUPER' : '❤️ regular'}`);
-            });
-
             setIncomingLikes(likes);
             setOffset(likes.length);
-            Logger.info(`📋 LikedYou: Initial load of ${likes.length} users (sorted)`);
+            Logger.info(`📋 LikedYou: Initial load of ${likes.length} users (${listQuery.sort})`);
           }
 
           // Check if there are more to load - use the totalCount from API response, not state
           const moreAvailable =
-            likes.length === BATCH_SIZE && currentOffset + likes.length < totalCount;
+            likes.length === BATCH_SIZE && currentOffset + likes.length < matchingCount;
           setHasMore(moreAvailable);
 
           Logger.info(
@@ -248,7 +216,7 @@ const LikedYouScreen = () => {
             );
           } else if (!moreAvailable) {
             Logger.info(
-              `📋 LikedYou: All users loaded (${currentOffset + likes.length} of ${totalCount})`
+              `📋 LikedYou: All users loaded (${currentOffset + likes.length} of ${matchingCount})`
             );
           }
 
@@ -283,15 +251,53 @@ const LikedYouScreen = () => {
       }
     },
     // eslint-disable-next-line react-hooks/exhaustive-deps
-    [offset, isPremium, showInfo, showError, hasShownUpgradeHint] // incomingLikes excluded to prevent infinite re-renders
+    [offset, isPremium, showInfo, showError, hasShownUpgradeHint, listQuery, userProfile] // incomingLikes excluded to prevent infinite re-renders
   );
 
+  // Today's Top Picks sit above the grid; failing to load them just hides the strip
+  const loadTopPicks = useCallback(async () => {
+    try {
+      const { picks, locked } = await ApiDataService.getTopPicks();
+      setTopPicks({
+        picks: picks.map(pick => ({
+          id: pick.id,
+          name: pick.name,
+          age: pick.age || '?',
+          location: pick.location || 'Unknown location',
+          bio: pick.bio || 'No bio available',
+          photos: pick.photos || [],
+          mainPhoto:
+            pick.photos?.find(p => p.isMain)?.url ||
+            pick.photos?.[0]?.url ||
+            'https://via.placeholder.com/150',
+          isVerified: pick.isVerified,
+        })),
+        locked,
+      });
+    } catch (err) {
+      Logger.warn('Failed to load top picks:', err);
+    }
+  }, []);
+
+  const removeTopPick = useCallback(pickId => {
+    setTopPicks(prev => ({ ...prev, picks: prev.picks.filter(pick => pick.id !== pickId) }));
+  }, []);
+
+  useEffect(() => {
+    if (user?.uid) {
+      loadTopPicks();
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [user?.uid]);
+
+  // Initial load, and again from the top whenever the sort or filters change
   useEffect(() => {
     if (user?.uid) {
       fetchWhoLikedMe();
     }
+    // isPremium: upgrading swaps the teasers for the full cards
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [user?.uid]); // Intentionally exclude fetchWhoLikedMe to prevent infinite loop
+  }, [user?.uid, listQuery, isPremium]); // Intentionally exclude fetchWhoLikedMe to prevent infinite loop
 
   // Listen for real-time updates from Socket.IO
   useEffect(() => {
@@ -324,7 +330,8 @@ const LikedYouScreen = () => {
             setSelectedUser(null);
           }
         } else if (data.action === 'add' && data.user) {
-          // Add a new like to the list (for future use when someone likes you)
+          // Add a like to the list (the server sends this when the user undoes
+          // their swipe on someone who liked them)
           setIncomingLikes(prev => {
             // Check if this user already exists in the list
             const existingLike = prev.find(like => like.id === data.user.id);
@@ -332,6 +339,7 @@ const LikedYouScreen = () => {
               // User already in list, don't add duplicate
               return prev;
             }
+            setTotalLikesCount(count => count + 1);
 
             const newLike = {
               id: data.user.id,
@@ -350,8 +358,9 @@ const LikedYouScreen = () => {
               isNew: true,
             };
 
-            // Only show toast if this is truly a new like
-            if (!existingLike) {
+            // Only show toast if this is truly a new like, not one that came
+            // back because the user undid their swipe on it
+            if (data.reason !== 'undone') {
               // Use setTimeout to avoid React state update warnings
               setTimeout(() => {
                 showInfo('Someone new liked you!');
@@ -394,9 +403,9 @@ const LikedYouScreen = () => {
     setOffset(0); // Reset offset for refresh
     setHasMore(true); // Reset hasMore flag
     setTotalLikesCount(0); // Reset total count
-    await fetchWhoLikedMe(false); // false = not loading more, it's a refresh
+    await Promise.all([fetchWhoLikedMe(false), loadTopPicks()]); // false = not loading more, it's a refresh
     setRefreshing(false);
-  }, [fetchWhoLikedMe]);
+  }, [fetchWhoLikedMe, loadTopPicks]);
 
   const handleLoadMore = useCallback(() => {
     Logger.info(
@@ -542,9 +551,70 @@ const LikedYouScreen = () => {
     [isPremium, showError]
   );
 
+  // Top Picks haven't liked the user, so a like here is an ordinary like
+  const handleLikePick = useCallback(
+    async profile => {
+      setLoadingAction({ userId: profile.id, type: 'like' });
+
+      try {
+        const result = await ApiDataService.likeUser(profile.id);
+
+        if (result.success) {
+          setSelectedPick(null);
+          removeTopPick(profile.id);
+
+          if (result.isMatch) {
+            setMatchedUser({
+              id: profile.id,
+              name: profile.name,
+              photo: profile.mainPhoto,
+              matchId: result.match?.id,
+            });
+            setShowMatchModal(true);
+          } else {
+            showSuccess(`You liked ${profile.name}! 💘`);
+          }
+        }
+      } catch (err) {
+        Logger.error('Failed to like top pick:', err);
+        if (err.code === 'DAILY_LIMIT_REACHED') {
+          setSelectedPick(null);
+          setShowUpgradeModal(true);
+        } else {
+          showError('Could not send like. Please try again.');
+        }
+      } finally {
+        setLoadingAction(null);
+      }
+    },
+    [removeTopPick, showSuccess, showError]
+  );
+
+  const handlePassPick = useCallback(
+    async profile => {
+      setLoadingAction({ userId: profile.id, type: 'pass' });
+
+      try {
+        const result = await ApiDataService.passUser(profile.id);
+
+        if (result.success) {
+          setSelectedPick(null);
+          removeTopPick(profile.id);
+        }
+      } catch (err) {
+        Logger.error('Failed to pass top pick:', err);
+        showError('Could not pass. Please try again.');
+      } finally {
+        setLoadingAction(null);
+      }
+    },
+    [removeTopPick, showError]
+  );
+
   // Report chosen from the user modal overflow — close the modal, open the reason sheet
   const handleReportRequest = useCallback(profile => {
     setSelectedUser(null);
+    setSelectedPick(null);
     setReportTarget(profile);
   }, []);
 
@@ -565,6 +635,7 @@ const LikedYouScreen = () => {
                 if (success) {
                   showSuccess(`${profile.name} has been blocked`);
                   setSelectedUser(null);
+                  setSelectedPick(null);
                   handleRefresh();
                 } else {
                   showError('Failed to block user');
@@ -659,6 +730,15 @@ const LikedYouScreen = () => {
             <Text style={styles.upgradeButtonText}>Unlock to see who</Text>
           </TouchableOpacity>
         )}
+
+        {isPremium && <LikedYouFilterBar value={listQuery} onChange={setListQuery} />}
+
+        <TopPicksStrip
+          picks={topPicks.picks}
+          locked={topPicks.locked}
+          onSelect={setSelectedPick}
+          onUnlock={() => setShowUpgradeModal(true)}
+        />
       </View>
     );
   };
@@ -717,6 +797,18 @@ const LikedYouScreen = () => {
       );
     }
 
+    // Likes exist, just none that pass the filters
+    if (totalLikesCount > 0 && Object.values(listQuery.toggles).some(Boolean)) {
+      return (
+        <View style={styles.emptyState}>
+          <Text style={styles.emptyTitle}>No one matches these filters</Text>
+          <TouchableOpacity onPress={() => setListQuery(prev => ({ ...prev, toggles: {} }))}>
+            <Text style={styles.emptySubtitle}>Clear filters</Text>
+          </TouchableOpacity>
+        </View>
+      );
+    }
+
     // Premium users with no likes
     return (
       <View style={styles.emptyState}>
@@ -820,6 +912,17 @@ const LikedYouScreen = () => {
         onBlock={handleBlockRequest}
         loadingAction={loadingAction}
       />
+      <LikedYouUserModal
+        user={selectedPick}
+        visible={!!selectedPick}
+        onClose={() => setSelectedPick(null)}
+        onLike={handleLikePick}
+        onPass={handlePassPick}
+        onReport={handleReportRequest}
+        onBlock={handleBlockRequest}
+        loadingAction={loadingAction}
+        likeLabel="Like"
+      />
       <ReportReasonModal
         visible={!!reportTarget}
         userName={reportTarget?.name}
@@ -1,22 +1,89 @@
-import React, { useState, useEffect } from 'react';
-import { View, FlatList } from 'react-native';
-import { useNavigation } from '@react-navigation/native';
+import React, { useState, useEffect, useCallback } from 'react';
+import { View, FlatList, Alert } from 'react-native';
+import { useNavigation, useFocusEffect } from '@react-navigation/native';
 import { useMatchesWithProfiles } from '../hooks/useMatches';
 import { useUnread } from '../contexts/UnreadContext';
 import { MatchListSkeleton } from '../components/shared/SkeletonPlaceholders';
 import { ErrorScreen, EmptyState } from '../components/ErrorScreen';
 import { MatchCard } from '../components/MatchCard';
+import PremiumUpgradeModal from '../components/modals/PremiumUpgradeModal';
+import RematchSection from './messages/RematchSection';
+import ApiDataService from '../services/ApiDataService';
+import SocketService from '../services/SocketService';
+import { useToast } from '../contexts/ToastContext';
 import { theme } from '../styles/theme';
 import { commonStyles } from '../styles/commonStyles';
+import Logger from '../utils/logger';
 
 const MessagesScreen = () => {
   // Unread count now handled globally in UnreadContext
-  const { conversations, loading, refreshing, error, refresh } = useMatchesWithProfiles();
+  const { conversations, loading, refreshing, error, refresh, extendMatch } =
+    useMatchesWithProfiles();
   const { conversations: unreadConversations } = useUnread();
   const navigation = useNavigation();
 
   // Merge real-time data from UnreadContext with profile data from useMatchesWithProfiles
   const [mergedConversations, setMergedConversations] = useState([]);
+  const [showUpgradeModal, setShowUpgradeModal] = useState(false);
+  const [rematchRequests, setRematchRequests] = useState([]);
+  const [rematchCandidates, setRematchCandidates] = useState([]);
+  const { showSuccess, showError } = useToast();
+
+  const loadRematches = useCallback(async () => {
+    const [requests, candidates] = await Promise.all([
+      ApiDataService.getRematchRequests(),
+      ApiDataService.getRematchCandidates(),
+    ]);
+    setRematchRequests(requests);
+    setRematchCandidates(candidates);
+  }, []);
+
+  useFocusEffect(
+    useCallback(() => {
+      loadRematches();
+    }, [loadRematches])
+  );
+
+  // A request arriving, or a rematch landing, changes both lists
+  useEffect(() => {
+    return SocketService.onMatch((eventType, data) => {
+      if (eventType === 'rematch-request') {
+        loadRematches();
+      } else if (eventType === 'new-match' && data.rematch) {
+        loadRematches();
+        refresh();
+      }
+    });
+  }, [loadRematches, refresh]);
+
+  const handleRespondToRematch = useCallback(
+    async (requestId, accept) => {
+      setRematchRequests(prev => prev.filter(request => request.requestId !== requestId));
+      try {
+        await ApiDataService.respondToRematch(requestId, accept);
+        if (accept) {
+          showSuccess("You're matched again!");
+        }
+      } catch (err) {
+        showError(err.code === 'REMATCH_UNAVAILABLE' ? err.message : 'Something went wrong');
+        loadRematches();
+      }
+    },
+    [loadRematches, showSuccess, showError]
+  );
+
+  const handleRequestRematch = useCallback(
+    async matchId => {
+      try {
+        await ApiDataService.requestRematch(matchId);
+        showSuccess('Rematch requested');
+      } catch (err) {
+        showError(err.code ? err.message : 'Something went wrong');
+      }
+      loadRematches();
+    },
+    [loadRematches, showSuccess, showError]
+  );
 
   // Note: Focus-based refresh with throttling is handled in useMatchesWithProfiles hook
 
@@ -49,6 +116,24 @@ const MessagesScreen = () => {
     setMergedConversations(merged);
   }, [conversations, unreadConversations]);
 
+  const handleExtend = useCallback(
+    async matchId => {
+      try {
+        await extendMatch(matchId);
+      } catch (err) {
+        if (err.code === 'PREMIUM_REQUIRED') {
+          setShowUpgradeModal(true);
+        } else if (err.code === 'DAILY_LIMIT_REACHED') {
+          Alert.alert('Already extended today', 'You can extend one match per day.');
+        } else {
+          Logger.error('Failed to extend match:', err);
+          Alert.alert('Error', 'Could not extend this match. Please try again.');
+        }
+      }
+    },
+    [extendMatch]
+  );
+
   const renderConversation = ({ item }) => (
     <MatchCard
       match={item}
@@ -61,6 +146,7 @@ const MessagesScreen = () => {
       showMessageButton={false}
       unreadCount={item.unreadCount}
       showLastMessage={true}
+      onExtend={() => handleExtend(item.matchId)}
     />
   );
 
@@ -82,6 +168,14 @@ const MessagesScreen = () => {
         data={mergedConversations}
         renderItem={renderConversation}
         keyExtractor={item => item.matchId}
+        ListHeaderComponent={
+          <RematchSection
+            requests={rematchRequests}
+            candidates={rematchCandidates}
+            onRespond={handleRespondToRematch}
+            onRequest={handleRequestRematch}
+          />
+        }
         ListEmptyComponent={
           <EmptyState
             icon="heart-outline"
@@ -93,6 +187,7 @@ const MessagesScreen = () => {
         onRefresh={refresh}
         contentContainerStyle={{ padding: theme.spacing.md }}
       />
+      <PremiumUpgradeModal visible={showUpgradeModal} onClose={() => setShowUpgradeModal(false)} />
     </View>
   );
 };
@@ -16,6 +16,13 @@ import { ErrorScreen } from '../components/ErrorScreen';
 import { theme } from '../styles/theme';
 import ScreenWrapper from '../components/shared/ScreenWrapper';
 
+const DEFAULT_QUIET_HOURS = { start: 22, end: 8 };
+
+const formatHour = hour =>
+  new Date(2000, 0, 1, hour).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+
+const deviceTimezone = () => Intl.DateTimeFormat().resolvedOptions().timeZone;
+
 const NotificationSettingsScreen = ({ navigation }) => {
   const { showError } = useToast();
   const [loading, setLoading] = useState(true);
@@ -24,6 +31,10 @@ const NotificationSettingsScreen = ({ navigation }) => {
     messages: true,
     matches: true,
     likes: true,
+    matchNudges: true,
+    replyReminders: true,
+    weeklyDigest: true,
+    quietHours: null,
   });
 
   const loadSettings = useCallback(async () => {
@@ -47,14 +58,16 @@ const NotificationSettingsScreen = ({ navigation }) => {
     loadSettings();
   }, [loadSettings]);
 
-  const updateSetting = async (key, value) => {
+  const updateSettings = async patch => {
     const previousSettings = { ...settings };
 
     // Optimistic update - switch provides visual feedback, no toast needed
-    setSettings(prev => ({ ...prev, [key]: value }));
+    setSettings(prev => ({ ...prev, ...patch }));
 
     try {
-      const response = await apiClient.updateNotificationSettings({ [key]: value });
+      // Quiet hours are local hours, so the server needs this device's zone
+      const body = patch.quietHours ? { ...patch, timezone: deviceTimezone() } : patch;
+      const response = await apiClient.updateNotificationSettings(body);
       if (!response.success) {
         // Revert on failure
         setSettings(previousSettings);
@@ -68,8 +81,15 @@ const NotificationSettingsScreen = ({ navigation }) => {
     }
   };
 
-  const renderToggle = (icon, label, description, key) => (
-    <View style={styles.settingItem}>
+  const updateSetting = (key, value) => updateSettings({ [key]: value });
+
+  const shiftQuietHour = (edge, delta) => {
+    const hours = settings.quietHours;
+    updateSettings({ quietHours: { ...hours, [edge]: (hours[edge] + delta + 24) % 24 } });
+  };
+
+  const renderToggle = (icon, label, description, key, disabled = false) => (
+    <View style={[styles.settingItem, disabled && styles.settingItemDisabled]}>
       <View style={styles.settingIcon}>
         <Ionicons name={icon} size={24} color={theme.colors.primary} />
       </View>
@@ -80,6 +100,7 @@ const NotificationSettingsScreen = ({ navigation }) => {
       <Switch
         value={settings[key]}
         onValueChange={value => updateSetting(key, value)}
+        disabled={disabled}
         trackColor={{ false: theme.colors.border.light, true: theme.colors.primary }}
         thumbColor={settings[key] ? theme.colors.text.white : theme.colors.gray[100]}
       />
@@ -149,6 +170,81 @@ const NotificationSettingsScreen = ({ navigation }) => {
           {renderToggle('star', 'Likes', 'Get notified when someone likes your profile', 'likes')}
         </View>
 
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Reminders</Text>
+          <Text style={styles.sectionDescription}>
+            Occasional nudges we send on a schedule — never more than a couple a day
+          </Text>
+        </View>
+
+        <View style={styles.settingsContainer}>
+          {renderToggle(
+            'hand-left',
+            'Say hi nudges',
+            'A reminder about matches nobody has messaged yet',
+            'matchNudges',
+            !settings.matches
+          )}
+
+          {renderToggle(
+            'chatbubbles',
+            'Reply reminders',
+            'When a message has been waiting on you since yesterday',
+            'replyReminders',
+            !settings.messages
+          )}
+
+          {renderToggle(
+            'sparkles',
+            'Weekly digest',
+            'New people who joined near you this week',
+            'weeklyDigest'
+          )}
+
+          <View style={styles.settingItem}>
+            <View style={styles.settingIcon}>
+              <Ionicons name="moon" size={24} color={theme.colors.primary} />
+            </View>
+            <View style={styles.settingContent}>
+              <Text style={styles.settingLabel}>Quiet hours</Text>
+              <Text style={styles.settingDescription}>Hold reminders overnight</Text>
+            </View>
+            <Switch
+              value={!!settings.quietHours}
+              onValueChange={value =>
+                updateSettings({ quietHours: value ? DEFAULT_QUIET_HOURS : null })
+              }
+              trackColor={{ false: theme.colors.border.light, true: theme.colors.primary }}
+              thumbColor={settings.quietHours ? theme.colors.text.white : theme.colors.gray[100]}
+            />
+          </View>
+
+          {settings.quietHours &&
+            [
+              ['start', 'From'],
+              ['end', 'Until'],
+            ].map(([edge, label]) => (
+              <View key={edge} style={styles.hourRow}>
+                <Text style={styles.hourLabel}>{label}</Text>
+                <TouchableOpacity
+                  onPress={() => shiftQuietHour(edge, -1)}
+                  style={styles.hourButton}
+                  accessibilityLabel={`${label} one hour earlier`}
+                >
+                  <Ionicons name="chevron-back" size={18} color={theme.colors.text.secondary} />
+                </TouchableOpacity>
+                <Text style={styles.hourValue}>{formatHour(settings.quietHours[edge])}</Text>
+                <TouchableOpacity
+                  onPress={() => shiftQuietHour(edge, 1)}
+                  style={styles.hourButton}
+                  accessibilityLabel={`${label} one hour later`}
+                >
+                  <Ionicons name="chevron-forward" size={18} color={theme.colors.text.secondary} />
+                </TouchableOpacity>
+              </View>
+            ))}
+        </View>
+
         <View style={styles.infoSection}>
           <Ionicons name="information-circle-outline" size={20} color={theme.colors.text.muted} />
           <Text style={styles.infoText}>
@@ -216,6 +312,31 @@ const styles = StyleSheet.create({
     borderBottomWidth: 1,
     borderBottomColor: theme.colors.background.tertiary,
   },
+  settingItemDisabled: {
+    opacity: 0.5,
+  },
+  hourRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    paddingLeft: 52,
+  },
+  hourLabel: {
+    flex: 1,
+    fontSize: 14,
+    fontFamily: theme.typography.fontFamily.medium,
+    color: theme.colors.text.secondary,
+  },
+  hourButton: {
+    padding: 6,
+  },
+  hourValue: {
+    minWidth: 80,
+    textAlign: 'center',
+    fontSize: 15,
+    fontFamily: theme.typography.fontFamily.semibold,
+    color: theme.colors.text.primary,
+  },
   settingIcon: {
     width: 40,
     height: 40,
@@ -19,7 +19,9 @@ import { LoadingScreen } from '../components/LoadingScreen';
 import { ErrorScreen, EmptyState } from '../components/ErrorScreen';
 import ProfileSetupModal from '../components/modals/ProfileSetupModal';
 import PremiumUpgradeModal from '../components/modals/PremiumUpgradeModal';
+import BoostModal from '../components/BoostModal';
 import ReportReasonModal from '../components/ReportReasonModal';
+import LikeNoteModal from '../components/LikeNoteModal';
 import { pickAdvancedFilters } from '../components/shared/FilterPreferencesForm';
 import Logger from '../utils/logger';
 import { getUserProfilePhoto } from '../utils/profileHelpers';
@@ -33,6 +35,11 @@ import {
 } from '../utils/analytics';
 
 const BATCH_SIZE = 10; // Load 10 profiles at a time
+// Fetch the next page while this many unswiped cards are still ahead. The
+// server pages a cached deck, so prefetching early is cheap.
+const PREFETCH_THRESHOLD = 5;
+// Last boost whose summary the user has already been shown
+const SEEN_BOOST_SUMMARY_KEY = '@HantibinkSeenBoostSummary';
 
 const PeopleScreenOptimized = ({ navigation }) => {
   const { user, userProfile, refreshUserProfile } = useAuth();
@@ -52,11 +59,19 @@ const PeopleScreenOptimized = ({ navigation }) => {
   const [hasInitialized, setHasInitialized] = useState(false);
   const [error, setError] = useState(null);
   const [showUpgradeModal, setShowUpgradeModal] = useState(false);
+  const [boostStatus, setBoostStatus] = useState(null);
+  const [showBoostModal, setShowBoostModal] = useState(false);
+  const [isActivatingBoost, setIsActivatingBoost] = useState(false);
 
   // Report/block state
   const [reportTarget, setReportTarget] = useState(null);
   const [reportSubmitting, setReportSubmitting] = useState(false);
 
+  // Like-with-a-note state: what the note is about while composing, and the
+  // finished note waiting for the like swipe to carry it
+  const [noteTarget, setNoteTarget] = useState(null);
+  const pendingNote = useRef(null);
+
   // Photo viewer state
   const [photoViewerVisible, setPhotoViewerVisible] = useState(false);
   const [photoViewerImages, setPhotoViewerImages] = useState([]);
@@ -64,6 +79,10 @@ const PeopleScreenOptimized = ({ navigation }) => {
 
   // Track processed profiles to avoid duplicates
   const processedIds = useRef(new Set());
+  // Super likers whose card we've already reported as seen this session
+  const seenSuperLikes = useRef(new Set());
+  // Server deck cursor for the next page (null once the deck is exhausted)
+  const nextCursor = useRef(null);
   // Match IDs we've already shown the "It's a match!" modal for. Prevents the
   // modal from re-firing if a socket reconnect replays the new-match event,
   // or if a swipe handler runs twice for the same match.
@@ -89,6 +108,7 @@ const PeopleScreenOptimized = ({ navigation }) => {
     strictDrinking: false,
     languages: [],
     strictLanguages: false,
+    sortBy: 'recommended',
   });
   const [filtersLoaded, setFiltersLoaded] = useState(false);
 
@@ -226,6 +246,63 @@ const PeopleScreenOptimized = ({ navigation }) => {
     }, [profiles.length, loading, hasInitialized])
   );
 
+  // Boost state for the header button. A boost that finished since the
+  // user last looked opens its summary once.
+  const loadBoostStatus = useCallback(async () => {
+    try {
+      const status = await ApiDataService.getBoostStatus();
+      setBoostStatus(status);
+      const lastBoostId = status?.lastBoost?.id;
+      if (lastBoostId && !status.active) {
+        const seenId = await AsyncStorage.getItem(SEEN_BOOST_SUMMARY_KEY);
+        if (seenId !== lastBoostId) {
+          await AsyncStorage.setItem(SEEN_BOOST_SUMMARY_KEY, lastBoostId);
+          setShowBoostModal(true);
+        }
+      }
+    } catch (boostStatusErr) {
+      Logger.warn('Could not load boost status:', boostStatusErr.message);
+    }
+  }, []);
+
+  useFocusEffect(
+    useCallback(() => {
+      if (isPremium) {
+        loadBoostStatus();
+      }
+    }, [isPremium, loadBoostStatus])
+  );
+
+  // Refresh when the running boost ends so the summary shows up
+  const activeBoostEndsAt = boostStatus?.active?.endsAt;
+  useEffect(() => {
+    if (!activeBoostEndsAt) return undefined;
+    const timeout = setTimeout(
+      loadBoostStatus,
+      Math.max(0, new Date(activeBoostEndsAt).getTime() - Date.now()) + 1000
+    );
+    return () => clearTimeout(timeout);
+  }, [activeBoostEndsAt, loadBoostStatus]);
+
+  const handleActivateBoost = async () => {
+    setIsActivatingBoost(true);
+    try {
+      await ApiDataService.activateBoost();
+      Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
+      showSuccess("Boost started — you're near the top of decks for 30 minutes 🚀");
+      await loadBoostStatus();
+    } catch (boostErr) {
+      if (boostErr.code === 'PREMIUM_REQUIRED') {
+        setShowBoostModal(false);
+        setShowUpgradeModal(true);
+      } else {
+        showError(boostErr.message || 'Could not start your Boost');
+      }
+    } finally {
+      setIsActivatingBoost(false);
+    }
+  };
+
   // Show the "It's a match!" modal, but only once per matchId. Dedup is
   // necessary because the new-match WebSocket event can replay on socket
   // reconnect (typical on app foreground/background) and re-trigger this
@@ -280,7 +357,7 @@ const PeopleScreenOptimized = ({ navigation }) => {
     setLoading(true);
     try {
       Logger.info('📱 Loading initial profiles batch...');
-      const result = await ApiDataService.getUsersForDiscovery({
+      const { users: result, nextCursor: cursor } = await ApiDataService.getDiscoveryPage({
         limit: BATCH_SIZE,
         excludeIds: [], // Let the backend handle all exclusions based on database state
         filters: {
@@ -300,6 +377,7 @@ const PeopleScreenOptimized = ({ navigation }) => {
           strictDrinking: filtersToUse.strictDrinking || false,
           languages: filtersToUse.languages,
           strictLanguages: filtersToUse.strictLanguages || false,
+          sortBy: filtersToUse.sortBy || 'recommended',
         },
       });
 
@@ -322,11 +400,13 @@ const PeopleScreenOptimized = ({ navigation }) => {
         });
 
         setProfiles(newProfiles);
-        setHasMore(newProfiles.length === BATCH_SIZE);
+        nextCursor.current = cursor;
+        setHasMore(Boolean(cursor));
         setError(null);
         Logger.success(`✅ Loaded ${newProfiles.length} initial profiles`);
       } else {
         Logger.warn('No profiles available');
+        nextCursor.current = null;
         setHasMore(false);
         setError(null);
       }
@@ -369,8 +449,9 @@ const PeopleScreenOptimized = ({ navigation }) => {
     setIsLoadingMore(true);
     try {
       Logger.info('📱 Loading more profiles...');
-      const result = await ApiDataService.getUsersForDiscovery({
+      const { users: result, nextCursor: cursor } = await ApiDataService.getDiscoveryPage({
         limit: BATCH_SIZE,
+        cursor: nextCursor.current,
         excludeIds: [], // Let the backend handle all exclusions based on database state
         filters: {
           ageRange: { min: filters.minAge, max: filters.maxAge },
@@ -389,6 +470,7 @@ const PeopleScreenOptimized = ({ navigation }) => {
           strictDrinking: filters.strictDrinking || false,
           languages: filters.languages,
           strictLanguages: filters.strictLanguages || false,
+          sortBy: filters.sortBy || 'recommended',
         },
       });
 
@@ -407,8 +489,9 @@ const PeopleScreenOptimized = ({ navigation }) => {
           Logger.success(`✅ Loaded ${newProfiles.length} more profiles`);
         }
 
-        // Only set hasMore to false if we got less than requested
-        setHasMore(result.length === BATCH_SIZE);
+        // The deck is exhausted once the server stops handing out a cursor
+        nextCursor.current = cursor;
+        setHasMore(Boolean(cursor));
       } else {
         setHasMore(false);
         Logger.info('No more profiles available');
@@ -451,8 +534,11 @@ const PeopleScreenOptimized = ({ navigation }) => {
         // Mark as processed to avoid showing again in this session
         processedIds.current.add(profile.id);
 
-        // Send like to API
-        const result = await ApiDataService.likeUser(profile.id);
+        // Send like to API, with the note if this like came from the composer
+        const note =
+          pendingNote.current?.profileId === profile.id ? pendingNote.current.note : null;
+        pendingNote.current = null;
+        const result = await ApiDataService.likeUser(profile.id, note);
 
         if (result.success) {
           if (result.isMatch) {
@@ -587,6 +673,18 @@ const PeopleScreenOptimized = ({ navigation }) => {
     }
   }, [showError]);
 
+  // A super liker's card reaching the top of the stack counts as "seen"
+  const handleCardShown = useCallback(profile => {
+    if (!profile.superLikedYou || seenSuperLikes.current.has(profile.id)) {
+      return;
+    }
+    seenSuperLikes.current.add(profile.id);
+    ApiDataService.markSuperLikeSeen(profile.id).catch(() => {
+      // Try again next time the card comes up
+      seenSuperLikes.current.delete(profile.id);
+    });
+  }, []);
+
   // Remove a profile from the deck without recording a swipe (report/block).
   // Same idiom as the socket new-match handler: mark processed + filter out.
   const removeProfileFromDeck = useCallback(profile => {
@@ -669,6 +767,26 @@ const PeopleScreenOptimized = ({ navigation }) => {
     setPhotoViewerVisible(true);
   }, []);
 
+  // Comment button on a card: compose a note about that photo or field
+  const handleComment = useCallback((profile, target) => {
+    setNoteTarget({ profile, target });
+  }, []);
+
+  // The note rides on an ordinary like swipe so the card animates away as usual
+  const handleSendNote = useCallback(
+    text => {
+      const { profile, target } = noteTarget;
+      setNoteTarget(null);
+      pendingNote.current = {
+        profileId: profile.id,
+        note: { text, photoId: target.photoId, field: target.field },
+      };
+      Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light);
+      cardStackRef.current?.swipeRight();
+    },
+    [noteTarget]
+  );
+
   // Handle match modal actions
   const handleSendMessage = useCallback(() => {
     setShowMatchModal(false);
@@ -806,6 +924,22 @@ const PeopleScreenOptimized = ({ navigation }) => {
         <Ionicons name="options-outline" size={24} color={theme.colors.text.secondary} />
       </TouchableOpacity>
 
+      {/* Boost button - sits under the filter button, lit while a boost runs */}
+      <TouchableOpacity
+        style={[
+          styles.filterButton,
+          { top: insets.top + 64 },
+          boostStatus?.active && styles.boostButtonActive,
+        ]}
+        onPress={() => (isPremium ? setShowBoostModal(true) : setShowUpgradeModal(true))}
+      >
+        <Ionicons
+          name="flash"
+          size={22}
+          color={boostStatus?.active ? theme.colors.text.white : theme.colors.premium}
+        />
+      </TouchableOpacity>
+
       {/* Overflow (report/block) button - mirrors the filter button on the left */}
       {profiles.length > 0 && (
         <TouchableOpacity
@@ -849,8 +983,11 @@ const PeopleScreenOptimized = ({ navigation }) => {
             onSwipeRight={handleSwipeRight}
             onSwipeSuperLike={handleSwipeSuperLike}
             onUndo={handleUndo}
+            onCardShown={handleCardShown}
             onNeedMore={loadMoreProfiles}
+            prefetchThreshold={PREFETCH_THRESHOLD}
             onPhotoPress={handlePhotoPress}
+            onComment={handleComment}
             loadingMore={isLoadingMore}
           />
         )}
@@ -927,6 +1064,15 @@ const PeopleScreenOptimized = ({ navigation }) => {
         />
       )}
 
+      {/* Boost: start, countdown and post-boost summary */}
+      <BoostModal
+        visible={showBoostModal}
+        status={boostStatus}
+        isActivating={isActivatingBoost}
+        onActivate={handleActivateBoost}
+        onClose={() => setShowBoostModal(false)}
+      />
+
       {/* Premium Upgrade Modal */}
       <PremiumUpgradeModal visible={showUpgradeModal} onClose={() => setShowUpgradeModal(false)} />
 
@@ -939,6 +1085,15 @@ const PeopleScreenOptimized = ({ navigation }) => {
         isSubmitting={reportSubmitting}
       />
 
+      {/* Like-with-a-note composer */}
+      <LikeNoteModal
+        visible={!!noteTarget}
+        userName={noteTarget?.profile.name}
+        target={noteTarget?.target}
+        onSend={handleSendNote}
+        onCancel={() => setNoteTarget(null)}
+      />
+
       {/* Fullscreen Photo Viewer - rendered at screen level to avoid gesture conflicts */}
       {photoViewerVisible && (
         <ImageViewing
@@ -977,6 +1132,9 @@ const styles = StyleSheet.create({
     shadowRadius: 4,
     elevation: 8,
   },
+  boostButtonActive: {
+    backgroundColor: theme.colors.premium,
+  },
   overflowButton: {
     position: 'absolute',
     left: 20,
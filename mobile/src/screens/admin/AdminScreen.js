@@ -518,6 +518,7 @@ const ConfigSection = ({ refreshKey }) => {
   const [promoEnabled, setPromoEnabled] = useState(false);
   const [promoTrialDays, setPromoTrialDays] = useState('');
   const [promoWaitlistOnly, setPromoWaitlistOnly] = useState(false);
+  const [passCooldownDays, setPassCooldownDays] = useState('');
   const { showSuccess, showError } = useToast();
 
   const applyVersionConfig = config => {
@@ -540,6 +541,14 @@ const ConfigSection = ({ refreshKey }) => {
     );
   };
 
+  const applyDiscoveryConfig = config => {
+    setPassCooldownDays(
+      config?.passCooldownDays !== null && config?.passCooldownDays !== undefined
+        ? String(config.passCooldownDays)
+        : ''
+    );
+  };
+
   const applyLaunchPromoConfig = config => {
     setPromoEnabled(!!config?.enabled);
     setPromoTrialDays(
@@ -553,6 +562,7 @@ const ConfigSection = ({ refreshKey }) => {
     AdminApiService.getFlags().then(setFlags).catch(Logger.error);
     AdminApiService.getQuotasConfig().then(applyQuotasConfig).catch(Logger.error);
     AdminApiService.getLaunchPromoConfig().then(applyLaunchPromoConfig).catch(Logger.error);
+    AdminApiService.getDiscoveryConfig().then(applyDiscoveryConfig).catch(Logger.error);
   }, [refreshKey]);
 
   const publishQuotas = async () => {
@@ -570,6 +580,21 @@ const ConfigSection = ({ refreshKey }) => {
     }
   };
 
+  const publishDiscoveryConfig = async () => {
+    const parsed = parseInt(passCooldownDays, 10);
+    if (Number.isNaN(parsed) || parsed < 0) {
+      showError('Enter a valid number of days');
+      return;
+    }
+    try {
+      const published = await AdminApiService.publishDiscoveryConfig({ passCooldownDays: parsed });
+      applyDiscoveryConfig(published);
+      showSuccess('Discovery config published');
+    } catch (error) {
+      showError(error.message || 'Publish failed');
+    }
+  };
+
   const publishLaunchPromo = async () => {
     const parsedDays = parseInt(promoTrialDays, 10);
     if (Number.isNaN(parsedDays) || parsedDays < 0) {
@@ -690,7 +715,10 @@ const ConfigSection = ({ refreshKey }) => {
         </TouchableOpacity>
       </View>
 
-      <SectionHeader title="Launch levers" subtitle="Free-tier quota and launch promo" />
+      <SectionHeader
+        title="Launch levers"
+        subtitle="Free-tier quota, pass recycling and launch promo"
+      />
       <View style={styles.configForm}>
         <Text style={styles.configLabel}>Free likes per window</Text>
         <TextInput
@@ -704,6 +732,18 @@ const ConfigSection = ({ refreshKey }) => {
           <Text style={styles.publishButtonText}>Publish quotas</Text>
         </TouchableOpacity>
 
+        <Text style={styles.configLabel}>Recycle passes after (days, 0 = never)</Text>
+        <TextInput
+          style={styles.configInput}
+          value={passCooldownDays}
+          onChangeText={setPassCooldownDays}
+          placeholder="0"
+          keyboardType="number-pad"
+        />
+        <TouchableOpacity style={styles.publishButton} onPress={publishDiscoveryConfig}>
+          <Text style={styles.publishButtonText}>Publish discovery config</Text>
+        </TouchableOpacity>
+
         <View style={styles.switchRow}>
           <Text style={styles.configLabel}>Launch promo enabled</Text>
           <Switch value={promoEnabled} onValueChange={setPromoEnabled} />
@@ -22,6 +22,7 @@ const ChatMenu = ({ visible, onClose, onAction, isMuted, gamesInfo }) => {
       label: 'Search in conversation',
       color: theme.colors.text.primary,
     },
+    { id: 'planDate', icon: 'calendar', label: 'Plan a date', color: theme.colors.text.primary },
     { id: 'viewProfile', icon: 'person', label: 'View profile', color: theme.colors.text.primary },
     {
       id: 'mute',
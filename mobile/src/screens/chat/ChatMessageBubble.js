@@ -1,14 +1,41 @@
-import React, { memo, useRef } from 'react';
+import React, { memo, useRef, useState } from 'react';
 import { View, Text, StyleSheet, TouchableOpacity, Image, Animated, Pressable } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { Swipeable } from 'react-native-gesture-handler';
 import AudioMessage from '../../components/AudioMessage';
+import DateProposalCard, { getDateProposal } from './DateProposalCard';
 import { getUserProfilePhoto, getUserDisplayName } from '../../utils/profileHelpers';
 import { theme } from '../../styles/theme';
 
+// Mirrors the server's edit window (messagesService)
+export const MESSAGE_EDIT_WINDOW_MS = 15 * 60 * 1000;
+
+/**
+ * Whether a sent text message is still inside its edit window
+ */
+export const canEditMessage = message =>
+  !message.isTemp &&
+  !message.isDeleted &&
+  (message.messageType || 'TEXT') === 'TEXT' &&
+  Date.now() - new Date(message.createdAt).getTime() < MESSAGE_EDIT_WINDOW_MS;
+
+/**
+ * Whether a sent message can be unsent (game and date cards can't)
+ */
+export const canUnsendMessage = message =>
+  !message.isTemp &&
+  !message.isDeleted &&
+  message.messageType !== 'GAME' &&
+  message.messageType !== 'DATE_PROPOSAL';
+
+const formatTime = date =>
+  new Date(date).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+
 /**
  * ChatMessageBubble - Renders an individual chat message with swipe-to-reply,
- * reactions, quoted replies, and read receipts.
+ * reactions, quoted replies, read receipts, and an "Edited" marker that
+ * expands to the earlier versions. Unsent messages render as a "removed"
+ * tombstone.
  */
 const ChatMessageBubble = ({
   message,
@@ -25,8 +52,15 @@ const ChatMessageBubble = ({
   onReactionsPress,
   onQuotedReplyPress,
   onPhotoPress,
+  onDateProposalAction,
+  busyProposalId,
+  onEdit,
+  onUnsend,
+  onRetry,
+  onDiscard,
   swipeableRef,
 }) => {
+  const [showEditHistory, setShowEditHistory] = useState(false);
   // Own handle on the Swipeable so self-closing never depends on the
   // parent's ref bookkeeping
   const internalSwipeableRef = useRef(null);
@@ -37,6 +71,8 @@ const ChatMessageBubble = ({
   // Determine if we're quoting ourselves or the other person
   const isQuotingSelf = message.replyTo?.senderId === currentUser.uid;
 
+  const dateProposal = message.messageType === 'DATE_PROPOSAL' ? getDateProposal(message) : null;
+
   // Render swipe action for own messages (swipe left to reveal on right)
   const renderRightActions = (progress, dragX) => {
     const translateX = dragX.interpolate({
@@ -161,6 +197,9 @@ const ChatMessageBubble = ({
         // horizontal taps on adjacent game cards). Reply is fired by the
         // gesture; the open state itself is always rolled back.
         internalSwipeableRef.current?.close();
+        if (message.isDeleted) {
+          return;
+        }
         if ((isOwnMessage && direction === 'right') || (!isOwnMessage && direction === 'left')) {
           onSwipeToReply(message);
         }
@@ -225,77 +264,133 @@ const ChatMessageBubble = ({
                     ]}
                     numberOfLines={2}
                   >
-                    {message.replyTo.messageType === 'GIF'
-                      ? '\uD83D\uDCF7 GIF'
-                      : message.replyTo.messageType === 'AUDIO'
-                        ? '\uD83C\uDFA4 Voice message'
-                        : message.replyTo.content || message.replyTo.text}
+                    {message.replyTo.isDeleted
+                      ? 'Message removed'
+                      : message.replyTo.messageType === 'GIF'
+                        ? '\uD83D\uDCF7 GIF'
+                        : message.replyTo.messageType === 'AUDIO'
+                          ? '\uD83C\uDFA4 Voice message'
+                          : message.replyTo.content || message.replyTo.text}
                   </Text>
                 </View>
               </TouchableOpacity>
             )}
 
-            <Pressable
-              onPress={() => onTap(message)}
-              onLongPress={() => onLongPress(message)}
-              delayLongPress={500}
-              style={({ pressed }) => [
-                styles.messageBubble,
-                isOwnMessage ? styles.ownMessageBubble : styles.otherMessageBubble,
-                message.messageType === 'AUDIO' && styles.audioBubble,
-                message.isTemp && styles.tempMessage,
-                pressed && styles.messageBubblePressed,
-                isHighlighted && styles.highlightedMessage,
-              ]}
-            >
-              {message.messageType === 'GIF' ? (
-                <TouchableOpacity
-                  onPress={() =>
-                    onPhotoPress({
-                      photos: [message.mediaUrl || message.content],
-                      initialIndex: 0,
-                      title: 'GIF',
-                    })
-                  }
-                  onLongPress={() => onLongPress(message)}
-                  delayLongPress={500}
-                  activeOpacity={0.9}
-                >
-                  <Image
-                    source={{ uri: message.mediaUrl || message.content }}
-                    style={styles.gifMessage}
-                    resizeMode="contain"
-                  />
-                </TouchableOpacity>
-              ) : message.messageType === 'AUDIO' ? (
-                <AudioMessage
-                  messageId={message.id}
-                  audioUrl={message.mediaUrl}
+            {dateProposal ? (
+              <Pressable
+                onPress={() => onTap(message)}
+                onLongPress={() => onLongPress(message)}
+                delayLongPress={500}
+              >
+                <DateProposalCard
+                  proposal={dateProposal}
                   isOwnMessage={isOwnMessage}
-                  duration={message.duration}
-                  metadata={message.metadata}
+                  busy={busyProposalId === dateProposal.id}
+                  onAction={onDateProposalAction}
                 />
-              ) : (
-                <Text style={[styles.messageText, isOwnMessage && styles.ownMessageText]}>
-                  {message.text || message.content || ''}
-                </Text>
-              )}
-            </Pressable>
+              </Pressable>
+            ) : (
+              <Pressable
+                onPress={() => onTap(message)}
+                onLongPress={message.isDeleted ? undefined : () => onLongPress(message)}
+                delayLongPress={500}
+                style={({ pressed }) => [
+                  styles.messageBubble,
+                  isOwnMessage ? styles.ownMessageBubble : styles.otherMessageBubble,
+                  message.messageType === 'AUDIO' && styles.audioBubble,
+                  message.isTemp && styles.tempMessage,
+                  message.isDeleted && styles.deletedBubble,
+                  pressed && styles.messageBubblePressed,
+                  isHighlighted && styles.highlightedMessage,
+                ]}
+              >
+                {message.isDeleted ? (
+                  <View style={styles.deletedContent}>
+                    <Ionicons name="ban-outline" size={14} color={theme.colors.text.muted} />
+                    <Text style={styles.deletedText}>
+                      {isOwnMessage ? 'You unsent a message' : 'Message removed'}
+                    </Text>
+                  </View>
+                ) : message.messageType === 'GIF' ? (
+                  <TouchableOpacity
+                    onPress={() =>
+                      onPhotoPress({
+                        photos: [message.mediaUrl || message.content],
+                        initialIndex: 0,
+                        title: 'GIF',
+                      })
+                    }
+                    onLongPress={() => onLongPress(message)}
+                    delayLongPress={500}
+                    activeOpacity={0.9}
+                  >
+                    <Image
+                      source={{ uri: message.mediaUrl || message.content }}
+                      style={styles.gifMessage}
+                      resizeMode="contain"
+                    />
+                  </TouchableOpacity>
+                ) : message.messageType === 'AUDIO' ? (
+                  <AudioMessage
+                    messageId={message.id}
+                    audioUrl={message.mediaUrl}
+                    isOwnMessage={isOwnMessage}
+                    duration={message.duration}
+                    metadata={message.metadata}
+                  />
+                ) : (
+                  <Text style={[styles.messageText, isOwnMessage && styles.ownMessageText]}>
+                    {message.text || message.content || ''}
+                  </Text>
+                )}
+              </Pressable>
+            )}
 
             {/* Reactions - Android Messages style, overlapping the bubble */}
             {renderReactions()}
 
+            {/* Outbox sends show their state until the server confirms them */}
+            {isOwnMessage && message.sendStatus === 'pending' && (
+              <View style={styles.messageStatus}>
+                <Ionicons name="time-outline" size={12} color={theme.colors.text.muted} />
+                <Text style={styles.editedMarker}>Sending…</Text>
+              </View>
+            )}
+            {isOwnMessage && message.sendStatus === 'failed' && (
+              <View style={styles.messageStatus}>
+                <TouchableOpacity
+                  style={styles.failedStatus}
+                  onPress={() => onRetry?.(message)}
+                  hitSlop={6}
+                >
+                  <Ionicons name="alert-circle" size={14} color={theme.colors.status.error} />
+                  <Text style={styles.failedText}>Not sent · Tap to retry</Text>
+                </TouchableOpacity>
+                {onDiscard && (
+                  <TouchableOpacity onPress={() => onDiscard(message)} hitSlop={8}>
+                    <Text style={styles.editAction}>Delete</Text>
+                  </TouchableOpacity>
+                )}
+              </View>
+            )}
+
             {/* Timestamp for all messages, read receipts only for own messages */}
-            {showTimestamp && (
+            {showTimestamp && !message.sendStatus && (
               <View style={[styles.messageStatus, !isOwnMessage && styles.otherMessageStatus]}>
                 <Text style={styles.messageTime}>
-                  {message.createdAt
-                    ? new Date(message.createdAt).toLocaleTimeString('en-US', {
-                        hour: 'numeric',
-                        minute: '2-digit',
-                      })
-                    : ''}
+                  {message.createdAt ? formatTime(message.createdAt) : ''}
                 </Text>
+                {/* Tap-to-reveal also offers editing while the window is open */}
+                {isTapped && isOwnMessage && onEdit && canEditMessage(message) && (
+                  <TouchableOpacity onPress={() => onEdit(message)} hitSlop={8}>
+                    <Text style={styles.editAction}>Edit</Text>
+                  </TouchableOpacity>
+                )}
+                {isTapped && isOwnMessage && onUnsend && canUnsendMessage(message) && (
+                  <TouchableOpacity onPress={() => onUnsend(message)} hitSlop={8}>
+                    <Text style={styles.editAction}>Unsend</Text>
+                  </TouchableOpacity>
+                )}
                 {/* Read receipts only for own messages */}
                 {isOwnMessage &&
                   (isPremium ? (
@@ -332,6 +427,29 @@ const ChatMessageBubble = ({
                   ))}
               </View>
             )}
+
+            {message.editedAt && (
+              <TouchableOpacity
+                style={[styles.messageStatus, !isOwnMessage && styles.otherMessageStatus]}
+                onPress={() => setShowEditHistory(shown => !shown)}
+                hitSlop={6}
+              >
+                <Ionicons name="create-outline" size={12} color={theme.colors.text.muted} />
+                <Text style={styles.editedMarker}>
+                  {showEditHistory ? 'Hide earlier versions' : 'Edited'}
+                </Text>
+              </TouchableOpacity>
+            )}
+            {showEditHistory &&
+              (message.previousVersions || []).map((version, index) => (
+                <View
+                  key={index}
+                  style={[styles.previousVersion, isOwnMessage && styles.ownPreviousVersion]}
+                >
+                  <Text style={styles.previousVersionText}>{version.content}</Text>
+                  <Text style={styles.messageTime}>Replaced {formatTime(version.replacedAt)}</Text>
+                </View>
+              ))}
           </View>
         </View>
       </View>
@@ -565,6 +683,65 @@ const styles = StyleSheet.create({
   readIcon: {
     marginLeft: 4,
   },
+  editAction: {
+    marginLeft: 8,
+    fontSize: 11,
+    color: theme.colors.primary,
+    fontFamily: theme.typography.fontFamily.semibold,
+  },
+  deletedBubble: {
+    backgroundColor: 'transparent',
+    borderWidth: 1,
+    borderColor: theme.colors.border.light,
+    shadowOpacity: 0,
+    elevation: 0,
+  },
+  deletedContent: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  deletedText: {
+    marginLeft: 6,
+    fontSize: 14,
+    fontStyle: 'italic',
+    color: theme.colors.text.muted,
+    fontFamily: theme.typography.fontFamily.regular,
+  },
+  failedStatus: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  failedText: {
+    marginLeft: 3,
+    fontSize: 11,
+    color: theme.colors.status.error,
+    fontFamily: theme.typography.fontFamily.semibold,
+  },
+  editedMarker: {
+    marginLeft: 3,
+    fontSize: 11,
+    color: theme.colors.text.muted,
+    fontFamily: theme.typography.fontFamily.regular,
+  },
+  previousVersion: {
+    marginTop: 4,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: theme.colors.border.light,
+    borderStyle: 'dashed',
+    alignSelf: 'flex-start',
+  },
+  ownPreviousVersion: {
+    alignSelf: 'flex-end',
+  },
+  previousVersionText: {
+    fontSize: 14,
+    color: theme.colors.text.secondary,
+    fontFamily: theme.typography.fontFamily.regular,
+    marginBottom: 2,
+  },
   premiumHint: {
     flexDirection: 'row',
     alignItems: 'center',
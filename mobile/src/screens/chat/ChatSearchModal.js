@@ -14,6 +14,11 @@ import { Ionicons } from '@expo/vector-icons';
 import ApiDataService from '../../services/ApiDataService';
 import { theme } from '../../styles/theme';
 
+const SCOPES = [
+  { id: 'CHAT', label: 'This chat' },
+  { id: 'ALL', label: 'All chats' },
+];
+
 const FILTERS = [
   { id: 'ALL', label: 'All', icon: 'search' },
   { id: 'AUDIO', label: 'Voice', icon: 'mic' },
@@ -24,17 +29,23 @@ const RESULT_ICONS = {
   TEXT: 'chatbubble-outline',
   AUDIO: 'mic',
   GAME: 'game-controller',
+  DATE_PROPOSAL: 'calendar',
   GIF: 'image-outline',
 };
 
-const previewFor = message => {
+// Server snippets are runs of { text, highlight }; matched words get bold
+const renderPreview = message => {
   if (message.messageType === 'AUDIO') {
     return 'Voice message';
   }
   if (message.messageType === 'GIF') {
     return 'GIF';
   }
-  return message.content || '';
+  return (message.snippet || []).map((segment, index) => (
+    <Text key={index} style={segment.highlight ? styles.highlight : null}>
+      {segment.text}
+    </Text>
+  ));
 };
 
 const formatWhen = createdAt => {
@@ -46,47 +57,89 @@ const formatWhen = createdAt => {
 };
 
 /**
- * Search this conversation by word and/or filter to voice notes / games.
- * Tapping a result jumps to it in the thread (when it's loaded).
+ * Search this conversation — or every chat — by word and/or filter to
+ * voice notes / games. Results are ranked with the matched words
+ * highlighted, and more load as the list scrolls. Tapping a result jumps
+ * to it in this thread (when it's loaded) or opens the other chat.
  */
-const ChatSearchModal = ({ visible, matchId, onClose, onJumpToMessage }) => {
+const ChatSearchModal = ({ visible, matchId, onClose, onJumpToMessage, onOpenConversation }) => {
   const [query, setQuery] = useState('');
+  const [scope, setScope] = useState('CHAT');
   const [filter, setFilter] = useState('ALL');
   const [results, setResults] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
   const [loading, setLoading] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [searched, setSearched] = useState(false);
 
-  // Debounced search whenever the query or filter changes
+  const q = query.trim();
+  const type = filter === 'ALL' ? null : filter;
+  const scopedMatchId = scope === 'CHAT' ? matchId : null;
+
+  // Debounced search whenever the query, scope or filter changes
   useEffect(() => {
     if (!visible) {
       return undefined;
     }
-    const q = query.trim();
-    const type = filter === 'ALL' ? null : filter;
     if (!q && !type) {
       setResults([]);
+      setNextCursor(null);
       setSearched(false);
       return undefined;
     }
 
+    let cancelled = false;
     setLoading(true);
     const timeout = setTimeout(async () => {
-      const found = await ApiDataService.searchMessages(matchId, { q, type });
-      setResults(found);
+      const page = await ApiDataService.searchAllMessages({ q, type, matchId: scopedMatchId });
+      if (cancelled) {
+        return;
+      }
+      setResults(page.results);
+      setNextCursor(page.nextCursor);
       setSearched(true);
       setLoading(false);
     }, 300);
-    return () => clearTimeout(timeout);
-  }, [visible, query, filter, matchId]);
+    return () => {
+      cancelled = true;
+      clearTimeout(timeout);
+    };
+  }, [visible, q, type, scopedMatchId]);
+
+  const loadMore = async () => {
+    if (!nextCursor || loading || loadingMore) {
+      return;
+    }
+    setLoadingMore(true);
+    const page = await ApiDataService.searchAllMessages({
+      q,
+      type,
+      matchId: scopedMatchId,
+      cursor: nextCursor,
+    });
+    setResults(prev => [...prev, ...page.results.filter(r => !prev.some(p => p.id === r.id))]);
+    setNextCursor(page.nextCursor);
+    setLoadingMore(false);
+  };
 
   const close = () => {
     setQuery('');
+    setScope('CHAT');
     setFilter('ALL');
     setResults([]);
+    setNextCursor(null);
     setSearched(false);
     onClose();
   };
 
+  const openResult = item => {
+    if (item.matchId === matchId) {
+      onJumpToMessage(item);
+    } else {
+      onOpenConversation(item);
+    }
+  };
+
   return (
     <Modal visible={visible} transparent animationType="fade" onRequestClose={close}>
       <View style={styles.container}>
@@ -96,7 +149,7 @@ const ChatSearchModal = ({ visible, matchId, onClose, onJumpToMessage }) => {
             <Ionicons name="search" size={18} color={theme.colors.text.muted} />
             <TextInput
               style={styles.input}
-              placeholder="Search this conversation…"
+              placeholder={scope === 'ALL' ? 'Search all chats…' : 'Search this conversation…'}
               placeholderTextColor={theme.colors.text.muted}
               value={query}
               onChangeText={setQuery}
@@ -113,6 +166,22 @@ const ChatSearchModal = ({ visible, matchId, onClose, onJumpToMessage }) => {
             </TouchableOpacity>
           </View>
 
+          <View style={styles.scopes}>
+            {SCOPES.map(item => (
+              <TouchableOpacity
+                key={item.id}
+                style={[styles.scope, scope === item.id && styles.scopeActive]}
+                onPress={() => setScope(item.id)}
+                accessibilityRole="tab"
+                accessibilityState={{ selected: scope === item.id }}
+              >
+                <Text style={[styles.scopeText, scope === item.id && styles.scopeTextActive]}>
+                  {item.label}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
           <View style={styles.chips}>
             {FILTERS.map(item => (
               <TouchableOpacity
@@ -138,21 +207,39 @@ const ChatSearchModal = ({ visible, matchId, onClose, onJumpToMessage }) => {
             keyExtractor={item => item.id}
             style={styles.results}
             keyboardShouldPersistTaps="handled"
+            onEndReached={loadMore}
+            onEndReachedThreshold={0.5}
             ListEmptyComponent={
               searched && !loading ? (
-                <Text style={styles.emptyText}>No matches in this conversation</Text>
+                <Text style={styles.emptyText}>
+                  {scope === 'ALL' ? 'No matches in your chats' : 'No matches in this conversation'}
+                </Text>
+              ) : null
+            }
+            ListFooterComponent={
+              loadingMore ? (
+                <ActivityIndicator
+                  style={styles.footer}
+                  size="small"
+                  color={theme.colors.primary}
+                />
               ) : null
             }
             renderItem={({ item }) => (
-              <TouchableOpacity style={styles.resultRow} onPress={() => onJumpToMessage(item)}>
+              <TouchableOpacity style={styles.resultRow} onPress={() => openResult(item)}>
                 <Ionicons
                   name={RESULT_ICONS[item.messageType] || 'chatbubble-outline'}
                   size={16}
                   color={theme.colors.primary}
                 />
                 <View style={styles.resultText}>
-                  <Text style={styles.resultPreview} numberOfLines={1}>
-                    {previewFor(item)}
+                  {scope === 'ALL' && (
+                    <Text style={styles.resultName} numberOfLines={1}>
+                      {item.otherUser?.name}
+                    </Text>
+                  )}
+                  <Text style={styles.resultPreview} numberOfLines={2}>
+                    {renderPreview(item)}
                   </Text>
                   <Text style={styles.resultWhen}>{formatWhen(item.createdAt)}</Text>
                 </View>
@@ -198,6 +285,30 @@ const styles = StyleSheet.create({
     color: theme.colors.text.primary,
     paddingVertical: theme.spacing.sm,
   },
+  scopes: {
+    flexDirection: 'row',
+    backgroundColor: theme.colors.background.tertiary,
+    borderRadius: theme.borderRadius.round,
+    padding: 2,
+    marginTop: theme.spacing.xs,
+  },
+  scope: {
+    flex: 1,
+    alignItems: 'center',
+    paddingVertical: 6,
+    borderRadius: theme.borderRadius.round,
+  },
+  scopeActive: {
+    backgroundColor: theme.colors.background.primary,
+  },
+  scopeText: {
+    fontSize: theme.typography.sizes.sm,
+    fontFamily: theme.typography.fontFamily.semibold,
+    color: theme.colors.text.muted,
+  },
+  scopeTextActive: {
+    color: theme.colors.text.primary,
+  },
   chips: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -239,17 +350,30 @@ const styles = StyleSheet.create({
   resultText: {
     flex: 1,
   },
+  resultName: {
+    fontSize: theme.typography.sizes.sm,
+    fontFamily: theme.typography.fontFamily.semibold,
+    color: theme.colors.text.secondary,
+    marginBottom: 2,
+  },
   resultPreview: {
     fontSize: theme.typography.sizes.md,
     fontFamily: theme.typography.fontFamily.regular,
     color: theme.colors.text.primary,
   },
+  highlight: {
+    fontFamily: theme.typography.fontFamily.bold,
+    color: theme.colors.primary,
+  },
   resultWhen: {
     fontSize: theme.typography.sizes.xs,
     fontFamily: theme.typography.fontFamily.regular,
     color: theme.colors.text.muted,
     marginTop: 2,
   },
+  footer: {
+    paddingVertical: theme.spacing.md,
+  },
   emptyText: {
     textAlign: 'center',
     paddingVertical: theme.spacing.xl,
@@ -0,0 +1,208 @@
+import React, { memo } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, ActivityIndicator } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { theme } from '../../styles/theme';
+
+const STATUS_LABELS = {
+  PENDING: 'Waiting for an answer',
+  ACCEPTED: "It's a date!",
+  DECLINED: 'Declined',
+  COUNTERED: 'Another time was suggested',
+  EXPIRED: 'This time has passed',
+};
+
+/**
+ * The card's proposal: the live state the server attached, or — for a card
+ * that just arrived over the socket — the plan in its metadata, still pending.
+ */
+export const getDateProposal = message => {
+  if (message.dateProposal) {
+    return message.dateProposal;
+  }
+  try {
+    const metadata = message.metadata ? JSON.parse(message.metadata) : null;
+    if (metadata?.kind !== 'date-proposal') {
+      return null;
+    }
+    return {
+      id: metadata.proposalId,
+      proposedBy: message.senderId,
+      status: new Date(metadata.endsAt) <= new Date() ? 'EXPIRED' : 'PENDING',
+      startsAt: metadata.startsAt,
+      endsAt: metadata.endsAt,
+      placeName: metadata.placeName,
+      location: metadata.location,
+      counterOfId: metadata.counterOfId,
+    };
+  } catch (parseError) {
+    return null;
+  }
+};
+
+export const formatDateWindow = (startsAt, endsAt) => {
+  const start = new Date(startsAt);
+  const end = new Date(endsAt);
+  const day = start.toLocaleDateString([], { weekday: 'short', month: 'short', day: 'numeric' });
+  const time = date => date.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+  return `${day} · ${time(start)} – ${time(end)}`;
+};
+
+/**
+ * DateProposalCard - A date idea posted in chat
+ *
+ * @param {Object} props
+ * @param {Object} props.proposal - Proposal summary (see getDateProposal)
+ * @param {boolean} props.isOwnMessage - Whether the current user proposed it
+ * @param {boolean} props.busy - An answer is in flight
+ * @param {Function} props.onAction - Called with ('accept' | 'decline' | 'counter', proposal)
+ */
+const DateProposalCard = ({ proposal, isOwnMessage, busy, onAction }) => {
+  const canAnswer = !isOwnMessage && proposal.status === 'PENDING';
+
+  return (
+    <View style={[styles.card, proposal.status === 'ACCEPTED' && styles.acceptedCard]}>
+      <View style={styles.header}>
+        <Ionicons name="calendar" size={18} color={theme.colors.primary} />
+        <Text style={styles.headerText}>
+          {proposal.counterOfId ? 'How about another time?' : 'Date idea'}
+        </Text>
+      </View>
+
+      <Text style={styles.place} numberOfLines={2}>
+        {proposal.placeName}
+      </Text>
+      <Text style={styles.when}>{formatDateWindow(proposal.startsAt, proposal.endsAt)}</Text>
+      {proposal.location?.address ? (
+        <View style={styles.addressRow}>
+          <Ionicons name="location-outline" size={14} color={theme.colors.text.secondary} />
+          <Text style={styles.address} numberOfLines={1}>
+            {proposal.location.address}
+          </Text>
+        </View>
+      ) : null}
+
+      {canAnswer ? (
+        busy ? (
+          <ActivityIndicator style={styles.busy} size="small" color={theme.colors.primary} />
+        ) : (
+          <View style={styles.actions}>
+            <TouchableOpacity
+              style={styles.secondaryButton}
+              onPress={() => onAction('decline', proposal)}
+            >
+              <Text style={styles.secondaryButtonText}>Decline</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={styles.secondaryButton}
+              onPress={() => onAction('counter', proposal)}
+            >
+              <Text style={styles.secondaryButtonText}>Another time</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={styles.primaryButton}
+              onPress={() => onAction('accept', proposal)}
+            >
+              <Text style={styles.primaryButtonText}>Accept</Text>
+            </TouchableOpacity>
+          </View>
+        )
+      ) : (
+        <Text style={[styles.status, proposal.status === 'ACCEPTED' && styles.acceptedStatus]}>
+          {STATUS_LABELS[proposal.status] || ''}
+        </Text>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  card: {
+    width: 260,
+    padding: theme.spacing.md,
+    borderRadius: theme.borderRadius.lg,
+    borderWidth: 1,
+    borderColor: theme.colors.border.light,
+    backgroundColor: theme.colors.background.primary,
+  },
+  acceptedCard: {
+    borderColor: theme.colors.primary,
+    backgroundColor: theme.colors.primaryTint,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: theme.spacing.sm,
+  },
+  headerText: {
+    marginLeft: theme.spacing.xs,
+    fontSize: theme.typography.sizes.sm,
+    fontFamily: theme.typography.fontFamily.medium,
+    color: theme.colors.primary,
+  },
+  place: {
+    fontSize: theme.typography.sizes.md,
+    fontWeight: theme.typography.weights.semibold,
+    fontFamily: theme.typography.fontFamily.semibold,
+    color: theme.colors.text.primary,
+  },
+  when: {
+    marginTop: 2,
+    fontSize: theme.typography.sizes.sm,
+    fontFamily: theme.typography.fontFamily.regular,
+    color: theme.colors.text.primary,
+  },
+  addressRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: theme.spacing.xs,
+  },
+  address: {
+    flex: 1,
+    marginLeft: 2,
+    fontSize: theme.typography.sizes.sm,
+    fontFamily: theme.typography.fontFamily.regular,
+    color: theme.colors.text.secondary,
+  },
+  actions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    alignItems: 'center',
+    marginTop: theme.spacing.md,
+  },
+  busy: {
+    marginTop: theme.spacing.md,
+  },
+  primaryButton: {
+    marginLeft: theme.spacing.sm,
+    paddingHorizontal: theme.spacing.md,
+    paddingVertical: theme.spacing.sm,
+    borderRadius: theme.borderRadius.xxl,
+    backgroundColor: theme.colors.primary,
+  },
+  primaryButtonText: {
+    fontSize: theme.typography.sizes.sm,
+    fontWeight: theme.typography.weights.semibold,
+    fontFamily: theme.typography.fontFamily.semibold,
+    color: theme.colors.text.white,
+  },
+  secondaryButton: {
+    paddingHorizontal: theme.spacing.sm,
+    paddingVertical: theme.spacing.sm,
+  },
+  secondaryButtonText: {
+    fontSize: theme.typography.sizes.sm,
+    fontFamily: theme.typography.fontFamily.medium,
+    color: theme.colors.text.secondary,
+  },
+  status: {
+    marginTop: theme.spacing.md,
+    fontSize: theme.typography.sizes.sm,
+    fontFamily: theme.typography.fontFamily.medium,
+    color: theme.colors.text.muted,
+  },
+  acceptedStatus: {
+    color: theme.colors.primary,
+  },
+});
+
+export default memo(DateProposalCard);
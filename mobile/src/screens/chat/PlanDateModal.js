@@ -0,0 +1,271 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  Modal,
+  Pressable,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  ActivityIndicator,
+  Platform,
+} from 'react-native';
+import DateTimePicker from '@react-native-community/datetimepicker';
+import { Ionicons } from '@expo/vector-icons';
+import { formatDateWindow } from './DateProposalCard';
+import { theme } from '../../styles/theme';
+
+const DURATIONS = [1, 2, 3];
+const HOUR_MS = 60 * 60 * 1000;
+
+// Tomorrow at 7pm — a sensible first suggestion
+const defaultStart = () => {
+  const start = new Date();
+  start.setDate(start.getDate() + 1);
+  start.setHours(19, 0, 0, 0);
+  return start;
+};
+
+/**
+ * PlanDateModal - Propose a date, or suggest another time for one
+ *
+ * @param {Object} props
+ * @param {boolean} props.visible - Whether the modal is shown
+ * @param {Object|null} props.counterOf - The proposal being answered, if countering
+ * @param {Function} props.onClose - Called when dismissed
+ * @param {Function} props.onSubmit - Called with {startsAt, endsAt, placeName?}; may return a promise
+ */
+const PlanDateModal = ({ visible, counterOf, onClose, onSubmit }) => {
+  const [placeName, setPlaceName] = useState('');
+  const [startsAt, setStartsAt] = useState(defaultStart);
+  const [duration, setDuration] = useState(2);
+  const [pickerMode, setPickerMode] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  // Fresh form each time; a counter starts from the place already suggested
+  useEffect(() => {
+    if (visible) {
+      setPlaceName(counterOf?.placeName || '');
+      setStartsAt(defaultStart());
+      setDuration(2);
+      setPickerMode(null);
+    }
+  }, [visible, counterOf]);
+
+  const endsAt = new Date(startsAt.getTime() + duration * HOUR_MS);
+  const canSubmit = placeName.trim().length > 0 && startsAt > new Date() && !submitting;
+
+  const handlePickerChange = (event, selected) => {
+    if (Platform.OS !== 'ios') {
+      setPickerMode(null);
+    }
+    if (event.type === 'set' && selected) {
+      setStartsAt(selected);
+    }
+  };
+
+  const handleSubmit = async () => {
+    const plan = { startsAt: startsAt.toISOString(), endsAt: endsAt.toISOString() };
+    // A counter that keeps the place leaves it out, so the original
+    // location comes along with it
+    if (!counterOf || placeName.trim() !== counterOf.placeName) {
+      plan.placeName = placeName.trim();
+    }
+    setSubmitting(true);
+    try {
+      await onSubmit(plan);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Modal visible={visible} transparent animationType="fade" onRequestClose={onClose}>
+      <View style={styles.container}>
+        <Pressable style={styles.backdrop} onPress={onClose} />
+        <View style={styles.content}>
+          <View style={styles.header}>
+            <Text style={styles.title}>{counterOf ? 'Suggest another time' : 'Plan a date'}</Text>
+            <TouchableOpacity
+              onPress={onClose}
+              hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
+              accessibilityLabel="Close"
+            >
+              <Ionicons name="close" size={22} color={theme.colors.text.muted} />
+            </TouchableOpacity>
+          </View>
+
+          <Text style={styles.label}>Where</Text>
+          <TextInput
+            style={styles.input}
+            placeholder="Café, park, gallery…"
+            placeholderTextColor={theme.colors.text.muted}
+            value={placeName}
+            onChangeText={setPlaceName}
+            maxLength={120}
+          />
+
+          <Text style={styles.label}>When</Text>
+          <View style={styles.row}>
+            <TouchableOpacity style={styles.pickerButton} onPress={() => setPickerMode('date')}>
+              <Ionicons name="calendar-outline" size={16} color={theme.colors.text.secondary} />
+              <Text style={styles.pickerText}>
+                {startsAt.toLocaleDateString([], { month: 'short', day: 'numeric' })}
+              </Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.pickerButton} onPress={() => setPickerMode('time')}>
+              <Ionicons name="time-outline" size={16} color={theme.colors.text.secondary} />
+              <Text style={styles.pickerText}>
+                {startsAt.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}
+              </Text>
+            </TouchableOpacity>
+          </View>
+          {pickerMode && (
+            <DateTimePicker
+              value={startsAt}
+              mode={pickerMode}
+              display={Platform.OS === 'ios' ? 'spinner' : 'default'}
+              onChange={handlePickerChange}
+              minimumDate={new Date()}
+            />
+          )}
+
+          <View style={styles.row}>
+            {DURATIONS.map(hours => (
+              <TouchableOpacity
+                key={hours}
+                style={[styles.chip, duration === hours && styles.chipActive]}
+                onPress={() => setDuration(hours)}
+              >
+                <Text style={[styles.chipText, duration === hours && styles.chipTextActive]}>
+                  {hours}h
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+          <Text style={styles.summary}>{formatDateWindow(startsAt, endsAt)}</Text>
+
+          <TouchableOpacity
+            style={[styles.submitButton, !canSubmit && styles.submitButtonDisabled]}
+            onPress={handleSubmit}
+            disabled={!canSubmit}
+          >
+            {submitting ? (
+              <ActivityIndicator size="small" color={theme.colors.text.white} />
+            ) : (
+              <Text style={styles.submitButtonText}>
+                {counterOf ? 'Suggest this time' : 'Send date idea'}
+              </Text>
+            )}
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  backdrop: {
+    ...StyleSheet.absoluteFillObject,
+    backgroundColor: theme.colors.overlay.medium,
+  },
+  content: {
+    backgroundColor: theme.colors.background.primary,
+    borderRadius: theme.borderRadius.xl,
+    padding: theme.spacing.lg,
+    width: '92%',
+    maxWidth: 420,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  title: {
+    fontSize: theme.typography.sizes.lg,
+    fontWeight: theme.typography.weights.semibold,
+    fontFamily: theme.typography.fontFamily.semibold,
+    color: theme.colors.text.primary,
+  },
+  label: {
+    marginTop: theme.spacing.md,
+    marginBottom: theme.spacing.xs,
+    fontSize: theme.typography.sizes.sm,
+    fontFamily: theme.typography.fontFamily.medium,
+    color: theme.colors.text.secondary,
+  },
+  input: {
+    fontSize: theme.typography.sizes.md,
+    fontFamily: theme.typography.fontFamily.regular,
+    color: theme.colors.text.primary,
+    paddingVertical: theme.spacing.sm,
+    paddingHorizontal: theme.spacing.md,
+    borderRadius: theme.borderRadius.md,
+    backgroundColor: theme.colors.background.tertiary,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: theme.spacing.sm,
+    marginBottom: theme.spacing.sm,
+  },
+  pickerButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    paddingHorizontal: theme.spacing.md,
+    paddingVertical: theme.spacing.sm,
+    borderRadius: theme.borderRadius.md,
+    backgroundColor: theme.colors.background.tertiary,
+  },
+  pickerText: {
+    fontSize: theme.typography.sizes.md,
+    fontFamily: theme.typography.fontFamily.regular,
+    color: theme.colors.text.primary,
+  },
+  chip: {
+    paddingHorizontal: theme.spacing.md,
+    paddingVertical: 6,
+    borderRadius: theme.borderRadius.round,
+    backgroundColor: theme.colors.background.tertiary,
+  },
+  chipActive: {
+    backgroundColor: theme.colors.primary,
+  },
+  chipText: {
+    fontSize: theme.typography.sizes.sm,
+    fontFamily: theme.typography.fontFamily.semibold,
+    color: theme.colors.text.secondary,
+  },
+  chipTextActive: {
+    color: theme.colors.text.white,
+  },
+  summary: {
+    fontSize: theme.typography.sizes.sm,
+    fontFamily: theme.typography.fontFamily.regular,
+    color: theme.colors.text.secondary,
+  },
+  submitButton: {
+    alignItems: 'center',
+    marginTop: theme.spacing.lg,
+    paddingVertical: theme.spacing.md,
+    borderRadius: theme.borderRadius.xxl,
+    backgroundColor: theme.colors.primary,
+  },
+  submitButtonDisabled: {
+    opacity: 0.5,
+  },
+  submitButtonText: {
+    fontSize: theme.typography.sizes.md,
+    fontWeight: theme.typography.weights.semibold,
+    fontFamily: theme.typography.fontFamily.semibold,
+    color: theme.colors.text.white,
+  },
+});
+
+export default PlanDateModal;
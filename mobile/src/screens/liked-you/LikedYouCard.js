@@ -50,16 +50,12 @@ const LikedYouCard = ({ item, index, isPremium, onPress, onLike, onPass, loading
       )}
 
       <View style={styles.imageContainer}>
-        {/* Free tier: the API withholds profiles (no photo URL is sent), so
-            render a branded placeholder; blur remains a fallback if a photo
-            is ever present */}
+        {/* Free tier: the API withholds profiles and sends at most a tiny
+            pre-blurred teaser image; a light blur smooths it as it scales
+            up. Without a teaser, render a branded placeholder */}
         {!isPremium ? (
           item.mainPhoto ? (
-            <Image
-              source={{ uri: item.mainPhoto }}
-              style={styles.cardImage}
-              blurRadius={40} // Strong blur for maximum privacy
-            />
+            <Image source={{ uri: item.mainPhoto }} style={styles.cardImage} blurRadius={8} />
           ) : (
             <View style={[styles.cardImage, styles.placeholderImage]}>
               <Ionicons name="heart" size={44} color={theme.colors.primaryLight} />
@@ -95,6 +91,19 @@ const LikedYouCard = ({ item, index, isPremium, onPress, onLike, onPass, loading
         )}
       </View>
 
+      {isPremium && item.note && (
+        <View style={styles.noteBubble}>
+          {item.note.photo?.url ? (
+            <Image source={{ uri: item.note.photo.url }} style={styles.notePhoto} />
+          ) : (
+            <Ionicons name="chatbubble-ellipses" size={14} color={theme.colors.primary} />
+          )}
+          <Text style={styles.noteText} numberOfLines={2}>
+            {item.note.text}
+          </Text>
+        </View>
+      )}
+
       {isPremium && (
         <View style={styles.quickActions}>
           <TouchableOpacity
@@ -132,6 +141,27 @@ const LikedYouCard = ({ item, index, isPremium, onPress, onLike, onPass, loading
 };
 
 const styles = StyleSheet.create({
+  noteBubble: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginHorizontal: 8,
+    marginTop: 8,
+    paddingHorizontal: 8,
+    paddingVertical: 6,
+    borderRadius: 10,
+    backgroundColor: theme.colors.primaryTint,
+  },
+  notePhoto: {
+    width: 22,
+    height: 22,
+    borderRadius: 4,
+  },
+  noteText: {
+    flex: 1,
+    marginLeft: 6,
+    fontSize: 12,
+    color: theme.colors.text.primary,
+  },
   likeCard: {
     width: CARD_WIDTH,
     marginBottom: 15,
@@ -265,6 +295,7 @@ const areEqual = (prevProps, nextProps) => {
     prevProps.item.isVerified === nextProps.item.isVerified &&
     prevProps.item.isSuperLike === nextProps.item.isSuperLike &&
     prevProps.item.isNew === nextProps.item.isNew &&
+    prevProps.item.note?.text === nextProps.item.note?.text &&
     prevProps.index === nextProps.index &&
     prevProps.isPremium === nextProps.isPremium &&
     prevProps.loadingAction?.userId === nextProps.loadingAction?.userId &&
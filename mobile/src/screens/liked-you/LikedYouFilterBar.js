@@ -0,0 +1,136 @@
+import React, { memo } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, ScrollView } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { theme } from '../../styles/theme';
+
+const SORTS = [
+  { id: 'newest', label: 'Newest', icon: 'time-outline' },
+  { id: 'closest', label: 'Closest', icon: 'navigate-outline' },
+  { id: 'best_match', label: 'Best match', icon: 'sparkles-outline' },
+];
+
+const TOGGLES = [
+  { id: 'inAgeRange', label: 'My age range', icon: 'calendar-outline' },
+  { id: 'nearby', label: 'Nearby', icon: 'location-outline' },
+  { id: 'verifiedOnly', label: 'Verified', icon: 'checkmark-circle-outline' },
+  { id: 'superLikesOnly', label: 'Super Likes', icon: 'star-outline' },
+  { id: 'sharedInterests', label: 'Shared interests', icon: 'heart-circle-outline' },
+];
+
+/**
+ * Query string for GET /actions/who-liked-me. The "my age range" and
+ * "nearby" toggles resolve against the viewer's discovery preferences.
+ */
+export const buildWhoLikedMeQuery = ({ sort, toggles }, preferences = {}) => {
+  const params = [`sort=${sort}`];
+  if (toggles.inAgeRange) {
+    params.push(`minAge=${preferences.minAge ?? 18}`, `maxAge=${preferences.maxAge ?? 99}`);
+  }
+  if (toggles.nearby) {
+    params.push(`maxDistance=${preferences.maxDistance ?? 50}`);
+  }
+  for (const flag of ['verifiedOnly', 'superLikesOnly', 'sharedInterests']) {
+    if (toggles[flag]) {
+      params.push(`${flag}=true`);
+    }
+  }
+  return params.join('&');
+};
+
+/**
+ * LikedYouFilterBar - Sort and filter chips above the Liked You grid
+ *
+ * @param {Object} props
+ * @param {{sort: string, toggles: Object}} props.value - Current sort and toggled filters
+ * @param {Function} props.onChange - Called with the next value
+ */
+const LikedYouFilterBar = ({ value, onChange }) => {
+  const toggle = id =>
+    onChange({ ...value, toggles: { ...value.toggles, [id]: !value.toggles[id] } });
+
+  return (
+    <View style={styles.container}>
+      <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+        {SORTS.map(sort => {
+          const active = value.sort === sort.id;
+          return (
+            <TouchableOpacity
+              key={sort.id}
+              style={[styles.chip, active && styles.chipActive]}
+              onPress={() => onChange({ ...value, sort: sort.id })}
+            >
+              <Ionicons
+                name={sort.icon}
+                size={14}
+                color={active ? theme.colors.text.white : theme.colors.text.secondary}
+              />
+              <Text style={[styles.chipText, active && styles.chipTextActive]}>{sort.label}</Text>
+            </TouchableOpacity>
+          );
+        })}
+        <View style={styles.divider} />
+        {TOGGLES.map(item => {
+          const active = !!value.toggles[item.id];
+          return (
+            <TouchableOpacity
+              key={item.id}
+              style={[styles.chip, active && styles.toggleActive]}
+              onPress={() => toggle(item.id)}
+            >
+              <Ionicons
+                name={item.icon}
+                size={14}
+                color={active ? theme.colors.primary : theme.colors.text.secondary}
+              />
+              <Text style={[styles.chipText, active && styles.toggleTextActive]}>{item.label}</Text>
+            </TouchableOpacity>
+          );
+        })}
+      </ScrollView>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginTop: theme.spacing.md,
+  },
+  chip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    marginRight: theme.spacing.sm,
+    paddingHorizontal: theme.spacing.md,
+    paddingVertical: 6,
+    borderRadius: theme.borderRadius.round,
+    borderWidth: 1,
+    borderColor: 'transparent',
+    backgroundColor: theme.colors.background.tertiary,
+  },
+  chipActive: {
+    backgroundColor: theme.colors.primary,
+  },
+  toggleActive: {
+    borderColor: theme.colors.primary,
+    backgroundColor: theme.colors.primaryTint,
+  },
+  chipText: {
+    fontSize: theme.typography.sizes.sm,
+    fontFamily: theme.typography.fontFamily.semibold,
+    color: theme.colors.text.secondary,
+  },
+  chipTextActive: {
+    color: theme.colors.text.white,
+  },
+  toggleTextActive: {
+    color: theme.colors.primary,
+  },
+  divider: {
+    width: 1,
+    alignSelf: 'stretch',
+    marginRight: theme.spacing.sm,
+    backgroundColor: theme.colors.border.light,
+  },
+});
+
+export default memo(LikedYouFilterBar);
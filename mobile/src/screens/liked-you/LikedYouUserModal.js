@@ -13,6 +13,14 @@ import { Ionicons } from '@expo/vector-icons';
 import VerifiedBadge from '../../components/shared/VerifiedBadge';
 import { theme } from '../../styles/theme';
 
+// Readable names for like-note fields whose key doesn't read well as-is
+const NOTE_FIELD_LABELS = {
+  relationshipType: 'relationship goals',
+  smoking: 'smoking habits',
+  drinking: 'drinking habits',
+  travel: 'travel style',
+};
+
 /**
  * LikedYouUserModal - Displays full user profile details in a bottom sheet modal
  *
@@ -25,6 +33,7 @@ import { theme } from '../../styles/theme';
  * @param {Function} props.onReport - Callback when Report is chosen from the overflow menu
  * @param {Function} props.onBlock - Callback when Block is chosen from the overflow menu
  * @param {Object} props.loadingAction - Loading state { userId, type: 'like' | 'pass' }
+ * @param {string} [props.likeLabel='Like Back'] - Label of the like button
  */
 const LikedYouUserModal = ({
   user,
@@ -35,6 +44,7 @@ const LikedYouUserModal = ({
   onReport,
   onBlock,
   loadingAction,
+  likeLabel = 'Like Back',
 }) => {
   const isLoading = loadingAction?.userId === user?.id;
   const isLoadingPass = isLoading && loadingAction?.type === 'pass';
@@ -76,6 +86,26 @@ const LikedYouUserModal = ({
               </Text>
               <Text style={styles.modalBio}>{user.bio}</Text>
 
+              {user.note && (
+                <View style={styles.noteInfo}>
+                  {user.note.photo?.url ? (
+                    <Image source={{ uri: user.note.photo.url }} style={styles.notePhoto} />
+                  ) : (
+                    <Ionicons name="chatbubble-ellipses" size={20} color={theme.colors.primary} />
+                  )}
+                  <View style={styles.noteBody}>
+                    <Text style={styles.noteContext}>
+                      {user.note.photo
+                        ? 'About your photo'
+                        : user.note.field
+                          ? `About your ${NOTE_FIELD_LABELS[user.note.field] || user.note.field}`
+                          : 'Left you a note'}
+                    </Text>
+                    <Text style={styles.noteText}>{user.note.text}</Text>
+                  </View>
+                </View>
+              )}
+
               {user.isSuperLike && (
                 <View style={styles.superLikeInfo}>
                   <Ionicons name="star" size={20} color={theme.colors.premium} />
@@ -110,7 +140,7 @@ const LikedYouUserModal = ({
                 ) : (
                   <>
                     <Ionicons name="heart" size={24} color="white" />
-                    <Text style={styles.likeButtonText}>Like Back</Text>
+                    <Text style={styles.likeButtonText}>{likeLabel}</Text>
                   </>
                 )}
               </TouchableOpacity>
@@ -185,6 +215,32 @@ const styles = StyleSheet.create({
     lineHeight: 24,
     fontFamily: theme.typography.fontFamily.regular,
   },
+  noteInfo: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: theme.colors.primaryTint,
+    padding: 10,
+    borderRadius: 10,
+    marginTop: 15,
+  },
+  notePhoto: {
+    width: 36,
+    height: 36,
+    borderRadius: 6,
+  },
+  noteBody: {
+    flex: 1,
+    marginLeft: 10,
+  },
+  noteContext: {
+    fontSize: 12,
+    color: theme.colors.text.secondary,
+  },
+  noteText: {
+    marginTop: 2,
+    fontSize: 15,
+    color: theme.colors.text.primary,
+  },
   superLikeInfo: {
     flexDirection: 'row',
     alignItems: 'center',
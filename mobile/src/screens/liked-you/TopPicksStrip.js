@@ -0,0 +1,121 @@
+import React, { memo } from 'react';
+import { View, Text, StyleSheet, Image, TouchableOpacity, ScrollView } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import VerifiedBadge from '../../components/shared/VerifiedBadge';
+import { theme } from '../../styles/theme';
+
+const THUMB_SIZE = 76;
+
+/**
+ * TopPicksStrip - Today's Top Picks as a horizontal row above the Liked You grid
+ *
+ * @param {Object} props
+ * @param {Array} props.picks - Picks the user can see (already mapped for the modal)
+ * @param {number} props.locked - Picks held back from free users
+ * @param {Function} props.onSelect - Called with a pick when its thumbnail is pressed
+ * @param {Function} props.onUnlock - Called when the locked tile is pressed
+ */
+const TopPicksStrip = ({ picks, locked, onSelect, onUnlock }) => {
+  if (picks.length === 0 && locked === 0) {
+    return null;
+  }
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.titleRow}>
+        <Ionicons name="sparkles" size={16} color={theme.colors.premium} />
+        <Text style={styles.title}>Top Picks</Text>
+        <Text style={styles.subtitle}>Refreshed daily</Text>
+      </View>
+
+      <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+        {picks.map(pick => (
+          <TouchableOpacity
+            key={pick.id}
+            style={styles.pick}
+            onPress={() => onSelect(pick)}
+            activeOpacity={0.85}
+          >
+            <Image source={{ uri: pick.mainPhoto }} style={styles.thumb} />
+            <View style={styles.nameRow}>
+              <Text style={styles.name} numberOfLines={1}>
+                {pick.name}
+              </Text>
+              {pick.isVerified && <VerifiedBadge size={12} />}
+            </View>
+          </TouchableOpacity>
+        ))}
+
+        {locked > 0 && (
+          <TouchableOpacity style={styles.pick} onPress={onUnlock} activeOpacity={0.85}>
+            <View style={[styles.thumb, styles.lockedThumb]}>
+              <Ionicons name="lock-closed" size={22} color="white" />
+              <Text style={styles.lockedCount}>+{locked}</Text>
+            </View>
+            <View style={styles.nameRow}>
+              <Text style={styles.name}>Unlock</Text>
+            </View>
+          </TouchableOpacity>
+        )}
+      </ScrollView>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginTop: 14,
+  },
+  titleRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  title: {
+    marginLeft: 6,
+    fontSize: 15,
+    fontWeight: 'bold',
+    fontFamily: theme.typography.fontFamily.bold,
+    color: theme.colors.text.primary,
+  },
+  subtitle: {
+    marginLeft: 8,
+    fontSize: 12,
+    color: theme.colors.text.secondary,
+  },
+  pick: {
+    width: THUMB_SIZE,
+    marginRight: 12,
+    alignItems: 'center',
+  },
+  thumb: {
+    width: THUMB_SIZE,
+    height: THUMB_SIZE,
+    borderRadius: THUMB_SIZE / 2,
+    borderWidth: 2,
+    borderColor: theme.colors.premium,
+  },
+  lockedThumb: {
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: theme.colors.overlay.heavy,
+  },
+  lockedCount: {
+    marginTop: 2,
+    fontSize: 13,
+    fontWeight: 'bold',
+    color: 'white',
+  },
+  nameRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 6,
+  },
+  name: {
+    marginRight: 2,
+    fontSize: 12,
+    color: theme.colors.text.primary,
+  },
+});
+
+export default memo(TopPicksStrip);
@@ -0,0 +1,161 @@
+import React, { memo } from 'react';
+import { View, Text, StyleSheet, Image, TouchableOpacity } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import VerifiedBadge from '../../components/shared/VerifiedBadge';
+import { theme } from '../../styles/theme';
+
+const AVATAR_SIZE = 44;
+
+const Avatar = ({ user }) =>
+  user.mainPhoto ? (
+    <Image source={{ uri: user.mainPhoto }} style={styles.avatar} />
+  ) : (
+    <View style={[styles.avatar, styles.avatarPlaceholder]}>
+      <Ionicons name="person" size={20} color={theme.colors.text.muted} />
+    </View>
+  );
+
+/**
+ * RematchSection - Second chances above the conversation list
+ *
+ * @param {Object} props
+ * @param {Array} props.requests - Incoming rematch requests ({ requestId, requester })
+ * @param {Array} props.candidates - Recently unmatched ({ matchId, otherUser, request })
+ * @param {Function} props.onRespond - Called with (requestId, accept)
+ * @param {Function} props.onRequest - Called with a candidate's matchId
+ */
+const RematchSection = ({ requests, candidates, onRespond, onRequest }) => {
+  // Lapsed requests have nothing left to act on
+  const openCandidates = candidates.filter(candidate => candidate.request?.status !== 'EXPIRED');
+
+  if (requests.length === 0 && openCandidates.length === 0) {
+    return null;
+  }
+
+  return (
+    <View style={styles.container}>
+      {requests.map(request => (
+        <View key={request.requestId} style={styles.row}>
+          <Avatar user={request.requester} />
+          <View style={styles.info}>
+            <View style={styles.nameRow}>
+              <Text style={styles.name} numberOfLines={1}>
+                {request.requester.name}
+              </Text>
+              {request.requester.isVerified && <VerifiedBadge size={12} />}
+            </View>
+            <Text style={styles.subtitle}>Wants a second chance</Text>
+          </View>
+          <TouchableOpacity
+            style={styles.secondaryButton}
+            onPress={() => onRespond(request.requestId, false)}
+          >
+            <Text style={styles.secondaryButtonText}>Ignore</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={styles.primaryButton}
+            onPress={() => onRespond(request.requestId, true)}
+          >
+            <Text style={styles.primaryButtonText}>Match again</Text>
+          </TouchableOpacity>
+        </View>
+      ))}
+
+      {openCandidates.map(candidate => (
+        <View key={candidate.matchId} style={styles.row}>
+          <Avatar user={candidate.otherUser} />
+          <View style={styles.info}>
+            <Text style={styles.name} numberOfLines={1}>
+              {candidate.otherUser.name}
+            </Text>
+            <Text style={styles.subtitle}>You unmatched recently</Text>
+          </View>
+          {candidate.request ? (
+            <Text style={styles.requestedText}>Requested</Text>
+          ) : (
+            <TouchableOpacity
+              style={styles.primaryButton}
+              onPress={() => onRequest(candidate.matchId)}
+            >
+              <Text style={styles.primaryButtonText}>Ask to rematch</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      ))}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginBottom: theme.spacing.md,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: theme.spacing.md,
+    marginBottom: theme.spacing.sm,
+    backgroundColor: theme.colors.primaryTint,
+    borderRadius: theme.borderRadius.lg,
+  },
+  avatar: {
+    width: AVATAR_SIZE,
+    height: AVATAR_SIZE,
+    borderRadius: AVATAR_SIZE / 2,
+    marginRight: theme.spacing.md,
+  },
+  avatarPlaceholder: {
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: theme.colors.background.secondary,
+  },
+  info: {
+    flex: 1,
+  },
+  nameRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  name: {
+    marginRight: 2,
+    fontSize: theme.typography.sizes.md,
+    fontWeight: theme.typography.weights.semibold,
+    fontFamily: theme.typography.fontFamily.semibold,
+    color: theme.colors.text.primary,
+  },
+  subtitle: {
+    fontSize: theme.typography.sizes.sm,
+    fontFamily: theme.typography.fontFamily.regular,
+    color: theme.colors.text.secondary,
+  },
+  primaryButton: {
+    marginLeft: theme.spacing.sm,
+    paddingHorizontal: theme.spacing.md,
+    paddingVertical: theme.spacing.sm,
+    borderRadius: theme.borderRadius.xxl,
+    backgroundColor: theme.colors.primary,
+  },
+  primaryButtonText: {
+    fontSize: theme.typography.sizes.sm,
+    fontWeight: theme.typography.weights.semibold,
+    fontFamily: theme.typography.fontFamily.semibold,
+    color: theme.colors.text.white,
+  },
+  secondaryButton: {
+    paddingHorizontal: theme.spacing.sm,
+    paddingVertical: theme.spacing.sm,
+  },
+  secondaryButtonText: {
+    fontSize: theme.typography.sizes.sm,
+    fontFamily: theme.typography.fontFamily.medium,
+    color: theme.colors.text.secondary,
+  },
+  requestedText: {
+    marginLeft: theme.spacing.sm,
+    fontSize: theme.typography.sizes.sm,
+    fontFamily: theme.typography.fontFamily.medium,
+    color: theme.colors.text.muted,
+  },
+});
+
+export default memo(RematchSection);
@@ -110,6 +110,18 @@ const AdminApiService = {
     return response.data;
   },
 
+  async getDiscoveryConfig() {
+    return unwrap(await apiClient.get('/admin/config/discovery'));
+  },
+
+  async publishDiscoveryConfig(config) {
+    const response = await apiClient.put('/admin/config/discovery', config);
+    if (!response?.success) {
+      throw new Error(response?.message || 'Publish failed');
+    }
+    return response.data;
+  },
+
   async getLaunchPromoConfig() {
     return unwrap(await apiClient.get('/admin/config/launch-promo'));
   },
@@ -223,12 +223,14 @@ class ApiClient {
    * @param {string} endpoint - API endpoint
    * @param {Object} options - Request options
    * @param {boolean} options.noRetry - Skip retry logic for this request
+   * @param {boolean} options.idempotent - Retry a non-GET request too; only for
+   *   requests the server dedupes (e.g. a message send with a clientMessageId)
    * @param {number} _retryAttempt - Internal: current retry attempt (0-indexed)
    */
   async request(endpoint, options = {}, _retryAttempt = 0) {
     const url = `${this.baseURL}${endpoint}`;
     const method = options.method || 'GET';
-    const { noRetry, ...fetchOptions } = options;
+    const { noRetry, idempotent, ...fetchOptions } = options;
     const config = {
       ...fetchOptions,
       headers: {
@@ -238,7 +240,8 @@ class ApiClient {
     };
 
     // Determine if this request is safe to retry
-    const isSafeMethod = RETRY_CONFIG.safeMethodsToRetry.includes(method.toUpperCase());
+    const isSafeMethod =
+      idempotent || RETRY_CONFIG.safeMethodsToRetry.includes(method.toUpperCase());
     const canRetry = !noRetry && isSafeMethod && _retryAttempt < RETRY_CONFIG.maxRetries;
 
     if (_retryAttempt === 0) {
@@ -1,6 +1,16 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Crypto from 'expo-crypto';
 import apiClient from './ApiClient';
 import Logger from '../utils/logger';
 
+// Chat outbox: sends that haven't reached the server yet, persisted so they
+// survive restarts and go out once we're back online. Each carries a
+// clientMessageId, so resending one the server already has is harmless.
+const OUTBOX_STORAGE_KEY = 'chatOutbox';
+const outboxListeners = new Set();
+let outboxWrites = Promise.resolve(); // serializes read-modify-write of the stored outbox
+let isDrainingOutbox = false;
+
 /**
  * API-based Data Service
  * Replaces Firebase DataService with API calls
@@ -272,6 +282,8 @@ class ApiDataService {
     try {
       Logger.info('👋 Logging out from API...');
       await apiClient.logout();
+      // Unsent messages belong to the account that wrote them
+      await ApiDataService.updateOutbox(() => []);
       Logger.success('✅ Logged out from API');
     } catch (error) {
       Logger.error('❌ Error logging out from API:', error);
@@ -374,15 +386,29 @@ class ApiDataService {
    * Get users for discovery/swiping with filters
    */
   static async getUsersForDiscovery(options = {}) {
+    const { users } = await this.getDiscoveryPage(options);
+    return users;
+  }
+
+  /**
+   * Get a page of the discovery deck plus the cursor for the next one.
+   * The server caches the ranked deck, so following `nextCursor` is cheap
+   * enough to prefetch while the user is still swiping.
+   */
+  static async getDiscoveryPage(options = {}) {
     try {
       Logger.info('🔍 Getting users for discovery from API...');
 
-      const { limit = 20, excludeIds = [], filters = {} } = options;
+      const { limit = 20, excludeIds = [], filters = {}, cursor = null } = options;
 
       const queryParams = new URLSearchParams({
         limit: limit.toString(),
       });
 
+      if (cursor) {
+        queryParams.append('cursor', cursor);
+      }
+
       if (excludeIds.length > 0) {
         queryParams.append('excludeIds', excludeIds.join(','));
       }
@@ -410,7 +436,7 @@ class ApiDataService {
       if (response.success) {
         const users = response.data || [];
         Logger.success(`✅ Discovery users loaded from API (${users.length || 0} users)`);
-        return users;
+        return { users, nextCursor: response.meta?.nextCursor ?? null };
       } else {
         Logger.error('❌ Failed to get discovery users from API:', response.message);
         // Throw error to allow proper error handling in the UI
@@ -423,16 +449,46 @@ class ApiDataService {
     }
   }
 
+  /**
+   * Today's Top Picks. Free users get a preview: `picks` holds what they
+   * can see and `locked` counts the rest.
+   */
+  static async getTopPicks() {
+    try {
+      const response = await apiClient.get('/discovery/top-picks');
+
+      if (response.success) {
+        return {
+          picks: response.data || [],
+          locked: response.meta?.locked ?? 0,
+          isPreview: response.meta?.isPreview ?? false,
+          refreshesAt: response.meta?.refreshesAt ?? null,
+        };
+      }
+      throw new Error(response.message || 'Failed to get top picks');
+    } catch (error) {
+      Logger.error('❌ Error getting top picks from API:', error);
+      throw error;
+    }
+  }
+
   // ============ ACTION METHODS ============
 
   /**
-   * Like a user
+   * Like a user. `note` ({ text, photoId } or { text, field }) rides along with the like
    */
-  static async likeUser(targetUserId) {
+  static async likeUser(targetUserId, note = null) {
     try {
       Logger.info('👍 Liking user via API...');
 
-      const response = await apiClient.post('/actions/like', { targetUserId });
+      const response = await apiClient.post('/actions/like', {
+        targetUserId,
+        ...(note && {
+          note: note.text,
+          notePhotoId: note.photoId,
+          noteField: note.field,
+        }),
+      });
 
       if (response.success && response.data) {
         Logger.success('✅ User liked via API');
@@ -514,8 +570,10 @@ class ApiDataService {
   }
 
   /**
-   * Undo last action (premium feature)
-   * Returns the undone action so the card can be restored
+   * Undo the most recent swipe (premium feature). Call again to walk
+   * further back, up to the server's undo depth.
+   * Returns the undone action so the card can be restored, plus how many
+   * more undos are left in a row
    */
   static async undoLastAction() {
     try {
@@ -528,6 +586,7 @@ class ApiDataService {
         return {
           success: true,
           undoneAction: response.data.undoneAction,
+          undo: response.data.undo,
         };
       } else {
         Logger.error('❌ Failed to undo action via API:', response.message);
@@ -551,6 +610,124 @@ class ApiDataService {
     }
   }
 
+  /**
+   * Tell the server the user saw the card of someone who super liked them,
+   * so the sender gets a "seen" receipt
+   */
+  static async markSuperLikeSeen(userId) {
+    try {
+      const response = await apiClient.post(`/actions/super-likes/${userId}/seen`);
+      if (response.success) {
+        return response.data;
+      }
+      throw new Error(response.message || 'Failed to mark Super Like as seen');
+    } catch (error) {
+      Logger.error('❌ Error marking Super Like as seen via API:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Start a 30-minute Profile Boost (premium, monthly allowance)
+   */
+  static async activateBoost() {
+    try {
+      Logger.info('🚀 Starting profile boost via API...');
+
+      const response = await apiClient.post('/actions/boost');
+
+      if (response.success) {
+        Logger.success('✅ Boost started via API');
+        return response.data;
+      } else {
+        Logger.error('❌ Failed to start boost via API:', response.message);
+        const err = new Error(response.message || 'Boost failed');
+        err.code = response.error;
+        throw err;
+      }
+    } catch (error) {
+      Logger.error('❌ Error starting boost via API:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Current boost and the summary (views, likes, extra likes) of the last one
+   */
+  static async getBoostStatus() {
+    try {
+      const response = await apiClient.get('/actions/boost');
+      if (response.success) {
+        return response.data;
+      }
+      throw new Error(response.message || 'Failed to get boost status');
+    } catch (error) {
+      Logger.error('❌ Error getting boost status via API:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Current travel mode ({ location, expiresAt }) or null
+   */
+  static async getTravelMode() {
+    try {
+      const response = await apiClient.get('/users/profile/travel');
+      if (response.success) {
+        return response.data.travelMode;
+      }
+      throw new Error(response.message || 'Failed to get travel mode');
+    } catch (error) {
+      Logger.error('❌ Error getting travel mode via API:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Start travel mode: discover from another city for a few days (premium)
+   */
+  static async startTravelMode({ location, latitude, longitude, days }) {
+    try {
+      Logger.info(`✈️ Starting travel mode (${location}) via API...`);
+
+      const response = await apiClient.put('/users/profile/travel', {
+        location,
+        latitude,
+        longitude,
+        days,
+      });
+
+      if (response.success) {
+        Logger.success('✅ Travel mode started via API');
+        return response.data.travelMode;
+      } else {
+        Logger.error('❌ Failed to start travel mode via API:', response.message);
+        const err = new Error(response.message || 'Travel mode failed');
+        err.code = response.error;
+        throw err;
+      }
+    } catch (error) {
+      Logger.error('❌ Error starting travel mode via API:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * End travel mode early
+   */
+  static async endTravelMode() {
+    try {
+      const response = await apiClient.delete('/users/profile/travel');
+      if (response.success) {
+        return null;
+      }
+      throw new Error(response.message || 'Failed to end travel mode');
+    } catch (error) {
+      Logger.error('❌ Error ending travel mode via API:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get user action history
    */
@@ -657,8 +834,82 @@ class ApiDataService {
     }
   }
 
+  /**
+   * Extend a match that's about to expire (premium, one per day)
+   */
+  static async extendMatch(matchId) {
+    try {
+      Logger.info('⏳ Extending match via API...');
+
+      const response = await apiClient.post(`/matches/${matchId}/extend`);
+
+      if (response.success) {
+        Logger.success('✅ Match extended via API');
+        return response.data;
+      } else {
+        Logger.error('❌ Failed to extend match via API:', response.message);
+        const err = new Error(response.message || 'Match extension failed');
+        err.code = response.error;
+        throw err;
+      }
+    } catch (error) {
+      Logger.error('❌ Error extending match via API:', error);
+      throw error;
+    }
+  }
+
   // ============ MESSAGE METHODS ============
 
+  /**
+   * One page of a thread, oldest first, with paging meta from the server:
+   * `olderCursor`/`newerCursor` to pass back as `before`/`after`, `hasMore`,
+   * and the `watermark` to catch up from with syncMessages.
+   * @returns {Promise<{messages: Array, meta: object}>}
+   */
+  static async getMessagePage(matchId, { limit = 100, before = null, after = null } = {}) {
+    try {
+      const queryParams = new URLSearchParams({ limit: limit.toString() });
+      if (before) {
+        queryParams.set('before', before);
+      }
+      if (after) {
+        queryParams.set('after', after);
+      }
+
+      const response = await apiClient.get(`/messages/${matchId}?${queryParams}`);
+      if (response.success) {
+        return { messages: response.data || [], meta: response.meta || {} };
+      }
+      Logger.error('❌ Failed to get message page from API:', response.message);
+      return { messages: [], meta: {} };
+    } catch (error) {
+      Logger.error('❌ Error getting message page from API:', error);
+      return { messages: [], meta: {} };
+    }
+  }
+
+  /**
+   * Everything that changed in a thread since a watermark (new, edited,
+   * unsent, reacted-to and read messages), for upserting by id.
+   * @returns {Promise<{messages: Array, watermark: string, fullReload: boolean}|null>}
+   *   null when the sync failed and the watermark should be kept
+   */
+  static async syncMessages(matchId, since) {
+    try {
+      const response = await apiClient.get(
+        `/messages/${matchId}/sync?${new URLSearchParams({ since })}`
+      );
+      if (response.success) {
+        return response.data;
+      }
+      Logger.error('❌ Failed to sync messages:', response.message);
+      return null;
+    } catch (error) {
+      Logger.error('❌ Error syncing messages:', error);
+      return null;
+    }
+  }
+
   /**
    * Get messages for a match
    */
@@ -688,28 +939,35 @@ class ApiDataService {
   }
 
   /**
-   * Search a conversation by text and/or message type
-   * @param {string} matchId - The match ID
-   * @param {{q?: string, type?: string}} filters - Word query and/or type (AUDIO, GAME, …)
+   * Full-text search across every conversation. Results are ranked and carry
+   * `snippet` runs ({ text, highlight }) plus the other person in that chat.
+   * @param {{q?: string, type?: string, matchId?: string, from?: string, to?: string, cursor?: string}} filters
+   * @returns {Promise<{results: Array, nextCursor: string|null}>}
    */
-  static async searchMessages(matchId, { q = '', type = null } = {}) {
+  static async searchAllMessages({
+    q = '',
+    type = null,
+    matchId = null,
+    from = null,
+    to = null,
+    cursor = null,
+  } = {}) {
     try {
       const queryParams = new URLSearchParams();
-      if (q) {
-        queryParams.set('q', q);
-      }
-      if (type) {
-        queryParams.set('type', type);
-      }
-      const response = await apiClient.get(`/messages/${matchId}/search?${queryParams}`);
+      Object.entries({ q, type, matchId, from, to, cursor }).forEach(([key, value]) => {
+        if (value) {
+          queryParams.set(key, value);
+        }
+      });
+      const response = await apiClient.get(`/messages/search?${queryParams}`);
       if (response.success) {
-        return response.data || [];
+        return { results: response.data || [], nextCursor: response.meta?.nextCursor ?? null };
       }
-      Logger.error('❌ Failed to search messages:', response.message);
-      return [];
+      Logger.error('❌ Failed to search all messages:', response.message);
+      return { results: [], nextCursor: null };
     } catch (error) {
-      Logger.error('❌ Error searching messages:', error);
-      return [];
+      Logger.error('❌ Error searching all messages:', error);
+      return { results: [], nextCursor: null };
     }
   }
 
@@ -740,14 +998,26 @@ class ApiDataService {
         };
       }
 
-      const response = await apiClient.post(`/messages/${matchId}`, body);
+      // A client message ID makes the send idempotent, so it's safe to retry
+      const clientMessageId =
+        typeof contentOrOptions === 'object' && contentOrOptions.clientMessageId;
+      if (clientMessageId) {
+        body.clientMessageId = clientMessageId;
+      }
+
+      const response = await apiClient.post(`/messages/${matchId}`, body, {
+        idempotent: Boolean(clientMessageId),
+      });
 
       if (response.success) {
         Logger.success('✅ Message sent via API');
         return response.data;
       } else {
         Logger.error('❌ Failed to send message via API:', response.message);
-        throw new Error(response.message || 'Message sending failed');
+        // status is missing for network errors, which the outbox retries
+        throw Object.assign(new Error(response.message || 'Message sending failed'), {
+          status: response.status,
+        });
       }
     } catch (error) {
       Logger.error('❌ Error sending message via API:', error);
@@ -755,6 +1025,154 @@ class ApiDataService {
     }
   }
 
+  // ============ CHAT OUTBOX ============
+
+  /**
+   * Stored outbox entries, oldest first, optionally for one match. Each is
+   * { clientMessageId, matchId, payload, replyTo, createdAt, status } with
+   * status 'pending' (will be retried) or 'failed' (rejected by the server).
+   */
+  static async getOutbox(matchId = null) {
+    try {
+      const stored = await AsyncStorage.getItem(OUTBOX_STORAGE_KEY);
+      const entries = stored ? JSON.parse(stored) : [];
+      return matchId ? entries.filter(entry => entry.matchId === matchId) : entries;
+    } catch (error) {
+      Logger.error('❌ Error reading chat outbox:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Rewrite the stored outbox with change(entries). Queued behind earlier
+   * writes so a send and a drain can't overwrite each other.
+   */
+  static updateOutbox(change) {
+    outboxWrites = outboxWrites
+      .then(async () => {
+        const entries = await ApiDataService.getOutbox();
+        await AsyncStorage.setItem(OUTBOX_STORAGE_KEY, JSON.stringify(change(entries)));
+      })
+      .catch(error => Logger.error('❌ Error writing chat outbox:', error));
+    return outboxWrites;
+  }
+
+  /**
+   * Listen for outbox sends settling, including ones from a background
+   * drain: callback({ matchId, clientMessageId, status, message?, error? })
+   * with status 'sent' | 'pending' | 'failed'
+   */
+  static onOutboxChange(callback) {
+    outboxListeners.add(callback);
+    return () => outboxListeners.delete(callback);
+  }
+
+  /**
+   * Put a message in the outbox and try to send it straight away
+   * @param {string} matchId - The match ID
+   * @param {object} payload - sendMessage options (content, messageType, mediaUrl, ...)
+   * @param {object} options
+   * @param {object} [options.replyTo] - Kept to redraw the pending bubble after a restart
+   * @param {string} [options.clientMessageId] - Pass one to show the bubble before this resolves
+   * @returns {Promise<{entry: object, status: string, message?: object, error?: Error}>}
+   */
+  static async queueMessage(
+    matchId,
+    payload,
+    { replyTo = null, clientMessageId = Crypto.randomUUID() } = {}
+  ) {
+    const entry = {
+      clientMessageId,
+      matchId,
+      payload,
+      replyTo,
+      createdAt: new Date().toISOString(),
+      status: 'pending',
+    };
+    await ApiDataService.updateOutbox(entries => [...entries, entry]);
+    return { entry, ...(await ApiDataService.sendOutboxEntry(entry)) };
+  }
+
+  /**
+   * Try one outbox entry. Sent entries leave the outbox; network, server
+   * and rate-limit errors leave it pending for the next drain; anything
+   * else the server rejected is marked failed until retried or discarded.
+   */
+  static async sendOutboxEntry(entry) {
+    const { matchId, clientMessageId } = entry;
+    try {
+      const message = await ApiDataService.sendMessage(matchId, {
+        ...entry.payload,
+        clientMessageId,
+      });
+      await ApiDataService.updateOutbox(entries =>
+        entries.filter(e => e.clientMessageId !== clientMessageId)
+      );
+      outboxListeners.forEach(cb => cb({ matchId, clientMessageId, status: 'sent', message }));
+      return { status: 'sent', message };
+    } catch (error) {
+      const retryable = !error.status || error.status >= 500 || error.status === 429;
+      const status = retryable ? 'pending' : 'failed';
+      if (!retryable) {
+        await ApiDataService.updateOutbox(entries =>
+          entries.map(e => (e.clientMessageId === clientMessageId ? { ...e, status } : e))
+        );
+      }
+      outboxListeners.forEach(cb => cb({ matchId, clientMessageId, status, error }));
+      return { status, error };
+    }
+  }
+
+  /**
+   * Send everything still pending, oldest first. Called when the socket
+   * (re)connects; stops at the first send that's still offline.
+   */
+  static async drainOutbox() {
+    if (isDrainingOutbox) {
+      return;
+    }
+    isDrainingOutbox = true;
+    try {
+      const pending = (await ApiDataService.getOutbox()).filter(e => e.status === 'pending');
+      if (pending.length) {
+        Logger.info(`📤 Draining ${pending.length} queued message(s)`);
+      }
+      for (const entry of pending) {
+        const { status } = await ApiDataService.sendOutboxEntry(entry);
+        if (status === 'pending') {
+          break;
+        }
+      }
+    } finally {
+      isDrainingOutbox = false;
+    }
+  }
+
+  /**
+   * Try a failed message again
+   */
+  static async retryOutboxMessage(clientMessageId) {
+    const entry = (await ApiDataService.getOutbox()).find(
+      e => e.clientMessageId === clientMessageId
+    );
+    if (!entry) {
+      return { status: 'missing' };
+    }
+    await ApiDataService.updateOutbox(entries =>
+      entries.map(e => (e.clientMessageId === clientMessageId ? { ...e, status: 'pending' } : e))
+    );
+    return ApiDataService.sendOutboxEntry(entry);
+  }
+
+  /**
+   * Drop a message from the outbox without sending it
+   */
+  static async discardOutboxMessage(clientMessageId) {
+    await ApiDataService.updateOutbox(entries =>
+      entries.filter(e => e.clientMessageId !== clientMessageId)
+    );
+  }
+
   /**
    * Mark messages as read
    */
@@ -779,6 +1197,50 @@ class ApiDataService {
     }
   }
 
+  /**
+   * Edit the text of one of your own messages
+   */
+  static async editMessage(matchId, messageId, content) {
+    try {
+      Logger.info('✏️ Editing message via API...');
+
+      const response = await apiClient.put(`/messages/${matchId}/${messageId}`, { content });
+
+      if (response.success) {
+        Logger.success('✅ Message edited via API');
+        return response.data;
+      } else {
+        Logger.error('❌ Failed to edit message via API:', response.message);
+        throw new Error(response.message || 'Failed to edit message');
+      }
+    } catch (error) {
+      Logger.error('❌ Error editing message via API:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Unsend one of your own messages for everyone
+   */
+  static async deleteMessage(messageId) {
+    try {
+      Logger.info('🗑️ Unsending message via API...');
+
+      const response = await apiClient.delete(`/messages/${messageId}`);
+
+      if (response.success) {
+        Logger.success('✅ Message unsent via API');
+        return response.data;
+      } else {
+        Logger.error('❌ Failed to unsend message via API:', response.message);
+        throw new Error(response.message || 'Failed to unsend message');
+      }
+    } catch (error) {
+      Logger.error('❌ Error unsending message via API:', error);
+      throw error;
+    }
+  }
+
   /**
    * Add reaction to a message
    */
@@ -981,6 +1443,84 @@ class ApiDataService {
     }
   }
 
+  /**
+   * Recently unmatched matches the user can still ask to rematch
+   */
+  static async getRematchCandidates() {
+    try {
+      const response = await apiClient.get('/moderation/rematch');
+      if (response.success) {
+        return response.data || [];
+      }
+      Logger.error('❌ Failed to get rematch candidates:', response.message);
+      return [];
+    } catch (error) {
+      Logger.error('❌ Error getting rematch candidates:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Pending rematch requests the user has received
+   */
+  static async getRematchRequests() {
+    try {
+      const response = await apiClient.get('/moderation/rematch/requests');
+      if (response.success) {
+        return response.data || [];
+      }
+      Logger.error('❌ Failed to get rematch requests:', response.message);
+      return [];
+    } catch (error) {
+      Logger.error('❌ Error getting rematch requests:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Ask for a match back after unmatching
+   */
+  static async requestRematch(matchId) {
+    try {
+      Logger.info('🔁 Requesting rematch via API...');
+      const response = await apiClient.post(`/moderation/rematch/${matchId}`);
+      if (response.success) {
+        Logger.success('✅ Rematch requested');
+        return response.data;
+      }
+      Logger.error('❌ Failed to request rematch:', response.message);
+      const err = new Error(response.message || 'Rematch request failed');
+      err.code = response.code;
+      throw err;
+    } catch (error) {
+      Logger.error('❌ Error requesting rematch:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Accept or ignore a rematch request
+   * @param {string} requestId - The rematch request
+   * @param {boolean} accept - true to accept, false to ignore
+   */
+  static async respondToRematch(requestId, accept) {
+    try {
+      const action = accept ? 'accept' : 'ignore';
+      const response = await apiClient.post(`/moderation/rematch/requests/${requestId}/${action}`);
+      if (response.success) {
+        Logger.success(`✅ Rematch request ${action}ed`);
+        return response.data;
+      }
+      Logger.error(`❌ Failed to ${action} rematch request:`, response.message);
+      const err = new Error(response.message || 'Rematch response failed');
+      err.code = response.code;
+      throw err;
+    } catch (error) {
+      Logger.error('❌ Error responding to rematch request:', error);
+      throw error;
+    }
+  }
+
   /**
    * Report a user
    */
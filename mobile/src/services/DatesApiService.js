@@ -0,0 +1,49 @@
+/**
+ * Date planning API client. Proposals live in the chat as DATE_PROPOSAL
+ * cards; these calls move them through PENDING → ACCEPTED / DECLINED /
+ * COUNTERED. Every call resolves to the proposal's current summary.
+ */
+import apiClient from './ApiClient';
+
+const unwrapOrThrow = response => {
+  if (!response?.success) {
+    const error = new Error(response?.message || 'Date proposal failed');
+    error.code = response?.code;
+    throw error;
+  }
+  return response.data;
+};
+
+const DatesApiService = {
+  /**
+   * @param {string} matchId
+   * @param {{startsAt: Date, endsAt: Date, placeName: string, location?: Object}} plan
+   */
+  async propose(matchId, plan) {
+    const response = await apiClient.post(`/dates/${matchId}/proposals`, plan);
+    return unwrapOrThrow(response);
+  },
+
+  async accept(matchId, proposalId) {
+    const response = await apiClient.post(`/dates/${matchId}/proposals/${proposalId}/accept`);
+    return unwrapOrThrow(response);
+  },
+
+  async decline(matchId, proposalId) {
+    const response = await apiClient.post(`/dates/${matchId}/proposals/${proposalId}/decline`);
+    return unwrapOrThrow(response);
+  },
+
+  /**
+   * Suggest another time; leave out placeName/location to keep the original place.
+   */
+  async counter(matchId, proposalId, plan) {
+    const response = await apiClient.post(
+      `/dates/${matchId}/proposals/${proposalId}/counter`,
+      plan
+    );
+    return unwrapOrThrow(response);
+  },
+};
+
+export default DatesApiService;
@@ -8,6 +8,7 @@ import { AppState } from 'react-native';
 import Logger from '../utils/logger';
 import environment from '../config/environment';
 import ApiClient from './ApiClient';
+import ApiDataService from './ApiDataService';
 
 class SocketService {
   constructor() {
@@ -21,6 +22,7 @@ class SocketService {
     this.userStatusListeners = new Set();
     this.gameListeners = new Set();
     this.joinedMatchRooms = new Set();
+    this.syncWatermarks = new Map(); // matchId -> server watermark of the last load/sync
     this.heartbeatInterval = null;
     this.appStateSubscription = null;
     this.isAppActive = true;
@@ -83,6 +85,15 @@ class SocketService {
         Logger.info(`📱 Re-joined match room after reconnect: match:${matchId}`);
       });
 
+      // Rejoining only covers what happens from now on; fetch whatever the
+      // rooms missed while we were away
+      this.joinedMatchRooms.forEach(matchId => this.syncMatchRoom(matchId));
+
+      // Back online: send whatever was written while we weren't
+      ApiDataService.drainOutbox().catch(error =>
+        Logger.error('❌ Error draining chat outbox:', error)
+      );
+
       // Start heartbeat to keep online status updated (only if app is active)
       if (this.isAppActive) {
         this.startHeartbeat();
@@ -152,11 +163,29 @@ class SocketService {
       this.matchListeners.forEach(callback => callback('new-match', data));
     });
 
+    // A match ended (unmatched, or expired with no messages)
+    this.socket.on('match-ended', data => {
+      Logger.info(`💔 Match ${data.matchId} ended (${data.reason})`);
+      this.matchListeners.forEach(callback => callback('match-ended', data));
+    });
+
+    // Someone the user unmatched wants a second chance
+    this.socket.on('rematch-request', data => {
+      Logger.info(`🔁 Rematch request received for match ${data.matchId}`);
+      this.matchListeners.forEach(callback => callback('rematch-request', data));
+    });
+
     // In-chat game state deltas (per-viewer redacted snapshots)
     this.socket.on('game-updated', data => {
       this.gameListeners.forEach(callback => callback('game-updated', data));
     });
 
+    // A date proposal in one of the user's chats was answered
+    this.socket.on('date-proposal-updated', data => {
+      Logger.info(`📅 Date proposal ${data.proposal?.id} is now ${data.proposal?.status}`);
+      this.messageListeners.forEach(callback => callback('date-proposal-updated', data));
+    });
+
     // Liked You update events
     this.socket.on('liked-you-update', data => {
       Logger.info('💘 Liked You update received via WebSocket!');
@@ -209,6 +238,18 @@ class SocketService {
       Logger.info('😊 Message reaction received:', data);
       this.messageListeners.forEach(callback => callback('message-reaction', data));
     });
+
+    // Message edit events
+    this.socket.on('message-edited', data => {
+      Logger.info('✏️ Message edited:', data);
+      this.messageListeners.forEach(callback => callback('message-edited', data));
+    });
+
+    // Unsent messages turn into tombstones
+    this.socket.on('message-deleted', data => {
+      Logger.info('🗑️ Message unsent:', data);
+      this.messageListeners.forEach(callback => callback('message-deleted', data));
+    });
   }
 
   /**
@@ -232,12 +273,50 @@ class SocketService {
    */
   leaveMatchRoom(matchId) {
     this.joinedMatchRooms.delete(matchId);
+    this.syncWatermarks.delete(matchId);
     if (this.socket && this.isConnected) {
       this.socket.emit('leave-match-room', matchId);
       Logger.info(`📱 Left match room: ${matchId}`);
     }
   }
 
+  /**
+   * Record the watermark of a thread load, so the next reconnect can catch
+   * the room up from there
+   */
+  setSyncWatermark(matchId, watermark) {
+    if (watermark) {
+      this.syncWatermarks.set(matchId, watermark);
+    }
+  }
+
+  /**
+   * Catch a joined room up since its watermark and hand the changes to
+   * message listeners as 'messages-synced' ({ matchId, messages, fullReload })
+   */
+  async syncMatchRoom(matchId) {
+    const since = this.syncWatermarks.get(matchId);
+    if (!since) {
+      return;
+    }
+    const result = await ApiDataService.syncMessages(matchId, since);
+    // Left the room (or failed) meanwhile: keep the old watermark, if any
+    if (!result || !this.joinedMatchRooms.has(matchId)) {
+      return;
+    }
+    this.syncWatermarks.set(matchId, result.watermark);
+    Logger.info(
+      `📱 Synced ${result.messages.length} missed message change(s) for match:${matchId}`
+    );
+    this.messageListeners.forEach(callback =>
+      callback('messages-synced', {
+        matchId,
+        messages: result.messages,
+        fullReload: result.fullReload,
+      })
+    );
+  }
+
   /**
    * Add message event listener
    */
@@ -1,4 +1,4 @@
-import { formatRelativeTime, formatLastSeen } from '../timeHelpers';
+import { formatRelativeTime, formatLastSeen, formatExpiresIn } from '../timeHelpers';
 
 describe('formatRelativeTime', () => {
   beforeEach(() => {
@@ -55,3 +55,28 @@ describe('formatLastSeen', () => {
     expect(formatLastSeen(new Date('2024-08-09T12:00:00Z'))).toBe('Last seen 2y ago');
   });
 });
+
+describe('formatExpiresIn', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date('2026-08-09T12:00:00Z'));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('returns null for missing deadlines', () => {
+    expect(formatExpiresIn(null)).toBeNull();
+  });
+
+  it('counts down in the largest whole unit', () => {
+    expect(formatExpiresIn(new Date('2026-08-09T12:20:00Z'))).toBe('Expires in 20m');
+    expect(formatExpiresIn(new Date('2026-08-10T05:00:00Z'))).toBe('Expires in 17h');
+    expect(formatExpiresIn(new Date('2026-08-12T13:00:00Z'))).toBe('Expires in 3d');
+  });
+
+  it('says "Expiring now" once the deadline has passed', () => {
+    expect(formatExpiresIn(new Date('2026-08-09T11:59:00Z'))).toBe('Expiring now');
+  });
+});
@@ -44,3 +44,21 @@ export const formatLastSeen = date => {
   if (diffMonths < 12) return `Last seen ${diffMonths}mo ago`;
   return `Last seen ${Math.floor(diffMonths / 12)}y ago`;
 };
+
+/**
+ * Format time left until a deadline (e.g., "Expires in 5h")
+ * @param {string|Date} timestamp - The deadline
+ * @returns {string|null} Formatted countdown, or null when missing
+ */
+export const formatExpiresIn = timestamp => {
+  if (!timestamp) return null;
+  const diffMs = new Date(timestamp) - new Date();
+  const diffMins = Math.floor(diffMs / 60000);
+  const diffHours = Math.floor(diffMs / 3600000);
+  const diffDays = Math.floor(diffMs / 86400000);
+
+  if (diffMins < 1) return 'Expiring now';
+  if (diffMins < 60) return `Expires in ${diffMins}m`;
+  if (diffHours < 24) return `Expires in ${diffHours}h`;
+  return `Expires in ${diffDays}d`;
+};